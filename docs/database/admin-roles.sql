@@ -0,0 +1,168 @@
+-- Migration for granular admin roles
+-- Replaces the single admin flag with four roles stored in user_profiles.roles:
+--   viewer           - can open the admin area but change nothing
+--   editor           - can add, edit and delete concerts only
+--   festival_manager - can edit the festivals, and their concerts, listed in
+--                      managed_festival_ids or held in a park in managed_park_ids
+--   admin            - super-admin; everything, including the review queue, the
+--                      trash, restores and user management
+-- Super-admins keep the existing 'admin' role, so the functions that already check
+-- has_role(auth.uid(), 'admin') stay limited to them.
+-- src/utils/permissions.js mirrors these rules for the admin UI.
+
+ALTER TABLE user_profiles ADD COLUMN managed_festival_ids UUID[] DEFAULT '{}';
+ALTER TABLE user_profiles ADD COLUMN managed_park_ids UUID[] DEFAULT '{}';
+
+-- Check if a user has any of the given roles
+CREATE OR REPLACE FUNCTION public.has_any_role(user_id UUID, role_names TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_profiles WHERE id = user_id AND roles && role_names
+  );
+$$;
+
+-- Check if a festival manager's scope covers a festival or park
+CREATE OR REPLACE FUNCTION public.manages_festival(
+  user_id UUID,
+  target_festival_id UUID,
+  target_park_id UUID
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_profiles
+    WHERE id = user_id
+      AND 'festival_manager' = ANY(roles)
+      AND (
+        target_festival_id = ANY(managed_festival_ids)
+        OR target_park_id = ANY(managed_park_ids)
+      )
+  );
+$$;
+
+-- A concert is in scope through its festival or its venue's park
+CREATE OR REPLACE FUNCTION public.can_edit_concert(
+  user_id UUID,
+  concert_festival_id UUID,
+  concert_venue_id UUID
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT has_any_role(user_id, ARRAY['admin', 'editor'])
+    OR manages_festival(
+      user_id,
+      concert_festival_id,
+      (SELECT park_id FROM venues WHERE id = concert_venue_id)
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.has_any_role(UUID, TEXT[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.manages_festival(UUID, UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.can_edit_concert(UUID, UUID, UUID) TO authenticated;
+
+-- Artists and venues: super-admins only (replaces the policies in schema.sql)
+DROP POLICY IF EXISTS "Only admins can insert artists" ON artists;
+DROP POLICY IF EXISTS "Only admins can update artists" ON artists;
+DROP POLICY IF EXISTS "Only admins can delete artists" ON artists;
+
+CREATE POLICY "Super admins can insert artists" ON artists
+    FOR INSERT WITH CHECK (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can update artists" ON artists
+    FOR UPDATE USING (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can delete artists" ON artists
+    FOR DELETE USING (has_role(auth.uid(), 'admin'));
+
+DROP POLICY IF EXISTS "Only admins can insert venues" ON venues;
+DROP POLICY IF EXISTS "Only admins can update venues" ON venues;
+DROP POLICY IF EXISTS "Only admins can delete venues" ON venues;
+
+CREATE POLICY "Super admins can insert venues" ON venues
+    FOR INSERT WITH CHECK (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can update venues" ON venues
+    FOR UPDATE USING (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can delete venues" ON venues
+    FOR DELETE USING (has_role(auth.uid(), 'admin'));
+
+-- Festivals: super-admins, and festival managers within their scope.
+-- WITH CHECK on update stops a manager moving a festival out of their scope.
+DROP POLICY IF EXISTS "Only admins can insert festivals" ON festivals;
+DROP POLICY IF EXISTS "Only admins can update festivals" ON festivals;
+DROP POLICY IF EXISTS "Only admins can delete festivals" ON festivals;
+
+CREATE POLICY "Admins and managers can insert festivals" ON festivals
+    FOR INSERT WITH CHECK (
+      has_role(auth.uid(), 'admin') OR manages_festival(auth.uid(), id, park_id)
+    );
+CREATE POLICY "Admins and managers can update festivals" ON festivals
+    FOR UPDATE
+    USING (has_role(auth.uid(), 'admin') OR manages_festival(auth.uid(), id, park_id))
+    WITH CHECK (has_role(auth.uid(), 'admin') OR manages_festival(auth.uid(), id, park_id));
+CREATE POLICY "Admins and managers can delete festivals" ON festivals
+    FOR DELETE USING (
+      has_role(auth.uid(), 'admin') OR manages_festival(auth.uid(), id, park_id)
+    );
+
+-- Concerts: super-admins and editors, and festival managers within their scope
+DROP POLICY IF EXISTS "Only admins can insert concerts" ON concerts;
+DROP POLICY IF EXISTS "Only admins can update concerts" ON concerts;
+DROP POLICY IF EXISTS "Only admins can delete concerts" ON concerts;
+
+CREATE POLICY "Concert editors can insert concerts" ON concerts
+    FOR INSERT WITH CHECK (can_edit_concert(auth.uid(), festival_id, venue_id));
+CREATE POLICY "Concert editors can update concerts" ON concerts
+    FOR UPDATE
+    USING (can_edit_concert(auth.uid(), festival_id, venue_id))
+    WITH CHECK (can_edit_concert(auth.uid(), festival_id, venue_id));
+CREATE POLICY "Concert editors can delete concerts" ON concerts
+    FOR DELETE USING (can_edit_concert(auth.uid(), festival_id, venue_id));
+
+-- Anyone with an admin role can read the audit log shown on the edit pages;
+-- restoring a version is still super-admin only
+DROP POLICY IF EXISTS "Admins can view the audit log" ON audit_log;
+CREATE POLICY "Admins can view the audit log" ON audit_log
+    FOR SELECT USING (
+      has_any_role(auth.uid(), ARRAY['viewer', 'editor', 'festival_manager', 'admin'])
+    );
+
+-- Super-admins manage everyone's roles from the user management page
+CREATE POLICY "Super admins can view all profiles" ON user_profiles
+    FOR SELECT USING (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can update all profiles" ON user_profiles
+    FOR UPDATE USING (has_role(auth.uid(), 'admin'));
+
+-- Users can update their own profile, but not their own roles or scope.
+-- Writes without a signed-in user (SQL editor, service role) are allowed.
+CREATE OR REPLACE FUNCTION protect_profile_roles()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF (
+    NEW.roles IS DISTINCT FROM OLD.roles
+    OR NEW.managed_festival_ids IS DISTINCT FROM OLD.managed_festival_ids
+    OR NEW.managed_park_ids IS DISTINCT FROM OLD.managed_park_ids
+  ) AND auth.uid() IS NOT NULL AND NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Only super admins can change roles' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER protect_user_profile_roles
+BEFORE UPDATE ON user_profiles
+FOR EACH ROW EXECUTE FUNCTION protect_profile_roles();
@@ -0,0 +1,125 @@
+-- Migration for merging duplicate artists
+-- The same act often ends up entered twice under different spellings
+-- ("Sister Hazel" and "Sister Hazel (Band)"). merge_artists folds the duplicates
+-- into one surviving artist and records their names as aliases, so imports and
+-- the ingestion pipeline match those spellings to the survivor from then on.
+
+CREATE TABLE artist_aliases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL,
+  -- Artist the alias came from when it was recorded by a merge
+  merged_from_id UUID REFERENCES artists(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- One artist per spelling, ignoring case
+CREATE UNIQUE INDEX idx_artist_aliases_alias ON artist_aliases (lower(alias));
+CREATE INDEX idx_artist_aliases_artist ON artist_aliases (artist_id);
+
+ALTER TABLE artist_aliases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view artist aliases" ON artist_aliases
+    FOR SELECT USING (true);
+
+CREATE POLICY "Super-admins can manage artist aliases" ON artist_aliases
+    FOR ALL USING (has_role(auth.uid(), 'admin'))
+    WITH CHECK (has_role(auth.uid(), 'admin'));
+
+-- Merge duplicate artists into a surviving artist:
+-- - concerts move to the survivor
+-- - favorites move to the survivor (users who favorited both keep one row)
+-- - genres are combined, and the survivor's empty fields are filled from the duplicates
+-- - each duplicate's name and aliases become aliases of the survivor
+-- - the duplicates go to the trash, where they can still be seen for the retention window
+-- SECURITY DEFINER because favorites belong to other users and RLS would hide them.
+CREATE OR REPLACE FUNCTION merge_artists(survivor_id UUID, duplicate_ids UUID[])
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  duplicates UUID[] := array_remove(duplicate_ids, survivor_id);
+  concerts_count INTEGER;
+  favorites_count INTEGER;
+BEGIN
+  IF NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Admin privileges required' USING ERRCODE = '42501';
+  END IF;
+
+  IF COALESCE(array_length(duplicates, 1), 0) = 0 THEN
+    RAISE EXCEPTION 'Choose at least one duplicate to merge' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM artists WHERE id = survivor_id AND deleted_at IS NULL) THEN
+    RAISE EXCEPTION 'Artist % not found', survivor_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF (
+    SELECT count(*) FROM artists WHERE id = ANY(duplicates) AND deleted_at IS NULL
+  ) <> array_length(duplicates, 1) THEN
+    RAISE EXCEPTION 'One or more duplicates were not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Moved before the duplicates are trashed so cascade_soft_delete leaves them alone
+  UPDATE concerts SET artist_id = survivor_id WHERE artist_id = ANY(duplicates);
+  GET DIAGNOSTICS concerts_count = ROW_COUNT;
+
+  INSERT INTO favorites_artists (user_id, artist_id, created_at)
+  SELECT user_id, survivor_id, min(created_at)
+  FROM favorites_artists
+  WHERE artist_id = ANY(duplicates)
+  GROUP BY user_id
+  ON CONFLICT (user_id, artist_id) DO NOTHING;
+
+  DELETE FROM favorites_artists WHERE artist_id = ANY(duplicates);
+  GET DIAGNOSTICS favorites_count = ROW_COUNT;
+
+  UPDATE artists survivor
+  SET
+    genres = (
+      SELECT array_agg(DISTINCT genre ORDER BY genre)
+      FROM artists a, unnest(a.genres) AS genre
+      WHERE a.id = survivor_id OR a.id = ANY(duplicates)
+    ),
+    description = COALESCE(survivor.description, (
+      SELECT description FROM artists
+      WHERE id = ANY(duplicates) AND description IS NOT NULL
+      LIMIT 1
+    )),
+    image_url = COALESCE(survivor.image_url, (
+      SELECT image_url FROM artists
+      WHERE id = ANY(duplicates) AND image_url IS NOT NULL
+      LIMIT 1
+    )),
+    website_url = COALESCE(survivor.website_url, (
+      SELECT website_url FROM artists
+      WHERE id = ANY(duplicates) AND website_url IS NOT NULL
+      LIMIT 1
+    ))
+  WHERE survivor.id = survivor_id;
+
+  -- The duplicates' own aliases move across with them
+  UPDATE artist_aliases SET artist_id = survivor_id WHERE artist_id = ANY(duplicates);
+
+  INSERT INTO artist_aliases (artist_id, alias, merged_from_id)
+  SELECT survivor_id, a.name, a.id
+  FROM artists a
+  WHERE a.id = ANY(duplicates)
+    AND lower(a.name) <> (SELECT lower(name) FROM artists WHERE id = survivor_id)
+  ON CONFLICT (lower(alias)) DO NOTHING;
+
+  UPDATE artists SET deleted_at = now() WHERE id = ANY(duplicates);
+
+  RETURN jsonb_build_object(
+    'concerts', concerts_count,
+    'favorites', favorites_count,
+    'artists', array_length(duplicates, 1)
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION merge_artists(UUID, UUID[]) TO authenticated;
+
+COMMENT ON FUNCTION merge_artists(UUID, UUID[]) IS 'Merges duplicate artists into a survivor and records their names as aliases (super-admin only)';
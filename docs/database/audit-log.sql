@@ -0,0 +1,137 @@
+-- Migration for the admin audit log
+-- Every insert, update and delete on artists, venues, festivals and concerts is
+-- recorded by trigger with the acting user and the row before and after, whether
+-- it comes from an admin form, a review queue approval or a revert. Entries can't
+-- be edited or deleted through the API.
+-- restore_audit_version puts a record back to the values it had after an entry.
+
+CREATE TABLE audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  table_name TEXT NOT NULL,
+  record_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  -- Null for writes made with the service role key (e.g. scheduled functions)
+  actor_id UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+  old_data JSONB,
+  new_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_audit_log_record ON audit_log (table_name, record_id, created_at DESC);
+CREATE INDEX idx_audit_log_actor ON audit_log (actor_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION record_audit_entry()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO audit_log (table_name, record_id, action, actor_id, new_data)
+    VALUES (TG_TABLE_NAME, NEW.id, 'insert', auth.uid(), to_jsonb(NEW));
+  ELSIF TG_OP = 'UPDATE' THEN
+    -- Saves that change nothing but updated_at are not worth a history entry
+    IF (to_jsonb(OLD) - 'updated_at') = (to_jsonb(NEW) - 'updated_at') THEN
+      RETURN NULL;
+    END IF;
+
+    INSERT INTO audit_log (table_name, record_id, action, actor_id, old_data, new_data)
+    VALUES (TG_TABLE_NAME, NEW.id, 'update', auth.uid(), to_jsonb(OLD), to_jsonb(NEW));
+  ELSE
+    INSERT INTO audit_log (table_name, record_id, action, actor_id, old_data)
+    VALUES (TG_TABLE_NAME, OLD.id, 'delete', auth.uid(), to_jsonb(OLD));
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER audit_artists
+AFTER INSERT OR UPDATE OR DELETE ON artists
+FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+CREATE TRIGGER audit_venues
+AFTER INSERT OR UPDATE OR DELETE ON venues
+FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+CREATE TRIGGER audit_festivals
+AFTER INSERT OR UPDATE OR DELETE ON festivals
+FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+CREATE TRIGGER audit_concerts
+AFTER INSERT OR UPDATE OR DELETE ON concerts
+FOR EACH ROW EXECUTE FUNCTION record_audit_entry();
+
+-- Row Level Security: admins can read the log; entries are only written by the trigger
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view the audit log" ON audit_log
+    FOR SELECT USING (has_role(auth.uid(), 'admin'));
+
+CREATE OR REPLACE FUNCTION restore_audit_version(entry_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  entry audit_log%ROWTYPE;
+  snapshot JSONB;
+  column_list TEXT;
+  assignments TEXT;
+  affected INTEGER;
+BEGIN
+  IF NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Admin privileges required' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO entry FROM audit_log WHERE id = entry_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Audit entry % does not exist', entry_id;
+  END IF;
+
+  IF entry.table_name NOT IN ('artists', 'venues', 'festivals', 'concerts') THEN
+    RAISE EXCEPTION 'Records in % cannot be restored', entry.table_name;
+  END IF;
+
+  -- The record as it was after the entry; a delete entry restores the deleted row
+  snapshot := COALESCE(entry.new_data, entry.old_data);
+
+  -- Only columns the table still has
+  SELECT
+    string_agg(quote_ident(key), ', '),
+    string_agg(format('%1$I = snapshot.%1$I', key), ', ')
+  INTO column_list, assignments
+  FROM jsonb_object_keys(snapshot) AS key
+  WHERE key NOT IN ('id', 'created_at', 'updated_at')
+    AND key IN (
+      SELECT column_name FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = entry.table_name
+    );
+
+  EXECUTE format(
+    'UPDATE %1$I SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS snapshot WHERE %1$I.id = $2',
+    entry.table_name, assignments
+  ) USING snapshot, entry.record_id;
+  GET DIAGNOSTICS affected = ROW_COUNT;
+
+  IF affected = 0 THEN
+    EXECUTE format(
+      'INSERT INTO %1$I (id, %2$s) SELECT id, %2$s FROM jsonb_populate_record(NULL::%1$I, $1)',
+      entry.table_name, column_list
+    ) USING snapshot;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'table_name', entry.table_name,
+    'record_id', entry.record_id,
+    'recreated', affected = 0
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION restore_audit_version(UUID) TO authenticated;
+
+COMMENT ON TABLE audit_log IS 'History of every write to artists, venues, festivals and concerts';
+COMMENT ON FUNCTION restore_audit_version(UUID) IS 'Restores a record to the version recorded by an audit entry (admin only)';
@@ -0,0 +1,13 @@
+-- Migration to add private calendar feed tokens to user profiles
+-- The token identifies a user's favorites feed in webcal:// subscription URLs,
+-- since calendar apps cannot send auth headers when they poll a feed
+
+-- Add calendar_token column with a random default for new and existing users
+ALTER TABLE user_profiles
+ADD COLUMN calendar_token UUID DEFAULT uuid_generate_v4() NOT NULL;
+
+-- Tokens must be unique so each feed resolves to exactly one user
+CREATE UNIQUE INDEX idx_user_profiles_calendar_token ON user_profiles (calendar_token);
+
+-- Comment describing the purpose of this field
+COMMENT ON COLUMN user_profiles.calendar_token IS 'Secret token for the favorites calendar subscription feed';
@@ -0,0 +1,81 @@
+-- Migration for concert booking validation
+-- Rejects concerts that end before they start, overlap another concert at the
+-- same venue, or fall outside their festival's dates. Enforced by trigger so the
+-- admin forms, the import/review queue approvals, audit restores and the API all
+-- get the same rules. ConcertFormPage runs the same checks before saving so it can
+-- link to the conflicting concert; the trigger covers anything that slips past.
+--
+-- A concert without an end_time counts as zero minutes long (matching
+-- concertsOverlap in src/utils/dataQualityUtils.js). Festival dates are compared
+-- with the concert's date in park time.
+
+-- NOT VALID so existing rows aren't rechecked; new and updated rows are
+ALTER TABLE concerts ADD CONSTRAINT concert_end_after_start
+  CHECK (end_time IS NULL OR end_time > start_time) NOT VALID;
+
+CREATE OR REPLACE FUNCTION validate_concert_booking()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  new_end TIMESTAMP WITH TIME ZONE := COALESCE(NEW.end_time, NEW.start_time);
+  conflict_id UUID;
+  festival festivals%ROWTYPE;
+  park_date DATE := (NEW.start_time AT TIME ZONE 'America/New_York')::date;
+BEGIN
+  -- Concerts in the trash don't hold their slot
+  IF NEW.deleted_at IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Leave rows alone when an update doesn't touch the booking, so older
+  -- overlapping data can still be edited
+  IF TG_OP = 'UPDATE'
+    AND NEW.venue_id IS NOT DISTINCT FROM OLD.venue_id
+    AND NEW.festival_id IS NOT DISTINCT FROM OLD.festival_id
+    AND NEW.start_time IS NOT DISTINCT FROM OLD.start_time
+    AND NEW.end_time IS NOT DISTINCT FROM OLD.end_time
+    AND OLD.deleted_at IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.venue_id IS NOT NULL THEN
+    -- Serialize bookings per venue so two saves can't both pass the check
+    PERFORM pg_advisory_xact_lock(hashtext('concert_booking:' || NEW.venue_id::text));
+
+    SELECT id INTO conflict_id
+    FROM concerts
+    WHERE venue_id = NEW.venue_id
+      AND id <> NEW.id
+      AND deleted_at IS NULL
+      AND (
+        start_time = NEW.start_time
+        OR (start_time < new_end AND NEW.start_time < COALESCE(end_time, start_time))
+      )
+    ORDER BY start_time
+    LIMIT 1;
+
+    IF conflict_id IS NOT NULL THEN
+      RAISE EXCEPTION 'This concert overlaps another concert at the same venue'
+        USING ERRCODE = '23P01', DETAIL = conflict_id::text;
+    END IF;
+  END IF;
+
+  IF NEW.festival_id IS NOT NULL THEN
+    SELECT * INTO festival FROM festivals WHERE id = NEW.festival_id;
+
+    IF FOUND AND (park_date < festival.start_date OR park_date > festival.end_date) THEN
+      RAISE EXCEPTION 'This concert is outside % (% to %)',
+        festival.name, festival.start_date, festival.end_date
+        USING ERRCODE = '23514', DETAIL = festival.id::text;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER validate_concert_booking
+BEFORE INSERT OR UPDATE ON concerts
+FOR EACH ROW EXECUTE FUNCTION validate_concert_booking();
@@ -0,0 +1,65 @@
+-- Migration for bulk concert imports
+-- import_concerts applies an admin lineup import in a single transaction: if any
+-- insert or update fails, nothing is saved. The app builds the creates and updates
+-- from a dry-run diff (src/utils/importUtils.js) and calls this through supabase.rpc().
+-- New concerts are inserted in one statement, so artist followers get one grouped
+-- notification per artist and festival (see notifications.sql).
+
+CREATE OR REPLACE FUNCTION import_concerts(creates JSONB, updates JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  created_count INTEGER;
+  updated_count INTEGER;
+  expected_updates INTEGER := jsonb_array_length(COALESCE(updates, '[]'::jsonb));
+BEGIN
+  IF NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Admin privileges required' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO concerts (
+    artist_id, venue_id, festival_id, start_time, end_time, notes, ticket_required
+  )
+  SELECT
+    c.artist_id, c.venue_id, c.festival_id, c.start_time, c.end_time, c.notes,
+    COALESCE(c.ticket_required, false)
+  FROM jsonb_to_recordset(COALESCE(creates, '[]'::jsonb)) AS c(
+    artist_id UUID,
+    venue_id UUID,
+    festival_id UUID,
+    start_time TIMESTAMP WITH TIME ZONE,
+    end_time TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    ticket_required BOOLEAN
+  );
+  GET DIAGNOSTICS created_count = ROW_COUNT;
+
+  -- Updates only carry the fields that changed
+  UPDATE concerts SET
+    end_time = CASE WHEN u.value ? 'end_time'
+      THEN (u.value->>'end_time')::TIMESTAMP WITH TIME ZONE ELSE concerts.end_time END,
+    festival_id = CASE WHEN u.value ? 'festival_id'
+      THEN (u.value->>'festival_id')::UUID ELSE concerts.festival_id END,
+    notes = CASE WHEN u.value ? 'notes'
+      THEN u.value->>'notes' ELSE concerts.notes END,
+    ticket_required = CASE WHEN u.value ? 'ticket_required'
+      THEN (u.value->>'ticket_required')::BOOLEAN ELSE concerts.ticket_required END
+  FROM jsonb_array_elements(COALESCE(updates, '[]'::jsonb)) AS u(value)
+  WHERE concerts.id = (u.value->>'id')::UUID;
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+  IF updated_count <> expected_updates THEN
+    RAISE EXCEPTION '% of % concerts to update no longer exist',
+      expected_updates - updated_count, expected_updates;
+  END IF;
+
+  RETURN jsonb_build_object('created', created_count, 'updated', updated_count);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION import_concerts(JSONB, JSONB) TO authenticated;
+
+COMMENT ON FUNCTION import_concerts(JSONB, JSONB) IS 'Applies a bulk concert import atomically (admin only)';
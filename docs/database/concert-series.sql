@@ -0,0 +1,61 @@
+-- Migration for recurring concert series
+-- The admin concert form can expand a recurrence rule (date range, weekdays, set
+-- times, exclusion dates) into individual concerts. Concerts created together share
+-- a series_id so they can be edited or deleted as a group. The rule itself is not
+-- stored: each concert stays an ordinary row that can also be changed on its own.
+
+ALTER TABLE concerts ADD COLUMN series_id UUID;
+
+CREATE INDEX idx_concerts_series_id ON concerts (series_id) WHERE series_id IS NOT NULL;
+
+COMMENT ON COLUMN concerts.series_id IS 'Shared by concerts generated from one recurrence rule';
+
+-- Edit a concert and the rest of its series in one transaction: the shared fields
+-- (artist, venue, festival, notes, ticket) go to every concert in the series, and
+-- the edited concert also takes its own start and end times. Runs as the caller, so
+-- RLS decides who can edit, and validate_concert_booking checks every changed
+-- concert; if any of them clashes, nothing is saved.
+CREATE OR REPLACE FUNCTION update_concert_series(target_concert_id UUID, changes JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  target_series_id UUID;
+  updated INTEGER;
+BEGIN
+  SELECT series_id INTO target_series_id
+  FROM concerts
+  WHERE id = target_concert_id AND deleted_at IS NULL;
+
+  IF target_series_id IS NULL THEN
+    RAISE EXCEPTION 'Concert % is not part of a series', target_concert_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  -- The edited concert first, so the rest are checked against its new times
+  UPDATE concerts c
+  SET (artist_id, venue_id, festival_id, notes, ticket_required, start_time, end_time) = (
+    SELECT r.artist_id, r.venue_id, r.festival_id, r.notes, r.ticket_required,
+      r.start_time, r.end_time
+    FROM jsonb_populate_record(c, changes) r
+  )
+  WHERE c.id = target_concert_id;
+
+  UPDATE concerts c
+  SET (artist_id, venue_id, festival_id, notes, ticket_required) = (
+    SELECT r.artist_id, r.venue_id, r.festival_id, r.notes, r.ticket_required
+    FROM jsonb_populate_record(c, changes) r
+  )
+  WHERE c.series_id = target_series_id
+    AND c.id <> target_concert_id
+    AND c.deleted_at IS NULL;
+
+  GET DIAGNOSTICS updated = ROW_COUNT;
+  RETURN updated + 1;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_concert_series(UUID, JSONB) TO authenticated;
+
+COMMENT ON FUNCTION update_concert_series(UUID, JSONB) IS 'Applies a concert edit to its whole series atomically';
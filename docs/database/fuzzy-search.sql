@@ -0,0 +1,135 @@
+-- Migration for fuzzy, ranked search
+-- Search used to be ilike '%term%' on names, so "hermans hermits" missed
+-- "Herman's Hermits" and "beach boy" missed nothing but typos. Names are now
+-- normalized the same way as normalizeText in src/utils/matchingUtils.js and
+-- compared with pg_trgm, and search_ranked returns the best matches for one
+-- entity type, best first.
+--
+-- Ranking (0 to 1.1):
+-- - exact name 1.0, name starts with the query 0.9, a word starts with it 0.8
+-- - otherwise 0.7 x trigram similarity, so close misspellings still show up
+-- - a match on an artist alias (artist-merge.sql) counts 95% of a name match
+-- - up to 0.1 extra for upcoming concerts (0.005 each, capped at 20)
+--
+-- Expected scores for these cases are checked in tests/fuzzy-search.test.sql (pgTAP).
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Lowercase, "&" as "and", no punctuation, single spaces
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT trim(regexp_replace(
+    regexp_replace(replace(lower(COALESCE(value, '')), '&', ' and '), '[^[:alnum:][:space:]]', '', 'g'),
+    '\s+', ' ', 'g'
+  ));
+$$;
+
+CREATE INDEX idx_artists_name_trgm ON artists USING GIN (search_normalize(name) gin_trgm_ops);
+CREATE INDEX idx_artist_aliases_alias_trgm ON artist_aliases USING GIN (search_normalize(alias) gin_trgm_ops);
+CREATE INDEX idx_venues_name_trgm ON venues USING GIN (search_normalize(name) gin_trgm_ops);
+CREATE INDEX idx_festivals_name_trgm ON festivals USING GIN (search_normalize(name) gin_trgm_ops);
+CREATE INDEX idx_parks_name_trgm ON parks USING GIN (search_normalize(name) gin_trgm_ops);
+
+-- Whether a name is close enough to a normalized query to rank at all
+CREATE OR REPLACE FUNCTION search_matches(candidate TEXT, normalized_query TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT search_normalize(candidate) LIKE '%' || normalized_query || '%'
+    OR search_normalize(candidate) % normalized_query
+    OR normalized_query <% search_normalize(candidate);
+$$;
+
+-- How well a name matches a normalized query, from 0 to 1
+CREATE OR REPLACE FUNCTION search_name_score(candidate TEXT, normalized_query TEXT)
+RETURNS REAL
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT (CASE
+    WHEN name = normalized_query THEN 1.0
+    WHEN name LIKE normalized_query || '%' THEN 0.9
+    WHEN name LIKE '% ' || normalized_query || '%' THEN 0.8
+    ELSE 0.7 * greatest(similarity(name, normalized_query), word_similarity(normalized_query, name))
+  END)::REAL
+  FROM (SELECT search_normalize(candidate) AS name) normalized;
+$$;
+
+-- Best matches of one type ('artists', 'venues', 'festivals' or 'parks') for a query
+-- (max_results NULL returns every match)
+CREATE OR REPLACE FUNCTION search_ranked(
+  search_query TEXT,
+  entity_type TEXT,
+  max_results INTEGER DEFAULT 5
+)
+RETURNS TABLE (id UUID, name TEXT, score REAL, matched_alias TEXT, upcoming_count INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  WITH query AS (
+    SELECT search_normalize(search_query) AS normalized
+  ),
+  candidates AS (
+    SELECT a.id, a.name, a.name AS matched_name, NULL::TEXT AS alias
+    FROM artists a
+    WHERE entity_type = 'artists' AND a.deleted_at IS NULL
+    UNION ALL
+    SELECT a.id, a.name, al.alias, al.alias
+    FROM artist_aliases al
+    JOIN artists a ON a.id = al.artist_id AND a.deleted_at IS NULL
+    WHERE entity_type = 'artists'
+    UNION ALL
+    SELECT v.id, v.name, v.name, NULL FROM venues v
+    WHERE entity_type = 'venues' AND v.deleted_at IS NULL
+    UNION ALL
+    SELECT f.id, f.name, f.name, NULL FROM festivals f
+    WHERE entity_type = 'festivals' AND f.deleted_at IS NULL
+    UNION ALL
+    SELECT p.id, p.name, p.name, NULL FROM parks p
+    WHERE entity_type = 'parks'
+  ),
+  best AS (
+    -- Keep each record's best-scoring name or alias
+    SELECT DISTINCT ON (c.id)
+      c.id,
+      c.name,
+      c.alias,
+      search_name_score(c.matched_name, query.normalized)
+        * CASE WHEN c.alias IS NULL THEN 1 ELSE 0.95 END AS match_score
+    FROM candidates c, query
+    WHERE query.normalized <> '' AND search_matches(c.matched_name, query.normalized)
+    ORDER BY c.id, match_score DESC
+  )
+  SELECT
+    best.id,
+    best.name,
+    (best.match_score + 0.005 * least(upcoming.total, 20))::REAL AS score,
+    best.alias,
+    upcoming.total::INTEGER
+  FROM best
+  CROSS JOIN LATERAL (
+    SELECT count(*) AS total
+    FROM concerts c
+    LEFT JOIN venues v ON v.id = c.venue_id
+    WHERE c.deleted_at IS NULL
+      AND c.start_time >= now()
+      AND CASE entity_type
+        WHEN 'artists' THEN c.artist_id = best.id
+        WHEN 'venues' THEN c.venue_id = best.id
+        WHEN 'festivals' THEN c.festival_id = best.id
+        ELSE v.park_id = best.id
+      END
+  ) upcoming
+  ORDER BY score DESC, best.name
+  LIMIT max_results;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_ranked(TEXT, TEXT, INTEGER) TO anon, authenticated;
+
+COMMENT ON FUNCTION search_ranked(TEXT, TEXT, INTEGER) IS 'Fuzzy search over artist (and alias), venue, festival or park names, best match first';
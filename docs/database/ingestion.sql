@@ -0,0 +1,89 @@
+-- Migration for the data ingestion pipeline
+-- The ingest scheduled function (functions/ingest) scrapes the sources configured in
+-- data_sources and stages what it finds in staging_changes. Scraped data is never
+-- written to artists or concerts directly; an admin reviews each proposed change.
+-- This replaces the per-entity staged_* tables sketched in docs/future/data-scraping.
+
+-- Sites to scrape and how to read them
+CREATE TABLE data_sources (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT true,
+  -- Per entity ("artists", "concerts") adapter type, selectors and defaults
+  scraper_config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  scraping_frequency TEXT NOT NULL DEFAULT 'weekly'
+    CHECK (scraping_frequency IN ('daily', 'weekly', 'monthly')),
+  last_scraped TIMESTAMP WITH TIME ZONE,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TRIGGER update_data_sources_modtime
+BEFORE UPDATE ON data_sources
+FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- One row per pipeline run
+CREATE TABLE scraping_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  start_time TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  end_time TIMESTAMP WITH TIME ZONE,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  source_count INTEGER NOT NULL DEFAULT 0,
+  artists_found INTEGER NOT NULL DEFAULT 0,
+  concerts_found INTEGER NOT NULL DEFAULT 0,
+  changes_staged INTEGER NOT NULL DEFAULT 0,
+  -- Rows that could not be matched and sources that failed
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- Review queue of proposed changes to live records
+CREATE TABLE staging_changes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('artist', 'venue', 'festival', 'concert')),
+  action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+  -- Live record the change applies to; null for inserts
+  record_id UUID,
+  -- Full values for an insert, only the changed fields for an update
+  proposed JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  source TEXT NOT NULL DEFAULT 'scraper',
+  source_url TEXT,
+  data_source_id UUID REFERENCES data_sources(id) ON DELETE SET NULL,
+  run_id UUID REFERENCES scraping_runs(id) ON DELETE SET NULL,
+  -- Identifies the record a proposal is about, so reruns refresh it instead of queueing it twice
+  dedupe_key TEXT,
+  review_notes TEXT,
+  reviewed_by UUID REFERENCES user_profiles(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  CONSTRAINT staging_changes_record_required CHECK (action = 'insert' OR record_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX idx_staging_changes_pending_key ON staging_changes (dedupe_key)
+  WHERE status = 'pending';
+CREATE INDEX idx_staging_changes_status ON staging_changes (status, created_at);
+
+CREATE TRIGGER update_staging_changes_modtime
+BEFORE UPDATE ON staging_changes
+FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- Row Level Security: admins only (the ingest function uses the service role key)
+ALTER TABLE data_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scraping_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staging_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage data sources" ON data_sources
+    FOR ALL USING (has_role(auth.uid(), 'admin')) WITH CHECK (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Admins can view scraping runs" ON scraping_runs
+    FOR SELECT USING (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Admins can manage staged changes" ON staging_changes
+    FOR ALL USING (has_role(auth.uid(), 'admin')) WITH CHECK (has_role(auth.uid(), 'admin'));
+
+COMMENT ON TABLE data_sources IS 'Sites scraped by the ingestion pipeline';
+COMMENT ON TABLE scraping_runs IS 'Ingestion pipeline runs and their counts';
+COMMENT ON TABLE staging_changes IS 'Proposed changes awaiting admin review';
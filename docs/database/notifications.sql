@@ -0,0 +1,89 @@
+-- Migration for in-app notifications and artist follow alerts
+-- When concerts are added, users who favorited the artist get one notification per
+-- artist and festival, e.g. "Artist added 3 shows at EPCOT International Flower & Garden".
+-- The trigger runs once per INSERT statement, so a bulk import of many shows produces a
+-- single grouped notification rather than one per concert.
+
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  -- App path opened when the notification is selected
+  url TEXT,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  read_at TIMESTAMP WITH TIME ZONE,
+  -- Set by the send-reminders function once the optional email is sent
+  emailed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_notifications_user_created ON notifications (user_id, created_at DESC);
+CREATE INDEX idx_notifications_unread ON notifications (user_id) WHERE read_at IS NULL;
+
+-- Email opt-in for follow alerts lives with the other reminder settings
+ALTER TABLE reminder_preferences
+  ADD COLUMN artist_alert_email BOOLEAN NOT NULL DEFAULT false;
+
+-- Notify followers of each artist about newly inserted upcoming concerts
+CREATE OR REPLACE FUNCTION notify_artist_followers()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO notifications (user_id, type, title, url, data)
+  SELECT
+    fa.user_id,
+    'new_performances',
+    a.name || ' added ' ||
+      CASE WHEN grouped.show_count = 1 THEN 'a show' ELSE grouped.show_count || ' shows' END ||
+      COALESCE(' at ' || f.name, ''),
+    '/artists/' || grouped.artist_id,
+    jsonb_build_object(
+      'artist_id', grouped.artist_id,
+      'festival_id', grouped.festival_id,
+      'concert_ids', grouped.concert_ids
+    )
+  FROM (
+    SELECT
+      artist_id,
+      festival_id,
+      COUNT(*) AS show_count,
+      jsonb_agg(id ORDER BY start_time) AS concert_ids
+    FROM new_concerts
+    WHERE start_time > now()
+    GROUP BY artist_id, festival_id
+  ) grouped
+  JOIN artists a ON a.id = grouped.artist_id
+  LEFT JOIN festivals f ON f.id = grouped.festival_id
+  JOIN favorites_artists fa ON fa.artist_id = grouped.artist_id;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER notify_artist_followers_on_insert
+AFTER INSERT ON concerts
+REFERENCING NEW TABLE AS new_concerts
+FOR EACH STATEMENT EXECUTE FUNCTION notify_artist_followers();
+
+-- Row Level Security: users read and mark their own notifications
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own notifications" ON notifications
+    FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can mark their own notifications" ON notifications
+    FOR UPDATE USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own notifications" ON notifications
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Marking read and unread is the only change users make (src/services/notificationService.js),
+-- so they can update read_at and nothing else; the title, body and link stay as the trigger
+-- wrote them. The service role used by send-reminders keeps full access to set emailed_at.
+REVOKE UPDATE ON notifications FROM anon, authenticated;
+GRANT UPDATE (read_at) ON notifications TO authenticated;
+
+COMMENT ON TABLE notifications IS 'In-app notification feed, including artist follow alerts';
@@ -0,0 +1,48 @@
+-- Migration for reading concert times in park time
+-- Before the switch to park time (src/utils/dateUtils.js), the admin concert form
+-- saved the park wall-clock time as if it were UTC: a 7:00 PM set was stored as
+-- 19:00+00. The app now reads start_time and end_time as real instants and shows them
+-- in America/New_York, so those rows would display 4-5 hours early. This rewrites
+-- them to the instant they were meant to be (19:00 America/New_York).
+--
+-- When to run: exactly once per database, in the same deploy as the park-time app
+-- changes, before anyone saves a concert through the new admin form. Rows saved by
+-- the new form already carry their Eastern offset and must not be shifted again, so
+-- the rewrite records itself in data_migrations and does nothing on a second run.
+--
+-- The user triggers on concerts are switched off for the rewrite: it is a data fix,
+-- not a schedule change, so it must not fill the audit log, notify followers, log
+-- "moved" sets for the live board, or trip the booking validation on a row whose
+-- neighbour has not been shifted yet.
+
+CREATE TABLE IF NOT EXISTS data_migrations (
+  name TEXT PRIMARY KEY,
+  applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+ALTER TABLE data_migrations ENABLE ROW LEVEL SECURITY;
+
+BEGIN;
+
+ALTER TABLE concerts DISABLE TRIGGER USER;
+
+DO $$
+BEGIN
+  INSERT INTO data_migrations (name) VALUES ('park-time-concert-times')
+  ON CONFLICT (name) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RAISE NOTICE 'park-time-concert-times has already been applied, skipping';
+    RETURN;
+  END IF;
+
+  UPDATE concerts
+  SET
+    start_time = (start_time AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York',
+    end_time = (end_time AT TIME ZONE 'UTC') AT TIME ZONE 'America/New_York';
+END;
+$$;
+
+ALTER TABLE concerts ENABLE TRIGGER USER;
+
+COMMIT;
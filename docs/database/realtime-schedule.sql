@@ -0,0 +1,56 @@
+-- Migration for realtime schedule updates
+-- The live board (src/pages/LiveBoardPage.jsx) and the useConcerts, useFestivals and
+-- useVenues hooks subscribe to changes, so a set an admin adds, moves or trashes shows
+-- up without a reload. Supabase only sends changes for tables in the supabase_realtime
+-- publication, and only rows the subscriber could select under RLS.
+
+ALTER PUBLICATION supabase_realtime ADD TABLE concerts;
+ALTER PUBLICATION supabase_realtime ADD TABLE festivals;
+ALTER PUBLICATION supabase_realtime ADD TABLE venues;
+
+-- Trashing a concert hides it from the public under RLS (see soft-delete.sql), so the
+-- update that cancels it never reaches the people who need to hear about it. Moves and
+-- cancellations are also logged here, where anyone can read them.
+CREATE TABLE concert_schedule_changes (
+  id BIGSERIAL PRIMARY KEY,
+  concert_id UUID NOT NULL,
+  start_time TIMESTAMP WITH TIME ZONE,
+  end_time TIMESTAMP WITH TIME ZONE,
+  cancelled BOOLEAN NOT NULL DEFAULT false,
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_concert_schedule_changes_changed_at ON concert_schedule_changes (changed_at);
+
+ALTER TABLE concert_schedule_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view concert schedule changes" ON concert_schedule_changes
+    FOR SELECT USING (true);
+
+CREATE OR REPLACE FUNCTION log_concert_schedule_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Restoring from the trash un-cancels the set, at whatever time it now has
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at
+     OR (NEW.deleted_at IS NULL AND (NEW.start_time IS DISTINCT FROM OLD.start_time
+                                     OR NEW.end_time IS DISTINCT FROM OLD.end_time)) THEN
+    INSERT INTO concert_schedule_changes (concert_id, start_time, end_time, cancelled)
+    VALUES (NEW.id, NEW.start_time, NEW.end_time, NEW.deleted_at IS NOT NULL);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER concerts_log_schedule_change
+AFTER UPDATE OF start_time, end_time, deleted_at ON concerts
+FOR EACH ROW EXECUTE FUNCTION log_concert_schedule_change();
+
+ALTER PUBLICATION supabase_realtime ADD TABLE concert_schedule_changes;
+
+-- Subscribers only need changes made while they're looking; prune the log with e.g.
+-- DELETE FROM concert_schedule_changes WHERE changed_at < now() - INTERVAL '7 days';
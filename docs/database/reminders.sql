@@ -0,0 +1,74 @@
+-- Migration for concert and festival reminders
+-- Users opt in to push and/or email reminders for favorited concerts and artists.
+-- The send-reminders scheduled function reads these tables with the service role key.
+
+-- Reminder preferences, one row per user
+CREATE TABLE reminder_preferences (
+  user_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+  push_enabled BOOLEAN NOT NULL DEFAULT false,
+  email_enabled BOOLEAN NOT NULL DEFAULT false,
+  -- Minutes before a favorited concert starts
+  concert_lead_minutes INTEGER NOT NULL DEFAULT 30 CHECK (concert_lead_minutes BETWEEN 5 AND 240),
+  -- Morning summary of the day's favorited sets on festival days
+  festival_morning_enabled BOOLEAN NOT NULL DEFAULT true,
+  -- Park time (America/New_York) the morning summary is sent
+  festival_morning_time TIME NOT NULL DEFAULT '08:00',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TRIGGER update_reminder_preferences_modtime
+BEFORE UPDATE ON reminder_preferences
+FOR EACH ROW EXECUTE FUNCTION update_modified_column();
+
+-- Web Push subscriptions, one per browser or device
+CREATE TABLE push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_push_subscriptions_user_id ON push_subscriptions (user_id);
+
+-- Reminders already delivered, so each one is sent once per channel
+CREATE TABLE sent_reminders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  reminder_key TEXT NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('push', 'email')),
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (user_id, reminder_key, channel)
+);
+
+-- Row Level Security
+ALTER TABLE reminder_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sent_reminders ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own preferences
+CREATE POLICY "Users can view their own reminder_preferences" ON reminder_preferences
+    FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can insert their own reminder_preferences" ON reminder_preferences
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own reminder_preferences" ON reminder_preferences
+    FOR UPDATE USING (auth.uid() = user_id);
+
+-- Users manage their own push subscriptions
+CREATE POLICY "Users can view their own push_subscriptions" ON push_subscriptions
+    FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can insert their own push_subscriptions" ON push_subscriptions
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own push_subscriptions" ON push_subscriptions
+    FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own push_subscriptions" ON push_subscriptions
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- sent_reminders has no policies: only the service role used by the scheduled function can access it
+
+COMMENT ON TABLE reminder_preferences IS 'Opt-in reminder settings for favorited concerts and artists';
+COMMENT ON TABLE push_subscriptions IS 'Web Push subscriptions used for reminder notifications';
+COMMENT ON TABLE sent_reminders IS 'Delivery log that keeps reminders from being sent twice';
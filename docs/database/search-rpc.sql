@@ -0,0 +1,152 @@
+-- Migration for the single-round-trip search RPC
+-- searchService.globalSearch used to run an artist lookup, one concerts query per
+-- matching artist and then a query per entity type. search_all returns every
+-- requested type in one call, ranked with search_ranked (fuzzy-search.sql).
+--
+-- Pagination is per type: max_results and result_offset apply to each type
+-- separately, and totals holds the number of matches for each type, so the next
+-- page of one type is search_all(query, ARRAY['artists'], 20, 20).
+--
+-- A type that fails is returned empty and listed in errors instead of failing
+-- the whole search.
+
+CREATE OR REPLACE FUNCTION search_all(
+  search_query TEXT,
+  entity_types TEXT[] DEFAULT ARRAY['concerts', 'artists', 'venues', 'festivals', 'parks'],
+  max_results INTEGER DEFAULT 5,
+  result_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  entity TEXT;
+  items JSONB;
+  total INTEGER;
+  results JSONB := '{}';
+  totals JSONB := '{}';
+  failed TEXT[] := '{}';
+BEGIN
+  FOREACH entity IN ARRAY entity_types LOOP
+    BEGIN
+      IF entity = 'concerts' THEN
+        -- Upcoming concerts whose artist, venue or festival matches; a concert
+        -- matched through its venue or festival ranks a little below the act itself.
+        -- Every match counts, not just the best-ranked acts, so totals and paging
+        -- cover all of them.
+        WITH matched AS (
+          SELECT
+            c.id,
+            c.start_time,
+            greatest(artist.score, 0.9 * venue.score, 0.9 * festival.score) AS score
+          FROM concerts c
+          LEFT JOIN search_ranked(search_query, 'artists', NULL) artist ON artist.id = c.artist_id
+          LEFT JOIN search_ranked(search_query, 'venues', NULL) venue ON venue.id = c.venue_id
+          LEFT JOIN search_ranked(search_query, 'festivals', NULL) festival ON festival.id = c.festival_id
+          WHERE c.deleted_at IS NULL
+            AND c.start_time >= now()
+            AND (artist.id IS NOT NULL OR venue.id IS NOT NULL OR festival.id IS NOT NULL)
+        ),
+        page AS (
+          SELECT * FROM matched
+          ORDER BY score DESC, start_time
+          LIMIT max_results OFFSET result_offset
+        )
+        SELECT
+          (SELECT count(*) FROM matched),
+          (
+            SELECT jsonb_agg(
+              jsonb_build_object(
+                'id', c.id,
+                'start_time', c.start_time,
+                'end_time', c.end_time,
+                'artist_id', c.artist_id,
+                'artists', jsonb_build_object('id', a.id, 'name', a.name, 'image_url', a.image_url),
+                'venues', jsonb_build_object('id', v.id, 'name', v.name),
+                'festivals', CASE WHEN f.id IS NULL THEN NULL
+                  ELSE jsonb_build_object('id', f.id, 'name', f.name) END,
+                'search_score', page.score
+              )
+              ORDER BY page.score DESC, page.start_time
+            )
+            FROM page
+            JOIN concerts c ON c.id = page.id
+            LEFT JOIN artists a ON a.id = c.artist_id
+            LEFT JOIN venues v ON v.id = c.venue_id
+            LEFT JOIN festivals f ON f.id = c.festival_id
+          )
+        INTO total, items;
+      ELSIF entity IN ('artists', 'venues', 'festivals', 'parks') THEN
+        WITH ranked AS (
+          SELECT * FROM search_ranked(search_query, entity, NULL)
+        ),
+        page AS (
+          SELECT * FROM ranked
+          ORDER BY score DESC, name
+          LIMIT max_results OFFSET result_offset
+        )
+        SELECT
+          (SELECT count(*) FROM ranked),
+          (
+            SELECT jsonb_agg(
+              CASE entity
+                WHEN 'artists' THEN jsonb_build_object(
+                  'id', a.id,
+                  'name', a.name,
+                  'image_url', a.image_url,
+                  'genres', a.genres
+                )
+                WHEN 'venues' THEN jsonb_build_object(
+                  'id', v.id,
+                  'name', v.name,
+                  'parks', jsonb_build_object('id', vp.id, 'name', vp.name)
+                )
+                WHEN 'festivals' THEN jsonb_build_object(
+                  'id', f.id,
+                  'name', f.name,
+                  'start_date', f.start_date,
+                  'end_date', f.end_date,
+                  'image_url', f.image_url,
+                  'parks', jsonb_build_object('id', fp.id, 'name', fp.name)
+                )
+                ELSE jsonb_build_object('id', p.id, 'name', p.name)
+              END || jsonb_build_object(
+                'search_score', page.score,
+                'matched_alias', page.matched_alias,
+                'upcoming_count', page.upcoming_count
+              )
+              ORDER BY page.score DESC, page.name
+            )
+            FROM page
+            LEFT JOIN artists a ON entity = 'artists' AND a.id = page.id
+            LEFT JOIN venues v ON entity = 'venues' AND v.id = page.id
+            LEFT JOIN parks vp ON vp.id = v.park_id
+            LEFT JOIN festivals f ON entity = 'festivals' AND f.id = page.id
+            LEFT JOIN parks fp ON fp.id = f.park_id
+            LEFT JOIN parks p ON entity = 'parks' AND p.id = page.id
+          )
+        INTO total, items;
+      ELSE
+        RAISE EXCEPTION 'Unknown search type %', entity USING ERRCODE = '22023';
+      END IF;
+
+      results := results || jsonb_build_object(entity, COALESCE(items, '[]'::JSONB));
+      totals := totals || jsonb_build_object(entity, total);
+    EXCEPTION WHEN OTHERS THEN
+      RAISE WARNING 'search_all: % search failed: %', entity, SQLERRM;
+      results := results || jsonb_build_object(entity, '[]'::JSONB);
+      totals := totals || jsonb_build_object(entity, 0);
+      failed := failed || entity;
+    END;
+  END LOOP;
+
+  RETURN results || jsonb_build_object('totals', totals, 'errors', to_jsonb(failed));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_all(TEXT, TEXT[], INTEGER, INTEGER) TO anon, authenticated;
+
+COMMENT ON FUNCTION search_all(TEXT, TEXT[], INTEGER, INTEGER) IS 'Ranked search across concerts, artists, venues, festivals and parks in one call, paginated per type';
@@ -0,0 +1,132 @@
+-- Migration for search autocomplete
+-- search_suggestions returns artist, festival and venue names for the typeahead
+-- as the user types. Searches submitted by signed-in users are logged in
+-- search_queries through record_search, so get_trending_searches can offer the
+-- most popular recent queries when the search box is empty. Each user's recent
+-- searches are kept on their device (src/utils/recentSearches.js), not here.
+
+CREATE TABLE search_queries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  query TEXT NOT NULL CHECK (char_length(query) BETWEEN 2 AND 100),
+  result_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX idx_search_queries_created_at ON search_queries (created_at DESC);
+CREATE INDEX idx_search_queries_user_created_at ON search_queries (user_id, created_at DESC);
+
+-- No policies: the log is only written by record_search and only read by
+-- get_trending_searches, never through the API
+ALTER TABLE search_queries ENABLE ROW LEVEL SECURITY;
+
+-- Log a submitted search for the signed-in user. The result count is worked out
+-- here rather than trusted from the client, signed-out searches are not logged,
+-- a user's repeat of the same query within a day is logged once, and anything
+-- over 30 searches an hour (a script, not a person) is dropped.
+CREATE OR REPLACE FUNCTION record_search(search_query TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+VOLATILE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  trimmed_query TEXT := left(btrim(search_query), 100);
+  matches INTEGER;
+BEGIN
+  IF current_user_id IS NULL OR char_length(trimmed_query) < 2 THEN
+    RETURN;
+  END IF;
+
+  IF (
+    SELECT count(*) FROM search_queries
+    WHERE user_id = current_user_id AND created_at >= now() - INTERVAL '1 hour'
+  ) >= 30 THEN
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM search_queries
+    WHERE user_id = current_user_id
+      AND created_at >= now() - INTERVAL '1 day'
+      AND search_normalize(query) = search_normalize(trimmed_query)
+  ) THEN
+    RETURN;
+  END IF;
+
+  SELECT count(*) INTO matches
+  FROM (
+    SELECT id FROM search_ranked(trimmed_query, 'artists', NULL)
+    UNION ALL
+    SELECT id FROM search_ranked(trimmed_query, 'festivals', NULL)
+    UNION ALL
+    SELECT id FROM search_ranked(trimmed_query, 'venues', NULL)
+  ) found;
+
+  INSERT INTO search_queries (user_id, query, result_count)
+  VALUES (current_user_id, trimmed_query, matches);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_search(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION record_search(TEXT) TO authenticated;
+
+-- Most searched queries over the last few days. Only queries that found
+-- something and were searched by at least three different signed-in users are
+-- shown, so no single account can put a query in front of everyone.
+CREATE OR REPLACE FUNCTION get_trending_searches(
+  max_results INTEGER DEFAULT 5,
+  since_days INTEGER DEFAULT 7
+)
+RETURNS TABLE (query TEXT, searches INTEGER)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    mode() WITHIN GROUP (ORDER BY sq.query) AS query,
+    count(DISTINCT sq.user_id)::INTEGER AS searches
+  FROM search_queries sq
+  WHERE sq.created_at >= now() - make_interval(days => since_days)
+    AND sq.result_count > 0
+  GROUP BY search_normalize(sq.query)
+  HAVING count(DISTINCT sq.user_id) >= 3
+  ORDER BY searches DESC, max(sq.created_at) DESC
+  LIMIT max_results;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_trending_searches(INTEGER, INTEGER) TO anon, authenticated;
+
+-- Typeahead suggestions: the best artist, festival and venue matches together,
+-- ranked with search_ranked (fuzzy-search.sql)
+CREATE OR REPLACE FUNCTION search_suggestions(search_query TEXT, max_results INTEGER DEFAULT 6)
+RETURNS TABLE (entity_type TEXT, id UUID, name TEXT, image_url TEXT, score REAL)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  SELECT suggestion.*
+  FROM (
+    SELECT 'artists'::TEXT, ranked.id, ranked.name, a.image_url, ranked.score
+    FROM search_ranked(search_query, 'artists', max_results) ranked
+    JOIN artists a ON a.id = ranked.id
+    UNION ALL
+    SELECT 'festivals', ranked.id, ranked.name, f.image_url, ranked.score
+    FROM search_ranked(search_query, 'festivals', max_results) ranked
+    JOIN festivals f ON f.id = ranked.id
+    UNION ALL
+    SELECT 'venues', ranked.id, ranked.name, v.image_url, ranked.score
+    FROM search_ranked(search_query, 'venues', max_results) ranked
+    JOIN venues v ON v.id = ranked.id
+  ) AS suggestion (entity_type, id, name, image_url, score)
+  ORDER BY suggestion.score DESC, suggestion.name
+  LIMIT max_results;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_suggestions(TEXT, INTEGER) TO anon, authenticated;
+
+COMMENT ON FUNCTION search_suggestions(TEXT, INTEGER) IS 'Artist, festival and venue names matching a partial query, for search autocomplete';
@@ -0,0 +1,237 @@
+-- Migration for soft delete and the admin trash
+-- Deleting an artist, venue, festival or concert from the admin sets deleted_at
+-- instead of removing the row. Deleted rows are hidden from everyone but admins,
+-- can be restored from the Trash page, and are purged for good once they have been
+-- in the trash longer than the retention window (purge_deleted_records).
+
+ALTER TABLE artists ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE venues ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE festivals ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE concerts ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_artists_deleted_at ON artists (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_venues_deleted_at ON venues (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_festivals_deleted_at ON festivals (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_concerts_deleted_at ON concerts (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Only admins can see deleted rows (replaces the policies in comprehensive-rls-fix.sql)
+DROP POLICY IF EXISTS "Anyone can view artists" ON artists;
+CREATE POLICY "Anyone can view artists" ON artists
+    FOR SELECT USING (deleted_at IS NULL OR has_role(auth.uid(), 'admin'));
+
+DROP POLICY IF EXISTS "Anyone can view venues" ON venues;
+CREATE POLICY "Anyone can view venues" ON venues
+    FOR SELECT USING (deleted_at IS NULL OR has_role(auth.uid(), 'admin'));
+
+DROP POLICY IF EXISTS "Anyone can view festivals" ON festivals;
+CREATE POLICY "Anyone can view festivals" ON festivals
+    FOR SELECT USING (deleted_at IS NULL OR has_role(auth.uid(), 'admin'));
+
+DROP POLICY IF EXISTS "Anyone can view concerts" ON concerts;
+CREATE POLICY "Anyone can view concerts" ON concerts
+    FOR SELECT USING (deleted_at IS NULL OR has_role(auth.uid(), 'admin'));
+
+-- Concerts follow their artist, venue or festival into and out of the trash.
+-- Restoring brings back only the concerts deleted along with the parent, not ones
+-- that were deleted on their own earlier. TG_ARGV[0] is the concerts column.
+CREATE OR REPLACE FUNCTION cascade_soft_delete()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+    EXECUTE format(
+      'UPDATE concerts SET deleted_at = $1 WHERE %I = $2 AND deleted_at IS NULL',
+      TG_ARGV[0]
+    ) USING NEW.deleted_at, NEW.id;
+  ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+    EXECUTE format(
+      'UPDATE concerts SET deleted_at = NULL WHERE %I = $1 AND deleted_at = $2',
+      TG_ARGV[0]
+    ) USING NEW.id, OLD.deleted_at;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER cascade_soft_delete_artists
+AFTER UPDATE OF deleted_at ON artists
+FOR EACH ROW EXECUTE FUNCTION cascade_soft_delete('artist_id');
+
+CREATE TRIGGER cascade_soft_delete_venues
+AFTER UPDATE OF deleted_at ON venues
+FOR EACH ROW EXECUTE FUNCTION cascade_soft_delete('venue_id');
+
+CREATE TRIGGER cascade_soft_delete_festivals
+AFTER UPDATE OF deleted_at ON festivals
+FOR EACH ROW EXECUTE FUNCTION cascade_soft_delete('festival_id');
+
+-- Permanently remove records that have been in the trash longer than the retention
+-- window. Concerts go first; an artist, venue or festival still referenced by a
+-- concert outside the trash is kept.
+CREATE OR REPLACE FUNCTION purge_deleted_records(retention_days INTEGER DEFAULT 30)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  cutoff TIMESTAMP WITH TIME ZONE := now() - make_interval(days => retention_days);
+  concerts_count INTEGER;
+  artists_count INTEGER;
+  venues_count INTEGER;
+  festivals_count INTEGER;
+BEGIN
+  IF NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Admin privileges required' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM concerts WHERE deleted_at < cutoff;
+  GET DIAGNOSTICS concerts_count = ROW_COUNT;
+
+  DELETE FROM artists WHERE deleted_at < cutoff
+    AND NOT EXISTS (SELECT 1 FROM concerts WHERE concerts.artist_id = artists.id);
+  GET DIAGNOSTICS artists_count = ROW_COUNT;
+
+  DELETE FROM venues WHERE deleted_at < cutoff
+    AND NOT EXISTS (SELECT 1 FROM concerts WHERE concerts.venue_id = venues.id);
+  GET DIAGNOSTICS venues_count = ROW_COUNT;
+
+  DELETE FROM festivals WHERE deleted_at < cutoff
+    AND NOT EXISTS (SELECT 1 FROM concerts WHERE concerts.festival_id = festivals.id);
+  GET DIAGNOSTICS festivals_count = ROW_COUNT;
+
+  RETURN jsonb_build_object(
+    'concerts', concerts_count,
+    'artists', artists_count,
+    'venues', venues_count,
+    'festivals', festivals_count
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION purge_deleted_records(INTEGER) TO authenticated;
+
+COMMENT ON FUNCTION purge_deleted_records(INTEGER) IS 'Permanently deletes records in the trash past the retention window (admin only)';
+
+-- Approved deletes from the review queue move the record to the trash.
+-- Same as staging-review.sql apart from the delete branch.
+CREATE OR REPLACE FUNCTION approve_staging_changes(change_ids UUID[])
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  change staging_changes%ROWTYPE;
+  entity TEXT;
+  target_table TEXT;
+  column_list TEXT;
+  assignments TEXT;
+  inserted_rows JSONB;
+  empty_change_id UUID;
+  affected INTEGER;
+  approved_count INTEGER;
+  expected_count INTEGER := COALESCE(array_length(change_ids, 1), 0);
+BEGIN
+  IF NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Admin privileges required' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM 1 FROM staging_changes
+  WHERE id = ANY(change_ids) AND status = 'pending'
+  FOR UPDATE;
+  GET DIAGNOSTICS approved_count = ROW_COUNT;
+
+  IF approved_count <> expected_count THEN
+    RAISE EXCEPTION '% of % changes are no longer pending',
+      expected_count - approved_count, expected_count;
+  END IF;
+
+  SELECT sc.id INTO empty_change_id
+  FROM staging_changes sc
+  WHERE sc.id = ANY(change_ids) AND sc.action = 'insert'
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_object_keys(sc.proposed) AS key
+      WHERE key NOT IN ('id', 'created_at', 'updated_at', 'deleted_at')
+    )
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Staged change % has no values to insert', empty_change_id;
+  END IF;
+
+  -- Inserts of each type go in one statement, so statement triggers see a staged
+  -- lineup as a whole (followers get one "added N shows" notification, see
+  -- notifications.sql). Parents go first, as staged concerts can point at them.
+  FOREACH entity IN ARRAY ARRAY['artist', 'venue', 'festival', 'concert'] LOOP
+    target_table := entity || 's';
+
+    -- Each new record gets its ID up front, so it can be recorded on the change
+    UPDATE staging_changes SET record_id = uuid_generate_v4()
+    WHERE id = ANY(change_ids) AND action = 'insert' AND entity_type = entity;
+
+    SELECT jsonb_agg(sc.proposed || jsonb_build_object('id', sc.record_id) ORDER BY sc.created_at)
+    INTO inserted_rows
+    FROM staging_changes sc
+    WHERE sc.id = ANY(change_ids) AND sc.action = 'insert' AND sc.entity_type = entity;
+
+    CONTINUE WHEN inserted_rows IS NULL;
+
+    -- Columns named in any of the proposals; system columns are never set from a proposal
+    SELECT string_agg(DISTINCT quote_ident(key), ', ')
+    INTO column_list
+    FROM jsonb_array_elements(inserted_rows) AS proposed, jsonb_object_keys(proposed) AS key
+    WHERE key NOT IN ('id', 'created_at', 'updated_at', 'deleted_at');
+
+    EXECUTE format(
+      'INSERT INTO %1$I (id, %2$s) SELECT id, %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1)',
+      target_table, column_list
+    ) USING inserted_rows;
+  END LOOP;
+
+  -- Oldest first, so a later proposal for the same record wins
+  FOR change IN
+    SELECT * FROM staging_changes
+    WHERE id = ANY(change_ids) AND action <> 'insert'
+    ORDER BY created_at
+  LOOP
+    target_table := change.entity_type || 's';
+
+    IF change.action = 'update' THEN
+      SELECT string_agg(format('%1$I = proposed.%1$I', key), ', ')
+      INTO assignments
+      FROM jsonb_object_keys(change.proposed) AS key
+      WHERE key NOT IN ('id', 'created_at', 'updated_at', 'deleted_at');
+
+      IF assignments IS NOT NULL THEN
+        EXECUTE format(
+          'UPDATE %1$I SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS proposed WHERE %1$I.id = $2',
+          target_table, assignments
+        ) USING change.proposed, change.record_id;
+        GET DIAGNOSTICS affected = ROW_COUNT;
+
+        IF affected = 0 THEN
+          RAISE EXCEPTION 'The % for staged change % no longer exists', change.entity_type, change.id;
+        END IF;
+      END IF;
+
+    ELSE
+      EXECUTE format(
+        'UPDATE %I SET deleted_at = now() WHERE id = $1 AND deleted_at IS NULL',
+        target_table
+      ) USING change.record_id;
+    END IF;
+  END LOOP;
+
+  UPDATE staging_changes SET
+    status = 'approved',
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  WHERE id = ANY(change_ids);
+
+  RETURN jsonb_build_object('approved', approved_count);
+END;
+$$;
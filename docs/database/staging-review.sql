@@ -0,0 +1,127 @@
+-- Migration for the admin review queue
+-- Scraped and imported data is proposed as staging_changes rows (see ingestion.sql)
+-- and only reaches the live tables through approve_staging_changes, which applies
+-- the approved changes in a single transaction: if any change fails, none are saved.
+-- Rejecting a change is a plain update of its status, allowed by the admin policy.
+
+-- Lineup imports are staged for review now instead of being written directly
+DROP FUNCTION IF EXISTS import_concerts(JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION approve_staging_changes(change_ids UUID[])
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  change staging_changes%ROWTYPE;
+  entity TEXT;
+  target_table TEXT;
+  column_list TEXT;
+  assignments TEXT;
+  inserted_rows JSONB;
+  empty_change_id UUID;
+  affected INTEGER;
+  approved_count INTEGER;
+  expected_count INTEGER := COALESCE(array_length(change_ids, 1), 0);
+BEGIN
+  IF NOT has_role(auth.uid(), 'admin') THEN
+    RAISE EXCEPTION 'Admin privileges required' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM 1 FROM staging_changes
+  WHERE id = ANY(change_ids) AND status = 'pending'
+  FOR UPDATE;
+  GET DIAGNOSTICS approved_count = ROW_COUNT;
+
+  IF approved_count <> expected_count THEN
+    RAISE EXCEPTION '% of % changes are no longer pending',
+      expected_count - approved_count, expected_count;
+  END IF;
+
+  SELECT sc.id INTO empty_change_id
+  FROM staging_changes sc
+  WHERE sc.id = ANY(change_ids) AND sc.action = 'insert'
+    AND NOT EXISTS (
+      SELECT 1 FROM jsonb_object_keys(sc.proposed) AS key
+      WHERE key NOT IN ('id', 'created_at', 'updated_at')
+    )
+  LIMIT 1;
+
+  IF FOUND THEN
+    RAISE EXCEPTION 'Staged change % has no values to insert', empty_change_id;
+  END IF;
+
+  -- Inserts of each type go in one statement, so statement triggers see a staged
+  -- lineup as a whole (followers get one "added N shows" notification, see
+  -- notifications.sql). Parents go first, as staged concerts can point at them.
+  FOREACH entity IN ARRAY ARRAY['artist', 'venue', 'festival', 'concert'] LOOP
+    target_table := entity || 's';
+
+    -- Each new record gets its ID up front, so it can be recorded on the change
+    UPDATE staging_changes SET record_id = uuid_generate_v4()
+    WHERE id = ANY(change_ids) AND action = 'insert' AND entity_type = entity;
+
+    SELECT jsonb_agg(sc.proposed || jsonb_build_object('id', sc.record_id) ORDER BY sc.created_at)
+    INTO inserted_rows
+    FROM staging_changes sc
+    WHERE sc.id = ANY(change_ids) AND sc.action = 'insert' AND sc.entity_type = entity;
+
+    CONTINUE WHEN inserted_rows IS NULL;
+
+    -- Columns named in any of the proposals; system columns are never set from a proposal
+    SELECT string_agg(DISTINCT quote_ident(key), ', ')
+    INTO column_list
+    FROM jsonb_array_elements(inserted_rows) AS proposed, jsonb_object_keys(proposed) AS key
+    WHERE key NOT IN ('id', 'created_at', 'updated_at');
+
+    EXECUTE format(
+      'INSERT INTO %1$I (id, %2$s) SELECT id, %2$s FROM jsonb_populate_recordset(NULL::%1$I, $1)',
+      target_table, column_list
+    ) USING inserted_rows;
+  END LOOP;
+
+  -- Oldest first, so a later proposal for the same record wins
+  FOR change IN
+    SELECT * FROM staging_changes
+    WHERE id = ANY(change_ids) AND action <> 'insert'
+    ORDER BY created_at
+  LOOP
+    target_table := change.entity_type || 's';
+
+    IF change.action = 'update' THEN
+      SELECT string_agg(format('%1$I = proposed.%1$I', key), ', ')
+      INTO assignments
+      FROM jsonb_object_keys(change.proposed) AS key
+      WHERE key NOT IN ('id', 'created_at', 'updated_at');
+
+      IF assignments IS NOT NULL THEN
+        EXECUTE format(
+          'UPDATE %1$I SET %2$s FROM jsonb_populate_record(NULL::%1$I, $1) AS proposed WHERE %1$I.id = $2',
+          target_table, assignments
+        ) USING change.proposed, change.record_id;
+        GET DIAGNOSTICS affected = ROW_COUNT;
+
+        IF affected = 0 THEN
+          RAISE EXCEPTION 'The % for staged change % no longer exists', change.entity_type, change.id;
+        END IF;
+      END IF;
+
+    ELSE
+      EXECUTE format('DELETE FROM %I WHERE id = $1', target_table) USING change.record_id;
+    END IF;
+  END LOOP;
+
+  UPDATE staging_changes SET
+    status = 'approved',
+    reviewed_by = auth.uid(),
+    reviewed_at = now()
+  WHERE id = ANY(change_ids);
+
+  RETURN jsonb_build_object('approved', approved_count);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION approve_staging_changes(UUID[]) TO authenticated;
+
+COMMENT ON FUNCTION approve_staging_changes(UUID[]) IS 'Applies approved review queue changes atomically (admin only)';
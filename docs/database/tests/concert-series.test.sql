@@ -0,0 +1,86 @@
+-- pgTAP tests for editing a concert series (concert-series.sql)
+-- Run against a database with the migrations applied, e.g. with pg_prove or
+-- `supabase test db`; everything is rolled back afterwards.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+
+SELECT plan(5);
+
+INSERT INTO artists (id, name) VALUES ('00000000-0000-0000-0000-000000000001', 'Hollywood Nights');
+INSERT INTO venues (id, name) VALUES
+  ('00000000-0000-0000-0000-000000000010', 'Test Stage'),
+  ('00000000-0000-0000-0000-000000000011', 'Other Stage');
+
+-- A series of three nightly sets, and another booking at the other stage
+INSERT INTO concerts (id, artist_id, venue_id, start_time, end_time, series_id)
+SELECT
+  ('00000000-0000-0000-0000-00000000010' || day)::UUID,
+  '00000000-0000-0000-0000-000000000001',
+  '00000000-0000-0000-0000-000000000010',
+  date_trunc('day', now()) + make_interval(days => day, hours => 23),
+  date_trunc('day', now()) + make_interval(days => day, hours => 23, mins => 30),
+  '00000000-0000-0000-0000-000000000100'
+FROM generate_series(1, 3) AS day;
+
+INSERT INTO concerts (id, artist_id, venue_id, start_time, end_time) VALUES (
+  '00000000-0000-0000-0000-000000000200',
+  '00000000-0000-0000-0000-000000000001',
+  '00000000-0000-0000-0000-000000000011',
+  date_trunc('day', now()) + make_interval(days => 3, hours => 23),
+  date_trunc('day', now()) + make_interval(days => 3, hours => 23, mins => 30)
+);
+
+SELECT is(
+  update_concert_series(
+    '00000000-0000-0000-0000-000000000101',
+    jsonb_build_object(
+      'venue_id', '00000000-0000-0000-0000-000000000010',
+      'notes', 'Bring a poncho',
+      'start_time', date_trunc('day', now()) + make_interval(days => 1, hours => 22),
+      'end_time', date_trunc('day', now()) + make_interval(days => 1, hours => 22, mins => 30)
+    )
+  ),
+  3,
+  'every concert in the series is updated'
+);
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM concerts
+   WHERE series_id = '00000000-0000-0000-0000-000000000100' AND notes = 'Bring a poncho'),
+  3,
+  'shared fields go to the whole series'
+);
+
+SELECT is(
+  (SELECT array_agg(extract(hour FROM start_time - date_trunc('day', start_time))::INTEGER ORDER BY start_time)
+   FROM concerts WHERE series_id = '00000000-0000-0000-0000-000000000100'),
+  ARRAY[22, 23, 23],
+  'only the edited concert takes the new times'
+);
+
+-- Moving the series to the other stage clashes with its booking on day 3
+SELECT throws_ok(
+  $$
+    SELECT update_concert_series(
+      '00000000-0000-0000-0000-000000000101',
+      jsonb_build_object('venue_id', '00000000-0000-0000-0000-000000000011')
+    )
+  $$,
+  '23P01',
+  'This concert overlaps another concert at the same venue',
+  'a clash anywhere in the series is rejected'
+);
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM concerts
+   WHERE series_id = '00000000-0000-0000-0000-000000000100'
+     AND venue_id = '00000000-0000-0000-0000-000000000010'),
+  3,
+  'nothing in the series moves when one concert clashes'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,100 @@
+-- pgTAP tests for fuzzy, ranked search (fuzzy-search.sql)
+-- Documents the expected scores for the cases search is meant to handle. Run
+-- against a database with the migrations applied, e.g. with pg_prove or
+-- `supabase test db`; everything is rolled back afterwards.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+
+SELECT plan(14);
+
+-- Normalization matches normalizeText in src/utils/matchingUtils.js
+SELECT is(search_normalize('Herman''s Hermits'), 'hermans hermits', 'apostrophes are dropped');
+SELECT is(search_normalize('Flower & Garden'), 'flower and garden', '"&" reads as "and"');
+SELECT is(search_normalize('  Boyz   II Men! '), 'boyz ii men', 'punctuation and extra spaces are dropped');
+
+-- Name scores
+SELECT is(
+  search_name_score('Herman''s Hermits', search_normalize('hermans hermits')),
+  1.0::REAL,
+  'a query without the apostrophe is an exact match'
+);
+SELECT is(
+  search_name_score('Beach Boys', search_normalize('beach boy')),
+  0.9::REAL,
+  'a name starting with the query scores 0.9'
+);
+SELECT is(
+  search_name_score('The Beach Boys', search_normalize('beach boy')),
+  0.8::REAL,
+  'a word starting with the query scores 0.8'
+);
+SELECT ok(
+  search_matches('Sister Hazel', search_normalize('sistr hazel')),
+  'a misspelled name still matches'
+);
+SELECT cmp_ok(
+  search_name_score('Sister Hazel', search_normalize('sistr hazel')),
+  '<',
+  0.7::REAL,
+  'a misspelling scores below every prefix match'
+);
+SELECT ok(
+  NOT search_matches('Hollywood Nights', search_normalize('beach boy')),
+  'an unrelated name does not match'
+);
+
+-- Ranking over records, with aliases
+INSERT INTO artists (id, name) VALUES
+  ('00000000-0000-0000-0000-000000000001', 'Herman''s Hermits'),
+  ('00000000-0000-0000-0000-000000000002', 'The Beach Boys'),
+  ('00000000-0000-0000-0000-000000000003', 'Journey'),
+  ('00000000-0000-0000-0000-000000000004', 'Journey Unauthorized'),
+  ('00000000-0000-0000-0000-000000000005', 'Arrival: The Journey Tribute');
+
+INSERT INTO artist_aliases (artist_id, alias) VALUES
+  ('00000000-0000-0000-0000-000000000001', 'Peter Noone');
+
+SELECT results_eq(
+  $$ SELECT name, score FROM search_ranked('hermans hermits', 'artists', 1) $$,
+  $$ VALUES ('Herman''s Hermits', 1.0::REAL) $$,
+  '"hermans hermits" finds Herman''s Hermits'
+);
+
+SELECT results_eq(
+  $$ SELECT name, score FROM search_ranked('beach boy', 'artists', 1) $$,
+  $$ VALUES ('The Beach Boys', 0.8::REAL) $$,
+  '"beach boy" finds The Beach Boys'
+);
+
+SELECT results_eq(
+  $$ SELECT name, score, matched_alias FROM search_ranked('peter noone', 'artists', 1) $$,
+  $$ VALUES ('Herman''s Hermits', 0.95::REAL, 'Peter Noone') $$,
+  'an alias match counts 95% of a name match and names the alias'
+);
+
+SELECT results_eq(
+  $$ SELECT name, score FROM search_ranked('journey', 'artists', NULL) $$,
+  $$ VALUES
+    ('Journey', 1.0::REAL),
+    ('Journey Unauthorized', 0.9::REAL),
+    ('Arrival: The Journey Tribute', 0.8::REAL) $$,
+  'exact names rank above prefixes, which rank above word matches'
+);
+
+-- Upcoming concerts lift a record by 0.005 each
+INSERT INTO venues (id, name) VALUES ('00000000-0000-0000-0000-000000000010', 'Test Stage');
+INSERT INTO concerts (artist_id, venue_id, start_time) VALUES
+  ('00000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-000000000010', now() + INTERVAL '1 day'),
+  ('00000000-0000-0000-0000-000000000004', '00000000-0000-0000-0000-000000000010', now() + INTERVAL '2 days');
+
+SELECT results_eq(
+  $$ SELECT name, score, upcoming_count FROM search_ranked('journey unauthorized', 'artists', 1) $$,
+  $$ VALUES ('Journey Unauthorized', 1.01::REAL, 2) $$,
+  'each upcoming concert adds 0.005'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
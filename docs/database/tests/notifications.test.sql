@@ -0,0 +1,56 @@
+-- pgTAP tests for notification permissions (notifications.sql)
+-- Run against a database with the migrations applied, e.g. with pg_prove or
+-- `supabase test db`; everything is rolled back afterwards.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+
+SELECT plan(3);
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-0000000000f1', 'fan@example.com');
+
+INSERT INTO user_profiles (id, email) VALUES
+  ('00000000-0000-0000-0000-0000000000f1', 'fan@example.com');
+
+INSERT INTO notifications (id, user_id, type, title, url) VALUES (
+  '00000000-0000-0000-0000-000000000101',
+  '00000000-0000-0000-0000-0000000000f1',
+  'new_performances',
+  'Hollywood Nights added 3 shows',
+  '/artists/00000000-0000-0000-0000-000000000001'
+);
+
+-- Act as the signed-in user
+SELECT set_config(
+  'request.jwt.claims',
+  '{"sub": "00000000-0000-0000-0000-0000000000f1", "role": "authenticated"}',
+  true
+);
+SELECT set_config('request.jwt.claim.sub', '00000000-0000-0000-0000-0000000000f1', true);
+SET LOCAL ROLE authenticated;
+
+SELECT lives_ok(
+  $$ UPDATE notifications SET read_at = now() WHERE id = '00000000-0000-0000-0000-000000000101' $$,
+  'users can mark their notifications read'
+);
+
+SELECT throws_ok(
+  $$ UPDATE notifications SET title = 'Free tickets', url = 'https://example.com' WHERE id = '00000000-0000-0000-0000-000000000101' $$,
+  '42501',
+  NULL,
+  'users cannot rewrite the title or link'
+);
+
+RESET ROLE;
+
+SELECT results_eq(
+  $$ SELECT title, read_at IS NOT NULL FROM notifications WHERE id = '00000000-0000-0000-0000-000000000101' $$,
+  $$ VALUES ('Hollywood Nights added 3 shows', true) $$,
+  'only read_at changed'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,94 @@
+-- pgTAP tests for approving review queue changes (staging-review.sql, soft-delete.sql)
+-- Run against a database with the migrations applied, e.g. with pg_prove or
+-- `supabase test db`; everything is rolled back afterwards.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap;
+
+SELECT plan(5);
+
+-- An admin and two followers of the artist
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-0000000000a1', 'admin@example.com'),
+  ('00000000-0000-0000-0000-0000000000f1', 'fan1@example.com'),
+  ('00000000-0000-0000-0000-0000000000f2', 'fan2@example.com');
+
+INSERT INTO user_profiles (id, email, roles) VALUES
+  ('00000000-0000-0000-0000-0000000000a1', 'admin@example.com', ARRAY['admin']),
+  ('00000000-0000-0000-0000-0000000000f1', 'fan1@example.com', '{}'),
+  ('00000000-0000-0000-0000-0000000000f2', 'fan2@example.com', '{}');
+
+INSERT INTO artists (id, name) VALUES ('00000000-0000-0000-0000-000000000001', 'Hollywood Nights');
+INSERT INTO venues (id, name) VALUES ('00000000-0000-0000-0000-000000000010', 'Test Stage');
+
+INSERT INTO favorites_artists (user_id, artist_id) VALUES
+  ('00000000-0000-0000-0000-0000000000f1', '00000000-0000-0000-0000-000000000001'),
+  ('00000000-0000-0000-0000-0000000000f2', '00000000-0000-0000-0000-000000000001');
+
+-- A staged lineup of three shows for the artist
+INSERT INTO staging_changes (entity_type, action, proposed, source)
+SELECT
+  'concert',
+  'insert',
+  jsonb_build_object(
+    'artist_id', '00000000-0000-0000-0000-000000000001',
+    'venue_id', '00000000-0000-0000-0000-000000000010',
+    'start_time', now() + make_interval(days => day),
+    'end_time', now() + make_interval(days => day, hours => 1)
+  ),
+  'import'
+FROM generate_series(1, 3) AS day;
+
+SELECT set_config(
+  'request.jwt.claims',
+  '{"sub": "00000000-0000-0000-0000-0000000000a1", "role": "authenticated"}',
+  true
+);
+SELECT set_config('request.jwt.claim.sub', '00000000-0000-0000-0000-0000000000a1', true);
+
+SELECT is(
+  approve_staging_changes(ARRAY(SELECT id FROM staging_changes WHERE status = 'pending')),
+  '{"approved": 3}'::JSONB,
+  'every staged show is approved'
+);
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM concerts WHERE artist_id = '00000000-0000-0000-0000-000000000001'),
+  3,
+  'every staged show is added'
+);
+
+SELECT ok(
+  NOT EXISTS (
+    SELECT 1 FROM staging_changes sc
+    WHERE sc.record_id IS NULL OR NOT EXISTS (SELECT 1 FROM concerts c WHERE c.id = sc.record_id)
+  ),
+  'each approved change records the concert it added'
+);
+
+SELECT results_eq(
+  $$
+    SELECT user_id, title
+    FROM notifications
+    WHERE type = 'new_performances'
+    ORDER BY user_id
+  $$,
+  $$
+    VALUES
+      ('00000000-0000-0000-0000-0000000000f1'::UUID, 'Hollywood Nights added 3 shows'),
+      ('00000000-0000-0000-0000-0000000000f2'::UUID, 'Hollywood Nights added 3 shows')
+  $$,
+  'each follower gets one notification for the whole lineup'
+);
+
+SELECT throws_ok(
+  $$ SELECT approve_staging_changes(ARRAY(SELECT id FROM staging_changes)) $$,
+  'P0001',
+  '3 of 3 changes are no longer pending',
+  'changes that were already approved are not applied twice'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,34 @@
+-- Migration for venue-to-venue walking times
+-- Walking time between two venues is estimated in the app from their coordinates
+-- (src/utils/walkingUtils.js). Straight lines don't work everywhere: at EPCOT the
+-- World Showcase lagoon sits between venues that look close on a map. Admins can
+-- record the real walk for a pair of venues here, and it replaces the estimate.
+--
+-- Each pair is stored once, with the smaller venue ID first, and applies in both
+-- directions.
+
+CREATE TABLE venue_walking_times (
+  from_venue_id UUID NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+  to_venue_id UUID NOT NULL REFERENCES venues(id) ON DELETE CASCADE,
+  minutes INTEGER NOT NULL CHECK (minutes BETWEEN 1 AND 120),
+  updated_by UUID REFERENCES user_profiles(id) DEFAULT auth.uid(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  PRIMARY KEY (from_venue_id, to_venue_id),
+  CONSTRAINT venue_walking_times_pair_order CHECK (from_venue_id < to_venue_id)
+);
+
+CREATE INDEX idx_venue_walking_times_to_venue ON venue_walking_times (to_venue_id);
+
+ALTER TABLE venue_walking_times ENABLE ROW LEVEL SECURITY;
+
+-- Walking times are public, like the venues they belong to
+CREATE POLICY "Anyone can view venue walking times" ON venue_walking_times
+    FOR SELECT USING (true);
+
+-- Managed by super-admins, matching the venues policies in admin-roles.sql
+CREATE POLICY "Super admins can insert venue walking times" ON venue_walking_times
+    FOR INSERT WITH CHECK (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can update venue walking times" ON venue_walking_times
+    FOR UPDATE USING (has_role(auth.uid(), 'admin'));
+CREATE POLICY "Super admins can delete venue walking times" ON venue_walking_times
+    FOR DELETE USING (has_role(auth.uid(), 'admin'));
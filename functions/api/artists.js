@@ -0,0 +1,61 @@
+/**
+ * Artist endpoints for the EncoreLando API
+ */
+const { getServices } = require('./lib/services');
+const { createAdminRoutes } = require('./lib/admin');
+const { jsonResponse } = require('./lib/responses');
+const { getQuery, parsePagination, parseEnum } = require('./lib/request');
+
+// Columns artists can be sorted by
+const SORT_FIELDS = ['name', 'created_at', 'updated_at'];
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/artists$/,
+    handler: async event => {
+      const query = getQuery(event);
+
+      const result = await getServices().artists.getArtists({
+        name: query.name,
+        genre: query.genre,
+        festivalId: query.festival_id,
+        sort: parseEnum(query.sort, 'sort', SORT_FIELDS, 'name'),
+        order: parseEnum(query.order, 'order', ['asc', 'desc'], 'asc'),
+        ...parsePagination(query),
+      });
+
+      return jsonResponse(200, result);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/artists\/search\/(?<term>[^/]+)$/,
+    handler: async (event, { term }) => {
+      const { limit } = parsePagination(getQuery(event));
+      const data = await getServices().artists.searchArtists(term, limit);
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/artists\/(?<id>[^/]+)$/,
+    handler: async (event, { id }) => {
+      const data = await getServices().artists.getArtistById(id);
+      return jsonResponse(200, data);
+    },
+  },
+  ...createAdminRoutes('artists', {
+    fields: ['name', 'description', 'image_url', 'website_url', 'genres', 'social'],
+    required: ['name'],
+    validate: ({ genres }) =>
+      genres !== undefined && genres !== null && !Array.isArray(genres)
+        ? { genres: 'must be an array of strings' }
+        : {},
+    softDelete: true,
+  }),
+];
+
+module.exports = {
+  routes,
+};
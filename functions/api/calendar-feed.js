@@ -0,0 +1,203 @@
+/**
+ * Calendar subscription feeds for EncoreLando
+ *
+ * Serves live multi-event VCALENDAR documents that calendar apps can
+ * subscribe to via webcal://. Supported feeds:
+ * - /calendar/favorites/:token.ics - a user's favorited concerts and artists
+ * - /calendar/festivals/:id.ics - a festival's full lineup
+ * - /calendar/venues/:id.ics - upcoming concerts at a venue
+ */
+const { generateICalendarFeed } = require('../../src/utils/calendarUtils');
+const { getSupabaseClient } = require('./lib/supabase');
+const { errorResponse } = require('./lib/responses');
+
+// Fields needed by calendarUtils.generateEventFromConcert
+const CONCERT_SELECT = `
+  id, start_time, end_time, notes, created_at, updated_at,
+  artists:artist_id (id, name),
+  venues:venue_id (id, name, location_details, park:park_id (id, name))
+`;
+
+// Keep recently finished events in feeds so they don't vanish on the day
+const PAST_DAYS = 30;
+
+const FEED_TYPES = ['favorites', 'festivals', 'venues'];
+
+/**
+ * Get the earliest start time included in feeds
+ * @returns {string} - ISO timestamp
+ */
+const getFeedStart = () => new Date(Date.now() - PAST_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Load a user's favorited concerts, plus upcoming concerts by favorited artists
+ * @param {Object} supabase - Supabase client
+ * @param {string} token - The user's calendar feed token
+ * @returns {Promise<Object|null>} - Feed name and concerts, or null if the token is unknown
+ */
+const getFavoritesFeed = async (supabase, token) => {
+  const { data: profile, error: profileError } = await supabase
+    .from('user_profiles')
+    .select('id, display_name')
+    .eq('calendar_token', token)
+    .maybeSingle();
+
+  if (profileError) throw profileError;
+  if (!profile) return null;
+
+  const [concertFavorites, artistFavorites] = await Promise.all([
+    supabase.from('favorites_concerts').select('concert_id').eq('user_id', profile.id),
+    supabase.from('favorites_artists').select('artist_id').eq('user_id', profile.id),
+  ]);
+
+  if (concertFavorites.error) throw concertFavorites.error;
+  if (artistFavorites.error) throw artistFavorites.error;
+
+  const concertIds = concertFavorites.data.map(favorite => favorite.concert_id);
+  const artistIds = artistFavorites.data.map(favorite => favorite.artist_id);
+
+  const filters = [];
+  if (concertIds.length) filters.push(`id.in.(${concertIds.join(',')})`);
+  if (artistIds.length) filters.push(`artist_id.in.(${artistIds.join(',')})`);
+
+  if (!filters.length) {
+    return { name: 'EncoreLando Favorites', concerts: [] };
+  }
+
+  const { data, error } = await supabase
+    .from('concerts')
+    .select(CONCERT_SELECT)
+    .is('deleted_at', null)
+    .or(filters.join(','))
+    .gte('start_time', getFeedStart())
+    .order('start_time');
+
+  if (error) throw error;
+
+  return { name: 'EncoreLando Favorites', concerts: data };
+};
+
+/**
+ * Load a festival's lineup
+ * @param {Object} supabase - Supabase client
+ * @param {string} festivalId - Festival ID
+ * @returns {Promise<Object|null>} - Feed name and concerts, or null if not found
+ */
+const getFestivalFeed = async (supabase, festivalId) => {
+  const { data: festival, error: festivalError } = await supabase
+    .from('festivals')
+    .select('id, name')
+    .is('deleted_at', null)
+    .eq('id', festivalId)
+    .maybeSingle();
+
+  if (festivalError) throw festivalError;
+  if (!festival) return null;
+
+  const { data, error } = await supabase
+    .from('concerts')
+    .select(CONCERT_SELECT)
+    .is('deleted_at', null)
+    .eq('festival_id', festivalId)
+    .order('start_time');
+
+  if (error) throw error;
+
+  return { name: festival.name, concerts: data };
+};
+
+/**
+ * Load upcoming concerts at a venue
+ * @param {Object} supabase - Supabase client
+ * @param {string} venueId - Venue ID
+ * @returns {Promise<Object|null>} - Feed name and concerts, or null if not found
+ */
+const getVenueFeed = async (supabase, venueId) => {
+  const { data: venue, error: venueError } = await supabase
+    .from('venues')
+    .select('id, name')
+    .is('deleted_at', null)
+    .eq('id', venueId)
+    .maybeSingle();
+
+  if (venueError) throw venueError;
+  if (!venue) return null;
+
+  const { data, error } = await supabase
+    .from('concerts')
+    .select(CONCERT_SELECT)
+    .is('deleted_at', null)
+    .eq('venue_id', venueId)
+    .gte('start_time', getFeedStart())
+    .order('start_time');
+
+  if (error) throw error;
+
+  return { name: `${venue.name} - EncoreLando`, concerts: data };
+};
+
+const FEED_LOADERS = {
+  favorites: getFavoritesFeed,
+  festivals: getFestivalFeed,
+  venues: getVenueFeed,
+};
+
+/**
+ * Get the app origin used for deep links in event descriptions
+ * @param {Object} event - Netlify function event
+ * @returns {string} - Origin such as https://encorelando.com
+ */
+const getBaseUrl = event => {
+  if (process.env.URL) return process.env.URL;
+
+  const host = event.headers && (event.headers['x-forwarded-host'] || event.headers.host);
+  return host ? `https://${host}` : '';
+};
+
+/**
+ * Serve a calendar feed
+ * @param {Object} event - Netlify function event
+ * @param {Object} params - Route parameters
+ * @param {string} params.type - Feed type: favorites, festivals or venues
+ * @param {string} params.id - Festival ID, venue ID or favorites token
+ * @returns {Promise<Object>} - Netlify function response
+ */
+const handleCalendarFeed = async (event, { type, id }) => {
+  if (!FEED_TYPES.includes(type) || !id) {
+    return errorResponse('invalid_request', `Unknown calendar feed: ${type}`);
+  }
+
+  try {
+    const feed = await FEED_LOADERS[type](getSupabaseClient(), id);
+
+    if (!feed) {
+      return errorResponse('not_found', 'Calendar feed not found');
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="encorelando-${type}.ics"`,
+        'Cache-Control': 'public, max-age=900',
+      },
+      body: generateICalendarFeed(feed.concerts, { name: feed.name, baseUrl: getBaseUrl(event) }),
+    };
+  } catch (error) {
+    console.error(`Error generating ${type} calendar feed:`, error);
+    return errorResponse('server_error', 'Failed to generate calendar feed');
+  }
+};
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/calendar\/(?<type>[a-z]+)\/(?<id>[^/]+?)(?:\.ics)?$/,
+    handler: handleCalendarFeed,
+  },
+];
+
+module.exports = {
+  handleCalendarFeed,
+  routes,
+};
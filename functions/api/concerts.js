@@ -0,0 +1,131 @@
+/**
+ * Concert endpoints for the EncoreLando API
+ */
+const { getServices } = require('./lib/services');
+const { createAdminRoutes } = require('./lib/admin');
+const { jsonResponse } = require('./lib/responses');
+const {
+  getQuery,
+  parsePagination,
+  parseDate,
+  parseDateString,
+  parseBoolean,
+  parseEnum,
+} = require('./lib/request');
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/concerts$/,
+    handler: async event => {
+      const query = getQuery(event);
+
+      const result = await getServices().concerts.getConcerts({
+        startDate: parseDate(query.start_date, 'start_date'),
+        endDate: parseDate(query.end_date, 'end_date', { endOfDay: true }),
+        artistId: query.artist_id,
+        venueId: query.venue_id,
+        festivalId: query.festival_id,
+        parkId: query.park_id,
+        ...parsePagination(query),
+      });
+
+      return jsonResponse(200, result);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/concerts\/upcoming$/,
+    handler: async event => {
+      const query = getQuery(event);
+      const { limit } = parsePagination(query);
+
+      const data = await getServices().concerts.getUpcomingConcerts({
+        limit,
+        parkId: query.park_id,
+        festivalId: query.festival_id,
+      });
+
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/concerts\/by-date\/(?<date>[^/]+)$/,
+    handler: async (event, { date }) => {
+      const query = getQuery(event);
+
+      const data = await getServices().concerts.getConcertsByDate(parseDateString(date, 'date'), {
+        parkId: query.park_id,
+        festivalId: query.festival_id,
+      });
+
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/concerts\/by-artist\/(?<artistId>[^/]+)$/,
+    handler: async (event, { artistId }) => {
+      const query = getQuery(event);
+
+      const data = await getServices().concerts.getConcertsByArtist(
+        artistId,
+        parseBoolean(query.include_past, 'include_past')
+      );
+
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/concerts\/by-festival\/(?<festivalId>[^/]+)$/,
+    handler: async (event, { festivalId }) => {
+      const query = getQuery(event);
+
+      const data = await getServices().concerts.getConcertsByFestival(festivalId, {
+        date: parseDateString(query.date, 'date'),
+        sort: parseEnum(query.sort, 'sort', ['chronological', 'alphabetical'], 'chronological'),
+      });
+
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/concerts\/(?<id>[^/]+)$/,
+    handler: async (event, { id }) => {
+      const data = await getServices().concerts.getConcertById(id);
+      return jsonResponse(200, data);
+    },
+  },
+  ...createAdminRoutes('concerts', {
+    fields: [
+      'artist_id',
+      'venue_id',
+      'festival_id',
+      'start_time',
+      'end_time',
+      'notes',
+      'ticket_required',
+    ],
+    required: ['artist_id', 'venue_id', 'start_time'],
+    validate: ({ start_time: startTime, end_time: endTime }) => {
+      const errors = {};
+      if (startTime && Number.isNaN(new Date(startTime).getTime())) {
+        errors.start_time = 'must be an ISO8601 timestamp';
+      }
+      if (endTime && Number.isNaN(new Date(endTime).getTime())) {
+        errors.end_time = 'must be an ISO8601 timestamp';
+      } else if (startTime && endTime && new Date(endTime) < new Date(startTime)) {
+        errors.end_time = 'must be after start_time';
+      }
+      return errors;
+    },
+    softDelete: true,
+  }),
+];
+
+module.exports = {
+  routes,
+};
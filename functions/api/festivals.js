@@ -0,0 +1,88 @@
+/**
+ * Festival endpoints for the EncoreLando API
+ */
+const { getServices } = require('./lib/services');
+const { createAdminRoutes } = require('./lib/admin');
+const { jsonResponse } = require('./lib/responses');
+const { getQuery, parsePagination, parseDateString, parseBoolean } = require('./lib/request');
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/festivals$/,
+    handler: async event => {
+      const query = getQuery(event);
+
+      const result = await getServices().festivals.getFestivals({
+        name: query.name,
+        parkId: query.park_id,
+        includePast: parseBoolean(query.include_past, 'include_past'),
+        startDate: parseDateString(query.start_date, 'start_date'),
+        endDate: parseDateString(query.end_date, 'end_date'),
+        ...parsePagination(query),
+      });
+
+      return jsonResponse(200, result);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/festivals\/current$/,
+    handler: async event => {
+      const query = getQuery(event);
+      const data = await getServices().festivals.getCurrentFestivals({ parkId: query.park_id });
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/festivals\/upcoming$/,
+    handler: async event => {
+      const query = getQuery(event);
+      const { limit } = parsePagination(query, { defaultLimit: 10, maxLimit: 50 });
+
+      const data = await getServices().festivals.getUpcomingFestivals({
+        parkId: query.park_id,
+        limit,
+      });
+
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/festivals\/(?<id>[^/]+)$/,
+    handler: async (event, { id }) => {
+      const query = getQuery(event);
+
+      const data = await getServices().festivals.getFestivalById(id, {
+        includeLineup: parseBoolean(query.include_lineup, 'include_lineup', true),
+        date: parseDateString(query.date, 'date'),
+      });
+
+      return jsonResponse(200, data);
+    },
+  },
+  ...createAdminRoutes('festivals', {
+    fields: [
+      'name',
+      'park_id',
+      'start_date',
+      'end_date',
+      'description',
+      'website_url',
+      'image_url',
+      'recurring',
+    ],
+    required: ['name', 'start_date', 'end_date'],
+    validate: ({ start_date: startDate, end_date: endDate }) =>
+      startDate && endDate && endDate < startDate
+        ? { end_date: 'must be on or after start_date' }
+        : {},
+    softDelete: true,
+  }),
+];
+
+module.exports = {
+  routes,
+};
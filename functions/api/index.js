@@ -0,0 +1,68 @@
+/**
+ * EncoreLando API function
+ *
+ * Single Netlify function mounted at /.netlify/functions/api that routes
+ * requests to the resource modules in this directory. Handlers throw errors
+ * and this router turns them into the standard error envelope.
+ */
+const hello = require('./hello');
+const concerts = require('./concerts');
+const artists = require('./artists');
+const venues = require('./venues');
+const parks = require('./parks');
+const festivals = require('./festivals');
+const calendarFeed = require('./calendar-feed');
+const notifications = require('./notifications');
+const { errorResponse, errorFromException } = require('./lib/responses');
+
+const FUNCTION_PREFIX = /^\/(?:\.netlify\/functions\/)?api/;
+
+// Routes are matched in order against the path after the function prefix
+const ROUTES = [
+  {
+    method: 'GET',
+    pattern: /^\/?$/,
+    handler: event => hello.handler(event),
+  },
+  ...concerts.routes,
+  ...artists.routes,
+  ...venues.routes,
+  ...parks.routes,
+  ...festivals.routes,
+  ...calendarFeed.routes,
+  ...notifications.routes,
+];
+
+/**
+ * Get the request path relative to the API root
+ * @param {Object} event - Netlify function event
+ * @returns {string} - Path such as /concerts/upcoming
+ */
+const getRoutePath = event => (event.path || '').replace(FUNCTION_PREFIX, '').replace(/\/$/, '');
+
+/**
+ * Decode URL-encoded route parameters
+ * @param {Object} groups - Named regex groups
+ * @returns {Object} - Decoded parameters
+ */
+const decodeParams = (groups = {}) =>
+  Object.fromEntries(
+    Object.entries(groups).map(([key, value]) => [key, decodeURIComponent(value)])
+  );
+
+exports.handler = async function (event) {
+  const path = getRoutePath(event);
+
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern);
+    if (match && route.method === event.httpMethod) {
+      try {
+        return await route.handler(event, decodeParams(match.groups));
+      } catch (error) {
+        return errorFromException(error);
+      }
+    }
+  }
+
+  return errorResponse('not_found', `No route for ${event.httpMethod} ${path || '/'}`);
+};
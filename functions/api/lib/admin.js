@@ -0,0 +1,135 @@
+/**
+ * Admin CRUD routes for EncoreLando API functions
+ *
+ * Builds the POST/PUT/DELETE /admin/:resource routes from a field definition.
+ * Every route verifies the caller's JWT and admin role, then writes as the
+ * caller so RLS applies and the audit log records them as the actor.
+ */
+const { createCallerClient } = require('./supabase');
+const { requireAdmin } = require('./auth');
+const { ApiError, jsonResponse } = require('./responses');
+const { parseJsonBody } = require('./request');
+
+/**
+ * Validate a request body against a resource definition
+ * @param {Object} body - Parsed request body
+ * @param {Object} definition - Resource definition
+ * @param {Array} definition.fields - Writable fields
+ * @param {Array} definition.required - Fields required on create
+ * @param {Function} definition.validate - Optional extra validation returning field errors
+ * @param {boolean} isCreate - Whether required fields must be present
+ * @returns {Object} - Record containing only writable fields
+ */
+const validateRecord = (body, { fields, required = [], validate }, isCreate) => {
+  const errors = {};
+
+  Object.keys(body).forEach(field => {
+    if (!fields.includes(field)) {
+      errors[field] = 'is not a writable field';
+    }
+  });
+
+  required.forEach(field => {
+    const value = body[field];
+    const missing = value === undefined || value === null || value === '';
+    if ((isCreate && missing) || (!isCreate && field in body && missing)) {
+      errors[field] = 'is required';
+    }
+  });
+
+  if (validate) {
+    Object.assign(errors, validate(body));
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError('validation_failed', 'Validation failed', errors);
+  }
+
+  if (!isCreate && Object.keys(body).length === 0) {
+    throw new ApiError('invalid_request', 'Request body must include at least one field');
+  }
+
+  return body;
+};
+
+/**
+ * Create the admin routes for a table
+ * @param {string} resource - Resource name used in the URL, e.g. "concerts"
+ * @param {Object} definition - Resource definition
+ * @param {string} definition.table - Database table (defaults to the resource name)
+ * @param {Array} definition.fields - Writable fields
+ * @param {Array} definition.required - Fields required on create
+ * @param {Function} definition.validate - Optional extra validation returning field errors
+ * @param {boolean} definition.softDelete - DELETE moves the record to the trash instead of removing it
+ * @returns {Array} - Route definitions
+ */
+const createAdminRoutes = (resource, definition) => {
+  const table = definition.table || resource;
+  const itemPattern = new RegExp(`^/admin/${resource}/(?<id>[^/]+)$`);
+
+  return [
+    {
+      method: 'POST',
+      pattern: new RegExp(`^/admin/${resource}$`),
+      handler: async event => {
+        const { token } = await requireAdmin(event);
+        const record = validateRecord(parseJsonBody(event), definition, true);
+
+        const { data, error } = await createCallerClient(token)
+          .from(table)
+          .insert(record)
+          .select()
+          .single();
+
+        if (error) throw error;
+        return jsonResponse(201, data);
+      },
+    },
+    {
+      method: 'PUT',
+      pattern: itemPattern,
+      handler: async (event, { id }) => {
+        const { token } = await requireAdmin(event);
+        const record = validateRecord(parseJsonBody(event), definition, false);
+
+        const { data, error } = await createCallerClient(token)
+          .from(table)
+          .update(record)
+          .eq('id', id)
+          .select()
+          .maybeSingle();
+
+        if (error) throw error;
+        if (!data) throw new ApiError('not_found', `No ${resource} found with ID ${id}`);
+        return jsonResponse(200, data);
+      },
+    },
+    {
+      method: 'DELETE',
+      pattern: itemPattern,
+      handler: async (event, { id }) => {
+        const { token } = await requireAdmin(event);
+        const supabase = createCallerClient(token);
+
+        const query = definition.softDelete
+          ? supabase
+              .from(table)
+              .update({ deleted_at: new Date().toISOString() })
+              .is('deleted_at', null)
+          : supabase.from(table).delete();
+        const { data, error } = await query.eq('id', id).select('id');
+
+        if (error) throw error;
+        if (!data || data.length === 0) {
+          throw new ApiError('not_found', `No ${resource} found with ID ${id}`);
+        }
+        return { statusCode: 204, body: '' };
+      },
+    },
+  ];
+};
+
+module.exports = {
+  validateRecord,
+  createAdminRoutes,
+};
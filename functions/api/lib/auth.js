@@ -0,0 +1,73 @@
+/**
+ * Authentication helpers for EncoreLando API functions
+ *
+ * Admin endpoints accept a Supabase Auth JWT in the Authorization header.
+ * The token is verified with Supabase and the user's roles are read from
+ * user_profiles, matching the has_role() check used by RLS.
+ */
+const { getSupabaseClient } = require('./supabase');
+const { ApiError } = require('./responses');
+
+/**
+ * Extract the bearer token from a request
+ * @param {Object} event - Netlify function event
+ * @returns {string|null} - Token or null if missing
+ */
+const getBearerToken = event => {
+  const headers = event.headers || {};
+  const header = headers.authorization || headers.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Verify the request's JWT and load the user's roles
+ * @param {Object} event - Netlify function event
+ * @returns {Promise<Object>} - Object containing the user, their roles and the token
+ */
+const authenticate = async event => {
+  const token = getBearerToken(event);
+  if (!token) {
+    throw new ApiError('unauthorized', 'Authentication required');
+  }
+
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase.auth.getUser(token);
+
+  if (error || !data || !data.user) {
+    throw new ApiError('unauthorized', 'Invalid or expired token');
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('user_profiles')
+    .select('roles')
+    .eq('id', data.user.id)
+    .maybeSingle();
+
+  if (profileError) throw profileError;
+
+  return { user: data.user, roles: (profile && profile.roles) || [], token };
+};
+
+/**
+ * Require an authenticated super-admin (the 'admin' role)
+ * The narrower editor and festival manager roles are only available through
+ * the admin app.
+ * @param {Object} event - Netlify function event
+ * @returns {Promise<Object>} - Object containing the user, their roles and the token
+ */
+const requireAdmin = async event => {
+  const auth = await authenticate(event);
+
+  if (!auth.roles.includes('admin')) {
+    throw new ApiError('forbidden', 'Admin privileges required');
+  }
+
+  return auth;
+};
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  requireAdmin,
+};
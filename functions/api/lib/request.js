@@ -0,0 +1,170 @@
+/**
+ * Request parsing helpers for EncoreLando API functions
+ *
+ * Parsers throw an ApiError with the invalid_request code so handlers can use
+ * the parsed values directly.
+ */
+const { ApiError } = require('./responses');
+const { toParkDateTime } = require('../../../src/utils/dateUtils');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the query string parameters for a request
+ * @param {Object} event - Netlify function event
+ * @returns {Object} - Query parameters
+ */
+const getQuery = event => event.queryStringParameters || {};
+
+/**
+ * Parse an integer query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @param {Object} options - Options
+ * @param {number} options.min - Minimum allowed value
+ * @param {number} options.max - Maximum allowed value
+ * @param {number} options.defaultValue - Value used when the parameter is missing
+ * @returns {number} - Parsed integer
+ */
+const parseInteger = (value, name, { min = 0, max = Infinity, defaultValue } = {}) => {
+  if (value === undefined || value === '') return defaultValue;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new ApiError('invalid_request', `${name} must be an integer ${range}`, {
+      parameter: name,
+    });
+  }
+
+  return parsed;
+};
+
+/**
+ * Parse limit and offset pagination parameters
+ * @param {Object} query - Query parameters
+ * @param {Object} options - Options
+ * @param {number} options.defaultLimit - Default page size (default: 20)
+ * @param {number} options.maxLimit - Maximum page size (default: 100)
+ * @returns {Object} - Object containing limit and offset
+ */
+const parsePagination = (query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => ({
+  limit: parseInteger(query.limit, 'limit', { min: 1, max: maxLimit, defaultValue: defaultLimit }),
+  offset: parseInteger(query.offset, 'offset', { min: 0, defaultValue: 0 }),
+});
+
+/**
+ * Parse an ISO8601 date or timestamp parameter
+ * Bare YYYY-MM-DD dates are park days, starting at park midnight (or ending at
+ * the last instant of the day when endOfDay is set).
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @param {Object} options - Options
+ * @param {boolean} options.endOfDay - Resolve bare dates to the end of the day
+ * @returns {Date|undefined} - Parsed date, or undefined when missing
+ */
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  if (!value) return undefined;
+
+  const dateTime = toParkDateTime(value);
+  if (!dateTime) {
+    throw new ApiError('invalid_request', `${name} must be an ISO8601 date`, { parameter: name });
+  }
+
+  return (endOfDay && DATE_PATTERN.test(value) ? dateTime.endOf('day') : dateTime).toJSDate();
+};
+
+/**
+ * Validate a YYYY-MM-DD date parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @returns {string|undefined} - The date string, or undefined when missing
+ */
+const parseDateString = (value, name) => {
+  if (!value) return undefined;
+
+  if (!DATE_PATTERN.test(value) || !toParkDateTime(value)) {
+    throw new ApiError('invalid_request', `${name} must be a date in YYYY-MM-DD format`, {
+      parameter: name,
+    });
+  }
+
+  return value;
+};
+
+/**
+ * Parse a boolean parameter
+ * @param {string} value - Raw value ("true" or "false")
+ * @param {string} name - Parameter name used in error messages
+ * @param {boolean} defaultValue - Value used when the parameter is missing
+ * @returns {boolean} - Parsed boolean
+ */
+const parseBoolean = (value, name, defaultValue = false) => {
+  if (value === undefined || value === '') return defaultValue;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+
+  throw new ApiError('invalid_request', `${name} must be true or false`, { parameter: name });
+};
+
+/**
+ * Parse one of a fixed set of values
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name used in error messages
+ * @param {Array} allowed - Allowed values
+ * @param {string} defaultValue - Value used when the parameter is missing
+ * @returns {string} - The value
+ */
+const parseEnum = (value, name, allowed, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+
+  if (!allowed.includes(value)) {
+    throw new ApiError('invalid_request', `${name} must be one of: ${allowed.join(', ')}`, {
+      parameter: name,
+    });
+  }
+
+  return value;
+};
+
+/**
+ * Parse a JSON request body
+ * @param {Object} event - Netlify function event
+ * @returns {Object} - Parsed body
+ */
+const parseJsonBody = event => {
+  if (!event.body) {
+    throw new ApiError('invalid_request', 'Request body is required');
+  }
+
+  try {
+    const raw = event.isBase64Encoded
+      ? Buffer.from(event.body, 'base64').toString('utf8')
+      : event.body;
+    const body = JSON.parse(raw);
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('Body is not an object');
+    }
+
+    return body;
+  } catch (error) {
+    throw new ApiError('invalid_request', 'Request body must be a JSON object');
+  }
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getQuery,
+  parseInteger,
+  parsePagination,
+  parseDate,
+  parseDateString,
+  parseBoolean,
+  parseEnum,
+  parseJsonBody,
+};
@@ -0,0 +1,100 @@
+/**
+ * Response helpers for EncoreLando API functions
+ *
+ * Errors follow the envelope documented in docs/api/api-contract.md:
+ * { "error": { "code": "...", "message": "...", "details": {} } }
+ */
+
+// HTTP status for each error code in the API contract
+const ERROR_STATUS = {
+  invalid_request: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  validation_failed: 422,
+  server_error: 500,
+};
+
+// Postgres error codes that map to contract errors
+const POSTGRES_ERROR_CODES = {
+  23505: 'conflict', // unique_violation
+  23503: 'validation_failed', // foreign_key_violation
+  23502: 'validation_failed', // not_null_violation
+  23514: 'validation_failed', // check_violation (e.g. concert outside its festival)
+  '23P01': 'conflict', // exclusion_violation (e.g. venue already booked)
+  '22P02': 'invalid_request', // invalid_text_representation (e.g. malformed UUID)
+  PGRST116: 'not_found', // .single() matched no rows
+};
+
+/**
+ * Error that is returned to the client using the standard error envelope
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Error code from the API contract
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Optional extra details
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json',
+};
+
+/**
+ * Build a JSON response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ * @returns {Object} - Netlify function response
+ */
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: JSON_HEADERS,
+  body: JSON.stringify(body),
+});
+
+/**
+ * Build an error response using the standard error envelope
+ * @param {string} code - Error code from the API contract
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Optional extra details
+ * @returns {Object} - Netlify function response
+ */
+const errorResponse = (code, message, details = {}) =>
+  jsonResponse(ERROR_STATUS[code] || 500, { error: { code, message, details } });
+
+/**
+ * Convert a thrown error into an error response
+ * ApiErrors keep their code, Supabase errors are mapped by Postgres code and
+ * anything else is reported as a server error without leaking internals
+ * @param {Error} error - Thrown error
+ * @returns {Object} - Netlify function response
+ */
+const errorFromException = error => {
+  if (error instanceof ApiError) {
+    return errorResponse(error.code, error.message, error.details);
+  }
+
+  const code = error && POSTGRES_ERROR_CODES[error.code];
+  if (code) {
+    return errorResponse(code, error.message, error.details ? { reason: error.details } : {});
+  }
+
+  console.error('Unhandled API error:', error);
+  return errorResponse('server_error', 'An unexpected error occurred');
+};
+
+module.exports = {
+  ApiError,
+  ERROR_STATUS,
+  jsonResponse,
+  errorResponse,
+  errorFromException,
+};
@@ -0,0 +1,35 @@
+/**
+ * Data services for EncoreLando API functions
+ *
+ * The API reuses the app's service modules so both run the same queries;
+ * here they are bound to the server-side Supabase client instead of the
+ * browser client.
+ */
+const { createConcertService } = require('../../../src/services/concertService');
+const { createArtistService } = require('../../../src/services/artistService');
+const { createVenueService } = require('../../../src/services/venueService');
+const { createParkService } = require('../../../src/services/parkService');
+const { createFestivalService } = require('../../../src/services/festivalService');
+const { createNotificationService } = require('../../../src/services/notificationService');
+const { getSupabaseClient } = require('./supabase');
+
+/**
+ * Get services bound to the server-side Supabase client
+ * @returns {Object} - Services keyed by resource, e.g. concerts or notifications
+ */
+const getServices = () => {
+  const client = getSupabaseClient();
+
+  return {
+    concerts: createConcertService(client),
+    artists: createArtistService(client),
+    venues: createVenueService(client),
+    parks: createParkService(client),
+    festivals: createFestivalService(client),
+    notifications: createNotificationService(client),
+  };
+};
+
+module.exports = {
+  getServices,
+};
@@ -0,0 +1,46 @@
+/**
+ * Server-side Supabase client for EncoreLando API functions
+ *
+ * Uses the service role key when available so that feeds and admin endpoints
+ * are not limited by the anonymous role. The client is created lazily so that
+ * handlers can be loaded without credentials.
+ */
+const { createClient } = require('@supabase/supabase-js');
+
+let client = null;
+
+const getSupabaseUrl = () => process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+const getSupabaseKey = () =>
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY;
+
+/**
+ * Get the shared Supabase client
+ * @returns {Object} - Supabase client
+ */
+const getSupabaseClient = () => {
+  if (!client) {
+    client = createClient(getSupabaseUrl(), getSupabaseKey(), {
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+  }
+
+  return client;
+};
+
+/**
+ * Create a client that acts as the caller instead of the service role
+ * Requests carry the caller's JWT, so RLS applies to them and triggers see
+ * auth.uid(), e.g. the audit log records who made an admin change.
+ * @param {string} token - The caller's Supabase Auth JWT
+ * @returns {Object} - Supabase client
+ */
+const createCallerClient = token =>
+  createClient(getSupabaseUrl(), getSupabaseKey(), {
+    auth: { persistSession: false, autoRefreshToken: false },
+    global: { headers: { Authorization: `Bearer ${token}` } },
+  });
+
+module.exports = {
+  getSupabaseClient,
+  createCallerClient,
+};
@@ -0,0 +1,93 @@
+/**
+ * Notification feed endpoints for the EncoreLando API
+ *
+ * Every route acts on the notifications of the authenticated user only.
+ */
+const { getServices } = require('./lib/services');
+const { authenticate } = require('./lib/auth');
+const { ApiError, jsonResponse } = require('./lib/responses');
+const { getQuery, parsePagination, parseBoolean, parseJsonBody } = require('./lib/request');
+
+/**
+ * Read the notification IDs from a request body
+ * @param {Object} event - Netlify function event
+ * @param {Object} options - Options
+ * @param {boolean} options.required - Whether ids must be present
+ * @returns {Array|null} - Notification IDs, or null when omitted
+ */
+const parseIds = (event, { required = false } = {}) => {
+  const body = event.body ? parseJsonBody(event) : {};
+
+  if (body.ids === undefined && !required) return null;
+
+  const valid =
+    Array.isArray(body.ids) &&
+    body.ids.length > 0 &&
+    body.ids.every(id => typeof id === 'string' && id);
+  if (!valid) {
+    throw new ApiError('validation_failed', 'Validation failed', {
+      ids: 'must be a non-empty array of notification IDs',
+    });
+  }
+
+  return body.ids;
+};
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/notifications$/,
+    handler: async event => {
+      const { user } = await authenticate(event);
+      const query = getQuery(event);
+
+      const result = await getServices().notifications.getNotifications(user.id, {
+        unreadOnly: parseBoolean(query.unread, 'unread'),
+        ...parsePagination(query),
+      });
+
+      return jsonResponse(200, result);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/notifications\/unread-count$/,
+    handler: async event => {
+      const { user } = await authenticate(event);
+      const count = await getServices().notifications.getUnreadCount(user.id);
+
+      return jsonResponse(200, { count });
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/notifications\/read$/,
+    handler: async event => {
+      const { user } = await authenticate(event);
+      const ids = parseIds(event);
+      const notifications = getServices().notifications;
+
+      const updated = ids
+        ? await notifications.markAsRead(user.id, ids)
+        : await notifications.markAllAsRead(user.id);
+
+      return jsonResponse(200, { updated });
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/notifications\/unread$/,
+    handler: async event => {
+      const { user } = await authenticate(event);
+      const ids = parseIds(event, { required: true });
+
+      const updated = await getServices().notifications.markAsUnread(user.id, ids);
+
+      return jsonResponse(200, { updated });
+    },
+  },
+];
+
+module.exports = {
+  routes,
+};
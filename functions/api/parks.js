@@ -0,0 +1,44 @@
+/**
+ * Park endpoints for the EncoreLando API
+ */
+const { getServices } = require('./lib/services');
+const { createAdminRoutes } = require('./lib/admin');
+const { jsonResponse } = require('./lib/responses');
+const { getQuery, parsePagination, parseBoolean } = require('./lib/request');
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/parks$/,
+    handler: async event => {
+      const query = getQuery(event);
+
+      const result = await getServices().parks.getParks({
+        name: query.name,
+        hasFestivals:
+          query.has_festivals === undefined
+            ? undefined
+            : parseBoolean(query.has_festivals, 'has_festivals'),
+        ...parsePagination(query),
+      });
+
+      return jsonResponse(200, result);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/parks\/(?<id>[^/]+)$/,
+    handler: async (event, { id }) => {
+      const data = await getServices().parks.getParkById(id);
+      return jsonResponse(200, data);
+    },
+  },
+  ...createAdminRoutes('parks', {
+    fields: ['name', 'description', 'website_url', 'image_url', 'latitude', 'longitude'],
+    required: ['name'],
+  }),
+];
+
+module.exports = {
+  routes,
+};
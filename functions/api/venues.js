@@ -0,0 +1,59 @@
+/**
+ * Venue endpoints for the EncoreLando API
+ */
+const { getServices } = require('./lib/services');
+const { createAdminRoutes } = require('./lib/admin');
+const { jsonResponse } = require('./lib/responses');
+const { getQuery, parsePagination } = require('./lib/request');
+
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/venues$/,
+    handler: async event => {
+      const query = getQuery(event);
+
+      const result = await getServices().venues.getVenues({
+        parkId: query.park_id,
+        name: query.name,
+        ...parsePagination(query),
+      });
+
+      return jsonResponse(200, result);
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/venues\/by-park\/(?<parkId>[^/]+)$/,
+    handler: async (event, { parkId }) => {
+      const data = await getServices().venues.getVenuesByPark(parkId);
+      return jsonResponse(200, { data });
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/venues\/(?<id>[^/]+)$/,
+    handler: async (event, { id }) => {
+      const data = await getServices().venues.getVenueById(id);
+      return jsonResponse(200, data);
+    },
+  },
+  ...createAdminRoutes('venues', {
+    fields: [
+      'name',
+      'park_id',
+      'description',
+      'location_details',
+      'image_url',
+      'capacity',
+      'latitude',
+      'longitude',
+    ],
+    required: ['name'],
+    softDelete: true,
+  }),
+];
+
+module.exports = {
+  routes,
+};
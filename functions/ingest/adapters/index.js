@@ -0,0 +1,133 @@
+/**
+ * Source adapters for the ingestion pipeline
+ *
+ * Each entity config in a data source's scraper_config names its adapter with
+ * "type" (the prototype's naming), e.g.
+ *
+ *   { "concerts": { "type": "schedulePage", "url": "...", "itemSelector": ".set",
+ *                   "selectors": { "artist": ".performer", "start_time": "time" } } }
+ *
+ * Adapters return raw records; normalization and matching happen in the pipeline.
+ * Other adapters can be added with registerAdapter.
+ */
+const cheerio = require('cheerio');
+const { extractRecord } = require('./selectors');
+const { resolveUrl, getValueByPath } = require('../dataUtils');
+
+/**
+ * Wait between detail page requests
+ */
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Scrape a single page of repeated items, one record per item
+ * (e.g. a festival concert schedule)
+ */
+const schedulePage = {
+  type: 'schedulePage',
+  async extract({ source, config, fetchPage }) {
+    const pageUrl = config.url || source.url;
+    const $ = cheerio.load(await fetchPage(pageUrl));
+
+    return $(config.itemSelector)
+      .toArray()
+      .map(item => ({ ...extractRecord($, item, config.selectors, pageUrl), source_url: pageUrl }));
+  },
+};
+
+/**
+ * Scrape detail pages, one record per page
+ * URLs come from config.urls or from the links matched by config.listItemSelector
+ * on config.listPageUrl.
+ */
+const listPage = {
+  type: 'listPage',
+  async extract({ config, fetchPage }) {
+    let urls = config.urls || [];
+
+    if (config.listPageUrl) {
+      const $list = cheerio.load(await fetchPage(config.listPageUrl));
+      urls = $list(config.listItemSelector)
+        .toArray()
+        .map(link => resolveUrl($list(link).attr('href'), config.listPageUrl))
+        .filter(Boolean);
+    }
+    urls = [...new Set(urls)];
+
+    const records = [];
+    for (let i = 0; i < urls.length; i += 1) {
+      // Be polite to the source between requests
+      if (i > 0) await delay(config.delayMs ?? 1000);
+
+      const $ = cheerio.load(await fetchPage(urls[i]));
+      records.push({
+        ...extractRecord($, $.root(), config.selectors, urls[i]),
+        source_url: urls[i],
+      });
+    }
+
+    return records;
+  },
+};
+
+/**
+ * Read records from a JSON API
+ * config.jsonPath points at the array and config.mapping maps fields to paths.
+ */
+const apiEndpoint = {
+  type: 'apiEndpoint',
+  async extract({ source, config, fetchPage }) {
+    const url = config.url || source.url;
+    const body = JSON.parse(await fetchPage(url, { headers: config.headers }));
+    const items = config.jsonPath ? getValueByPath(body, config.jsonPath) : body;
+
+    if (!Array.isArray(items)) {
+      throw new Error(`Expected an array at "${config.jsonPath || '$'}" in ${url}`);
+    }
+
+    return items.map(item => ({
+      ...Object.fromEntries(
+        Object.entries(config.mapping || {}).map(([field, path]) => [
+          field,
+          getValueByPath(item, path),
+        ])
+      ),
+      source_url: url,
+    }));
+  },
+};
+
+const adapters = {
+  schedulePage,
+  listPage,
+  // The prototype's name for a fixed list of detail page URLs
+  directList: listPage,
+  apiEndpoint,
+};
+
+/**
+ * Register an adapter so data sources can select it by type
+ * @param {Object} adapter - Adapter with a type and async extract({ source, config, fetchPage })
+ */
+const registerAdapter = adapter => {
+  adapters[adapter.type] = adapter;
+};
+
+/**
+ * Get the adapter for an entity config
+ * @param {string} type - Adapter type from scraper_config
+ * @returns {Object} - Adapter
+ */
+const getAdapter = type => {
+  const adapter = adapters[type];
+  if (!adapter) {
+    throw new Error(`Unknown source adapter "${type}"`);
+  }
+
+  return adapter;
+};
+
+module.exports = {
+  getAdapter,
+  registerAdapter,
+};
@@ -0,0 +1,71 @@
+/**
+ * Selector-based field extraction shared by the HTML adapters
+ *
+ * A data source's scraper_config maps each field to a selector. A selector is
+ * either a CSS selector string, optionally ending in "@attr" to read an
+ * attribute ("img.hero@src"), or an object { selector, attr, all } where
+ * all: true collects the text of every match (e.g. genre tags).
+ */
+const { cleanText, resolveUrl } = require('../dataUtils');
+
+// Attributes holding URLs, resolved against the page URL
+const URL_ATTRIBUTES = ['href', 'src', 'data-src'];
+
+/**
+ * Normalize a selector config to { selector, attr, all }
+ * @param {string|Object} spec - Selector string or object
+ * @returns {Object} - Selector object
+ */
+const parseSelector = spec => {
+  if (typeof spec !== 'string') return spec || {};
+
+  const [selector, attr] = spec.split('@');
+  return { selector: selector.trim(), attr: attr ? attr.trim() : undefined };
+};
+
+/**
+ * Read one field from an element
+ * @param {Function} $ - Cheerio root
+ * @param {Object} root - Element to search within
+ * @param {string|Object} spec - Field selector
+ * @param {string} pageUrl - URL of the page, for resolving links
+ * @returns {string|Array|null} - Field value
+ */
+const extractField = ($, root, spec, pageUrl) => {
+  const { selector, attr, all } = parseSelector(spec);
+  const matches = selector ? $(root).find(selector) : $(root);
+
+  const readValue = element => {
+    if (!attr) return cleanText($(element).text());
+
+    const value = $(element).attr(attr);
+    return URL_ATTRIBUTES.includes(attr) ? resolveUrl(value, pageUrl) : cleanText(value);
+  };
+
+  if (all) {
+    return matches.toArray().map(readValue).filter(Boolean);
+  }
+
+  return matches.length ? readValue(matches.first()) || null : null;
+};
+
+/**
+ * Read every configured field from an element
+ * @param {Function} $ - Cheerio root
+ * @param {Object} root - Element to search within
+ * @param {Object} selectors - Field name to selector
+ * @param {string} pageUrl - URL of the page, for resolving links
+ * @returns {Object} - Extracted record
+ */
+const extractRecord = ($, root, selectors, pageUrl) =>
+  Object.fromEntries(
+    Object.entries(selectors || {}).map(([field, spec]) => [
+      field,
+      extractField($, root, spec, pageUrl),
+    ])
+  );
+
+module.exports = {
+  extractField,
+  extractRecord,
+};
@@ -0,0 +1,134 @@
+/**
+ * Normalization and de-duplication for scraped records
+ *
+ * Promoted from the scraping prototype (docs/future/data-scraping). Name
+ * comparison uses the app's matchingUtils so scraped names resolve the same
+ * way as names in an admin lineup import.
+ */
+const { DateTime } = require('luxon');
+const { PARK_TIMEZONE } = require('../../src/utils/dateUtils');
+const { normalizeText, calculateStringSimilarity } = require('../../src/utils/matchingUtils');
+
+// Date formats tried, in order, after a source's own dateFormat
+const DATE_FORMATS = [
+  'yyyy-MM-dd',
+  'M/d/yyyy',
+  'M/d/yy',
+  'MMMM d, yyyy',
+  'MMM d, yyyy',
+  'EEEE, MMMM d, yyyy',
+  'EEE, MMM d, yyyy',
+];
+
+/**
+ * Clean text by collapsing whitespace and newlines
+ * @param {string} text - Text to clean
+ * @returns {string} - Cleaned text
+ */
+const cleanText = text => {
+  if (!text) return '';
+  return String(text)
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+};
+
+/**
+ * Validate and standardize a scraped date
+ * Leading labels such as "Date:" are ignored.
+ * @param {string} dateStr - Date text, e.g. "Saturday, March 1, 2025" or "3/1/2025"
+ * @param {string} format - Luxon format the source uses, tried first
+ * @returns {string|null} - Date as YYYY-MM-DD, or null if it could not be read
+ */
+const validateDate = (dateStr, format) => {
+  const text = cleanText(dateStr)
+    .replace(/^[^:]*:\s*/, '')
+    .replace(/(\d)(st|nd|rd|th)\b/gi, '$1');
+  if (!text) return null;
+
+  const formats = format ? [format, ...DATE_FORMATS] : DATE_FORMATS;
+  for (const candidate of formats) {
+    const date = DateTime.fromFormat(text, candidate, { zone: PARK_TIMEZONE, locale: 'en-US' });
+    if (date.isValid && date.year >= 2000 && date.year <= 2100) {
+      return date.toISODate();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Standardize a scraped clock time, e.g. "5:30 p.m." to "5:30 PM"
+ * @param {string} timeStr - Time text
+ * @returns {string} - Time text the import time parser understands
+ */
+const cleanTime = timeStr =>
+  cleanText(timeStr)
+    .replace(/\b([ap])\.?\s?m\.?/i, (_, meridiem) => ` ${meridiem.toUpperCase()}M`)
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+/**
+ * Deduplicate items by a key
+ * @param {Array} items - Items to deduplicate
+ * @param {string|Function} key - Property name, or function returning the key for an item
+ * @returns {Array} - Items with the first occurrence of each key kept
+ */
+const deduplicateItems = (items, key = 'name') => {
+  const getKey = typeof key === 'function' ? key : item => normalizeText(item[key]);
+  const seen = new Set();
+
+  return items.filter(item => {
+    const value = getKey(item);
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  });
+};
+
+/**
+ * Resolve a possibly relative URL against the page it was found on
+ * @param {string} url - URL or path
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute URL, or null if missing or invalid
+ */
+const resolveUrl = (url, baseUrl) => {
+  if (!url) return null;
+
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get a value from an object by path
+ * @param {Object} obj - Object to read
+ * @param {string} path - Path to the value, e.g. "data.items[0].name"
+ * @returns {*} - Value at the path, or null
+ */
+const getValueByPath = (obj, path) => {
+  if (!obj || !path) return null;
+
+  return (
+    path
+      .replace(/\[(\w+)\]/g, '.$1')
+      .split('.')
+      .reduce(
+        (current, part) => (current === null || current === undefined ? null : current[part]),
+        obj
+      ) ?? null
+  );
+};
+
+module.exports = {
+  cleanText,
+  cleanTime,
+  validateDate,
+  deduplicateItems,
+  resolveUrl,
+  getValueByPath,
+  normalizeText,
+  calculateStringSimilarity,
+};
@@ -0,0 +1,35 @@
+/**
+ * HTTP fetching for source adapters
+ *
+ * Adapters receive fetchPage as a parameter so tests can serve saved fixtures
+ * instead of touching the network.
+ */
+
+// Give up on a source page after this long
+const FETCH_TIMEOUT_MS = 15000;
+
+const USER_AGENT = 'EncoreLandoBot/1.0 (+https://encorelando.com)';
+
+/**
+ * Fetch a page as text
+ * @param {string} url - Page URL
+ * @param {Object} options - Request options
+ * @param {Object} options.headers - Extra request headers
+ * @returns {Promise<string>} - Response body
+ */
+const fetchPage = async (url, { headers = {} } = {}) => {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, ...headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+
+  return response.text();
+};
+
+module.exports = {
+  fetchPage,
+};
@@ -0,0 +1,28 @@
+/**
+ * Scheduled function that scrapes data sources into the review queue
+ *
+ * Runs daily (see netlify.toml). Each active data_sources row is scraped when
+ * its scraping_frequency says it is due; results are staged in
+ * staging_changes for an admin to approve and never written to live tables.
+ */
+const { getSupabaseClient } = require('../api/lib/supabase');
+const { fetchPage } = require('./fetchPage');
+const { runIngestion } = require('./pipeline');
+
+/**
+ * Run the ingestion pipeline
+ * @returns {Promise<Object>} - Netlify function response with run counts
+ */
+const handler = async () => {
+  try {
+    const stats = await runIngestion({ supabase: getSupabaseClient(), fetchPage });
+    console.log('Ingestion run finished:', stats);
+
+    return { statusCode: 200, body: JSON.stringify(stats) };
+  } catch (error) {
+    console.error('Error running ingestion:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+};
+
+module.exports = { handler };
@@ -0,0 +1,347 @@
+/**
+ * Ingestion pipeline for scraped artist and concert data
+ *
+ * For each due data_sources row, the adapter named in its scraper_config
+ * extracts raw records, which are normalized and de-duplicated (dataUtils),
+ * matched against live records, and staged in staging_changes for an admin
+ * to review. Nothing is written to artists or concerts directly.
+ *
+ * Concert rows go through the same resolution and diff as the admin lineup
+ * import (src/utils/importUtils.js), so fuzzy matching, park-time parsing and
+ * create/update detection behave the same for both.
+ */
+const { getAdapter } = require('./adapters');
+const {
+  cleanText,
+  cleanTime,
+  validateDate,
+  deduplicateItems,
+  normalizeText,
+} = require('./dataUtils');
+const { findBestMatch } = require('../../src/utils/matchingUtils');
+const {
+  IMPORT_STATUS,
+  resolveImportRows,
+  buildImportDiff,
+  getStagingChanges,
+} = require('../../src/utils/importUtils');
+const { stableStringify } = require('../../src/utils/stagingUtils');
+const { createStagingService } = require('../../src/services/stagingService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days between scrapes for each data_sources.scraping_frequency
+const FREQUENCY_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+
+// Entity configs a data source can define in scraper_config
+const ENTITY_TYPES = ['artists', 'concerts'];
+
+// Artist fields a source can propose values for
+const ARTIST_FIELDS = ['description', 'image_url', 'website_url', 'genres'];
+
+// Concert fields read from a scraped record
+const CONCERT_FIELDS = ['artist', 'venue', 'festival', 'date', 'start_time', 'end_time', 'notes'];
+
+/**
+ * Pick the active sources due for a scrape
+ * @param {Array} sources - data_sources rows
+ * @param {Date} now - Current time
+ * @param {boolean} force - Scrape every active source regardless of frequency
+ * @returns {Array} - Sources to scrape
+ */
+const getDueSources = (sources, now, force = false) =>
+  sources.filter(source => {
+    if (!source.active) return false;
+    if (force || !source.last_scraped) return true;
+
+    const days = FREQUENCY_DAYS[source.scraping_frequency] || FREQUENCY_DAYS.weekly;
+    return now - new Date(source.last_scraped) >= days * DAY;
+  });
+
+/**
+ * Normalize a scraped artist
+ * @param {Object} raw - Record from an adapter
+ * @returns {Object|null} - Artist values, or null without a name
+ */
+const normalizeArtist = raw => {
+  const name = cleanText(raw.name);
+  if (!name) return null;
+
+  const genres = (Array.isArray(raw.genres) ? raw.genres : [raw.genres])
+    .map(cleanText)
+    .filter(Boolean);
+
+  return {
+    name,
+    description: cleanText(raw.description) || null,
+    image_url: raw.image_url || null,
+    website_url: raw.website_url || null,
+    genres: genres.length ? [...new Set(genres)] : null,
+    source_url: raw.source_url || null,
+  };
+};
+
+/**
+ * Normalize a scraped concert into a lineup import row
+ * Blank fields are left out so they never propose clearing a live value.
+ * @param {Object} raw - Record from an adapter
+ * @param {Object} config - Entity config; defaults fill fields the page does not show
+ * @returns {Object} - Import row
+ */
+const normalizeConcert = (raw, config = {}) => {
+  const values = { ...config.defaults };
+
+  CONCERT_FIELDS.forEach(field => {
+    const text = field.endsWith('_time') ? cleanTime(raw[field]) : cleanText(raw[field]);
+    if (text) values[field] = text;
+  });
+
+  if (values.date) {
+    values.date = validateDate(values.date, config.dateFormat) || values.date;
+  }
+  values.source_url = raw.source_url || null;
+
+  return values;
+};
+
+/**
+ * Load the live records scraped names are matched against
+ */
+const loadReferences = async supabase => {
+  const [artists, venues, festivals] = await Promise.all([
+    supabase
+      .from('artists')
+      .select('id, name, description, image_url, website_url, genres, artist_aliases (alias)')
+      .is('deleted_at', null),
+    supabase.from('venues').select('id, name').is('deleted_at', null),
+    supabase.from('festivals').select('id, name').is('deleted_at', null),
+  ]);
+
+  [artists, venues, festivals].forEach(response => {
+    if (response.error) throw response.error;
+  });
+
+  return {
+    artists: artists.data || [],
+    venues: venues.data || [],
+    festivals: festivals.data || [],
+  };
+};
+
+/**
+ * Build proposed changes for scraped artists
+ * @param {Array} records - Raw artist records
+ * @param {Array} artists - Live artists
+ * @returns {Array} - Proposed changes
+ */
+const buildArtistChanges = (records, artists) =>
+  deduplicateItems(records.map(normalizeArtist).filter(Boolean)).flatMap(artist => {
+    const { source_url: sourceUrl, ...values } = artist;
+    const match = findBestMatch(artist.name, artists);
+
+    if (!match) {
+      return [
+        {
+          entity_type: 'artist',
+          action: 'insert',
+          record_id: null,
+          proposed: values,
+          source_url: sourceUrl,
+          dedupe_key: `artist:insert:${normalizeText(artist.name)}`,
+        },
+      ];
+    }
+
+    // Only propose fields the source has a value for that differ from the live row
+    const changes = Object.fromEntries(
+      ARTIST_FIELDS.filter(
+        field =>
+          values[field] !== null &&
+          stableStringify(values[field]) !== stableStringify(match.record[field])
+      ).map(field => [field, values[field]])
+    );
+
+    if (!Object.keys(changes).length) return [];
+
+    return [
+      {
+        entity_type: 'artist',
+        action: 'update',
+        record_id: match.record.id,
+        proposed: changes,
+        source_url: sourceUrl,
+        dedupe_key: `artist:update:${match.record.id}`,
+      },
+    ];
+  });
+
+/**
+ * Build proposed changes for scraped concerts
+ * @param {Object} supabase - Supabase client
+ * @param {Array} records - Raw concert records
+ * @param {Object} config - Entity config
+ * @param {Object} references - Live artists, venues and festivals
+ * @returns {Promise<Object>} - Proposed changes, and rows that could not be matched
+ */
+const buildConcertChanges = async (supabase, records, config, references) => {
+  const rows = deduplicateItems(
+    records.map(record => normalizeConcert(record, config)),
+    row => [normalizeText(row.artist), normalizeText(row.venue), row.date, row.start_time].join('|')
+  );
+  const resolved = resolveImportRows(rows, references);
+
+  // Live concerts in the scraped time range
+  const starts = resolved
+    .map(row => row.values.start_time)
+    .filter(Boolean)
+    .sort();
+  let existing = [];
+  if (starts.length) {
+    const { data, error } = await supabase
+      .from('concerts')
+      .select('id, artist_id, venue_id, festival_id, start_time, end_time, notes, ticket_required')
+      .is('deleted_at', null)
+      .gte('start_time', starts[0])
+      .lte('start_time', starts[starts.length - 1]);
+
+    if (error) throw error;
+    existing = data || [];
+  }
+
+  const diff = buildImportDiff(resolved, existing);
+  const errors = diff.rows
+    .filter(row => row.status === IMPORT_STATUS.ERROR)
+    .map(row => ({
+      artist: row.input.artist || null,
+      date: row.input.date || null,
+      start_time: row.input.start_time || null,
+      errors: row.errors,
+    }));
+
+  return { changes: getStagingChanges(diff), errors };
+};
+
+/**
+ * Scrape due data sources and stage the results for review
+ * @param {Object} options - Run options
+ * @param {Object} options.supabase - Supabase client (service role)
+ * @param {Function} options.fetchPage - Fetches a URL and resolves to its body text
+ * @param {Date} options.now - Current time (default: now)
+ * @param {boolean} options.force - Scrape every active source regardless of frequency
+ * @returns {Promise<Object>} - Run ID and counts
+ */
+const runIngestion = async ({ supabase, fetchPage, now = new Date(), force = false }) => {
+  const { data: run, error: runError } = await supabase
+    .from('scraping_runs')
+    .insert({ status: 'running', start_time: now.toISOString() })
+    .select('id')
+    .single();
+
+  if (runError) throw runError;
+
+  const stagingService = createStagingService(supabase);
+  const stats = {
+    runId: run.id,
+    sources: 0,
+    artistsFound: 0,
+    concertsFound: 0,
+    staged: 0,
+    refreshed: 0,
+    unchanged: 0,
+    errors: [],
+  };
+
+  try {
+    const { data: sources, error: sourcesError } = await supabase
+      .from('data_sources')
+      .select('*')
+      .eq('active', true);
+
+    if (sourcesError) throw sourcesError;
+
+    const dueSources = getDueSources(sources || [], now, force);
+    stats.sources = dueSources.length;
+    const references = dueSources.length ? await loadReferences(supabase) : null;
+
+    for (const source of dueSources) {
+      let succeeded = true;
+
+      for (const entityType of ENTITY_TYPES) {
+        const config = source.scraper_config?.[entityType];
+        if (!config) continue;
+
+        try {
+          const records = await getAdapter(config.type).extract({ source, config, fetchPage });
+          let changes;
+
+          if (entityType === 'artists') {
+            stats.artistsFound += records.length;
+            changes = buildArtistChanges(records, references.artists);
+          } else {
+            stats.concertsFound += records.length;
+            const result = await buildConcertChanges(supabase, records, config, references);
+            changes = result.changes;
+            result.errors.forEach(rowError =>
+              stats.errors.push({ source: source.name, entity: entityType, ...rowError })
+            );
+          }
+
+          const staged = await stagingService.stageChanges(changes, {
+            source: 'scraper',
+            run_id: run.id,
+            data_source_id: source.id,
+          });
+          stats.staged += staged.staged;
+          stats.refreshed += staged.refreshed;
+          stats.unchanged += staged.unchanged;
+        } catch (error) {
+          console.error(`Error ingesting ${entityType} from ${source.name}:`, error);
+          succeeded = false;
+          stats.errors.push({ source: source.name, entity: entityType, errors: [error.message] });
+        }
+      }
+
+      if (succeeded) {
+        await supabase
+          .from('data_sources')
+          .update({ last_scraped: now.toISOString() })
+          .eq('id', source.id);
+      }
+    }
+
+    await supabase
+      .from('scraping_runs')
+      .update({
+        status: 'completed',
+        end_time: new Date().toISOString(),
+        source_count: stats.sources,
+        artists_found: stats.artistsFound,
+        concerts_found: stats.concertsFound,
+        changes_staged: stats.staged + stats.refreshed,
+        errors: stats.errors,
+      })
+      .eq('id', run.id);
+
+    return stats;
+  } catch (error) {
+    await supabase
+      .from('scraping_runs')
+      .update({
+        status: 'failed',
+        end_time: new Date().toISOString(),
+        error_message: error.message,
+      })
+      .eq('id', run.id);
+
+    throw error;
+  }
+};
+
+module.exports = {
+  getDueSources,
+  normalizeArtist,
+  normalizeConcert,
+  buildArtistChanges,
+  buildConcertChanges,
+  runIngestion,
+};
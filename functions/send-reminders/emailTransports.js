@@ -0,0 +1,80 @@
+/**
+ * Email transports for reminder delivery
+ *
+ * EMAIL_TRANSPORT picks the transport. When it is unset email is disabled:
+ * getEmailTransport returns null and nothing is sent or recorded as sent, so
+ * reminders go out once a transport is configured. "resend" sends through the
+ * Resend HTTP API using RESEND_API_KEY and EMAIL_FROM. "console" only logs
+ * messages, including addresses and bodies, and is meant for local use.
+ * Tests and other callers can register their own transport.
+ */
+
+/**
+ * Log messages instead of sending them, for local development only
+ */
+const consoleTransport = {
+  name: 'console',
+  async send({ to, subject, text }) {
+    console.log(`[email] To: ${to}\nSubject: ${subject}\n\n${text}`);
+  },
+};
+
+/**
+ * Send through the Resend API
+ */
+const resendTransport = {
+  name: 'resend',
+  async send({ to, subject, text }) {
+    const { RESEND_API_KEY, EMAIL_FROM } = process.env;
+    if (!RESEND_API_KEY || !EMAIL_FROM) {
+      throw new Error('RESEND_API_KEY and EMAIL_FROM must be set to send email');
+    }
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ from: EMAIL_FROM, to, subject, text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Resend responded with ${response.status}: ${await response.text()}`);
+    }
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  resend: resendTransport,
+};
+
+/**
+ * Register a transport so it can be selected with EMAIL_TRANSPORT
+ * @param {Object} transport - Transport with a name and async send({ to, subject, text })
+ */
+const registerEmailTransport = transport => {
+  transports[transport.name] = transport;
+};
+
+/**
+ * Get the configured email transport
+ * @param {string} name - Transport name, defaults to EMAIL_TRANSPORT
+ * @returns {Object|null} - Transport, or null when email is disabled
+ */
+const getEmailTransport = (name = process.env.EMAIL_TRANSPORT) => {
+  if (!name) return null;
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}"`);
+  }
+
+  return transport;
+};
+
+module.exports = {
+  getEmailTransport,
+  registerEmailTransport,
+};
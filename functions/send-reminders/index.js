@@ -0,0 +1,34 @@
+/**
+ * Scheduled function that sends concert reminders and follow alert emails
+ *
+ * Runs every five minutes (see netlify.toml). Sends push and email reminders
+ * for favorited concerts and artists to users who opted in, and emails new
+ * in-app notifications to users who asked for them by email.
+ */
+const { getSupabaseClient } = require('../api/lib/supabase');
+const { getEmailTransport } = require('./emailTransports');
+const { sendReminders } = require('./reminders');
+const { sendNotificationEmails } = require('./notificationEmails');
+
+/**
+ * Send due reminders and pending notification emails
+ * @returns {Promise<Object>} - Netlify function response with delivery counts
+ */
+const handler = async () => {
+  try {
+    const supabase = getSupabaseClient();
+    const emailTransport = getEmailTransport();
+    const stats = {
+      reminders: await sendReminders({ supabase, emailTransport }),
+      notificationEmails: await sendNotificationEmails({ supabase, emailTransport }),
+    };
+    console.log('Reminders sent:', stats);
+
+    return { statusCode: 200, body: JSON.stringify(stats) };
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+};
+
+module.exports = { handler };
@@ -0,0 +1,87 @@
+/**
+ * Email copies of in-app notifications
+ *
+ * Follow alerts are created by a database trigger when concerts are added.
+ * Users who turned on artist_alert_email also get them by email; emailed_at
+ * marks notifications that have been sent so each goes out once.
+ */
+
+// Notifications older than this are not emailed, e.g. after turning email on later
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Email notifications that have not been emailed yet
+ * @param {Object} options - Run options
+ * @param {Object} options.supabase - Supabase client using the service role key
+ * @param {Object|null} options.emailTransport - Email transport; null disables email and
+ *   leaves notifications unmarked
+ * @param {Date} options.now - Current time
+ * @param {string} options.baseUrl - App origin for links in emails
+ * @returns {Promise<Object>} - Counts of emailed and failed notifications
+ */
+const sendNotificationEmails = async ({
+  supabase,
+  emailTransport,
+  now = new Date(),
+  baseUrl = process.env.URL || '',
+}) => {
+  const stats = { emailed: 0, failed: 0 };
+  if (!emailTransport) return stats;
+
+  const { data: preferences, error } = await supabase
+    .from('reminder_preferences')
+    .select('user_id')
+    .eq('artist_alert_email', true);
+
+  if (error) throw error;
+  if (!preferences.length) return stats;
+
+  const userIds = preferences.map(preference => preference.user_id);
+  const [notifications, profiles] = await Promise.all([
+    supabase
+      .from('notifications')
+      .select('id, user_id, title, body, url')
+      .in('user_id', userIds)
+      .is('emailed_at', null)
+      .gte('created_at', new Date(now.getTime() - MAX_AGE_MS).toISOString())
+      .order('created_at'),
+    supabase.from('user_profiles').select('id, email').in('id', userIds),
+  ]);
+
+  if (notifications.error) throw notifications.error;
+  if (profiles.error) throw profiles.error;
+
+  for (const notification of notifications.data) {
+    const profile = profiles.data.find(candidate => candidate.id === notification.user_id);
+    if (!profile?.email) continue;
+
+    try {
+      const link = notification.url ? `\n\n${baseUrl}${notification.url}` : '';
+      await emailTransport.send({
+        to: profile.email,
+        subject: notification.title,
+        text: `${notification.body || notification.title}${link}`,
+      });
+    } catch (sendError) {
+      console.error(`Email for notification ${notification.id} failed:`, sendError.message);
+      stats.failed += 1;
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('notifications')
+      .update({ emailed_at: now.toISOString() })
+      .eq('id', notification.id);
+
+    if (updateError) {
+      console.error(`Failed to record email for notification ${notification.id}:`, updateError);
+    }
+    stats.emailed += 1;
+  }
+
+  return stats;
+};
+
+module.exports = {
+  sendNotificationEmails,
+};
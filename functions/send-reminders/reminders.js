@@ -0,0 +1,332 @@
+/**
+ * Reminder scheduling for favorited concerts and artists
+ *
+ * getDueReminders is a pure function that decides which reminders are due
+ * for a point in time; the loaders and sendReminders wire it to Supabase,
+ * Web Push and the email transport. Every reminder has a stable key that is
+ * recorded in sent_reminders once delivered, so running the schedule more
+ * often than the reminder window never sends a reminder twice. Concert keys
+ * include the start time, so a set that moves gets a reminder for its new time.
+ */
+const {
+  formatTime,
+  getParkDateString,
+  toParkDateTime,
+  getParkDayBounds,
+} = require('../../src/utils/dateUtils');
+const { sendWebPush } = require('./webPush');
+const { getEmailTransport } = require('./emailTransports');
+
+// Longest lead time allowed by reminder_preferences.concert_lead_minutes
+const MAX_LEAD_MINUTES = 240;
+
+const MINUTE = 60 * 1000;
+
+const CONCERT_SELECT = `
+  id, start_time, end_time, artist_id, festival_id,
+  artists:artist_id (id, name),
+  venues:venue_id (id, name),
+  festivals:festival_id (id, name)
+`;
+
+/**
+ * Describe how long until a concert starts
+ * @param {number} minutes - Minutes until the start
+ * @returns {string} - e.g. "in 30 minutes" or "in 1 hour"
+ */
+const formatStartsIn = minutes => {
+  if (minutes < 60) return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+  const hours = Math.round(minutes / 6) / 10;
+  return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Build the reminder for a concert that starts soon
+ */
+const buildConcertReminder = (userId, concert, minutesUntil) => {
+  const artistName = concert.artists?.name || 'A favorite concert';
+  const where = [concert.venues?.name, concert.festivals?.name].filter(Boolean).join(', ');
+
+  return {
+    userId,
+    key: `concert:${concert.id}:${new Date(concert.start_time).toISOString()}`,
+    type: 'concert',
+    title: `${artistName} starts ${formatStartsIn(minutesUntil)}`,
+    body: `${formatTime(concert.start_time)}${where ? ` at ${where}` : ''}`,
+    url: `/concerts/${concert.id}`,
+    concerts: [concert],
+  };
+};
+
+/**
+ * Build the morning summary of a user's favorited sets at a festival
+ */
+const buildFestivalDayReminder = (userId, festival, parkDate, concerts) => ({
+  userId,
+  key: `festival-day:${festival.id}:${parkDate}`,
+  type: 'festival-day',
+  title: `${festival.name || 'Festival'} today: ${concerts.length} favorite set${
+    concerts.length === 1 ? '' : 's'
+  }`,
+  body: concerts
+    .map(concert => {
+      const venue = concert.venues?.name ? ` (${concert.venues.name})` : '';
+      return `${formatTime(concert.start_time)} ${concert.artists?.name || 'TBA'}${venue}`;
+    })
+    .join('\n'),
+  url: `/festivals/${festival.id}`,
+  concerts,
+});
+
+/**
+ * Work out which reminders are due
+ * A concert reminder is due from lead time before the start until the start.
+ * A festival summary is due from the user's morning time (park time) on any
+ * day with favorited sets still to come at that festival.
+ * @param {Object} options - Scheduling inputs
+ * @param {Date} options.now - Current time
+ * @param {Array} options.users - Users with id, preferences, concertIds and artistIds
+ * @param {Array} options.concerts - Upcoming concerts with artists, venues and festivals
+ * @returns {Array} - Reminders with userId, key, type, title, body, url and concerts
+ */
+const getDueReminders = ({ now, users, concerts }) => {
+  const nowMs = now.getTime();
+  const parkNow = toParkDateTime(now);
+  const today = parkNow.toISODate();
+  const upcoming = concerts
+    .filter(concert => new Date(concert.start_time).getTime() > nowMs)
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+  return users.flatMap(({ id: userId, preferences, concertIds = [], artistIds = [] }) => {
+    const favorited = upcoming.filter(
+      concert =>
+        concertIds.includes(concert.id) ||
+        artistIds.includes(concert.artist_id || concert.artists?.id)
+    );
+    const reminders = [];
+
+    const leadMs = preferences.concert_lead_minutes * MINUTE;
+    favorited.forEach(concert => {
+      const untilStart = new Date(concert.start_time).getTime() - nowMs;
+      if (untilStart <= leadMs) {
+        reminders.push(buildConcertReminder(userId, concert, Math.ceil(untilStart / MINUTE)));
+      }
+    });
+
+    if (preferences.festival_morning_enabled) {
+      const [hour, minute] = preferences.festival_morning_time.split(':').map(Number);
+      const morning = parkNow.startOf('day').set({ hour, minute });
+
+      if (parkNow >= morning) {
+        const festivals = new Map();
+        favorited
+          .filter(concert => concert.festival_id && getParkDateString(concert.start_time) === today)
+          .forEach(concert => {
+            const entry = festivals.get(concert.festival_id) || {
+              festival: { id: concert.festival_id, ...concert.festivals },
+              concerts: [],
+            };
+            entry.concerts.push(concert);
+            festivals.set(concert.festival_id, entry);
+          });
+
+        festivals.forEach(({ festival, concerts: festivalConcerts }) => {
+          reminders.push(buildFestivalDayReminder(userId, festival, today, festivalConcerts));
+        });
+      }
+    }
+
+    return reminders;
+  });
+};
+
+/**
+ * Load users who opted in, with their favorites, email and push subscriptions
+ * @param {Object} supabase - Supabase client using the service role key
+ * @returns {Promise<Array>} - Users for getDueReminders
+ */
+const loadReminderUsers = async supabase => {
+  const { data: preferences, error } = await supabase
+    .from('reminder_preferences')
+    .select('*')
+    .or('push_enabled.eq.true,email_enabled.eq.true');
+
+  if (error) throw error;
+  if (!preferences.length) return [];
+
+  const userIds = preferences.map(preference => preference.user_id);
+  const [profiles, concertFavorites, artistFavorites, subscriptions] = await Promise.all([
+    supabase.from('user_profiles').select('id, email').in('id', userIds),
+    supabase.from('favorites_concerts').select('user_id, concert_id').in('user_id', userIds),
+    supabase.from('favorites_artists').select('user_id, artist_id').in('user_id', userIds),
+    supabase
+      .from('push_subscriptions')
+      .select('id, user_id, endpoint, p256dh, auth')
+      .in('user_id', userIds),
+  ]);
+
+  [profiles, concertFavorites, artistFavorites, subscriptions].forEach(result => {
+    if (result.error) throw result.error;
+  });
+
+  const byUser = (rows, userId) => rows.filter(row => row.user_id === userId);
+
+  return preferences.map(preference => ({
+    id: preference.user_id,
+    email: profiles.data.find(profile => profile.id === preference.user_id)?.email,
+    preferences: {
+      ...preference,
+      festival_morning_time: preference.festival_morning_time.slice(0, 5),
+    },
+    concertIds: byUser(concertFavorites.data, preference.user_id).map(row => row.concert_id),
+    artistIds: byUser(artistFavorites.data, preference.user_id).map(row => row.artist_id),
+    subscriptions: byUser(subscriptions.data, preference.user_id),
+  }));
+};
+
+/**
+ * Load concerts that could need a reminder: those starting before the longest
+ * lead time runs out or before the end of today in park time
+ * @param {Object} supabase - Supabase client
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Concerts
+ */
+const loadUpcomingConcerts = async (supabase, now) => {
+  const leadEnd = new Date(now.getTime() + MAX_LEAD_MINUTES * MINUTE);
+  const { endOfDay } = getParkDayBounds(now);
+  const until = leadEnd > endOfDay ? leadEnd : endOfDay;
+
+  const { data, error } = await supabase
+    .from('concerts')
+    .select(CONCERT_SELECT)
+    .is('deleted_at', null)
+    .gt('start_time', now.toISOString())
+    .lte('start_time', until.toISOString())
+    .order('start_time');
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Deliver a reminder by push to all of a user's subscriptions
+ * Subscriptions the push service reports as gone are deleted.
+ * @returns {Promise<boolean>} - True if at least one device accepted it
+ */
+const deliverPush = async (supabase, user, reminder, push) => {
+  const payload = {
+    title: reminder.title,
+    body: reminder.body,
+    url: reminder.url,
+    tag: reminder.key,
+  };
+  let delivered = false;
+
+  for (const subscription of user.subscriptions) {
+    try {
+      await push(subscription, payload);
+      delivered = true;
+    } catch (error) {
+      if (error.expired) {
+        await supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+      } else {
+        console.error(`Push to ${subscription.endpoint} failed:`, error.message);
+      }
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Deliver a reminder by email
+ * @returns {Promise<boolean>} - True if the transport accepted it
+ */
+const deliverEmail = async (user, reminder, transport, baseUrl) => {
+  try {
+    await transport.send({
+      to: user.email,
+      subject: reminder.title,
+      text: `${reminder.body}\n\n${baseUrl}${reminder.url}`,
+    });
+    return true;
+  } catch (error) {
+    console.error(`Email reminder to user ${user.id} failed:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Send every due reminder that has not been sent on a channel yet
+ * @param {Object} options - Run options
+ * @param {Object} options.supabase - Supabase client using the service role key
+ * @param {Date} options.now - Current time
+ * @param {Function} options.push - Push sender, defaults to sendWebPush
+ * @param {Object|null} options.emailTransport - Email transport, defaults to EMAIL_TRANSPORT;
+ *   null disables email and leaves email reminders unrecorded
+ * @param {string} options.baseUrl - App origin for links in emails
+ * @returns {Promise<Object>} - Counts of due, pushed, emailed and skipped reminders
+ */
+const sendReminders = async ({
+  supabase,
+  now = new Date(),
+  push = sendWebPush,
+  emailTransport = getEmailTransport(),
+  baseUrl = process.env.URL || '',
+}) => {
+  const stats = { due: 0, pushed: 0, emailed: 0, skipped: 0 };
+  const users = await loadReminderUsers(supabase);
+  if (!users.length) return stats;
+
+  const concerts = await loadUpcomingConcerts(supabase, now);
+  const reminders = getDueReminders({ now, users, concerts });
+  stats.due = reminders.length;
+  if (!reminders.length) return stats;
+
+  const { data: sent, error } = await supabase
+    .from('sent_reminders')
+    .select('user_id, reminder_key, channel')
+    .in('reminder_key', [...new Set(reminders.map(reminder => reminder.key))]);
+
+  if (error) throw error;
+
+  const sentKeys = new Set(sent.map(row => `${row.user_id}|${row.reminder_key}|${row.channel}`));
+
+  for (const reminder of reminders) {
+    const user = users.find(candidate => candidate.id === reminder.userId);
+    const channels = [];
+    if (user.preferences.push_enabled && user.subscriptions.length) channels.push('push');
+    if (user.preferences.email_enabled && user.email && emailTransport) channels.push('email');
+
+    for (const channel of channels) {
+      if (sentKeys.has(`${user.id}|${reminder.key}|${channel}`)) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      const delivered =
+        channel === 'push'
+          ? await deliverPush(supabase, user, reminder, push)
+          : await deliverEmail(user, reminder, emailTransport, baseUrl);
+
+      if (delivered) {
+        const { error: logError } = await supabase
+          .from('sent_reminders')
+          .insert({ user_id: user.id, reminder_key: reminder.key, channel });
+
+        if (logError) {
+          console.error(`Failed to record reminder ${reminder.key}:`, logError);
+        }
+        stats[channel === 'push' ? 'pushed' : 'emailed'] += 1;
+      }
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  getDueReminders,
+  sendReminders,
+};
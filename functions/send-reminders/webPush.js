@@ -0,0 +1,78 @@
+/**
+ * Web Push delivery for reminder notifications
+ *
+ * Payload encryption (RFC 8291) and VAPID authentication (RFC 8292) are left
+ * to the web-push package. Keys are base64url strings: VAPID_PUBLIC_KEY is
+ * the 65 byte uncompressed P-256 point and VAPID_PRIVATE_KEY the 32 byte
+ * private scalar, as printed by `npx web-push generate-vapid-keys`.
+ */
+const webpush = require('web-push');
+
+// Seconds the push service keeps an undelivered reminder
+const DEFAULT_TTL = 60 * 60;
+
+/**
+ * Error from a push service, flagging subscriptions that no longer exist
+ */
+class WebPushError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status from the push service
+   */
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WebPushError';
+    this.statusCode = statusCode;
+    this.expired = statusCode === 404 || statusCode === 410;
+  }
+}
+
+/**
+ * Read the VAPID configuration from the environment
+ * @returns {Object} - publicKey, privateKey and subject
+ */
+const getVapidConfig = () => {
+  const publicKey = process.env.VAPID_PUBLIC_KEY || process.env.REACT_APP_VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  const subject = process.env.VAPID_SUBJECT;
+
+  if (!publicKey || !privateKey || !subject) {
+    throw new Error('VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT must be set');
+  }
+
+  return { publicKey, privateKey, subject };
+};
+
+/**
+ * Send a push message to a subscription
+ * @param {Object} subscription - Subscription with endpoint, p256dh and auth
+ * @param {Object|string} payload - Message payload, JSON encoded if an object
+ * @param {Object} options - Delivery options
+ * @param {number} options.ttl - Seconds the push service may hold the message
+ * @param {Object} options.vapid - VAPID config, defaults to the environment
+ * @returns {Promise<number>} - HTTP status from the push service
+ */
+const sendWebPush = async (subscription, payload, options = {}) => {
+  const { ttl = DEFAULT_TTL, vapid = getVapidConfig() } = options;
+
+  try {
+    const { statusCode } = await webpush.sendNotification(
+      {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+      },
+      typeof payload === 'string' ? payload : JSON.stringify(payload),
+      { TTL: ttl, urgency: 'high', vapidDetails: vapid }
+    );
+
+    return statusCode;
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    throw new WebPushError(`Push service responded with ${error.statusCode}`, error.statusCode);
+  }
+};
+
+module.exports = {
+  WebPushError,
+  sendWebPush,
+};
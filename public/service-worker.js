@@ -0,0 +1,129 @@
+/**
+ * EncoreLando service worker
+ *
+ * Keeps the app shell and static assets available without a connection.
+ * API data is cached separately in IndexedDB by src/services/offlineCache.js,
+ * so Supabase and function requests are passed straight through.
+ */
+
+const CACHE_NAME = 'encorelando-shell-v1';
+
+// Files needed to start the app offline
+const APP_SHELL = ['/', '/index.html', '/site.webmanifest', '/favicon.svg', '/favicon.ico'];
+
+// Same-origin paths served cache-first and refreshed in the background
+const STATIC_PATHS = ['/static/', '/images/', '/logo/', '/fonts/'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Serve from the network, caching the response, and fall back to the cache
+ */
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(fallbackUrl || request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Serve from the cache when possible and refresh it in the background
+ */
+const staleWhileRevalidate = async request => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || refresh;
+};
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/.netlify/')) return;
+
+  // Single-page app navigations all load index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/index.html'));
+    return;
+  }
+
+  if (STATIC_PATHS.some(path => url.pathname.startsWith(path))) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+// Reminder notifications sent by the send-reminders function
+self.addEventListener('push', event => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch (error) {
+    payload = { title: 'EncoreLando', body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'EncoreLando', {
+      body: payload.body,
+      tag: payload.tag,
+      icon: '/logo192.png',
+      badge: '/favicon.ico',
+      data: { url: payload.url || '/' },
+    })
+  );
+});
+
+// Focus an open window on the reminder's page, or open a new one
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const existing = windows.find(client => client.url.startsWith(self.location.origin));
+      if (existing) {
+        return existing.navigate(url).then(client => (client || existing).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,394 @@
+/**
+ * Generate Static Maps Script
+ *
+ * Renders a static map image for every venue with coordinates and saves them in
+ * the public directory, along with mapIndex.json, which the frontend uses to look
+ * maps up by venue ID (src/utils/mapCache.js).
+ *
+ * Maps are stitched together from map tiles in a local tile cache, so no static
+ * map API or API key is needed. The build only renders from the cache and never
+ * downloads tiles. Tiles for new or moved venues are fetched by hand with
+ * --fetch-tiles (npm run fetch-map-tiles) and committed with the cache, which
+ * keeps tile server traffic to one request per tile as its usage policy asks.
+ *
+ * Venues come from the database (REACT_APP_SUPABASE_URL plus
+ * SUPABASE_SERVICE_ROLE_KEY or REACT_APP_SUPABASE_ANON_KEY), or from a CSV export
+ * of the venues table with --csv.
+ *
+ * Usage:
+ *   node scripts/generate-static-maps.js [--csv venues_rows.csv] [--fetch-tiles] [--force]
+ *
+ * Environment:
+ *   MAP_TILE_CACHE_DIR - Tile cache, laid out as {z}/{x}/{y}.png (default: .tile-cache)
+ *   MAP_TILE_URL - Tile URL template used by --fetch-tiles (default: OpenStreetMap)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const sharp = require('sharp');
+const { createClient } = require('@supabase/supabase-js');
+
+// Directory where maps will be saved, and the public path it's served from
+const MAPS_DIR = path.join(__dirname, '../public/images/maps');
+const MAPS_PUBLIC_PATH = '/images/maps';
+const INDEX_PATH = path.join(MAPS_DIR, 'mapIndex.json');
+
+const TILE_CACHE_DIR = process.env.MAP_TILE_CACHE_DIR || path.join(__dirname, '../.tile-cache');
+const TILE_URL =
+  process.env.MAP_TILE_URL ||
+  process.env.REACT_APP_MAP_TILE_URL ||
+  'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SIZE = 256;
+
+// Close enough to pick out a venue among its neighbours
+const ZOOM = 17;
+
+// Map sizes to render
+const MAP_SIZES = [
+  { width: 800, height: 400 },
+  { width: 600, height: 300 },
+  { width: 400, height: 250 },
+];
+
+// Behind the tiles, close to the OpenStreetMap land colour
+const BACKGROUND = { r: 242, g: 239, b: 233, alpha: 1 };
+
+const args = process.argv.slice(2);
+const options = {
+  csvPath: args.includes('--csv') ? args[args.indexOf('--csv') + 1] : null,
+  fetchTiles: args.includes('--fetch-tiles'),
+  force: args.includes('--force'),
+};
+
+/**
+ * Read venues from a CSV export of the venues table
+ * @param {string} csvPath - Path to the CSV file
+ * @returns {Promise<Array>} - Venue rows
+ */
+function readVenuesFromCsv(csvPath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(csvPath)
+      .pipe(csv())
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows.filter(row => !row.deleted_at)))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Read venues from the database
+ * @returns {Promise<Array|null>} - Venue rows, or null if the database isn't configured
+ */
+async function readVenuesFromDatabase() {
+  const url = process.env.REACT_APP_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY;
+  if (!url || !key) return null;
+
+  const supabase = createClient(url, key);
+  const { data, error } = await supabase
+    .from('venues')
+    .select('id, name, latitude, longitude')
+    .is('deleted_at', null)
+    .not('latitude', 'is', null)
+    .not('longitude', 'is', null)
+    .order('name');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Keep venues with an ID and usable coordinates, as numbers
+ * @param {Array} rows - Venue rows from the database or CSV
+ * @returns {Array} - Venues with id, name, latitude and longitude
+ */
+function normalizeVenues(rows) {
+  return rows
+    .map(row => ({
+      id: String(row.id || '').trim(),
+      name: row.name,
+      latitude: Number.parseFloat(row.latitude),
+      longitude: Number.parseFloat(row.longitude),
+    }))
+    .filter(
+      venue => venue.id && Number.isFinite(venue.latitude) && Number.isFinite(venue.longitude)
+    );
+}
+
+/**
+ * Position of a coordinate in Web Mercator pixels at a zoom level
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} - { x, y } in pixels from the top left of the world
+ */
+function toWorldPixels(latitude, longitude, zoom) {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const latitudeRadians = (latitude * Math.PI) / 180;
+
+  return {
+    x: ((longitude + 180) / 360) * worldSize,
+    y:
+      ((1 - Math.log(Math.tan(latitudeRadians) + 1 / Math.cos(latitudeRadians)) / Math.PI) / 2) *
+      worldSize,
+  };
+}
+
+/**
+ * Fetch a tile from the tile server
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Promise<Buffer>} - Tile image
+ */
+function fetchTile(z, x, y) {
+  const url = TILE_URL.replace('{s}', 'a').replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, { headers: { 'User-Agent': 'EncoreLando static map generator' } }, response => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`Failed to fetch tile ${z}/${x}/${y}: ${response.statusCode}`));
+        }
+
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve(Buffer.concat(chunks)));
+      })
+      .on('error', reject);
+  });
+}
+
+/**
+ * Get a tile from the cache, fetching it first with --fetch-tiles
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Promise<Buffer|null>} - Tile image, or null if it isn't cached
+ */
+async function getTile(z, x, y) {
+  const tilePath = path.join(TILE_CACHE_DIR, String(z), String(x), `${y}.png`);
+  if (fs.existsSync(tilePath)) return fs.promises.readFile(tilePath);
+  if (!options.fetchTiles) return null;
+
+  const tile = await fetchTile(z, x, y);
+  await fs.promises.mkdir(path.dirname(tilePath), { recursive: true });
+  await fs.promises.writeFile(tilePath, tile);
+
+  // Stay well inside tile server usage limits
+  await new Promise(resolve => setTimeout(resolve, 500));
+  return tile;
+}
+
+/**
+ * Render a map centred on a venue from cached tiles
+ * @param {Object} venue - Venue with latitude and longitude
+ * @param {Object} size - { width, height } in pixels
+ * @returns {Promise<Object>} - { image, missingTiles }
+ */
+async function renderMap(venue, { width, height }) {
+  const centre = toWorldPixels(venue.latitude, venue.longitude, ZOOM);
+  const left = Math.round(centre.x - width / 2);
+  const top = Math.round(centre.y - height / 2);
+
+  const firstColumn = Math.floor(left / TILE_SIZE);
+  const lastColumn = Math.floor((left + width - 1) / TILE_SIZE);
+  const firstRow = Math.floor(top / TILE_SIZE);
+  const lastRow = Math.floor((top + height - 1) / TILE_SIZE);
+
+  const tiles = [];
+  let missingTiles = 0;
+
+  for (let x = firstColumn; x <= lastColumn; x++) {
+    for (let y = firstRow; y <= lastRow; y++) {
+      const tile = await getTile(ZOOM, x, y);
+      if (!tile) {
+        missingTiles++;
+        continue;
+      }
+      tiles.push({
+        input: tile,
+        left: (x - firstColumn) * TILE_SIZE,
+        top: (y - firstRow) * TILE_SIZE,
+      });
+    }
+  }
+
+  // Lay the tiles out edge to edge, then crop the map out of the middle
+  const mosaic = await sharp({
+    create: {
+      width: (lastColumn - firstColumn + 1) * TILE_SIZE,
+      height: (lastRow - firstRow + 1) * TILE_SIZE,
+      channels: 4,
+      background: BACKGROUND,
+    },
+  })
+    .composite(tiles)
+    .png()
+    .toBuffer();
+
+  const image = await sharp(mosaic)
+    .extract({
+      left: left - firstColumn * TILE_SIZE,
+      top: top - firstRow * TILE_SIZE,
+      width,
+      height,
+    })
+    .png()
+    .toBuffer();
+
+  return { image, missingTiles };
+}
+
+/**
+ * Short content hash, so browsers fetch a map again only when it changes
+ */
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+}
+
+/**
+ * File name prefix for a venue's maps. Venue IDs are UUIDs, but a CSV could hold anything
+ */
+function toFileId(venueId) {
+  return venueId.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Read the index written by the last run
+ */
+function readPreviousIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8')).venues || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Check whether a map from the last run can be kept as it is
+ */
+function isUnchanged(previous, venue, sizeKey, filePath) {
+  const previousMap = previous?.maps?.[sizeKey];
+  if (!previousMap || previousMap.stale || !fs.existsSync(filePath)) return false;
+
+  return (
+    previous.latitude === venue.latitude &&
+    previous.longitude === venue.longitude &&
+    hashContent(fs.readFileSync(filePath)) === previousMap.hash
+  );
+}
+
+/**
+ * Render maps for every venue and write mapIndex.json
+ */
+async function generateAllMaps() {
+  const rows = options.csvPath
+    ? await readVenuesFromCsv(options.csvPath)
+    : await readVenuesFromDatabase();
+
+  if (!rows) {
+    console.warn(
+      'No venue source: set REACT_APP_SUPABASE_URL and a Supabase key, or pass --csv. ' +
+        'Keeping the existing maps.'
+    );
+    return;
+  }
+
+  const venues = normalizeVenues(rows);
+  fs.mkdirSync(MAPS_DIR, { recursive: true });
+
+  const previousIndex = readPreviousIndex();
+  const index = {};
+
+  console.log(`Generating maps for ${venues.length} venues...`);
+
+  for (const venue of venues) {
+    const fileId = toFileId(venue.id);
+    const maps = {};
+
+    for (const size of MAP_SIZES) {
+      const sizeKey = `${size.width}x${size.height}`;
+      const filename = `${fileId}_${sizeKey}.png`;
+      const outputPath = path.join(MAPS_DIR, filename);
+
+      try {
+        if (!options.force && isUnchanged(previousIndex[venue.id], venue, sizeKey, outputPath)) {
+          maps[sizeKey] = previousIndex[venue.id].maps[sizeKey];
+        } else {
+          const { image, missingTiles } = await renderMap(venue, size);
+          if (missingTiles > 0) {
+            throw new Error(
+              `${missingTiles} tiles missing from ${TILE_CACHE_DIR} ` +
+                '(run npm run fetch-map-tiles to fill the cache)'
+            );
+          }
+
+          fs.writeFileSync(outputPath, image);
+          maps[sizeKey] = { path: `${MAPS_PUBLIC_PATH}/${filename}`, hash: hashContent(image) };
+          console.log(`Rendered: ${filename} (${venue.name})`);
+        }
+      } catch (error) {
+        // Keep the map from the last run rather than dropping the venue. It is marked
+        // stale so the next run renders it again, even if the coordinates now match.
+        const previousMap = previousIndex[venue.id]?.maps?.[sizeKey];
+        if (previousMap && fs.existsSync(outputPath)) {
+          maps[sizeKey] = { ...previousMap, stale: true };
+          console.warn(`Keeping previous ${filename} (${venue.name}): ${error.message}`);
+        } else {
+          console.error(`Error rendering ${filename} (${venue.name}):`, error.message);
+        }
+      }
+    }
+
+    if (Object.keys(maps).length > 0) {
+      index[venue.id] = {
+        name: venue.name,
+        latitude: venue.latitude,
+        longitude: venue.longitude,
+        maps,
+      };
+    }
+  }
+
+  const indexedCount = Object.keys(index).length;
+  if (indexedCount === 0) {
+    throw new Error(
+      `No maps could be produced for ${venues.length} venues. Check the venue source ` +
+        `and the tile cache (${TILE_CACHE_DIR}).`
+    );
+  }
+
+  // Remove maps for venues that were deleted or lost their coordinates. Maps for
+  // venues that are still listed stay, even if they couldn't be rendered this time.
+  const venueFileIds = new Set(venues.map(venue => toFileId(venue.id)));
+  fs.readdirSync(MAPS_DIR)
+    .filter(file => {
+      const match = file.match(/^(.+)_\d+x\d+\.png$/);
+      return match && !venueFileIds.has(match[1]);
+    })
+    .forEach(file => {
+      fs.unlinkSync(path.join(MAPS_DIR, file));
+      console.log(`Removed stale map: ${file}`);
+    });
+
+  fs.writeFileSync(INDEX_PATH, `${JSON.stringify({ version: 2, venues: index }, null, 2)}\n`);
+
+  console.log(
+    `Map generation complete! Indexed ${indexedCount} of ${venues.length} venues ` +
+      'in mapIndex.json.'
+  );
+}
+
+// Run the generator. Venues that fail to render keep their last map or show the
+// fallback, but a venue source that yields no maps at all fails the build.
+generateAllMaps().catch(error => {
+  console.error('Error generating static maps:', error.message);
+  process.exitCode = 1;
+});
@@ -1,18 +1,30 @@
+import { useEffect } from 'react';
 import { BrowserRouter as Router } from 'react-router-dom';
 import AppRoutes from './routes';
 import './styles/App.css';
 import { AuthProvider } from './context/AuthContext';
+import OfflineBanner from './components/molecules/OfflineBanner';
+import { prefetchOfflineData } from './services/offlinePrefetch';
 
 /**
  * Main App component with AuthProvider
  * Mobile-first design with authentication state management
  */
 function App() {
+  // Keep today's schedule and current lineups cached for use offline
+  useEffect(() => {
+    prefetchOfflineData();
+
+    window.addEventListener('online', prefetchOfflineData);
+    return () => window.removeEventListener('online', prefetchOfflineData);
+  }, []);
+
   return (
     <Router>
       <AuthProvider>
         <div className="App">
           <AppRoutes />
+          <OfflineBanner />
         </div>
       </AuthProvider>
     </Router>
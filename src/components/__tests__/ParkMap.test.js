@@ -0,0 +1,53 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ParkMap from '../organisms/ParkMap';
+import { VENUE_STATUS } from '../../utils/parkMapUtils';
+
+// Tiles come from a local path so the tests never reach a tile server
+const LOCAL_TILE_URL = '/test-tiles/{z}/{x}/{y}.png';
+
+const venues = [
+  { id: 'v1', name: 'America Gardens Theatre', latitude: 28.3686, longitude: -81.5494 },
+  { id: 'v2', name: 'Odyssey Pavilion', latitude: '28.3722', longitude: '-81.5467' },
+  { id: 'v3', name: 'Festival Tent', latitude: 28.3701, longitude: -81.548 },
+  { id: 'v4', name: 'Pop-up Stage', latitude: null, longitude: null },
+];
+
+describe('ParkMap', () => {
+  it('pins every venue with coordinates, styled by what is playing', () => {
+    const { container } = render(
+      <ParkMap
+        venues={venues}
+        statuses={{
+          v1: { status: VENUE_STATUS.PLAYING },
+          v2: { status: VENUE_STATUS.STARTING_SOON },
+        }}
+        onVenueSelect={jest.fn()}
+        tileUrl={LOCAL_TILE_URL}
+      />
+    );
+
+    expect(screen.getByTitle('America Gardens Theatre: Playing now')).toBeTruthy();
+    expect(screen.getByTitle('Odyssey Pavilion: Starting soon')).toBeTruthy();
+    expect(screen.getByTitle('Festival Tent: No set right now')).toBeTruthy();
+    expect(screen.queryByTitle(/Pop-up Stage/)).toBeNull();
+
+    const tiles = container.querySelectorAll('img.leaflet-tile');
+    expect(tiles.length).toBeGreaterThan(0);
+    tiles.forEach(tile => expect(tile.getAttribute('src')).toMatch(/^\/test-tiles\//));
+  });
+
+  it('selects a venue when its pin is tapped', () => {
+    const onVenueSelect = jest.fn();
+    render(<ParkMap venues={venues} onVenueSelect={onVenueSelect} tileUrl={LOCAL_TILE_URL} />);
+
+    fireEvent.click(screen.getByTitle('Odyssey Pavilion: No set right now'));
+
+    expect(onVenueSelect).toHaveBeenCalledWith(venues[1]);
+  });
+
+  it('explains when no venue can be mapped', () => {
+    render(<ParkMap venues={[venues[3]]} onVenueSelect={jest.fn()} tileUrl={LOCAL_TILE_URL} />);
+
+    expect(screen.getByText(/venues have a map location yet/)).toBeTruthy();
+  });
+});
@@ -0,0 +1,119 @@
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ProtectedRoute from '../common/ProtectedRoute';
+import { useAuth } from '../../context/AuthContext';
+import { hasPermission, PERMISSIONS, ROLES } from '../../utils/permissions';
+
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+/**
+ * Point useAuth at a signed-in user with the given roles
+ */
+const signInAs = roles => {
+  const userProfile = { id: 'user-1', roles };
+  useAuth.mockReturnValue({
+    user: { id: 'user-1' },
+    loading: false,
+    can: permission => hasPermission(userProfile, permission),
+  });
+};
+
+const renderRoute = (element, path = '/admin/artists/new') =>
+  render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path={path} element={element} />
+        <Route path="/" element={<div>Home</div>} />
+        <Route path="/admin/login" element={<div>Admin Login</div>} />
+        <Route path="/admin/dashboard" element={<div>Dashboard</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('ProtectedRoute', () => {
+  it('sends signed-out users to the login page', () => {
+    useAuth.mockReturnValue({ user: null, loading: false, can: () => false });
+
+    renderRoute(
+      <ProtectedRoute>
+        <div>Admin Page</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('Admin Login')).toBeTruthy();
+  });
+
+  it('sends users without an admin role home', () => {
+    signInAs([]);
+
+    renderRoute(
+      <ProtectedRoute>
+        <div>Admin Page</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('Home')).toBeTruthy();
+  });
+
+  it('lets viewers open pages that only need admin access', () => {
+    signInAs([ROLES.VIEWER]);
+
+    renderRoute(
+      <ProtectedRoute>
+        <div>Admin Page</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('Admin Page')).toBeTruthy();
+  });
+
+  it('sends admins without the page permission to the dashboard', () => {
+    signInAs([ROLES.EDITOR]);
+
+    renderRoute(
+      <ProtectedRoute permission={PERMISSIONS.EDIT_ARTISTS}>
+        <div>Artist Form</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('Dashboard')).toBeTruthy();
+  });
+
+  it('renders the page when a role grants the permission', () => {
+    signInAs([ROLES.EDITOR]);
+
+    renderRoute(
+      <ProtectedRoute permission={PERMISSIONS.EDIT_CONCERTS}>
+        <div>Concert Form</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('Concert Form')).toBeTruthy();
+  });
+
+  it('keeps site management to super-admins', () => {
+    signInAs([ROLES.FESTIVAL_MANAGER]);
+
+    renderRoute(
+      <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE}>
+        <div>Trash</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('Dashboard')).toBeTruthy();
+  });
+
+  it('skips the role check for signed-in user pages', () => {
+    signInAs([]);
+
+    renderRoute(
+      <ProtectedRoute adminOnly={false} redirectPath="/login">
+        <div>My Day</div>
+      </ProtectedRoute>
+    );
+
+    expect(screen.getByText('My Day')).toBeTruthy();
+  });
+});
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import SearchAutocomplete from '../organisms/SearchAutocomplete';
+import searchService from '../../services/searchService';
+import { useAuth } from '../../context/AuthContext';
+import { addRecentSearch, getRecentSearches } from '../../utils/recentSearches';
+
+jest.mock('../../context/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+// Suggestions come back straight away instead of after the debounce
+jest.mock('../../services/searchService', () => {
+  const mockService = {
+    getSuggestions: jest.fn(),
+    getTrendingSearches: jest.fn(),
+  };
+
+  return {
+    __esModule: true,
+    default: mockService,
+    createSuggestionFetcher: () => {
+      const fetchSuggestions = query => mockService.getSuggestions(query);
+      fetchSuggestions.cancel = () => {};
+      return fetchSuggestions;
+    },
+  };
+});
+
+/**
+ * SearchAutocomplete with its own value, like the search layouts
+ */
+const ControlledSearch = ({ onSubmit }) => {
+  const [value, setValue] = useState('');
+  return (
+    <SearchAutocomplete
+      value={value}
+      onChange={e => setValue(e.target.value)}
+      onSubmit={onSubmit}
+    />
+  );
+};
+
+ControlledSearch.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+};
+
+const renderSearch = onSubmit =>
+  render(
+    <MemoryRouter initialEntries={['/']}>
+      <Routes>
+        <Route path="/" element={<ControlledSearch onSubmit={onSubmit} />} />
+        <Route path="/artists/:id" element={<div>Artist Page</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe('SearchAutocomplete', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    useAuth.mockReturnValue({ user: { id: 'user-1' } });
+    searchService.getTrendingSearches.mockResolvedValue([
+      { query: 'Journey', searches: 12 },
+      { query: 'Epcot', searches: 8 },
+    ]);
+    searchService.getSuggestions.mockResolvedValue([]);
+  });
+
+  it('shows recent and trending searches when the box is empty', async () => {
+    addRecentSearch('Starship', 'user-1');
+    addRecentSearch('epcot', 'user-1');
+    const onSubmit = jest.fn();
+    renderSearch(onSubmit);
+
+    fireEvent.focus(screen.getByRole('combobox'));
+
+    expect(await screen.findByText('Journey')).toBeTruthy();
+    expect(screen.getByText('Starship')).toBeTruthy();
+    expect(screen.getByText('Trending searches')).toBeTruthy();
+    // A trending query already in the recent list is shown once
+    expect(screen.getAllByRole('option')).toHaveLength(3);
+
+    fireEvent.click(screen.getByText('Starship'));
+
+    expect(onSubmit).toHaveBeenCalledWith('Starship');
+    expect(screen.getByRole('combobox').value).toBe('Starship');
+    expect(getRecentSearches('user-1')[0]).toBe('Starship');
+  });
+
+  it('opens the highlighted suggestion with the keyboard', async () => {
+    searchService.getSuggestions.mockResolvedValue([
+      { entity_type: 'artists', id: 'a1', name: 'Journey', image_url: 'journey.jpg' },
+      { entity_type: 'venues', id: 'v1', name: 'Journey Stage', image_url: null },
+    ]);
+    const onSubmit = jest.fn();
+    renderSearch(onSubmit);
+
+    const input = screen.getByRole('combobox');
+    fireEvent.focus(input);
+    fireEvent.change(input, { target: { value: 'jour' } });
+
+    await waitFor(() => expect(screen.getAllByRole('option')).toHaveLength(2));
+    expect(searchService.getSuggestions).toHaveBeenLastCalledWith('jour');
+
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(screen.getAllByRole('option')[0].getAttribute('aria-selected')).toBe('true');
+    expect(input.getAttribute('aria-activedescendant')).toBe(screen.getAllByRole('option')[0].id);
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(await screen.findByText('Artist Page')).toBeTruthy();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,14 @@
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import StaticMap from '../molecules/StaticMap';
+import { getStaticMapPath } from '../../utils/mapCache';
+
+jest.mock('../../utils/mapCache', () => ({
+  getStaticMapPath: jest.fn(),
+}));
 
 describe('StaticMap Component', () => {
   const validProps = {
+    venueId: 'venue-1',
     latitude: 28.373058,
     longitude: -81.549795,
     width: 400,
@@ -11,57 +17,52 @@ describe('StaticMap Component', () => {
     locationDetails: 'Within EPCOT theme park (American Adventure Pavilion area)',
   };
 
-  test('renders map iframe with valid coordinates', () => {
+  const MAP_PATH = '/images/maps/venue-1_400x250.png?v=bbbb2222';
+
+  test('shows the map generated for the venue', async () => {
+    getStaticMapPath.mockResolvedValue(MAP_PATH);
     render(<StaticMap {...validProps} />);
 
-    // Check for the iframe
-    const mapIframe = screen.getByTitle('Venue Location Map');
-    expect(mapIframe).toBeInTheDocument();
+    const map = await screen.findByAltText('Map showing location of America Gardens Theatre');
+    expect(map.getAttribute('src')).toBe(MAP_PATH);
+    expect(getStaticMapPath).toHaveBeenCalledWith('venue-1', 400, 250);
 
-    // Check that the src contains the coordinates
-    expect(mapIframe.src).toContain(`marker=${validProps.latitude},${validProps.longitude}`);
+    fireEvent.load(map);
+    expect(screen.getByText('© OpenStreetMap contributors')).toBeTruthy();
   });
 
-  test('shows location details', () => {
+  test('shows the fallback map for a venue without a generated map', async () => {
+    getStaticMapPath.mockResolvedValue(null);
     render(<StaticMap {...validProps} />);
 
-    // Check for location heading
-    expect(screen.getByText('Location')).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryByRole('status')).toBeNull());
+    expect(screen.getByText(/28\.373058/)).toBeTruthy();
+    expect(screen.queryByAltText(/Map showing location/)).toBeNull();
+  });
+
+  test('shows location details', () => {
+    getStaticMapPath.mockResolvedValue(null);
+    render(<StaticMap {...validProps} />);
 
-    // Check for location details text
-    expect(screen.getByText(validProps.locationDetails)).toBeInTheDocument();
+    expect(screen.getByText('Location')).toBeTruthy();
+    expect(screen.getByText(validProps.locationDetails)).toBeTruthy();
   });
 
   test('creates a link to Google Maps with correct coordinates', () => {
+    getStaticMapPath.mockResolvedValue(null);
     render(<StaticMap {...validProps} />);
 
     const directionsLink = screen.getByText('Get Directions').closest('a');
-    expect(directionsLink).toHaveAttribute(
-      'href',
+    expect(directionsLink.getAttribute('href')).toBe(
       `https://maps.google.com/?q=${validProps.latitude},${validProps.longitude}`
     );
-    expect(directionsLink).toHaveAttribute('target', '_blank');
+    expect(directionsLink.getAttribute('target')).toBe('_blank');
   });
 
   test('displays fallback UI when coordinates are missing', () => {
+    getStaticMapPath.mockResolvedValue(null);
     render(<StaticMap latitude={null} longitude={null} />);
 
-    // Check for fallback message
-    expect(screen.getByText('Map location not available')).toBeInTheDocument();
-
-    // Map iframe should not be rendered
-    expect(screen.queryByTitle('Venue Location Map')).not.toBeInTheDocument();
-  });
-
-  test('handles iframe load event', () => {
-    render(<StaticMap {...validProps} />);
-
-    const mapIframe = screen.getByTitle('Venue Location Map');
-
-    // Simulate iframe load
-    fireEvent.load(mapIframe);
-
-    // Loading spinner should not be visible after load
-    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+    expect(screen.getByText('Map location not available')).toBeTruthy();
   });
 });
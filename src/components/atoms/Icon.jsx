@@ -40,6 +40,8 @@ import {
   FiDownload,
   FiShare,
   FiUserPlus,
+  FiBell,
+  FiRadio,
 } from 'react-icons/fi';
 
 /**
@@ -89,6 +91,8 @@ const Icon = ({ name, size = 'md', color = 'currentColor', className = '' }) =>
     share: FiShare,
     'user-plus': FiUserPlus,
     'log-out': FiLogOut,
+    bell: FiBell,
+    radio: FiRadio,
   };
 
   // Icon sizes in pixels - ensuring visibility on mobile
@@ -1,17 +1,25 @@
 import { Navigate, useLocation } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { useAuth } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
 import Spinner from '../atoms/Spinner';
 
 /**
  * ProtectedRoute Component
  *
- * Restricts access to admin routes for unauthorized users
+ * Restricts access to admin routes for unauthorized users.
+ * Any admin role can open the admin area; pages that change data also need
+ * the matching permission, otherwise the user lands back on the dashboard.
  * Follows mobile-first design by handling loading states efficiently
  * and maintaining a smooth user experience on mobile devices.
  */
-const ProtectedRoute = ({ children, adminOnly = true, redirectPath = '/admin/login' }) => {
-  const { user, loading, isAdmin } = useAuth();
+const ProtectedRoute = ({
+  children,
+  adminOnly = true,
+  permission = PERMISSIONS.VIEW_ADMIN,
+  redirectPath = '/admin/login',
+}) => {
+  const { user, loading, can } = useAuth();
   const location = useLocation();
 
   // Show spinner while checking authentication
@@ -28,12 +36,17 @@ const ProtectedRoute = ({ children, adminOnly = true, redirectPath = '/admin/log
     return <Navigate to={redirectPath} state={{ from: location }} replace />;
   }
 
-  // If admin access is required but user is not admin, redirect to home
-  if (adminOnly && !isAdmin()) {
+  // If admin access is required but user has no admin role, redirect to home
+  if (adminOnly && !can(PERMISSIONS.VIEW_ADMIN)) {
     console.log('User is not admin, redirecting to home page.');
     return <Navigate to="/" replace />;
   }
 
+  // If the user's roles don't cover this page, send them back to the dashboard
+  if (adminOnly && !can(permission)) {
+    return <Navigate to="/admin/dashboard" replace />;
+  }
+
   // If authenticated and authorized, render the protected route
   return children;
 };
@@ -41,6 +54,7 @@ const ProtectedRoute = ({ children, adminOnly = true, redirectPath = '/admin/log
 ProtectedRoute.propTypes = {
   children: PropTypes.node.isRequired,
   adminOnly: PropTypes.bool,
+  permission: PropTypes.oneOf(Object.values(PERMISSIONS)),
   redirectPath: PropTypes.string,
 };
 
@@ -2,6 +2,7 @@ import { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
 import Typography from '../atoms/Typography';
 import Icon from '../atoms/Icon';
 import Avatar from '../atoms/Avatar';
@@ -18,7 +19,7 @@ import Avatar from '../atoms/Avatar';
  * - Responsive layout works well on all device sizes
  */
 const HamburgerMenu = ({ isOpen, onClose }) => {
-  const { user, userProfile, logout, isAdmin } = useAuth();
+  const { user, userProfile, logout, can } = useAuth();
   const [loggingOut, setLoggingOut] = useState(false);
   const menuRef = useRef(null);
   const navigate = useNavigate();
@@ -65,6 +66,8 @@ const HamburgerMenu = ({ isOpen, onClose }) => {
     { name: 'Home', path: '/', icon: 'home' },
     { name: 'Artists', path: '/artists', icon: 'music' },
     { name: 'Concerts', path: '/calendar', icon: 'calendar' },
+    { name: 'Happening Now', path: '/live', icon: 'radio' },
+    { name: 'My Day', path: '/my-day', icon: 'clock' },
     { name: 'Festivals', path: '/festivals', icon: 'star' },
     { name: 'Venues', path: '/venues', icon: 'map-pin' },
     { name: 'Search', path: '/search', icon: 'search' },
@@ -162,8 +165,8 @@ const HamburgerMenu = ({ isOpen, onClose }) => {
           </ul>
         </nav>
 
-        {/* Admin link (if user is admin) */}
-        {user && isAdmin() && (
+        {/* Admin link (if user has an admin role) */}
+        {user && can(PERMISSIONS.VIEW_ADMIN) && (
           <div className="mt-4 border-t border-neutral-700 pt-2">
             <ul>
               <li>
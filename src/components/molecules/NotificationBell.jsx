@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import IconButton from '../atoms/IconButton';
+import Typography from '../atoms/Typography';
+import useNotifications from '../../hooks/useNotifications';
+import { useAuth } from '../../context/AuthContext';
+import { formatTime, getRelativeDate } from '../../utils/dateUtils';
+
+/**
+ * NotificationBell component
+ * Header bell with an unread count that opens the user's notification feed
+ * Renders nothing for signed-out visitors
+ */
+const NotificationBell = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const { notifications, unreadCount, loading, markAsRead, markAsUnread, markAllAsRead, refresh } =
+    useNotifications();
+
+  if (!user) {
+    return null;
+  }
+
+  const togglePanel = () => {
+    if (!open) refresh();
+    setOpen(!open);
+  };
+
+  const handleSelect = notification => {
+    if (!notification.read_at) markAsRead([notification.id]);
+    setOpen(false);
+    if (notification.url) navigate(notification.url);
+  };
+
+  const countLabel = unreadCount > 9 ? '9+' : String(unreadCount);
+
+  return (
+    <div className="relative">
+      <IconButton
+        icon="bell"
+        ariaLabel={unreadCount ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+        variant="ghost"
+        onClick={togglePanel}
+      />
+      {unreadCount > 0 && (
+        <span
+          className="absolute top-1 right-1 min-w-[18px] h-[18px] px-[4px] rounded-full bg-sunset-orange text-white text-[10px] font-poppins font-semibold flex items-center justify-center pointer-events-none"
+          aria-hidden="true"
+        >
+          {countLabel}
+        </span>
+      )}
+
+      {open && (
+        <>
+          {/* Clicking outside the panel closes it */}
+          <button
+            type="button"
+            className="fixed inset-0 z-40 cursor-default"
+            aria-label="Close notifications"
+            onClick={() => setOpen(false)}
+          />
+          <div
+            className="absolute right-0 top-full mt-xs z-50 w-80 max-w-[calc(100vw-2rem)] max-h-[70vh] overflow-y-auto bg-background border border-white border-opacity-10 rounded-lg shadow-lg"
+            role="dialog"
+            aria-label="Notifications"
+          >
+            <div className="flex items-center justify-between px-md py-sm border-b border-white border-opacity-10">
+              <Typography variant="h4">Notifications</Typography>
+              {unreadCount > 0 && (
+                <button
+                  type="button"
+                  onClick={markAllAsRead}
+                  className="text-sunset-orange hover:text-magenta-pink text-xs font-manrope font-medium"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 ? (
+              <Typography variant="body2" color="medium-gray" className="px-md py-lg text-center">
+                {loading ? 'Loading...' : "You're all caught up."}
+              </Typography>
+            ) : (
+              <ul>
+                {notifications.map(notification => {
+                  const unread = !notification.read_at;
+                  return (
+                    <li
+                      key={notification.id}
+                      className={`flex items-start border-b border-white border-opacity-5 ${
+                        unread ? 'bg-white bg-opacity-5' : ''
+                      }`}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => handleSelect(notification)}
+                        className="flex-1 text-left px-md py-sm min-h-touch"
+                      >
+                        <Typography
+                          variant="body2"
+                          element="span"
+                          color={unread ? 'white' : 'medium-gray'}
+                          className={`block ${unread ? 'font-semibold' : ''}`}
+                        >
+                          {notification.title}
+                        </Typography>
+                        {notification.body && (
+                          <Typography variant="caption" color="medium-gray" className="block">
+                            {notification.body}
+                          </Typography>
+                        )}
+                        <Typography variant="caption" color="light-gray" className="block mt-xxs">
+                          {getRelativeDate(notification.created_at)},{' '}
+                          {formatTime(notification.created_at)}
+                        </Typography>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          unread ? markAsRead([notification.id]) : markAsUnread([notification.id])
+                        }
+                        className="flex-shrink-0 h-10 w-10 flex items-center justify-center"
+                        aria-label={unread ? 'Mark as read' : 'Mark as unread'}
+                        title={unread ? 'Mark as read' : 'Mark as unread'}
+                      >
+                        <span
+                          className={`h-2 w-2 rounded-full ${
+                            unread ? 'bg-sunset-orange' : 'border border-white border-opacity-40'
+                          }`}
+                        />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
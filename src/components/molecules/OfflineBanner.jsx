@@ -0,0 +1,57 @@
+import Icon from '../atoms/Icon';
+import Typography from '../atoms/Typography';
+import useOfflineStatus from '../../hooks/useOfflineStatus';
+import { formatTime } from '../../utils/dateUtils';
+
+/**
+ * Format the time cached data was saved, including the date if it wasn't today
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} - Formatted time, e.g. "3:42 PM" or "Mar 1, 3:42 PM"
+ */
+const formatAsOf = timestamp => {
+  const date = new Date(timestamp);
+
+  if (date.toDateString() === new Date().toDateString()) {
+    return formatTime(date);
+  }
+
+  return date.toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
+
+/**
+ * OfflineBanner component
+ * Tells users when they are offline or looking at cached data, and how old it is
+ * Fixed above the bottom navigation so it is visible on every page
+ */
+const OfflineBanner = () => {
+  const { isOnline, staleSince } = useOfflineStatus();
+
+  if (isOnline && !staleSince) {
+    return null;
+  }
+
+  const status = isOnline ? 'Connection is weak.' : "You're offline.";
+  const message = staleSince
+    ? `${status} Showing schedule as of ${formatAsOf(staleSince)}.`
+    : `${status} Some information may not be available.`;
+
+  return (
+    <div
+      className="fixed bottom-16 left-0 right-0 z-40 flex items-center justify-center px-md py-xs bg-background border-t border-warning border-opacity-40"
+      role="status"
+      aria-live="polite"
+    >
+      <Icon name="alert-triangle" size="sm" className="mr-xs flex-shrink-0 text-warning" />
+      <Typography variant="body2" color="warning">
+        {message}
+      </Typography>
+    </div>
+  );
+};
+
+export default OfflineBanner;
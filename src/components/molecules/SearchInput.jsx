@@ -15,6 +15,7 @@ const SearchInput = ({
   disabled = false,
   darkMode = false,
   className = '',
+  inputProps = {},
 }) => {
   // Handle form submission
   const handleSubmit = e => {
@@ -69,6 +70,7 @@ const SearchInput = ({
         `}
         aria-label="Search"
         autoComplete="off"
+        {...inputProps}
       />
 
       {/* Clear button with dark mode support - only shown when there's a value */}
@@ -99,6 +101,8 @@ SearchInput.propTypes = {
   disabled: PropTypes.bool,
   darkMode: PropTypes.bool,
   className: PropTypes.string,
+  // Extra attributes and handlers for the input, e.g. combobox ARIA from SearchAutocomplete
+  inputProps: PropTypes.object,
 };
 
 export default SearchInput;
@@ -4,13 +4,16 @@ import Typography from '../atoms/Typography';
 import Icon from '../atoms/Icon';
 import Spinner from '../atoms/Spinner';
 import MapFallback from './MapFallback';
+import { getStaticMapPath } from '../../utils/mapCache';
 import './StaticMap.css'; // Import the CSS for map styling
 
 /**
  * StaticMap component for displaying venue locations
- * Mobile-optimized with reliable rendering using OpenStreetMap tile service directly
+ * Mobile-optimized, using the map image generated for the venue at build time
+ * (scripts/generate-static-maps.js). Venues without one get the fallback map.
  */
 const StaticMap = ({
+  venueId,
   latitude,
   longitude,
   width = 400,
@@ -21,19 +24,31 @@ const StaticMap = ({
 }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [mapUrl, setMapUrl] = useState(null);
   const mapContainerRef = useRef(null);
 
   // Validate coordinates
   const hasValidCoordinates = !!(latitude && longitude);
 
-  // Calculate map parameters
-  const zoom = 17; // Good zoom level for venue details
-  const apiKey = 'fa4eff3fbf8e4d28ab12ce887d9a4ef4';
+  // Look up the venue's generated map
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    setMapUrl(null);
+
+    getStaticMapPath(venueId, width, height).then(path => {
+      if (cancelled) return;
+      setMapUrl(path);
+      // Without a generated map the fallback is all there is to show
+      if (!path) setLoading(false);
+    });
 
-  // Generate map URL
-  const mapUrl = hasValidCoordinates
-    ? `https://maps.geoapify.com/v1/staticmap?style=osm-bright-smooth&width=${width}&height=${height}&center=lonlat:${longitude},${latitude}&zoom=${zoom}&apiKey=${apiKey}`
-    : '';
+    return () => {
+      cancelled = true;
+    };
+  }, [venueId, width, height]);
 
   // Handle image load events
   const handleMapLoad = () => {
@@ -139,6 +154,18 @@ const StaticMap = ({
             </div>
           )}
 
+          {/* No generated map for this venue */}
+          {!loading && !error && !mapUrl && (
+            <MapFallback
+              venueTitle={venueTitle}
+              latitude={latitude}
+              longitude={longitude}
+              height={height}
+              width="100%"
+              showCoordinates={true}
+            />
+          )}
+
           {/* Map */}
           {mapUrl && (
             <img
@@ -151,13 +178,18 @@ const StaticMap = ({
             />
           )}
 
-          {/* Custom marker overlay */}
-          {!loading && !error && (
-            <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 z-20 pointer-events-none">
-              <div className="map-marker-pin">
-                <div className="map-marker-dot"></div>
+          {/* Custom marker overlay and tile attribution */}
+          {mapUrl && !loading && !error && (
+            <>
+              <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 z-20 pointer-events-none">
+                <div className="map-marker-pin">
+                  <div className="map-marker-dot"></div>
+                </div>
               </div>
-            </div>
+              <span className="absolute bottom-0 right-0 z-20 px-1 bg-white bg-opacity-75 text-xs text-dark-gray">
+                © OpenStreetMap contributors
+              </span>
+            </>
           )}
 
           {/* +/- Zoom controls to match the screenshot */}
@@ -189,6 +221,7 @@ const StaticMap = ({
 };
 
 StaticMap.propTypes = {
+  venueId: PropTypes.string,
   latitude: PropTypes.number,
   longitude: PropTypes.number,
   width: PropTypes.number,
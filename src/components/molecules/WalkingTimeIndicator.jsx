@@ -0,0 +1,38 @@
+import PropTypes from 'prop-types';
+import Icon from '../atoms/Icon';
+import Typography from '../atoms/Typography';
+
+/**
+ * WalkingTimeIndicator component shown between two back-to-back sets
+ * Warns when the gap between the sets is shorter than the walk
+ */
+const WalkingTimeIndicator = ({ minutes, gapMinutes, className = '' }) => {
+  const tooShort = gapMinutes < minutes;
+  const gapText = gapMinutes <= 0 ? 'no time' : `only ${gapMinutes} min`;
+
+  return (
+    <div
+      className={`flex items-center pl-md ${
+        tooShort ? 'text-warning' : 'text-medium-gray'
+      } ${className}`}
+    >
+      <Icon
+        name={tooShort ? 'alert-triangle' : 'navigation'}
+        size="sm"
+        className="mr-xs flex-shrink-0"
+      />
+      <Typography variant="caption" color={tooShort ? 'warning' : 'medium-gray'}>
+        {minutes} min walk
+        {tooShort && ` · ${gapText} between sets`}
+      </Typography>
+    </div>
+  );
+};
+
+WalkingTimeIndicator.propTypes = {
+  minutes: PropTypes.number.isRequired,
+  gapMinutes: PropTypes.number.isRequired,
+  className: PropTypes.string,
+};
+
+export default WalkingTimeIndicator;
@@ -2,12 +2,19 @@ import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import Typography from '../atoms/Typography';
 import IconButton from '../atoms/IconButton';
-import { formatDate, isDatePast } from '../../utils/dateUtils';
+import {
+  formatParkDateTime,
+  getParkDateString,
+  getParkNow,
+  getTodayDateString,
+  toParkDateTime,
+} from '../../utils/dateUtils';
 
 /**
  * Calendar component for date selection
  * Mobile-optimized with touchable date cells
  * Enhanced with event counts and past date selection
+ * Days are park days (America/New_York); onDateSelect receives park midnight
  */
 const Calendar = props => {
   const {
@@ -18,126 +25,62 @@ const Calendar = props => {
     allowPastSelection = true,
     className = '',
   } = props;
-  const [currentMonth, setCurrentMonth] = useState(
-    selectedDate ? new Date(selectedDate) : new Date()
+  const [currentMonth, setCurrentMonth] = useState(() =>
+    (toParkDateTime(selectedDate) || getParkNow()).startOf('month')
   );
   const [calendarDays, setCalendarDays] = useState([]);
 
   // Generate calendar days for current month view
   useEffect(() => {
-    const days = [];
-    const year = currentMonth.getFullYear();
-    const month = currentMonth.getMonth();
-
-    // Get first day of the month and last day
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-
-    // Get the day of the week for the first day (0 = Sunday)
-    const firstDayOfWeek = firstDay.getDay();
-
-    // Add days from previous month to fill first week
-    const prevMonthLastDay = new Date(year, month, 0).getDate();
-    for (let i = firstDayOfWeek - 1; i >= 0; i--) {
-      days.push({
-        date: new Date(year, month - 1, prevMonthLastDay - i),
-        isCurrentMonth: false,
-      });
-    }
-
-    // Add days of current month
-    for (let i = 1; i <= lastDay.getDate(); i++) {
-      days.push({
-        date: new Date(year, month, i),
-        isCurrentMonth: true,
-      });
-    }
-
-    // Add days from next month to complete the grid (always show 6 weeks)
-    const remainingDays = 42 - days.length; // 6 weeks × 7 days = 42
-    for (let i = 1; i <= remainingDays; i++) {
-      days.push({
-        date: new Date(year, month + 1, i),
-        isCurrentMonth: false,
-      });
-    }
+    // Start the grid on the Sunday on or before the first of the month (Luxon weekday 7 = Sunday)
+    const gridStart = currentMonth.minus({ days: currentMonth.weekday % 7 });
+
+    // Always show 6 weeks (6 weeks × 7 days = 42)
+    const days = Array.from({ length: 42 }, (_, index) => {
+      const date = gridStart.plus({ days: index });
+      return {
+        date,
+        dateStr: date.toISODate(),
+        isCurrentMonth: date.month === currentMonth.month,
+      };
+    });
 
     setCalendarDays(days);
   }, [currentMonth]);
 
-  // Navigate to previous month
-  const goToPreviousMonth = () => {
-    setCurrentMonth(prevDate => {
-      const newDate = new Date(prevDate);
-      newDate.setMonth(newDate.getMonth() - 1);
-
-      // Notify parent component of month change
-      if (props.onMonthChange) {
-        props.onMonthChange(newDate.getMonth(), newDate.getFullYear());
-      }
+  // Move the view by a number of months and notify the parent
+  const changeMonth = offset => {
+    const newMonth = currentMonth.plus({ months: offset });
+    setCurrentMonth(newMonth);
 
-      return newDate;
-    });
+    // Notify parent component of month change (zero-based month, like Date#getMonth)
+    if (props.onMonthChange) {
+      props.onMonthChange(newMonth.month - 1, newMonth.year);
+    }
   };
 
-  // Navigate to next month
-  const goToNextMonth = () => {
-    setCurrentMonth(prevDate => {
-      const newDate = new Date(prevDate);
-      newDate.setMonth(newDate.getMonth() + 1);
-
-      // Notify parent component of month change
-      if (props.onMonthChange) {
-        props.onMonthChange(newDate.getMonth(), newDate.getFullYear());
-      }
+  // Navigate to previous month
+  const goToPreviousMonth = () => changeMonth(-1);
 
-      return newDate;
-    });
-  };
+  // Navigate to next month
+  const goToNextMonth = () => changeMonth(1);
 
   // Format month year title
-  const monthYearTitle = currentMonth.toLocaleDateString('en-US', {
-    month: 'long',
-    year: 'numeric',
-  });
+  const monthYearTitle = currentMonth.toFormat('LLLL yyyy');
 
-  // Check if a date has events
-  const hasEvents = date => {
-    // First check if it's in the highlighted dates array
-    const inHighlighted = highlightedDates.some(highlightedDate => {
-      const highlighted = new Date(highlightedDate);
-      return (
-        date.getDate() === highlighted.getDate() &&
-        date.getMonth() === highlighted.getMonth() &&
-        date.getFullYear() === highlighted.getFullYear()
-      );
-    });
-
-    if (inHighlighted) return true;
-
-    // Then check if it's in the event counts array
-    const dateStr = date.toISOString().split('T')[0];
-    return eventCounts.some(event => event.date === dateStr && event.count > 0);
-  };
+  const todayStr = getTodayDateString();
+  const selectedDateStr = getParkDateString(selectedDate);
 
   // Get event count for a date
-  const getEventCount = date => {
-    const dateStr = date.toISOString().split('T')[0];
+  const getEventCount = dateStr => {
     const eventData = eventCounts.find(event => event.date === dateStr);
     return eventData ? eventData.count : 0;
   };
 
-  // Check if a date is selected
-  const isSelected = date => {
-    if (!selectedDate) return false;
-
-    const selected = new Date(selectedDate);
-    return (
-      date.getDate() === selected.getDate() &&
-      date.getMonth() === selected.getMonth() &&
-      date.getFullYear() === selected.getFullYear()
-    );
-  };
+  // Check if a date has events
+  const hasEvents = dateStr =>
+    highlightedDates.some(highlightedDate => getParkDateString(highlightedDate) === dateStr) ||
+    getEventCount(dateStr) > 0;
 
   // Day of week headers
   const weekDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
@@ -180,13 +123,13 @@ const Calendar = props => {
       <div className="grid grid-cols-7 gap-0.5 pb-4">
         {' '}
         {/* Replaced max-height with padding-bottom */}
-        {calendarDays.map((dayObj, index) => {
-          const { date, isCurrentMonth } = dayObj;
-          const isPast = isDatePast(date);
-          const day = date.getDate();
-          const hasEvent = hasEvents(date);
-          const isToday = formatDate(date) === formatDate(new Date());
-          const isDateSelected = isSelected(date);
+        {calendarDays.map(dayObj => {
+          const { date, dateStr, isCurrentMonth } = dayObj;
+          const isPast = dateStr < todayStr;
+          const hasEvent = hasEvents(dateStr);
+          const eventCount = getEventCount(dateStr);
+          const isToday = dateStr === todayStr;
+          const isDateSelected = dateStr === selectedDateStr;
 
           // Determine day styling based on state
           let dayClasses = 'py-xxs flex flex-col items-center justify-center relative';
@@ -211,12 +154,12 @@ const Calendar = props => {
 
           return (
             <button
-              key={index}
+              key={dateStr}
               className={dayClasses}
-              onClick={() => onDateSelect(date)}
-              disabled={!allowPastSelection && isPast && !isToday}
-              aria-label={`${date.toLocaleDateString()}${
-                hasEvent ? ` - ${getEventCount(date)} events` : ''
+              onClick={() => onDateSelect(date.toJSDate())}
+              disabled={!allowPastSelection && isPast}
+              aria-label={`${formatParkDateTime(date, 'M/d/yyyy')}${
+                hasEvent ? ` - ${eventCount} events` : ''
               }`}
               aria-selected={isDateSelected}
             >
@@ -225,16 +168,16 @@ const Calendar = props => {
                 color={isDateSelected ? 'white' : undefined}
                 className="text-center w-full"
               >
-                {day}
+                {date.day}
               </Typography>
 
               {/* Event count or indicator */}
               {hasEvent && !isDateSelected && (
                 <>
-                  {getEventCount(date) > 0 ? (
+                  {eventCount > 0 ? (
                     <div className="absolute -bottom-1 flex items-center justify-center">
                       <div className="bg-sunset-orange text-white text-[10px] px-1 rounded-full min-w-[14px] text-center">
-                        {getEventCount(date)}
+                        {eventCount}
                       </div>
                     </div>
                   ) : (
@@ -5,7 +5,7 @@ import Typography from '../atoms/Typography';
 import Badge from '../atoms/Badge';
 import Icon from '../atoms/Icon';
 import ImageThumbnail from '../molecules/ImageThumbnail';
-import { formatDateRange } from '../../utils/dateUtils';
+import { formatDateRange, getTodayDateString } from '../../utils/dateUtils';
 
 /**
  * Unified EntityCard component that can display Artist, Festival, or Venue entities
@@ -68,13 +68,12 @@ const EntityCard = ({ entity, type, featured = false, className = '' }) => {
   const getStatusBadge = () => {
     if (type !== 'festival' || !entity.start_date || !entity.end_date) return null;
 
-    const now = new Date();
-    const startDate = new Date(entity.start_date);
-    const endDate = new Date(entity.end_date);
+    // Festival dates are park days, so compare against today's park date
+    const today = getTodayDateString();
 
-    if (now >= startDate && now <= endDate) {
+    if (today >= entity.start_date && today <= entity.end_date) {
       return <Badge text="Now On" variant="accent" gradient={featured} />;
-    } else if (now < startDate) {
+    } else if (today < entity.start_date) {
       return <Badge text="Upcoming" variant="secondary" gradient={featured} />;
     } else {
       return <Badge text="Completed" variant="outline" />;
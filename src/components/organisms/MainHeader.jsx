@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import { BrandLogo } from '../branding';
 import IconButton from '../atoms/IconButton';
 import UserNavigation from '../molecules/UserNavigation';
+import NotificationBell from '../molecules/NotificationBell';
 import HamburgerMenu from '../molecules/HamburgerMenu';
 import { Link, useNavigate } from 'react-router-dom';
 
@@ -47,6 +48,9 @@ const MainHeader = ({ showSearchButton = true, className = '' }) => {
           {/* User profile/login */}
           <UserNavigation />
 
+          {/* Notifications for signed-in users */}
+          <NotificationBell />
+
           {/* Search button */}
           {showSearchButton && (
             <IconButton
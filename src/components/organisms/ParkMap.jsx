@@ -0,0 +1,128 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { MapContainer, TileLayer, Marker } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import Typography from '../atoms/Typography';
+import {
+  MAP_TILE_URL,
+  MAP_TILE_ATTRIBUTION,
+  VENUE_STATUS,
+  hasCoordinates,
+  getVenueBounds,
+} from '../../utils/parkMapUtils';
+
+// Pin colour and label for each venue status
+const STATUS_STYLES = {
+  [VENUE_STATUS.PLAYING]: { label: 'Playing now', className: 'bg-success animate-pulse' },
+  [VENUE_STATUS.STARTING_SOON]: { label: 'Starting soon', className: 'bg-warning' },
+  [VENUE_STATUS.IDLE]: { label: 'No set right now', className: 'bg-medium-gray' },
+};
+
+/**
+ * Build the HTML pin for a venue
+ * Pins are plain DOM elements rather than SVG circles, so they render (and can
+ * be tapped) in any environment Leaflet runs in.
+ */
+const createPinIcon = (status, selected) =>
+  L.divIcon({
+    className: '',
+    html: `<span class="block w-6 h-6 rounded-full border-2 ${
+      selected ? 'border-sunset-orange scale-125' : 'border-white'
+    } shadow-lg ${STATUS_STYLES[status].className}"></span>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+
+/**
+ * ParkMap component
+ *
+ * Interactive map of a park's venues
+ *
+ * - Each venue with coordinates gets a pin coloured by whether a set is playing,
+ *   starting within the next half hour, or nothing is on
+ * - Tapping (or focusing and pressing Enter on) a pin selects the venue
+ */
+const ParkMap = ({
+  venues,
+  statuses = {},
+  selectedVenueId,
+  onVenueSelect,
+  tileUrl = MAP_TILE_URL,
+  className = '',
+}) => {
+  const mappableVenues = useMemo(() => venues.filter(hasCoordinates), [venues]);
+  const bounds = useMemo(() => getVenueBounds(mappableVenues), [mappableVenues]);
+
+  if (!bounds) {
+    return (
+      <div className={`flex items-center justify-center rounded-lg bg-dark-gray p-lg ${className}`}>
+        <Typography variant="body2" color="medium-gray">
+          None of this park&apos;s venues have a map location yet.
+        </Typography>
+      </div>
+    );
+  }
+
+  return (
+    <div className={className}>
+      <MapContainer
+        bounds={bounds}
+        boundsOptions={{ padding: [32, 32], maxZoom: 17 }}
+        scrollWheelZoom={false}
+        className="h-80 sm:h-96 w-full rounded-lg z-0"
+      >
+        <TileLayer url={tileUrl} attribution={MAP_TILE_ATTRIBUTION} maxZoom={19} />
+
+        {mappableVenues.map(venue => {
+          const status = statuses[venue.id]?.status || VENUE_STATUS.IDLE;
+
+          return (
+            // Keyed by status too: Leaflet only reads the title when the marker is created
+            <Marker
+              key={`${venue.id}-${status}`}
+              position={[Number.parseFloat(venue.latitude), Number.parseFloat(venue.longitude)]}
+              icon={createPinIcon(status, venue.id === selectedVenueId)}
+              title={`${venue.name}: ${STATUS_STYLES[status].label}`}
+              eventHandlers={{ click: () => onVenueSelect(venue) }}
+            />
+          );
+        })}
+      </MapContainer>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-md mt-sm">
+        {Object.values(VENUE_STATUS).map(status => (
+          <div key={status} className="flex items-center gap-xxs">
+            <span
+              className={`inline-block w-3 h-3 rounded-full ${STATUS_STYLES[status].className}`}
+            />
+            <Typography variant="caption" color="medium-gray">
+              {STATUS_STYLES[status].label}
+            </Typography>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+ParkMap.propTypes = {
+  venues: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      latitude: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      longitude: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    })
+  ).isRequired,
+  // Venue statuses from getVenueStatuses, keyed by venue ID
+  statuses: PropTypes.object,
+  selectedVenueId: PropTypes.string,
+  onVenueSelect: PropTypes.func.isRequired,
+  // Tile URL template; defaults to REACT_APP_MAP_TILE_URL or OpenStreetMap
+  tileUrl: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default ParkMap;
@@ -6,6 +6,7 @@ import Typography from '../atoms/Typography';
 import Badge from '../atoms/Badge';
 import ImageThumbnail from '../molecules/ImageThumbnail';
 import { formatTime, formatDate } from '../../utils/dateUtils';
+import { SCHEDULE_CHANGES } from '../../utils/realtimeUtils';
 
 /**
  * Unified PerformanceCard component with context-aware display options
@@ -79,6 +80,10 @@ const PerformanceCard = ({
   // Format date
   const formattedDate = startTime ? formatDate(startTime) : 'Date TBD';
 
+  // Set by realtime updates when an admin moves or cancels the set after it loaded
+  const isCancelled = performance.schedule_change === SCHEDULE_CHANGES.CANCELLED;
+  const isTimeChanged = performance.schedule_change === SCHEDULE_CHANGES.TIME_CHANGED;
+
   // Get normalized field values
   const artistName = artist?.name || performance.artist_name || performance.name || 'TBA';
   const venueName = venue?.name || 'Location TBD';
@@ -193,12 +198,27 @@ const PerformanceCard = ({
               // Single performance time
               <div className="flex items-center mb-xs">
                 <Icon name="clock" size="sm" className="mr-xs text-sunset-orange flex-shrink-0" />
-                <Typography variant="body1" color="white" className="truncate">
+                <Typography
+                  variant="body1"
+                  color="white"
+                  className={`truncate ${isCancelled ? 'line-through text-opacity-50' : ''}`}
+                >
                   {formattedTime}
                 </Typography>
               </div>
             )}
 
+            {/* Schedule change - shown once the set has moved or been cancelled */}
+            {(isCancelled || isTimeChanged) && (
+              <div className="mb-xs">
+                <Badge
+                  text={isCancelled ? 'Cancelled' : 'Time changed'}
+                  variant={isCancelled ? 'error' : 'warning'}
+                  size="sm"
+                />
+              </div>
+            )}
+
             {/* Venue - show only if not in venue context and not in artist context */}
             {context === 'default' && (
               <div className="flex items-center mb-xs">
@@ -299,6 +319,8 @@ const performanceShape = PropTypes.shape({
     id: PropTypes.string,
     name: PropTypes.string,
   }),
+  // Realtime schedule change since the performance loaded
+  schedule_change: PropTypes.oneOf(Object.values(SCHEDULE_CHANGES)),
   // Theme park information
   themePark: PropTypes.string,
   theme_park: PropTypes.string,
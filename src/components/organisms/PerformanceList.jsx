@@ -1,8 +1,13 @@
+import { Fragment } from 'react';
 import PropTypes from 'prop-types';
 import PerformanceCard from './PerformanceCard';
 import Spinner from '../atoms/Spinner';
 import Typography from '../atoms/Typography';
 import Icon from '../atoms/Icon';
+import WalkingTimeIndicator from '../molecules/WalkingTimeIndicator';
+import useWalkingTimes from '../../hooks/useWalkingTimes';
+import { getWalkBetween } from '../../utils/itineraryUtils';
+import { SCHEDULE_CHANGES } from '../../utils/realtimeUtils';
 import {
   getRelativeDate,
   groupPerformancesByDate,
@@ -23,7 +28,24 @@ const PerformanceList = ({
   className = '',
   emptyMessage = 'No performances found',
   useArtistCard = false,
+  showWalkingTimes = false,
 }) => {
+  const walkingTimes = useWalkingTimes(showWalkingTimes);
+
+  // Walk from the previous performance, shown when there's a gap to make it in
+  const renderWalk = (previous, performance) => {
+    if (!showWalkingTimes || !previous) return null;
+    // Nobody walks to or from a cancelled set
+    if ([previous, performance].some(set => set.schedule_change === SCHEDULE_CHANGES.CANCELLED)) {
+      return null;
+    }
+
+    const walk = getWalkBetween(previous, performance, walkingTimes);
+    if (!walk || walk.minutes === 0 || walk.gapMinutes < 0) return null;
+
+    return <WalkingTimeIndicator minutes={walk.minutes} gapMinutes={walk.gapMinutes} />;
+  };
+
   // Render loading spinner
   if (loading && !performances.length) {
     return (
@@ -80,7 +102,7 @@ const PerformanceList = ({
 
             {/* Performances for this date */}
             <div className="space-y-md">
-              {performancesByDate[dateStr].map(performance => {
+              {performancesByDate[dateStr].map((performance, index, datePerformances) => {
                 // Add debugging to see what we're passing to the PerformanceCard
                 console.log('PerformanceList rendering:', {
                   performanceId: performance.id,
@@ -105,19 +127,19 @@ const PerformanceList = ({
                   },
                 };
 
-                return useArtistCard ? (
-                  <PerformanceCard
-                    key={performance.id}
-                    performance={enhancedPerformance}
-                    showDate={false}
-                    context="artist"
-                  />
-                ) : (
-                  <PerformanceCard
-                    key={performance.id}
-                    performance={enhancedPerformance}
-                    showDate={false}
-                  />
+                return (
+                  <Fragment key={performance.id}>
+                    {renderWalk(datePerformances[index - 1], performance)}
+                    {useArtistCard ? (
+                      <PerformanceCard
+                        performance={enhancedPerformance}
+                        showDate={false}
+                        context="artist"
+                      />
+                    ) : (
+                      <PerformanceCard performance={enhancedPerformance} showDate={false} />
+                    )}
+                  </Fragment>
                 );
               })}
             </div>
@@ -150,7 +172,7 @@ const PerformanceList = ({
   // Simple list without date grouping
   return (
     <div className={`space-y-md ${className}`}>
-      {performances.map(performance => {
+      {performances.map((performance, index) => {
         // Add debugging to see what we're passing to the PerformanceCard
         console.log('PerformanceList rendering (non-grouped):', {
           performanceId: performance.id,
@@ -175,15 +197,15 @@ const PerformanceList = ({
           },
         };
 
-        return useArtistCard ? (
-          <PerformanceCard
-            key={performance.id}
-            performance={enhancedPerformance}
-            showDate={true}
-            context="artist"
-          />
-        ) : (
-          <PerformanceCard key={performance.id} performance={enhancedPerformance} showDate={true} />
+        return (
+          <Fragment key={performance.id}>
+            {renderWalk(performances[index - 1], performance)}
+            {useArtistCard ? (
+              <PerformanceCard performance={enhancedPerformance} showDate={true} context="artist" />
+            ) : (
+              <PerformanceCard performance={enhancedPerformance} showDate={true} />
+            )}
+          </Fragment>
         );
       })}
 
@@ -257,6 +279,7 @@ PerformanceList.propTypes = {
   className: PropTypes.string,
   emptyMessage: PropTypes.string,
   useArtistCard: PropTypes.bool,
+  showWalkingTimes: PropTypes.bool,
 };
 
 export default PerformanceList;
@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from '../../context/AuthContext';
+import auditService from '../../services/auditService';
+import { getChangeDiff } from '../../utils/stagingUtils';
+import { formatParkDateTime } from '../../utils/dateUtils';
+import { PERMISSIONS } from '../../utils/permissions';
+import Badge from '../atoms/Badge';
+import Button from '../atoms/Button';
+import Card from '../atoms/Card';
+import Spinner from '../atoms/Spinner';
+import Typography from '../atoms/Typography';
+
+const PAGE_SIZE = 20;
+
+// Badge variant and label for each audited action
+const ACTION_BADGES = {
+  insert: { variant: 'success', label: 'Created' },
+  update: { variant: 'warning', label: 'Updated' },
+  delete: { variant: 'error', label: 'Deleted' },
+};
+
+/**
+ * Format a recorded value for display
+ */
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field.endsWith('_time')) return formatParkDateTime(value, 'EEE MMM d, h:mm a');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * RecordHistory component
+ * Audit trail of an admin-managed record, with one-click restore of an earlier version
+ * for super-admins
+ */
+const RecordHistory = ({ tableName, recordId, onRestored }) => {
+  const { can } = useAuth();
+  const canRestore = can(PERMISSIONS.MANAGE_SITE);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(
+    async (offset = 0) => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const { data, pagination } = await auditService.getHistory(tableName, recordId, {
+          limit: PAGE_SIZE,
+          offset,
+        });
+
+        setEntries(current => (offset ? [...current, ...data] : data));
+        setTotal(pagination.total || 0);
+      } catch (error) {
+        console.error('Error fetching record history:', error.message);
+        setError('Failed to load history. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    },
+    [tableName, recordId]
+  );
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleRestore = async entry => {
+    if (!window.confirm('Restore this version? Current values will be replaced.')) return;
+
+    try {
+      setRestoringId(entry.id);
+      setError(null);
+
+      await auditService.restoreVersion(entry.id);
+      await fetchHistory();
+      if (onRestored) onRestored();
+    } catch (error) {
+      console.error('Error restoring version:', error.message);
+      setError(`Failed to restore this version: ${error.message}`);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (loading && !entries.length) {
+    return (
+      <div className="flex justify-center my-12">
+        <Spinner size="lg" color="primary" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 pb-24">
+      {error && (
+        <Card className="bg-error-light p-4">
+          <Typography variant="body1">{error}</Typography>
+        </Card>
+      )}
+
+      {!entries.length && !error && (
+        <Card className="p-6 text-center">
+          <Typography variant="body1">No changes have been recorded yet.</Typography>
+        </Card>
+      )}
+
+      {entries.map((entry, index) => {
+        const badge = ACTION_BADGES[entry.action];
+        const changes = getChangeDiff(
+          { action: entry.action, proposed: entry.new_data },
+          entry.old_data
+        );
+        const isCurrent = index === 0 && entry.action !== 'delete';
+
+        return (
+          <div
+            key={entry.id}
+            className="p-3 rounded bg-neutral-800 border border-white border-opacity-10"
+          >
+            <div className="flex items-start justify-between gap-2">
+              <div className="min-w-0">
+                <Typography variant="body1" className="font-semibold truncate">
+                  {entry.actor?.display_name || entry.actor?.email || 'System'}
+                </Typography>
+                <Typography variant="body2" color="medium-gray">
+                  {formatParkDateTime(entry.created_at, 'EEE MMM d, yyyy h:mm a')}
+                </Typography>
+              </div>
+              <Badge variant={badge.variant} size="sm" text={isCurrent ? 'Current' : badge.label} />
+            </div>
+
+            {changes.map(({ field, from, to }) => (
+              <Typography
+                key={field}
+                variant="caption"
+                color="medium-gray"
+                className="block mt-1 break-words"
+              >
+                {field}: {formatValue(field, from)} → {formatValue(field, to)}
+              </Typography>
+            ))}
+
+            {canRestore && !isCurrent && (
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handleRestore(entry)}
+                disabled={Boolean(restoringId)}
+                className="mt-3"
+              >
+                {restoringId === entry.id
+                  ? 'Restoring...'
+                  : entry.action === 'delete'
+                  ? 'Restore Deleted Record'
+                  : 'Restore This Version'}
+              </Button>
+            )}
+          </div>
+        );
+      })}
+
+      {entries.length < total && (
+        <Button
+          variant="ghost"
+          onClick={() => fetchHistory(entries.length)}
+          disabled={loading}
+          fullWidth
+        >
+          {loading ? 'Loading...' : 'Show Older Changes'}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+RecordHistory.propTypes = {
+  /**
+   * Table the record belongs to (artists, venues, festivals or concerts)
+   */
+  tableName: PropTypes.string.isRequired,
+  /**
+   * Record ID
+   */
+  recordId: PropTypes.string.isRequired,
+  /**
+   * Called after a version is restored, so the page can reload the record
+   */
+  onRestored: PropTypes.func,
+};
+
+export default RecordHistory;
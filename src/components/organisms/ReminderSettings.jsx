@@ -0,0 +1,155 @@
+import PropTypes from 'prop-types';
+import BrandHeading from '../atoms/BrandHeading';
+import Card from '../atoms/Card';
+import Typography from '../atoms/Typography';
+import AlertMessage from '../molecules/AlertMessage';
+import useReminderPreferences from '../../hooks/useReminderPreferences';
+import { REMINDER_LEAD_MINUTES } from '../../services/reminderService';
+
+const inputClasses =
+  'px-sm py-xs bg-white bg-opacity-10 border border-white border-opacity-10 rounded focus:ring-2 focus:ring-sunset-orange focus:border-sunset-orange min-h-touch text-white font-manrope';
+
+/**
+ * Labelled on/off switch row
+ */
+const ToggleRow = ({ id, label, description, checked, disabled, onChange }) => (
+  <label htmlFor={id} className="flex items-start justify-between py-sm cursor-pointer">
+    <div className="pr-md">
+      <span className="block font-manrope text-white text-sm font-medium">{label}</span>
+      {description && (
+        <span className="block font-manrope text-white text-opacity-70 text-xs">{description}</span>
+      )}
+    </div>
+    <input
+      id={id}
+      type="checkbox"
+      checked={checked}
+      disabled={disabled}
+      onChange={e => onChange(e.target.checked)}
+      className="mt-xxs h-5 w-5 flex-shrink-0 accent-sunset-orange"
+    />
+  </label>
+);
+
+ToggleRow.propTypes = {
+  id: PropTypes.string.isRequired,
+  label: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  checked: PropTypes.bool.isRequired,
+  disabled: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * ReminderSettings component
+ * Lets users opt in to push and email reminders for their favorited concerts and artists
+ */
+const ReminderSettings = ({ className = '' }) => {
+  const { preferences, loading, saving, error, pushSupported, updatePreferences } =
+    useReminderPreferences();
+
+  const disabled = loading || saving;
+  const remindersOn = preferences.push_enabled || preferences.email_enabled;
+
+  return (
+    <Card className={className}>
+      <BrandHeading level={4} className="mb-xs">
+        Reminders
+      </BrandHeading>
+      <p className="font-manrope text-white text-opacity-70 text-sm mb-sm">
+        Get a heads-up before your favorite concerts and artists take the stage.
+      </p>
+
+      {error && <AlertMessage type="error" message={error} className="mb-sm" />}
+
+      <div className="divide-y divide-white divide-opacity-10">
+        <ToggleRow
+          id="reminder-push"
+          label="Push notifications"
+          description={pushSupported ? null : 'Not available in this browser'}
+          checked={preferences.push_enabled}
+          disabled={disabled || (!pushSupported && !preferences.push_enabled)}
+          onChange={checked => updatePreferences({ push_enabled: checked })}
+        />
+        <ToggleRow
+          id="reminder-email"
+          label="Email"
+          checked={preferences.email_enabled}
+          disabled={disabled}
+          onChange={checked => updatePreferences({ email_enabled: checked })}
+        />
+
+        {remindersOn && (
+          <>
+            <div className="flex items-center justify-between py-sm">
+              <label htmlFor="reminder-lead" className="font-manrope text-white text-sm">
+                Remind me before a concert
+              </label>
+              <select
+                id="reminder-lead"
+                value={preferences.concert_lead_minutes}
+                disabled={disabled}
+                onChange={e => updatePreferences({ concert_lead_minutes: Number(e.target.value) })}
+                className={inputClasses}
+              >
+                {REMINDER_LEAD_MINUTES.map(minutes => (
+                  <option key={minutes} value={minutes}>
+                    {minutes < 60 ? `${minutes} min` : `${minutes / 60} hr`}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <ToggleRow
+              id="reminder-festival-morning"
+              label="Festival day summary"
+              description="A morning list of your favorited sets on festival days"
+              checked={preferences.festival_morning_enabled}
+              disabled={disabled}
+              onChange={checked => updatePreferences({ festival_morning_enabled: checked })}
+            />
+
+            {preferences.festival_morning_enabled && (
+              <div className="flex items-center justify-between py-sm">
+                <label htmlFor="reminder-morning-time" className="font-manrope text-white text-sm">
+                  Send summary at
+                </label>
+                <input
+                  id="reminder-morning-time"
+                  type="time"
+                  value={preferences.festival_morning_time}
+                  disabled={disabled}
+                  onChange={e =>
+                    e.target.value && updatePreferences({ festival_morning_time: e.target.value })
+                  }
+                  className={inputClasses}
+                />
+              </div>
+            )}
+          </>
+        )}
+
+        <ToggleRow
+          id="reminder-artist-alerts"
+          label="New shows by favorite artists"
+          description="Email me when a favorited artist adds shows"
+          checked={preferences.artist_alert_email}
+          disabled={disabled}
+          onChange={checked => updatePreferences({ artist_alert_email: checked })}
+        />
+      </div>
+
+      {remindersOn && (
+        <Typography variant="caption" color="light-gray" className="block mt-xs">
+          Times are Walt Disney World park time.
+        </Typography>
+      )}
+    </Card>
+  );
+};
+
+ReminderSettings.propTypes = {
+  className: PropTypes.string,
+};
+
+export default ReminderSettings;
@@ -0,0 +1,310 @@
+import { Fragment, useState, useEffect, useMemo, useRef, useId } from 'react';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import searchService, { createSuggestionFetcher } from '../../services/searchService';
+import {
+  getRecentSearches,
+  addRecentSearch,
+  clearRecentSearches,
+} from '../../utils/recentSearches';
+import SearchInput from '../molecules/SearchInput';
+import ImageThumbnail from '../molecules/ImageThumbnail';
+import Icon from '../atoms/Icon';
+import Typography from '../atoms/Typography';
+
+// Label and fallback icon for each kind of suggestion
+const SUGGESTION_TYPES = {
+  artists: { label: 'Artist', icon: 'music' },
+  festivals: { label: 'Festival', icon: 'calendar' },
+  venues: { label: 'Venue', icon: 'map-pin' },
+};
+
+// Typed text needed before entity suggestions replace recent and trending searches
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * SearchAutocomplete component
+ *
+ * SearchInput with a typeahead dropdown
+ *
+ * - An empty box lists the user's recent searches and trending searches
+ * - Typing suggests matching artists, festivals and venues, which open their page
+ * - Arrow keys move through the list, Enter picks, Escape closes
+ */
+const SearchAutocomplete = ({
+  value,
+  onChange,
+  onSubmit,
+  onClear,
+  placeholder,
+  darkMode = false,
+  className = '',
+}) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const userId = user?.id;
+  const listId = useId();
+
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [suggestions, setSuggestions] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const [trending, setTrending] = useState(null);
+
+  // SearchInput also submits and clears on key up; skip that when the key
+  // down already picked an item or closed the list
+  const handledKeyRef = useRef(null);
+
+  const fetchSuggestions = useMemo(() => createSuggestionFetcher(), []);
+  useEffect(() => fetchSuggestions.cancel, [fetchSuggestions]);
+
+  const trimmedValue = value.trim();
+  const typing = trimmedValue.length >= MIN_QUERY_LENGTH;
+
+  useEffect(() => {
+    if (!open || !typing) {
+      fetchSuggestions.cancel();
+      setSuggestions([]);
+      return;
+    }
+
+    fetchSuggestions(trimmedValue).then(results => {
+      if (results) setSuggestions(results);
+    });
+  }, [open, typing, trimmedValue, fetchSuggestions]);
+
+  // Trending searches change slowly; load them the first time the list opens
+  useEffect(() => {
+    if (!open || trending) return;
+
+    searchService.getTrendingSearches().then(setTrending);
+  }, [open, trending]);
+
+  const items = typing
+    ? suggestions.map(suggestion => ({ kind: 'entity', ...suggestion }))
+    : [
+        ...recent.map(query => ({ kind: 'recent', query })),
+        ...(trending || [])
+          .filter(({ query }) => !recent.some(r => r.toLowerCase() === query.toLowerCase()))
+          .map(({ query }) => ({ kind: 'trending', query })),
+      ];
+  const showList = open && items.length > 0;
+
+  const close = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleFocus = () => {
+    setRecent(getRecentSearches(userId));
+    setOpen(true);
+  };
+
+  const handleChange = e => {
+    setOpen(true);
+    setActiveIndex(-1);
+    onChange(e);
+  };
+
+  const submitQuery = query => {
+    setRecent(addRecentSearch(query, userId));
+    close();
+    if (onSubmit) onSubmit(query);
+  };
+
+  const handleSubmit = query => {
+    if (handledKeyRef.current === 'Enter') {
+      handledKeyRef.current = null;
+      return;
+    }
+    if (query.trim()) submitQuery(query);
+  };
+
+  const handleClear = () => {
+    if (handledKeyRef.current === 'Escape') {
+      handledKeyRef.current = null;
+      return;
+    }
+    if (onClear) onClear();
+    else onChange({ target: { value: '' } });
+  };
+
+  const selectItem = item => {
+    if (item.kind === 'entity') {
+      close();
+      navigate(`/${item.entity_type}/${item.id}`);
+      return;
+    }
+
+    onChange({ target: { value: item.query } });
+    submitQuery(item.query);
+  };
+
+  const handleClearRecent = () => {
+    clearRecentSearches(userId);
+    setRecent([]);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = e => {
+    handledKeyRef.current = null;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        return;
+      }
+      if (items.length === 0) return;
+
+      setActiveIndex(current =>
+        e.key === 'ArrowDown'
+          ? (current + 1) % items.length
+          : (current <= 0 ? items.length : current) - 1
+      );
+    } else if (e.key === 'Enter' && showList && activeIndex >= 0) {
+      // Stops the form submitting the half-typed text
+      e.preventDefault();
+      handledKeyRef.current = 'Enter';
+      selectItem(items[activeIndex]);
+    } else if (e.key === 'Escape' && showList) {
+      e.preventDefault();
+      handledKeyRef.current = 'Escape';
+      close();
+    }
+  };
+
+  const optionId = index => `${listId}-option-${index}`;
+
+  const renderItem = (item, index) => {
+    const active = index === activeIndex;
+    const type = SUGGESTION_TYPES[item.entity_type];
+
+    return (
+      <li
+        id={optionId(index)}
+        role="option"
+        aria-selected={active}
+        // Keeps focus in the input so the list doesn't close before the click lands
+        onMouseDown={e => e.preventDefault()}
+        onClick={() => selectItem(item)}
+        onMouseEnter={() => setActiveIndex(index)}
+        className={`flex items-center gap-sm min-h-touch px-md py-xxs cursor-pointer ${
+          active ? 'bg-white bg-opacity-10' : ''
+        }`}
+      >
+        {item.kind === 'entity' ? (
+          <>
+            <div className="w-10 flex-shrink-0">
+              {item.image_url ? (
+                <ImageThumbnail
+                  src={item.image_url}
+                  alt=""
+                  rounded={item.entity_type === 'artists' ? 'full' : 'sm'}
+                />
+              ) : (
+                <div className="w-10 h-10 flex items-center justify-center rounded-sm bg-white bg-opacity-5">
+                  <Icon name={type?.icon || 'search'} size="sm" color="medium-gray" />
+                </div>
+              )}
+            </div>
+            <div className="flex-1 min-w-0">
+              <Typography variant="body1" className="truncate">
+                {item.name}
+              </Typography>
+              <Typography variant="caption" color="medium-gray">
+                {type?.label}
+              </Typography>
+            </div>
+          </>
+        ) : (
+          <>
+            <Icon name={item.kind === 'recent' ? 'clock' : 'star'} size="sm" color="medium-gray" />
+            <Typography variant="body1" className="flex-1 truncate">
+              {item.query}
+            </Typography>
+          </>
+        )}
+      </li>
+    );
+  };
+
+  const recentCount = typing ? 0 : recent.length;
+
+  return (
+    <div className={`relative ${className}`}>
+      <SearchInput
+        value={value}
+        onChange={handleChange}
+        onSubmit={handleSubmit}
+        onClear={handleClear}
+        placeholder={placeholder}
+        darkMode={darkMode}
+        inputProps={{
+          role: 'combobox',
+          'aria-expanded': showList,
+          'aria-controls': listId,
+          'aria-autocomplete': 'list',
+          'aria-activedescendant': showList && activeIndex >= 0 ? optionId(activeIndex) : undefined,
+          onFocus: handleFocus,
+          onBlur: close,
+          onKeyDown: handleKeyDown,
+        }}
+      />
+
+      {showList && (
+        <div className="absolute left-0 right-0 mt-xxs z-20 max-h-96 overflow-y-auto rounded bg-background border border-white border-opacity-10 shadow-lg text-white">
+          {recentCount > 0 && (
+            <div className="flex items-center justify-between px-md pt-xs">
+              <Typography variant="caption" color="medium-gray">
+                Recent searches
+              </Typography>
+              <button
+                type="button"
+                onMouseDown={e => e.preventDefault()}
+                onClick={handleClearRecent}
+                className="min-h-touch px-xs text-sm text-primary hover:underline"
+              >
+                Clear
+              </button>
+            </div>
+          )}
+
+          <ul id={listId} role="listbox" aria-label="Search suggestions" className="py-xxs">
+            {items.map((item, index) => (
+              <Fragment
+                key={
+                  item.kind === 'entity'
+                    ? `${item.entity_type}-${item.id}`
+                    : `${item.kind}-${item.query}`
+                }
+              >
+                {!typing && index === recentCount && (
+                  <li role="presentation" className="px-md pt-xs">
+                    <Typography variant="caption" color="medium-gray">
+                      Trending searches
+                    </Typography>
+                  </li>
+                )}
+                {renderItem(item, index)}
+              </Fragment>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SearchAutocomplete.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func,
+  onClear: PropTypes.func,
+  placeholder: PropTypes.string,
+  darkMode: PropTypes.bool,
+  className: PropTypes.string,
+};
+
+export default SearchAutocomplete;
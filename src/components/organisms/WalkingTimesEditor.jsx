@@ -0,0 +1,217 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import venueService from '../../services/venueService';
+import {
+  estimateWalkFromCoordinates,
+  getRecordedWalkMinutes,
+  indexWalkingTimes,
+} from '../../utils/walkingUtils';
+import Button from '../atoms/Button';
+import Card from '../atoms/Card';
+import Input from '../atoms/Input';
+import Spinner from '../atoms/Spinner';
+import Typography from '../atoms/Typography';
+
+// Bounds enforced by the venue_walking_times table
+const MIN_WALK_MINUTES = 1;
+const MAX_WALK_MINUTES = 120;
+
+/**
+ * Check whether two venue_walking_times rows are for the same pair of venues
+ */
+const isSamePair = (a, b) => a.from_venue_id === b.from_venue_id && a.to_venue_id === b.to_venue_id;
+
+/**
+ * Drop the unsaved value typed for a venue
+ */
+const omitDraft = (drafts, venueId) => {
+  const next = { ...drafts };
+  delete next[venueId];
+  return next;
+};
+
+/**
+ * WalkingTimesEditor component
+ * Walking times from a venue to the other venues in its park. Each starts as an
+ * estimate from coordinates; an admin can record the real walk to replace it.
+ */
+const WalkingTimesEditor = ({ venueId, parkId }) => {
+  const [venues, setVenues] = useState([]);
+  const [walkingTimeRows, setWalkingTimeRows] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchWalkingTimes = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [parkVenues, rows] = await Promise.all([
+        venueService.getVenuesByPark(parkId),
+        venueService.getWalkingTimes(),
+      ]);
+
+      setVenues(parkVenues || []);
+      setWalkingTimeRows(rows || []);
+      setDrafts({});
+    } catch (error) {
+      console.error('Error fetching walking times:', error.message);
+      setError('Failed to load walking times. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [parkId]);
+
+  useEffect(() => {
+    fetchWalkingTimes();
+  }, [fetchWalkingTimes]);
+
+  const walkingTimes = useMemo(() => indexWalkingTimes(walkingTimeRows), [walkingTimeRows]);
+  const venue = venues.find(({ id }) => id === venueId);
+  const otherVenues = venues.filter(({ id }) => id !== venueId);
+
+  const handleSave = async otherVenueId => {
+    const minutes = Number(drafts[otherVenueId]);
+    if (!Number.isInteger(minutes) || minutes < MIN_WALK_MINUTES || minutes > MAX_WALK_MINUTES) {
+      setError(
+        `Walking time must be a whole number of minutes between ${MIN_WALK_MINUTES} and ${MAX_WALK_MINUTES}`
+      );
+      return;
+    }
+
+    try {
+      setSavingId(otherVenueId);
+      setError(null);
+
+      const saved = await venueService.setWalkingTime(venueId, otherVenueId, minutes);
+      setWalkingTimeRows(current => [...current.filter(row => !isSamePair(row, saved)), saved]);
+      setDrafts(current => omitDraft(current, otherVenueId));
+    } catch (error) {
+      console.error('Error saving walking time:', error.message);
+      setError(`Failed to save walking time: ${error.message}`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleClear = async otherVenueId => {
+    try {
+      setSavingId(otherVenueId);
+      setError(null);
+
+      await venueService.clearWalkingTime(venueId, otherVenueId);
+      const [from_venue_id, to_venue_id] = [venueId, otherVenueId].sort();
+      setWalkingTimeRows(current =>
+        current.filter(row => !isSamePair(row, { from_venue_id, to_venue_id }))
+      );
+      setDrafts(current => omitDraft(current, otherVenueId));
+    } catch (error) {
+      console.error('Error clearing walking time:', error.message);
+      setError(`Failed to clear walking time: ${error.message}`);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center my-12">
+        <Spinner size="lg" color="primary" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 pb-24">
+      {error && (
+        <Card className="bg-error-light p-4">
+          <Typography variant="body1">{error}</Typography>
+        </Card>
+      )}
+
+      {!otherVenues.length && !error && (
+        <Card className="p-6 text-center">
+          <Typography variant="body1">There are no other venues in this park.</Typography>
+        </Card>
+      )}
+
+      {otherVenues.map(otherVenue => {
+        const recorded = getRecordedWalkMinutes(walkingTimes, venueId, otherVenue.id);
+        const estimate = estimateWalkFromCoordinates(venue, otherVenue);
+        const draft = drafts[otherVenue.id];
+        const isSaving = savingId === otherVenue.id;
+
+        return (
+          <div
+            key={otherVenue.id}
+            className="p-3 rounded bg-neutral-800 border border-white border-opacity-10"
+          >
+            <Typography variant="body1" className="font-semibold truncate">
+              {otherVenue.name}
+            </Typography>
+            <Typography variant="body2" color="medium-gray">
+              {recorded !== undefined
+                ? `Recorded: ${recorded} min walk`
+                : estimate !== null
+                ? `Estimated from coordinates: ${estimate} min walk`
+                : 'No estimate: add coordinates to both venues or record the walk'}
+            </Typography>
+
+            <div className="flex items-center gap-2 mt-3">
+              <label htmlFor={`walk-${otherVenue.id}`} className="sr-only">
+                Minutes to walk to {otherVenue.name}
+              </label>
+              <Input
+                type="number"
+                id={`walk-${otherVenue.id}`}
+                name={`walk-${otherVenue.id}`}
+                value={draft ?? (recorded !== undefined ? String(recorded) : '')}
+                placeholder={estimate !== null ? String(estimate) : 'Minutes'}
+                min={MIN_WALK_MINUTES}
+                max={MAX_WALK_MINUTES}
+                onChange={e =>
+                  setDrafts(current => ({ ...current, [otherVenue.id]: e.target.value }))
+                }
+                fullWidth={false}
+                className="w-24 bg-white text-black"
+              />
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handleSave(otherVenue.id)}
+                disabled={Boolean(savingId) || !draft}
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </Button>
+              {recorded !== undefined && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleClear(otherVenue.id)}
+                  disabled={Boolean(savingId)}
+                >
+                  Use Estimate
+                </Button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+WalkingTimesEditor.propTypes = {
+  /**
+   * Venue the walking times start from
+   */
+  venueId: PropTypes.string.isRequired,
+  /**
+   * Park the venue is in; walking times are listed to the park's other venues
+   */
+  parkId: PropTypes.string.isRequired,
+};
+
+export default WalkingTimesEditor;
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { useAuth } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
 import Typography from '../atoms/Typography';
 import IconButton from '../atoms/IconButton';
 import Button from '../atoms/Button';
@@ -18,7 +19,7 @@ import Button from '../atoms/Button';
  */
 const AdminLayout = ({ children, title }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { logout } = useAuth();
+  const { logout, can } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -31,14 +32,22 @@ const AdminLayout = ({ children, title }) => {
     }
   };
 
-  // Navigation items for admin section
+  // Navigation items for admin section, limited to what the user's roles allow
   const navItems = [
     { label: 'Dashboard', path: '/admin/dashboard', icon: '📊' },
     { label: 'Concerts', path: '/admin/concerts', icon: '🎵' },
     { label: 'Artists', path: '/admin/artists', icon: '🎤' },
+    {
+      label: 'Review Queue',
+      path: '/admin/review',
+      icon: '📝',
+      permission: PERMISSIONS.MANAGE_SITE,
+    },
     { label: 'Venues', path: '/admin/venues', icon: '🏟️' },
     { label: 'Festivals', path: '/admin/festivals', icon: '🎪' },
-  ];
+    { label: 'Trash', path: '/admin/trash', icon: '🗑️', permission: PERMISSIONS.MANAGE_SITE },
+    { label: 'Users', path: '/admin/users', icon: '👥', permission: PERMISSIONS.MANAGE_SITE },
+  ].filter(item => can(item.permission || PERMISSIONS.VIEW_ADMIN));
 
   // Determine if a nav item is active
   const isActive = path => {
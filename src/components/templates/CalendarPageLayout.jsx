@@ -4,7 +4,7 @@ import PageLayout from './PageLayout';
 import Calendar from '../organisms/Calendar';
 import Typography from '../atoms/Typography';
 import IconButton from '../atoms/IconButton';
-import { formatDate } from '../../utils/dateUtils';
+import { formatDate, toParkDateTime } from '../../utils/dateUtils';
 
 /**
  * CalendarPageLayout component for date-based views
@@ -25,9 +25,9 @@ const CalendarPageLayout = ({
   const [selectedDate, setSelectedDate] = useState(initialDate);
   const [showCalendar, setShowCalendar] = useState(true);
   // eslint-disable-next-line no-unused-vars
-  const [currentMonth, setCurrentMonth] = useState(initialDate.getMonth());
+  const [currentMonth, setCurrentMonth] = useState(() => toParkDateTime(initialDate).month - 1);
   // eslint-disable-next-line no-unused-vars
-  const [currentYear, setCurrentYear] = useState(initialDate.getFullYear());
+  const [currentYear, setCurrentYear] = useState(() => toParkDateTime(initialDate).year);
 
   // Handle date selection
   const handleDateSelect = date => {
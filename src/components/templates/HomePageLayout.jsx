@@ -4,7 +4,7 @@ import { useNavigate } from 'react-router-dom';
 import PageLayout from './PageLayout';
 import Typography from '../atoms/Typography';
 import BrandHeading from '../atoms/BrandHeading';
-import SearchInput from '../molecules/SearchInput';
+import SearchAutocomplete from '../organisms/SearchAutocomplete';
 
 /**
  * HomePageLayout component with the new EncoreLando branding
@@ -36,10 +36,10 @@ const HomePageLayout = ({ sections = [], className = '' }) => {
         {/* Search input with updated styling for dark theme */}
         <div className="absolute left-0 right-0 bottom-0 transform translate-y-1/2 px-md">
           <div className="sticky top-0 bg-background z-10 shadow-md border-b border-white border-opacity-10">
-            <SearchInput
+            <SearchAutocomplete
               value={searchValue}
               onChange={handleSearchChange}
-              onSubmit={() => handleSearch(searchValue)}
+              onSubmit={handleSearch}
               onClear={handleClear}
               placeholder="Search concerts, artists, venues..."
               darkMode
@@ -1,7 +1,7 @@
 import { useState } from 'react';
 import PropTypes from 'prop-types';
 import PageLayout from './PageLayout';
-import SearchInput from '../molecules/SearchInput';
+import SearchAutocomplete from '../organisms/SearchAutocomplete';
 import IconButton from '../atoms/IconButton';
 import Typography from '../atoms/Typography';
 
@@ -26,9 +26,9 @@ const SearchPageLayout = ({
   };
 
   // Handle search submission
-  const handleSearchSubmit = () => {
+  const handleSearchSubmit = query => {
     if (onSearch) {
-      onSearch(searchValue);
+      onSearch(query);
     }
   };
 
@@ -47,7 +47,7 @@ const SearchPageLayout = ({
         <div className="p-md">
           <div className="flex items-center">
             <div className="flex-1">
-              <SearchInput
+              <SearchAutocomplete
                 value={searchValue}
                 onChange={handleSearchChange}
                 onSubmit={handleSearchSubmit}
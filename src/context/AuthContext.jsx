@@ -2,6 +2,7 @@ import { createContext, useContext, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import apiClient from '../services/apiClient';
 import { getToken, storeToken, getUser, storeUser, clearAuthData } from '../utils/tokenStorage';
+import { hasPermission } from '../utils/permissions';
 
 /**
  * Authentication Context for EncoreLando
@@ -265,6 +266,9 @@ export const AuthProvider = ({ children }) => {
     return userProfile.roles.includes(role);
   };
 
+  // Check if the user's admin roles grant a permission from utils/permissions
+  const can = permission => Boolean(user) && hasPermission(userProfile, permission);
+
   // Provide auth context value
   const value = {
     user,
@@ -276,6 +280,7 @@ export const AuthProvider = ({ children }) => {
     logout,
     isAdmin,
     hasRole,
+    can,
     updateProfile,
   };
 
@@ -1,6 +1,14 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import supabase from '../services/supabase';
+import {
+  cachedRequest,
+  isNetworkError,
+  queueFavoriteToggle,
+  getQueuedFavoriteToggles,
+  removeQueuedFavoriteToggle,
+  applyQueuedFavoriteToggles,
+} from '../services/offlineCache';
 import { useAuth } from './AuthContext';
 
 /**
@@ -15,6 +23,8 @@ import { useAuth } from './AuthContext';
  * - Batch operations where possible
  * - Local state management for immediate UI feedback
  * - Efficient data fetching patterns
+ * - Favorites are cached for offline use, and toggles made without a
+ *   connection are queued and replayed when it returns
  */
 
 // Create the context
@@ -66,27 +76,34 @@ export const FavoritesProvider = ({ children }) => {
       setLoading(true);
       setError(null);
 
-      // Fetch all types of favorites in parallel
-      const [concertsRes, artistsRes, venuesRes, festivalsRes] = await Promise.all([
-        supabase.from('favorites_concerts').select('concert_id').eq('user_id', user.id),
-        supabase.from('favorites_artists').select('artist_id').eq('user_id', user.id),
-        supabase.from('favorites_venues').select('venue_id').eq('user_id', user.id),
-        supabase.from('favorites_festivals').select('festival_id').eq('user_id', user.id),
-      ]);
+      // Fetch all types of favorites in parallel, falling back to the offline cache
+      const fetchedFavorites = await cachedRequest(`favorites:${user.id}`, async () => {
+        const [concertsRes, artistsRes, venuesRes, festivalsRes] = await Promise.all([
+          supabase.from('favorites_concerts').select('concert_id').eq('user_id', user.id),
+          supabase.from('favorites_artists').select('artist_id').eq('user_id', user.id),
+          supabase.from('favorites_venues').select('venue_id').eq('user_id', user.id),
+          supabase.from('favorites_festivals').select('festival_id').eq('user_id', user.id),
+        ]);
 
-      // Check for errors
-      if (concertsRes.error) throw concertsRes.error;
-      if (artistsRes.error) throw artistsRes.error;
-      if (venuesRes.error) throw venuesRes.error;
-      if (festivalsRes.error) throw festivalsRes.error;
+        // Check for errors
+        if (concertsRes.error) throw concertsRes.error;
+        if (artistsRes.error) throw artistsRes.error;
+        if (venuesRes.error) throw venuesRes.error;
+        if (festivalsRes.error) throw festivalsRes.error;
 
-      // Update favorites state
-      setFavorites({
-        [ENTITY_TYPES.CONCERT]: concertsRes.data.map(item => item.concert_id),
-        [ENTITY_TYPES.ARTIST]: artistsRes.data.map(item => item.artist_id),
-        [ENTITY_TYPES.VENUE]: venuesRes.data.map(item => item.venue_id),
-        [ENTITY_TYPES.FESTIVAL]: festivalsRes.data.map(item => item.festival_id),
+        return {
+          [ENTITY_TYPES.CONCERT]: concertsRes.data.map(item => item.concert_id),
+          [ENTITY_TYPES.ARTIST]: artistsRes.data.map(item => item.artist_id),
+          [ENTITY_TYPES.VENUE]: venuesRes.data.map(item => item.venue_id),
+          [ENTITY_TYPES.FESTIVAL]: festivalsRes.data.map(item => item.festival_id),
+        };
       });
+
+      // Keep toggles that haven't been synced yet
+      const queuedToggles = await getQueuedFavoriteToggles(user.id);
+
+      // Update favorites state
+      setFavorites(applyQueuedFavoriteToggles(fetchedFavorites, queuedToggles));
     } catch (error) {
       console.error('Error fetching favorites:', error.message);
       setError(error.message);
@@ -95,11 +112,71 @@ export const FavoritesProvider = ({ children }) => {
     }
   }, [user]);
 
+  // Write a favorite change to the database
+  const saveFavorite = useCallback(
+    async (entityType, entityId, action) => {
+      const tableName = `favorites_${entityType}`;
+      const idColumn = `${entityType.slice(0, -1)}_id`; // Remove 's' to get singular form
+
+      if (action === 'remove') {
+        // Remove from favorites
+        const { error } = await supabase
+          .from(tableName)
+          .delete()
+          .eq('user_id', user.id)
+          .eq(idColumn, entityId);
+
+        if (error) throw error;
+      } else {
+        // Add to favorites
+        const { error } = await supabase.from(tableName).insert({
+          user_id: user.id,
+          [idColumn]: entityId,
+        });
+
+        // Ignore duplicates, which happen when a queued add was already applied
+        if (error && error.code !== '23505') throw error;
+      }
+    },
+    [user]
+  );
+
+  // Replay favorite toggles that were queued while offline
+  const syncQueuedFavorites = useCallback(async () => {
+    if (!user) return;
+
+    const queuedToggles = await getQueuedFavoriteToggles(user.id);
+    if (!queuedToggles.length) return;
+
+    for (const toggle of queuedToggles) {
+      try {
+        await saveFavorite(toggle.entityType, toggle.entityId, toggle.action);
+        await removeQueuedFavoriteToggle(toggle.id);
+      } catch (error) {
+        // Still offline, so try again when the connection returns
+        if (isNetworkError(error)) return;
+
+        console.error(`Error syncing ${toggle.entityType} favorite:`, error.message);
+        await removeQueuedFavoriteToggle(toggle.id);
+      }
+    }
+
+    fetchFavorites();
+  }, [user, saveFavorite, fetchFavorites]);
+
   // Fetch favorites when user changes
   useEffect(() => {
     fetchFavorites();
   }, [fetchFavorites]);
 
+  // Sync queued toggles now and whenever the connection returns
+  useEffect(() => {
+    syncQueuedFavorites();
+
+    window.addEventListener('online', syncQueuedFavorites);
+    return () => window.removeEventListener('online', syncQueuedFavorites);
+  }, [syncQueuedFavorites]);
+
   // Check if an entity is favorited
   const isFavorite = useCallback(
     (entityType, entityId) => {
@@ -114,13 +191,12 @@ export const FavoritesProvider = ({ children }) => {
     async (entityType, entityId) => {
       if (!user) return { error: 'User not authenticated' };
 
+      // Check if already favorited
+      const isFav = isFavorite(entityType, entityId);
+      const action = isFav ? 'remove' : 'add';
+
       try {
         setError(null);
-        const tableName = `favorites_${entityType}`;
-        const idColumn = `${entityType.slice(0, -1)}_id`; // Remove 's' to get singular form
-
-        // Check if already favorited
-        const isFav = isFavorite(entityType, entityId);
 
         // Optimistically update UI
         setFavorites(prev => ({
@@ -131,27 +207,16 @@ export const FavoritesProvider = ({ children }) => {
         }));
 
         // Perform database operation
-        if (isFav) {
-          // Remove from favorites
-          const { error } = await supabase
-            .from(tableName)
-            .delete()
-            .eq('user_id', user.id)
-            .eq(idColumn, entityId);
-
-          if (error) throw error;
-        } else {
-          // Add to favorites
-          const { error } = await supabase.from(tableName).insert({
-            user_id: user.id,
-            [idColumn]: entityId,
-          });
-
-          if (error) throw error;
-        }
+        await saveFavorite(entityType, entityId, action);
 
         return { success: true };
       } catch (error) {
+        // Without a connection, keep the optimistic update and replay it later
+        if (isNetworkError(error)) {
+          await queueFavoriteToggle({ userId: user.id, entityType, entityId, action });
+          return { success: true, queued: true };
+        }
+
         console.error(`Error toggling ${entityType} favorite:`, error.message);
         setError(error.message);
 
@@ -160,7 +225,7 @@ export const FavoritesProvider = ({ children }) => {
         return { error: error.message };
       }
     },
-    [user, isFavorite, fetchFavorites]
+    [user, isFavorite, saveFavorite, fetchFavorites]
   );
 
   // Fetch detailed data for favorites
@@ -171,33 +236,38 @@ export const FavoritesProvider = ({ children }) => {
       try {
         setError(null);
 
-        // For concerts, join with artists table to get artist name
-        if (entityType === ENTITY_TYPES.CONCERT) {
-          const { data, error } = await supabase
-            .from(entityType)
-            .select(
+        const data = await cachedRequest(`favoriteItems:${user.id}:${entityType}`, async () => {
+          // For concerts, join with artists table to get artist name
+          if (entityType === ENTITY_TYPES.CONCERT) {
+            const { data, error } = await supabase
+              .from(entityType)
+              .select(
+                `
+                *,
+                artist:artist_id (
+                  id,
+                  name
+                )
               `
-              *,
-              artist:artist_id (
-                id,
-                name
               )
-            `
-            )
-            .in('id', favorites[entityType]);
-
-          if (error) throw error;
-          return data;
-        } else {
-          // For other entity types, use the regular query
-          const { data, error } = await supabase
-            .from(entityType)
-            .select('*')
-            .in('id', favorites[entityType]);
-
-          if (error) throw error;
-          return data;
-        }
+              .in('id', favorites[entityType]);
+
+            if (error) throw error;
+            return data;
+          } else {
+            // For other entity types, use the regular query
+            const { data, error } = await supabase
+              .from(entityType)
+              .select('*')
+              .in('id', favorites[entityType]);
+
+            if (error) throw error;
+            return data;
+          }
+        });
+
+        // Cached items may include favorites removed while offline
+        return data.filter(item => favorites[entityType].includes(item.id));
       } catch (error) {
         console.error(`Error fetching favorite ${entityType}:`, error.message);
         setError(error.message);
@@ -1,9 +1,13 @@
 import { renderHook, act } from '@testing-library/react';
 import useConcerts from '../useConcerts';
 import concertService from '../../services/concertService';
+import realtimeService from '../../services/realtimeService';
 
 // Mock the concert service
 jest.mock('../../services/concertService');
+jest.mock('../../services/realtimeService');
+// The real client needs Supabase credentials just to load
+jest.mock('../../services/supabase', () => ({}));
 
 describe('useConcerts', () => {
   // Reset mocks before each test
@@ -330,4 +334,83 @@ describe('useConcerts', () => {
     // Error state should be set
     expect(result.current.error).toBe(errorMessage);
   });
+
+  it('should mark loaded concerts that are moved or cancelled', async () => {
+    const unsubscribe = jest.fn();
+    realtimeService.subscribeToTable.mockReturnValue(unsubscribe);
+    concertService.getConcerts.mockResolvedValue({
+      data: [
+        { id: '1', start_time: '2025-05-01T20:00:00Z', end_time: '2025-05-01T21:00:00Z' },
+        { id: '2', start_time: '2025-05-01T22:00:00Z', end_time: '2025-05-01T23:00:00Z' },
+      ],
+      pagination: { total: 2, limit: 20, offset: 0 },
+    });
+
+    // Render the hook and wait for the initial load
+    const onScheduleChange = jest.fn();
+    const { result, unmount } = renderHook(() =>
+      useConcerts({}, { realtime: true, onChange: onScheduleChange })
+    );
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    });
+
+    expect(realtimeService.subscribeToTable).toHaveBeenCalledWith(
+      'concert_schedule_changes',
+      expect.any(Function)
+    );
+    const [, onChange] = realtimeService.subscribeToTable.mock.calls[0];
+
+    // An admin moves the first set and cancels the second
+    act(() => {
+      onChange({
+        eventType: 'INSERT',
+        new: {
+          concert_id: '1',
+          start_time: '2025-05-01T20:30:00Z',
+          end_time: '2025-05-01T21:30:00Z',
+          cancelled: false,
+        },
+      });
+      onChange({
+        eventType: 'INSERT',
+        new: {
+          concert_id: '2',
+          start_time: '2025-05-01T22:00:00Z',
+          end_time: '2025-05-01T23:00:00Z',
+          cancelled: true,
+        },
+      });
+    });
+
+    expect(result.current.concerts[0]).toMatchObject({
+      start_time: '2025-05-01T20:30:00Z',
+      schedule_change: 'time_changed',
+    });
+    expect(result.current.concerts[1].schedule_change).toBe('cancelled');
+
+    // Each change is handed on once, for lists the page fetched itself
+    expect(onScheduleChange).toHaveBeenCalledTimes(2);
+    expect(onScheduleChange).toHaveBeenLastCalledWith(
+      expect.objectContaining({ id: '2', removed: true })
+    );
+
+    // Unsubscribes when the component using the hook goes away
+    unmount();
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should not subscribe to realtime changes unless asked to', async () => {
+    concertService.getConcerts.mockResolvedValue({
+      data: [],
+      pagination: { total: 0, limit: 20, offset: 0 },
+    });
+
+    renderHook(() => useConcerts());
+    await act(async () => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    });
+
+    expect(realtimeService.subscribeToTable).not.toHaveBeenCalled();
+  });
 });
@@ -1,21 +1,32 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import concertService from '../services/concertService';
+import realtimeService from '../services/realtimeService';
+import { getScheduleChange, patchConcerts } from '../utils/realtimeUtils';
 
 /**
  * Custom hook for accessing concert data with mobile-optimized patterns
  * @param {Object} initialFilters - Initial filter values
+ * @param {Object} options - Hook options
+ * @param {boolean} options.realtime - Patch loaded concerts as admins edit them (default: false)
+ * @param {Function} options.onChange - Called with each change when realtime is on, to patch
+ * concerts a page fetched itself
  * @returns {Object} - Concert data and utility functions
  */
-const useConcerts = (initialFilters = {}) => {
+const useConcerts = (initialFilters = {}, { realtime = false, onChange } = {}) => {
+  // A limit among the filters sets the page size
+  const { limit: pageSize = 20, ...initialFilterValues } = initialFilters;
   const [concerts, setConcerts] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({
     total: 0,
-    limit: 20,
+    limit: pageSize,
     offset: 0,
   });
-  const [filters, setFilters] = useState(initialFilters);
+  const [filters, setFilters] = useState(initialFilterValues);
+  // Latest onChange, so a new callback each render doesn't resubscribe
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
 
   /**
    * Fetch concerts with current filters
@@ -42,7 +53,12 @@ const useConcerts = (initialFilters = {}) => {
         });
       }
 
-      setConcerts(data);
+      // Replace the list for the first page, append later pages
+      if (pagination.offset === 0) {
+        setConcerts(data);
+      } else {
+        setConcerts(prevConcerts => [...prevConcerts, ...data]);
+      }
       setPagination(paginationData);
     } catch (err) {
       setError(err.message || 'Failed to fetch concerts');
@@ -57,6 +73,21 @@ const useConcerts = (initialFilters = {}) => {
     fetchConcerts();
   }, [fetchConcerts]);
 
+  // Patch the loaded concerts in place when admins move or cancel a set
+  useEffect(() => {
+    if (!realtime) return undefined;
+
+    const unsubscribe = realtimeService.subscribeToTable('concert_schedule_changes', payload => {
+      const change = getScheduleChange(payload);
+      if (!change) return;
+
+      setConcerts(prev => patchConcerts(prev, change));
+      onChangeRef.current?.(change);
+    });
+
+    return unsubscribe;
+  }, [realtime]);
+
   /**
    * Update filters and reset pagination
    * @param {Object} newFilters - New filter values
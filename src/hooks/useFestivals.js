@@ -1,12 +1,18 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import festivalService from '../services/festivalService';
+import realtimeService from '../services/realtimeService';
+import { getRealtimeChange, patchRecords } from '../utils/realtimeUtils';
 
 /**
  * Custom hook for accessing festival data with mobile-optimized patterns
  * @param {Object} initialFilters - Initial filter values
+ * @param {Object} options - Hook options
+ * @param {boolean} options.realtime - Patch loaded festivals as admins edit them (default: false)
+ * @param {Function} options.onChange - Called with each change when realtime is on, to patch
+ * festivals a page fetched itself
  * @returns {Object} - Festival data and utility functions
  */
-const useFestivals = (initialFilters = {}) => {
+const useFestivals = (initialFilters = {}, { realtime = false, onChange } = {}) => {
   const [festivals, setFestivals] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -16,6 +22,9 @@ const useFestivals = (initialFilters = {}) => {
     offset: 0,
   });
   const [filters, setFilters] = useState(initialFilters);
+  // Latest onChange, so a new callback each render doesn't resubscribe
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
 
   /**
    * Fetch festivals with current filters
@@ -46,6 +55,21 @@ const useFestivals = (initialFilters = {}) => {
     fetchFestivals();
   }, [fetchFestivals]);
 
+  // Keep the loaded festivals current as admins edit them
+  useEffect(() => {
+    if (!realtime) return undefined;
+
+    const unsubscribe = realtimeService.subscribeToTable('festivals', payload => {
+      const change = getRealtimeChange(payload);
+      if (!change) return;
+
+      setFestivals(prev => patchRecords(prev, change));
+      onChangeRef.current?.(change);
+    });
+
+    return unsubscribe;
+  }, [realtime]);
+
   /**
    * Update filters and reset pagination
    * @param {Object} newFilters - New filter values
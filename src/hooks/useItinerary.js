@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import concertService from '../services/concertService';
+import { useFavorites } from '../context/FavoritesContext';
+import useWalkingTimes from './useWalkingTimes';
+import { buildItinerary } from '../utils/itineraryUtils';
+
+/**
+ * Custom hook for building a "My Day" itinerary from favorited concerts
+ * @param {string} date - ISO8601 date (YYYY-MM-DD)
+ * @returns {Object} - Itinerary data and utility functions
+ */
+const useItinerary = date => {
+  const { favorites, ENTITY_TYPES, loading: favoritesLoading } = useFavorites();
+  const [concerts, setConcerts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const walkingTimes = useWalkingTimes();
+
+  const favoriteConcertIds = favorites[ENTITY_TYPES.CONCERT];
+
+  /**
+   * Fetch the day's concerts and keep only the favorited ones
+   */
+  const fetchItinerary = useCallback(async () => {
+    if (!date || !favoriteConcertIds?.length) {
+      setConcerts([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await concertService.getConcertsByDate(date);
+      setConcerts(data.filter(concert => favoriteConcertIds.includes(concert.id)));
+    } catch (err) {
+      setError(err.message || `Failed to build itinerary for ${date}`);
+      console.error('Error in useItinerary hook:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [date, favoriteConcertIds]);
+
+  // Rebuild when the date or favorites change
+  useEffect(() => {
+    if (!favoritesLoading) {
+      fetchItinerary();
+    }
+  }, [fetchItinerary, favoritesLoading]);
+
+  const itinerary = useMemo(
+    () => buildItinerary(concerts, { walkingTimes }),
+    [concerts, walkingTimes]
+  );
+
+  /**
+   * Refresh itinerary data
+   */
+  const refresh = useCallback(() => {
+    fetchItinerary();
+  }, [fetchItinerary]);
+
+  return {
+    ...itinerary,
+    walkingTimes,
+    loading: loading || favoritesLoading,
+    error,
+    refresh,
+  };
+};
+
+export default useItinerary;
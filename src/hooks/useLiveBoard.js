@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import concertService from '../services/concertService';
+import parkService from '../services/parkService';
+import realtimeService from '../services/realtimeService';
+import { getLiveBoard } from '../utils/liveBoardUtils';
+import { getTodayDateString } from '../utils/dateUtils';
+
+// Countdowns are in minutes, so twice a minute keeps them accurate
+const TICK_MS = 30 * 1000;
+
+// Reload anyway in case a realtime change was missed (e.g. the phone lost signal)
+const REFRESH_MS = 5 * 60 * 1000;
+
+// An admin saving several sets at once sends a burst of changes; reload once for all
+const CHANGE_DEBOUNCE_MS = 1000;
+
+/**
+ * Attach a park to concerts fetched for it, which only include the venue
+ */
+const withPark = (concerts, park) =>
+  concerts.map(concert => ({ ...concert, venues: { ...concert.venues, parks: park } }));
+
+/**
+ * Custom hook for the "Happening now" live board
+ * Reloads when the schedule changes and every few minutes, and keeps countdowns current
+ * @param {string} parkId - Only show this park (optional)
+ * @returns {Object} - Board grouped by park, parks, current time and loading state
+ */
+const useLiveBoard = parkId => {
+  const [concerts, setConcerts] = useState([]);
+  const [parks, setParks] = useState([]);
+  const [now, setNow] = useState(() => new Date());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Ignores a slow reply for a park that is no longer selected
+  const requestRef = useRef(0);
+
+  /**
+   * Fetch today's sets, for in-progress ones, and each park's next sets, which can run
+   * past midnight
+   * @param {Object} options - Options
+   * @param {boolean} options.silent - Keep showing the current board while reloading
+   */
+  const fetchBoard = useCallback(
+    async ({ silent = false } = {}) => {
+      const request = ++requestRef.current;
+      if (!silent) setLoading(true);
+      setError(null);
+
+      try {
+        const { data: allParks } = await parkService.getParks({ limit: 50 });
+        const boardParks = parkId ? allParks.filter(park => park.id === parkId) : allParks;
+
+        const [todaysConcerts, ...upcomingByPark] = await Promise.all([
+          concertService.getConcertsByDate(getTodayDateString(), { parkId }),
+          ...boardParks.map(park => parkService.getUpcomingConcertsByPark(park.id)),
+        ]);
+
+        if (request !== requestRef.current) return;
+
+        setParks(allParks);
+        setConcerts([
+          ...(todaysConcerts || []),
+          ...upcomingByPark.flatMap((upcoming, index) => withPark(upcoming, boardParks[index])),
+        ]);
+        setNow(new Date());
+      } catch (err) {
+        if (request !== requestRef.current) return;
+        setError(err.message || 'Failed to load the live board');
+        console.error('Error in useLiveBoard hook:', err);
+      } finally {
+        if (request === requestRef.current) setLoading(false);
+      }
+    },
+    [parkId]
+  );
+
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard]);
+
+  // Schedule changes made by admins appear without a reload
+  // (cancellations come from the change log, as trashed concerts are hidden)
+  useEffect(() => {
+    let timer = null;
+    const handleChange = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => fetchBoard({ silent: true }), CHANGE_DEBOUNCE_MS);
+    };
+    const unsubscribers = ['concerts', 'concert_schedule_changes'].map(table =>
+      realtimeService.subscribeToTable(table, handleChange)
+    );
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, [fetchBoard]);
+
+  useEffect(() => {
+    const refreshTimer = setInterval(() => fetchBoard({ silent: true }), REFRESH_MS);
+    return () => clearInterval(refreshTimer);
+  }, [fetchBoard]);
+
+  useEffect(() => {
+    const tickTimer = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(tickTimer);
+  }, []);
+
+  const board = useMemo(() => getLiveBoard(concerts, now), [concerts, now]);
+
+  /**
+   * Refresh the board
+   */
+  const refresh = useCallback(() => {
+    fetchBoard();
+  }, [fetchBoard]);
+
+  return {
+    board,
+    parks,
+    now,
+    loading,
+    error,
+    refresh,
+  };
+};
+
+export default useLiveBoard;
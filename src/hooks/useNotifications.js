@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback } from 'react';
+import notificationService from '../services/notificationService';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Custom hook for the signed-in user's notification feed
+ * @param {Object} options - Options
+ * @param {number} options.limit - Number of notifications to load (default: 20)
+ * @returns {Object} - Notifications, unread count and read/unread actions
+ */
+const useNotifications = ({ limit = 20 } = {}) => {
+  const { user } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userId = user?.id;
+
+  /**
+   * Fetch the latest notifications and the unread count
+   */
+  const fetchNotifications = useCallback(async () => {
+    if (!userId) {
+      setNotifications([]);
+      setUnreadCount(0);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [{ data }, count] = await Promise.all([
+        notificationService.getNotifications(userId, { limit }),
+        notificationService.getUnreadCount(userId),
+      ]);
+      setNotifications(data);
+      setUnreadCount(count);
+    } catch (err) {
+      setError(err.message || 'Failed to load notifications');
+      console.error('Error in useNotifications hook:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, limit]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  /**
+   * Mark notifications as read or unread, updating local state optimistically
+   * @param {Array|null} ids - Notification IDs, or null for all
+   * @param {boolean} read - Read state to set
+   */
+  const setRead = useCallback(
+    async (ids, read) => {
+      if (!userId) return;
+
+      const affects = notification => !ids || ids.includes(notification.id);
+      const readAt = read ? new Date().toISOString() : null;
+      const changed = notifications.filter(
+        notification => affects(notification) && Boolean(notification.read_at) !== read
+      ).length;
+
+      setNotifications(current =>
+        current.map(notification =>
+          affects(notification) && Boolean(notification.read_at) !== read
+            ? { ...notification, read_at: readAt }
+            : notification
+        )
+      );
+      setUnreadCount(current => (ids ? Math.max(0, current + (read ? -changed : changed)) : 0));
+
+      try {
+        if (!ids) {
+          await notificationService.markAllAsRead(userId);
+        } else if (read) {
+          await notificationService.markAsRead(userId, ids);
+        } else {
+          await notificationService.markAsUnread(userId, ids);
+        }
+      } catch (err) {
+        console.error('Error updating notifications:', err);
+        fetchNotifications();
+      }
+    },
+    [userId, notifications, fetchNotifications]
+  );
+
+  const markAsRead = useCallback(ids => setRead(ids, true), [setRead]);
+  const markAsUnread = useCallback(ids => setRead(ids, false), [setRead]);
+  const markAllAsRead = useCallback(() => setRead(null, true), [setRead]);
+
+  return {
+    notifications,
+    unreadCount,
+    loading,
+    error,
+    markAsRead,
+    markAsUnread,
+    markAllAsRead,
+    refresh: fetchNotifications,
+  };
+};
+
+export default useNotifications;
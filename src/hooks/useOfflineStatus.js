@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import { getStaleSince, OFFLINE_CACHE_EVENT } from '../services/offlineCache';
+
+/**
+ * Custom hook for tracking connectivity and whether cached data is on screen
+ * @returns {Object} - isOnline flag and staleSince timestamp (ms) of the oldest cached data
+ */
+const useOfflineStatus = () => {
+  const [isOnline, setIsOnline] = useState(
+    typeof navigator === 'undefined' ? true : navigator.onLine
+  );
+  const [staleSince, setStaleSince] = useState(getStaleSince());
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    const handleCacheChange = () => setStaleSince(getStaleSince());
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(OFFLINE_CACHE_EVENT, handleCacheChange);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(OFFLINE_CACHE_EVENT, handleCacheChange);
+    };
+  }, []);
+
+  return { isOnline, staleSince };
+};
+
+export default useOfflineStatus;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useCallback } from 'react';
+import reminderService, { DEFAULT_REMINDER_PREFERENCES } from '../services/reminderService';
+import { useAuth } from '../context/AuthContext';
+import { isPushSupported, subscribeToPush, unsubscribeFromPush } from '../utils/pushNotifications';
+
+/**
+ * Custom hook for the signed-in user's reminder preferences
+ * Turning push on subscribes this browser; turning it off unsubscribes it.
+ * @returns {Object} - Preferences, save state and update function
+ */
+const useReminderPreferences = () => {
+  const { user } = useAuth();
+  const [preferences, setPreferences] = useState(DEFAULT_REMINDER_PREFERENCES);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userId = user?.id;
+
+  /**
+   * Fetch saved preferences
+   */
+  const fetchPreferences = useCallback(async () => {
+    if (!userId) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setPreferences(await reminderService.getPreferences(userId));
+    } catch (err) {
+      setError(err.message || 'Failed to load reminder settings');
+      console.error('Error in useReminderPreferences hook:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, [fetchPreferences]);
+
+  /**
+   * Save changed preference fields
+   * @param {Object} changes - Preference fields to update
+   * @returns {Promise<boolean>} True if the changes were saved
+   */
+  const updatePreferences = useCallback(
+    async changes => {
+      if (!userId) return false;
+
+      setSaving(true);
+      setError(null);
+
+      try {
+        if (changes.push_enabled === true) {
+          const subscription = await subscribeToPush();
+          await reminderService.savePushSubscription(userId, subscription);
+        } else if (changes.push_enabled === false) {
+          const endpoint = await unsubscribeFromPush();
+          if (endpoint) {
+            await reminderService.removePushSubscription(endpoint);
+          }
+        }
+
+        const next = { ...preferences, ...changes };
+        await reminderService.updatePreferences(userId, next);
+        setPreferences(next);
+        return true;
+      } catch (err) {
+        setError(err.message || 'Failed to save reminder settings');
+        console.error('Error saving reminder preferences:', err);
+        return false;
+      } finally {
+        setSaving(false);
+      }
+    },
+    [userId, preferences]
+  );
+
+  return {
+    preferences,
+    loading,
+    saving,
+    error,
+    pushSupported: isPushSupported(),
+    updatePreferences,
+    refresh: fetchPreferences,
+  };
+};
+
+export default useReminderPreferences;
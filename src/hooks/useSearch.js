@@ -13,6 +13,8 @@ const useSearch = () => {
     festivals: [],
     parks: [],
   });
+  // Number of matches for each entity type, which can be more than the results loaded
+  const [totals, setTotals] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -35,6 +37,7 @@ const useSearch = () => {
         festivals: [],
         parks: [],
       });
+      setTotals({});
       setSearchTerm('');
       return;
     }
@@ -59,7 +62,10 @@ const useSearch = () => {
 
         // First get the basic search results
         console.log('[useSearch] Calling basic globalSearch');
-        const data = await searchService.globalSearch(query, normalizedOptions);
+        const { results: data, totals: searchTotals } = await searchService.searchAll(
+          query,
+          normalizedOptions
+        );
         console.log(
           '[useSearch] Basic search returned data types:',
           Object.keys(data).map(key => `${key}: ${data[key]?.length || 0}`)
@@ -110,10 +116,13 @@ const useSearch = () => {
 
           // Replace the concerts with filtered results
           data.concerts = filteredConcerts;
+          searchTotals.concerts = filteredConcerts.length;
           console.log('[useSearch] Updated concerts count in data:', data.concerts?.length || 0);
         }
 
         setResults(data);
+        setTotals(searchTotals);
+        searchService.recordSearch(query);
         console.log(
           '[useSearch] Final results after filtering - counts by type:',
           Object.keys(data).map(key => `${key}: ${data[key]?.length || 0}`)
@@ -121,12 +130,17 @@ const useSearch = () => {
       } else {
         // No special filtering needed, just use regular search
         console.log('[useSearch] No special filtering needed, using regular search');
-        const data = await searchService.globalSearch(query, normalizedOptions);
+        const { results: data, totals: searchTotals } = await searchService.searchAll(
+          query,
+          normalizedOptions
+        );
         console.log(
           '[useSearch] Regular search returned data counts:',
           Object.keys(data).map(key => `${key}: ${data[key]?.length || 0}`)
         );
         setResults(data);
+        setTotals(searchTotals);
+        searchService.recordSearch(query);
       }
     } catch (err) {
       console.error('[useSearch] Error in globalSearch:', err);
@@ -137,6 +151,35 @@ const useSearch = () => {
     }
   }, []);
 
+  /**
+   * Load the next page of results for one entity type
+   * @param {string} type - Entity type, e.g. 'artists'
+   * @param {number} limit - Number of results to add (default: 20)
+   */
+  const loadMore = useCallback(
+    async (type, limit = 20) => {
+      if (!searchTerm) return;
+
+      setLoading(true);
+      setError(null);
+
+      try {
+        const { results: data } = await searchService.searchAll(searchTerm, {
+          types: [type],
+          limit,
+          offset: results[type]?.length || 0,
+        });
+        setResults(current => ({ ...current, [type]: [...current[type], ...data[type]] }));
+      } catch (err) {
+        console.error(`[useSearch] Error loading more ${type}:`, err);
+        setError(err.message || `Failed to load more ${type}`);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [searchTerm, results]
+  );
+
   /**
    * Search concerts with text search
    * @param {string} query - Search term
@@ -151,7 +194,7 @@ const useSearch = () => {
     setError(null);
 
     try {
-      const data = await searchService.searchConcerts(query, options);
+      const data = await searchService.searchConcerts(query, options.limit, options.offset);
       console.log('[useSearch] searchConcerts result count:', data?.length || 0);
       return data;
     } catch (err) {
@@ -230,6 +273,7 @@ const useSearch = () => {
       festivals: [],
       parks: [],
     });
+    setTotals({});
     setSearchTerm('');
     setError(null);
   }, []);
@@ -260,12 +304,14 @@ const useSearch = () => {
   return {
     // State
     results,
+    totals,
     loading,
     error,
     searchTerm,
 
     // Action methods
     globalSearch,
+    loadMore,
     searchConcerts,
     searchByDateAndTerm,
     searchWithFilters,
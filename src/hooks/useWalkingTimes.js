@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import venueService from '../services/venueService';
+import { indexWalkingTimes } from '../utils/walkingUtils';
+
+/**
+ * Custom hook for the walking times admins have recorded between venues
+ * Venues without a recorded time fall back to the coordinate estimate, so a failed
+ * fetch only means estimates are used everywhere.
+ * @param {boolean} enabled - Whether to fetch the walking times (default: true)
+ * @returns {Map} - Recorded walking times keyed by venue pair (see indexWalkingTimes)
+ */
+const useWalkingTimes = (enabled = true) => {
+  const [walkingTimes, setWalkingTimes] = useState(() => new Map());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+
+    venueService
+      .getWalkingTimes()
+      .then(rows => {
+        if (!cancelled) setWalkingTimes(indexWalkingTimes(rows || []));
+      })
+      .catch(err => {
+        console.error('Error in useWalkingTimes hook:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled]);
+
+  return walkingTimes;
+};
+
+export default useWalkingTimes;
@@ -40,6 +40,7 @@ const ArtistDetailPage = () => {
           park:park_id (id, name)
         `
         )
+        .is('deleted_at', null)
         .eq('id', venueId)
         .single();
 
@@ -3,6 +3,13 @@ import CalendarPageLayout from '../components/templates/CalendarPageLayout';
 import PerformanceList from '../components/organisms/PerformanceList';
 import useConcerts from '../hooks/useConcerts';
 import useParks from '../hooks/useParks';
+import {
+  formatLongDate,
+  getParkDayBounds,
+  getParkMonthBounds,
+  getParkNow,
+  toParkDateTime,
+} from '../utils/dateUtils';
 
 /**
  * CalendarPage component for date-based concert listings
@@ -18,16 +25,8 @@ const CalendarPage = () => {
     parkIds: [],
   });
 
-  // Create start and end dates for the selected day (full day in local time)
-  const { startOfDay, endOfDay } = useMemo(() => {
-    const start = new Date(selectedDate);
-    start.setHours(0, 0, 0, 0);
-
-    const end = new Date(selectedDate);
-    end.setHours(23, 59, 59, 999);
-
-    return { startOfDay: start, endOfDay: end };
-  }, [selectedDate]);
+  // Create start and end dates for the selected day (full day in park time)
+  const { startOfDay, endOfDay } = useMemo(() => getParkDayBounds(selectedDate), [selectedDate]);
 
   // Initialize the concerts hook with the date range filters
   const initialFilters = useMemo(
@@ -45,7 +44,7 @@ const CalendarPage = () => {
 
   // Track if initial load has happened
   const [initialLoad, setInitialLoad] = useState(false);
-  const currentMonthRef = useRef(new Date().getMonth());
+  const currentMonthRef = useRef(getParkNow().month - 1);
 
   // Get all the needed hook functions and state
   const { loading, error, concerts, updateFilters, getConcertDatesWithCounts } =
@@ -57,15 +56,12 @@ const CalendarPage = () => {
 
   // Function to load event counts for calendar display - defined before it's used
   const loadEventCounts = useCallback(
-    async (month = new Date().getMonth(), year = new Date().getFullYear()) => {
+    async (month = getParkNow().month - 1, year = getParkNow().year) => {
       try {
         setEventCountsLoading(true);
 
-        // Create start date (first day of month)
-        const startDate = new Date(year, month, 1);
-
-        // Create end date (last day of next month to include 2 months of data)
-        const endDate = new Date(year, month + 2, 0);
+        // Cover this month and next month to include 2 months of data
+        const { startDate, endDate } = getParkMonthBounds(year, month, 2);
 
         // Fetch event counts
         const filterOptions = {
@@ -95,9 +91,9 @@ const CalendarPage = () => {
       setSelectedDate(date);
 
       // If the month changes, load event counts for the new month
-      const selectedMonth = date.getMonth();
-      if (selectedMonth !== currentMonthRef.current) {
-        loadEventCounts(selectedMonth, date.getFullYear());
+      const selected = toParkDateTime(date);
+      if (selected.month - 1 !== currentMonthRef.current) {
+        loadEventCounts(selected.month - 1, selected.year);
       }
 
       // Note: The concerts will be updated through the filter change in useEffect
@@ -145,12 +141,7 @@ const CalendarPage = () => {
       eventCounts={eventCounts}
       allowPastSelection={true}
       onMonthChange={loadEventCounts}
-      resultsTitle={`Performances on ${selectedDate.toLocaleDateString('en-US', {
-        weekday: 'long',
-        month: 'long',
-        day: 'numeric',
-        year: 'numeric',
-      })}`}
+      resultsTitle={`Performances on ${formatLongDate(selectedDate, { includeYear: true })}`}
     >
       {/* Filters panel temporarily disabled */}
 
@@ -160,6 +151,7 @@ const CalendarPage = () => {
         loading={loading}
         error={error}
         emptyMessage="No performances scheduled for this date"
+        showWalkingTimes={true}
       />
     </CalendarPageLayout>
   );
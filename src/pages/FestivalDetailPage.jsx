@@ -8,11 +8,19 @@ import Icon from '../components/atoms/Icon';
 import Badge from '../components/atoms/Badge';
 import PerformanceList from '../components/organisms/PerformanceList';
 import Tabs from '../components/molecules/Tabs';
-import { formatDateRange, getValidDateString, groupPerformancesByDate } from '../utils/dateUtils';
+import {
+  formatDateRange,
+  getTodayDateString,
+  getValidDateString,
+  groupPerformancesByDate,
+  toParkDateTime,
+} from '../utils/dateUtils';
 import useFestivals from '../hooks/useFestivals';
 import useConcerts from '../hooks/useConcerts';
+import { patchConcerts, patchRecord } from '../utils/realtimeUtils';
 import FavoriteButton from '../components/molecules/FavoriteButton';
 import ShareButton from '../components/molecules/ShareButton';
+import { getCalendarFeedUrl } from '../services/shareService';
 
 const FestivalDetailPage = () => {
   const { id } = useParams();
@@ -27,8 +35,15 @@ const FestivalDetailPage = () => {
   const [venueFilter, setVenueFilter] = useState('all');
   const [timeFilter, setTimeFilter] = useState('all');
 
-  const { getFestivalById } = useFestivals();
-  const { getConcertsByFestival, loading: concertsLoading } = useConcerts();
+  // Show edits and cancellations made since the page loaded
+  const { getFestivalById } = useFestivals(
+    {},
+    { realtime: true, onChange: change => setFestival(prev => patchRecord(prev, change)) }
+  );
+  const { getConcertsByFestival, loading: concertsLoading } = useConcerts(
+    {},
+    { realtime: true, onChange: change => setAllConcerts(prev => patchConcerts(prev, change)) }
+  );
 
   const tabs = [
     { id: 'all', label: 'Performances', icon: 'list' },
@@ -44,12 +59,10 @@ const FestivalDetailPage = () => {
     if (!festival?.start_date || !festival?.end_date) return [];
 
     const dates = [];
-    const currentDate = new Date(festival.start_date);
-    const end = new Date(festival.end_date);
+    const end = toParkDateTime(festival.end_date);
 
-    while (currentDate <= end) {
-      dates.push(new Date(currentDate));
-      currentDate.setDate(currentDate.getDate() + 1);
+    for (let day = toParkDateTime(festival.start_date); day <= end; day = day.plus({ days: 1 })) {
+      dates.push(day.toJSDate());
     }
 
     return dates;
@@ -87,14 +100,9 @@ const FestivalDetailPage = () => {
     dateStr => {
       if (!festival?.start_date || !dateStr) return '';
 
-      const startDate = new Date(festival.start_date);
-      const currentDate = new Date(`${dateStr}T00:00:00`);
-
-      startDate.setHours(0, 0, 0, 0);
-      currentDate.setHours(0, 0, 0, 0);
-
-      const diffTime = currentDate.getTime() - startDate.getTime();
-      const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
+      const diffDays = Math.round(
+        toParkDateTime(dateStr).diff(toParkDateTime(festival.start_date), 'days').days
+      );
 
       return `Day ${diffDays + 1}`;
     },
@@ -155,15 +163,8 @@ const FestivalDetailPage = () => {
 
       if (timeFilter !== 'all') {
         filtered = filtered.filter(concert => {
-          const timeStr = concert.start_time || concert.startTime;
-          let hours = null;
-
-          if (typeof timeStr === 'string') {
-            const match = timeStr.match(/T(\d{2}):/);
-            hours = match ? parseInt(match[1], 10) : new Date(timeStr).getHours();
-          } else if (timeStr instanceof Date) {
-            hours = timeStr.getHours();
-          }
+          // Time of day in park time
+          const hours = toParkDateTime(concert.start_time || concert.startTime)?.hour;
 
           if (hours == null) return true;
           if (timeFilter === 'morning') return hours >= 6 && hours < 12;
@@ -201,14 +202,12 @@ const FestivalDetailPage = () => {
   }
 
   const dateRange = formatDateRange(festival.start_date, festival.end_date);
-  const today = new Date();
-  const startDate = new Date(festival.start_date);
-  const endDate = new Date(festival.end_date);
+  const today = getTodayDateString();
 
   let statusBadge;
-  if (today >= startDate && today <= endDate) {
+  if (today >= festival.start_date && today <= festival.end_date) {
     statusBadge = <Badge text="Happening Now" variant="success" />;
-  } else if (today < startDate) {
+  } else if (today < festival.start_date) {
     statusBadge = <Badge text="Upcoming" variant="info" />;
   } else {
     statusBadge = <Badge text="Past Event" variant="outline" />;
@@ -266,6 +265,19 @@ const FestivalDetailPage = () => {
           <Typography variant="h3" className="mb-md">
             Full Festival Lineup
           </Typography>
+          {sortedConcertDates.length > 0 && (
+            <Button
+              variant="outline"
+              fullWidth
+              className="flex items-center justify-center mb-md"
+              onClick={() => {
+                window.location.href = getCalendarFeedUrl(`festivals/${id}`);
+              }}
+            >
+              <Icon name="calendar" size="sm" className="mr-xs" />
+              Subscribe to Lineup
+            </Button>
+          )}
           {sortedConcertDates.length > 0 ? (
             <PerformanceList
               performances={allConcerts}
@@ -273,6 +285,7 @@ const FestivalDetailPage = () => {
               loading={concertsLoading}
               emptyMessage="No performances scheduled for this festival"
               useArtistCard={false}
+              showWalkingTimes={true}
             />
           ) : (
             <div className="text-center p-6 bg-background-secondary rounded-lg">
@@ -13,6 +13,7 @@ import EmailConfirmationSuccess from '../components/auth/EmailConfirmationSucces
 import useConcerts from '../hooks/useConcerts';
 import useArtists from '../hooks/useArtists';
 import useFestivals from '../hooks/useFestivals';
+import { getParkDayBounds } from '../utils/dateUtils';
 
 /**
  * Groups performances by artist to consolidate multiple shows
@@ -77,8 +78,8 @@ const HomePage = () => {
   const [searchParams] = useSearchParams();
   const [showConfirmationSuccess, setShowConfirmationSuccess] = useState(false);
 
-  // State for today's date
-  const [today] = useState(new Date());
+  // Start and end of today in park time
+  const [today] = useState(() => getParkDayBounds(new Date()));
 
   // Check for email confirmation success
   useEffect(() => {
@@ -100,8 +101,8 @@ const HomePage = () => {
     loading: concertsLoading,
     error: concertsError,
   } = useConcerts({
-    startDate: new Date(today.getFullYear(), today.getMonth(), today.getDate(), 0, 0, 0),
-    endDate: new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59),
+    startDate: today.startOfDay,
+    endDate: today.endOfDay,
   });
 
   // Fetch popular artists
@@ -225,7 +226,12 @@ const HomePage = () => {
         </div>
       ),
       action: (
-        <div className="flex justify-center mt-md">
+        <div className="flex justify-center gap-sm mt-md">
+          <Link to="/live">
+            <Button variant="primary" size="md">
+              Happening Now
+            </Button>
+          </Link>
           <Link to="/calendar">
             <Button variant="secondary" size="md">
               View Calendar
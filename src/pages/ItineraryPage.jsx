@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import PageLayout from '../components/templates/PageLayout';
+import BrandHeading from '../components/atoms/BrandHeading';
+import Typography from '../components/atoms/Typography';
+import Spinner from '../components/atoms/Spinner';
+import Icon from '../components/atoms/Icon';
+import Badge from '../components/atoms/Badge';
+import Button from '../components/atoms/Button';
+import WalkingTimeIndicator from '../components/molecules/WalkingTimeIndicator';
+import PerformanceCard from '../components/organisms/PerformanceCard';
+import useItinerary from '../hooks/useItinerary';
+import { CONFLICT_TYPES, getWalkBetween } from '../utils/itineraryUtils';
+import { formatTime, getRelativeDate, getTodayDateString } from '../utils/dateUtils';
+
+/**
+ * ItineraryPage component - the "My Day" planner
+ * Turns favorited concerts for a date into an ordered plan with conflict warnings
+ * Mobile-optimized with a single-column timeline
+ */
+const ItineraryPage = () => {
+  const navigate = useNavigate();
+  const [date, setDate] = useState(getTodayDateString());
+  const [showSuggestedOnly, setShowSuggestedOnly] = useState(false);
+
+  const {
+    items,
+    conflicts,
+    conflictingIds,
+    suggestedPlan,
+    suggestedIds,
+    walkingTimes,
+    loading,
+    error,
+  } = useItinerary(date);
+
+  const displayedItems = showSuggestedOnly ? suggestedPlan : items;
+
+  // Describe the conflicts a set is involved in
+  const getConflictMessages = concert =>
+    conflicts
+      .filter(({ first, second }) => first.id === concert.id || second.id === concert.id)
+      .map(({ type, first, second }) => {
+        const other = first.id === concert.id ? second : first;
+        const otherName = other.artists?.name || other.artist?.name || 'another set';
+        const otherTime = formatTime(other.start_time);
+
+        if (type === CONFLICT_TYPES.OVERLAP) {
+          return `Overlaps ${otherName} (${otherTime})`;
+        }
+        if (type === CONFLICT_TYPES.WALK) {
+          const walk = getWalkBetween(first, second, walkingTimes);
+          const direction = other === first ? 'from' : 'to';
+          return `No time for the ${walk.minutes} min walk ${direction} ${otherName} (${otherTime})`;
+        }
+        return `Different park from ${otherName} (${otherTime})`;
+      });
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center py-xl">
+          <Spinner size="lg" color="primary" />
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex flex-col items-center justify-center py-xl text-center">
+          <Icon name="alert" size="lg" className="text-sunset-orange" />
+          <Typography variant="body1" color="white" className="mt-md">
+            {error}
+          </Typography>
+        </div>
+      );
+    }
+
+    if (!items.length) {
+      return (
+        <div className="flex flex-col items-center justify-center py-xl text-center">
+          <Icon name="info" size="lg" className="text-white text-opacity-50" />
+          <Typography variant="body1" color="medium-gray" className="mt-md mb-md">
+            No favorited performances on this date.
+          </Typography>
+          <Button variant="secondary" onClick={() => navigate('/calendar')}>
+            Browse the calendar
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-md">
+        {displayedItems.map((concert, index) => {
+          const conflictMessages = getConflictMessages(concert);
+          const walk =
+            index > 0 && getWalkBetween(displayedItems[index - 1], concert, walkingTimes);
+
+          return (
+            <div key={concert.id}>
+              {walk && walk.minutes > 0 && (
+                <WalkingTimeIndicator
+                  minutes={walk.minutes}
+                  gapMinutes={walk.gapMinutes}
+                  className="mb-sm"
+                />
+              )}
+              <div className="flex flex-wrap items-center gap-xs mb-xs">
+                {suggestedIds.has(concert.id) && (
+                  <Badge text="Suggested" variant="success" size="sm" />
+                )}
+                {conflictingIds.has(concert.id) && (
+                  <Badge text="Conflict" variant="warning" size="sm" />
+                )}
+              </div>
+              <PerformanceCard performance={concert} />
+              {!showSuggestedOnly &&
+                conflictMessages.map(message => (
+                  <div key={message} className="flex items-center mt-xs">
+                    <Icon
+                      name="alert-triangle"
+                      size="sm"
+                      className="mr-xs text-warning flex-shrink-0"
+                    />
+                    <Typography variant="body2" color="warning">
+                      {message}
+                    </Typography>
+                  </div>
+                ))}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <PageLayout>
+      {/* Page header */}
+      <div className="pt-6 px-4 mb-6">
+        <BrandHeading level={1} gradient className="mb-2">
+          My Day
+        </BrandHeading>
+        <Typography variant="body1" color="medium-gray">
+          Plan your favorited performances for {getRelativeDate(date)}
+        </Typography>
+      </div>
+
+      {/* Date picker and plan toggle */}
+      <div className="px-4 mb-6">
+        <label
+          htmlFor="itineraryDate"
+          className="block font-manrope text-sm font-medium text-white mb-xxs"
+        >
+          Date
+        </label>
+        <input
+          id="itineraryDate"
+          type="date"
+          value={date}
+          onChange={e => e.target.value && setDate(e.target.value)}
+          className="w-full px-md py-xs bg-white bg-opacity-10 border border-white border-opacity-10 rounded focus:ring-2 focus:ring-sunset-orange focus:border-sunset-orange min-h-touch text-white font-manrope"
+        />
+
+        {items.length > 0 && (
+          <div className="flex items-center justify-between mt-md">
+            <Typography variant="body2" color="medium-gray">
+              {conflicts.length > 0
+                ? `${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} found. ` +
+                  `You can see ${suggestedPlan.length} of ${items.length} sets.`
+                : `No conflicts. You can see all ${items.length} sets.`}
+            </Typography>
+            <Button
+              variant={showSuggestedOnly ? 'primary' : 'secondary'}
+              size="sm"
+              className="ml-sm flex-shrink-0"
+              onClick={() => setShowSuggestedOnly(!showSuggestedOnly)}
+            >
+              {showSuggestedOnly ? 'Show all' : 'Best plan'}
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div className="px-4">{renderContent()}</div>
+    </PageLayout>
+  );
+};
+
+export default ItineraryPage;
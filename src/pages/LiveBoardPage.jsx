@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import PageLayout from '../components/templates/PageLayout';
+import BrandHeading from '../components/atoms/BrandHeading';
+import Typography from '../components/atoms/Typography';
+import Spinner from '../components/atoms/Spinner';
+import Icon from '../components/atoms/Icon';
+import Badge from '../components/atoms/Badge';
+import Button from '../components/atoms/Button';
+import FilterChip from '../components/molecules/FilterChip';
+import PerformanceCard from '../components/organisms/PerformanceCard';
+import useLiveBoard from '../hooks/useLiveBoard';
+import { getSetWindow } from '../utils/itineraryUtils';
+import { formatCountdown, getMinutesUntil, UP_NEXT_MINUTES } from '../utils/liveBoardUtils';
+
+// Remembers the park picked on this device
+const PARK_STORAGE_KEY = 'encorelando_live_board_park';
+
+const getSavedParkId = () => {
+  try {
+    return localStorage.getItem(PARK_STORAGE_KEY) || '';
+  } catch (error) {
+    console.error('Error reading live board park:', error);
+    return '';
+  }
+};
+
+/**
+ * LiveBoardPage component - what's playing right now and what starts soon
+ * Grouped by park with countdowns; updates itself when the schedule changes
+ */
+const LiveBoardPage = () => {
+  const [parkId, setParkId] = useState(getSavedParkId);
+  const { board, parks, now, loading, error, refresh } = useLiveBoard(parkId || undefined);
+
+  const handleParkChange = id => {
+    setParkId(id);
+    try {
+      if (id) {
+        localStorage.setItem(PARK_STORAGE_KEY, id);
+      } else {
+        localStorage.removeItem(PARK_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving live board park:', error);
+    }
+  };
+
+  const renderSet = (concert, countdown, variant) => (
+    <div key={concert.id}>
+      <div className="flex items-center mb-xs">
+        <Badge text={countdown} variant={variant} size="sm" />
+      </div>
+      <PerformanceCard performance={concert} />
+    </div>
+  );
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center py-xl">
+          <Spinner size="lg" color="primary" />
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="flex flex-col items-center justify-center py-xl text-center">
+          <Icon name="alert" size="lg" className="text-sunset-orange" />
+          <Typography variant="body1" color="white" className="mt-md mb-md">
+            {error}
+          </Typography>
+          <Button variant="secondary" onClick={refresh}>
+            Try again
+          </Button>
+        </div>
+      );
+    }
+
+    if (!board.length) {
+      return (
+        <div className="flex flex-col items-center justify-center py-xl text-center">
+          <Icon name="clock" size="lg" className="text-white text-opacity-50" />
+          <Typography variant="body1" color="medium-gray" className="mt-md mb-md">
+            Nothing is playing or starting in the next hour.
+          </Typography>
+          <Link to="/calendar">
+            <Button variant="secondary">See later performances</Button>
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-xl">
+        {board.map(({ park, happeningNow, upNext }) => (
+          <section key={park.id} aria-label={park.name}>
+            <div className="flex items-center justify-between mb-md">
+              <Typography variant="h3">{park.name}</Typography>
+              <Link
+                to={`/parks/${park.id}/map`}
+                className="flex items-center text-sm text-sunset-orange hover:underline"
+              >
+                <Icon name="map" size="sm" className="mr-xxs" />
+                Map
+              </Link>
+            </div>
+
+            {happeningNow.length > 0 && (
+              <div className="mb-lg">
+                <Typography variant="h4" color="success" className="mb-sm">
+                  Happening now
+                </Typography>
+                <div className="space-y-md">
+                  {happeningNow.map(concert =>
+                    renderSet(
+                      concert,
+                      `Ends in ${formatCountdown(getMinutesUntil(getSetWindow(concert).end, now))}`,
+                      'success'
+                    )
+                  )}
+                </div>
+              </div>
+            )}
+
+            {upNext.length > 0 && (
+              <div>
+                <Typography variant="h4" color="warning" className="mb-sm">
+                  Up next
+                </Typography>
+                <div className="space-y-md">
+                  {upNext.map(concert =>
+                    renderSet(
+                      concert,
+                      `Starts in ${formatCountdown(getMinutesUntil(concert.start_time, now))}`,
+                      'warning'
+                    )
+                  )}
+                </div>
+              </div>
+            )}
+          </section>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <PageLayout>
+      {/* Page header */}
+      <div className="pt-6 px-4 mb-6">
+        <BrandHeading level={1} gradient className="mb-2">
+          Happening Now
+        </BrandHeading>
+        <Typography variant="body1" color="medium-gray">
+          Sets playing now and starting in the next {UP_NEXT_MINUTES} minutes. Updates
+          automatically.
+        </Typography>
+      </div>
+
+      {/* Park filter */}
+      {parks.length > 0 && (
+        <div className="px-4 mb-6 flex gap-xs overflow-x-auto">
+          <FilterChip
+            label="All parks"
+            selected={!parkId}
+            onClick={() => handleParkChange('')}
+            darkMode={true}
+            className="flex-shrink-0"
+          />
+          {parks.map(park => (
+            <FilterChip
+              key={park.id}
+              label={park.name}
+              selected={parkId === park.id}
+              onClick={() => handleParkChange(park.id)}
+              darkMode={true}
+              className="flex-shrink-0"
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="px-4 pb-24">{renderContent()}</div>
+    </PageLayout>
+  );
+};
+
+export default LiveBoardPage;
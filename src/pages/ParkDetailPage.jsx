@@ -87,6 +87,14 @@ const ParkDetailPage = () => {
         </div>
       )}
 
+      {/* Interactive venue map */}
+      <Link to={`/parks/${id}/map`} className="block mb-xl">
+        <Button variant="outline" fullWidth>
+          <Icon name="map" size="sm" className="mr-xs" />
+          See What&apos;s Playing on the Park Map
+        </Button>
+      </Link>
+
       {/* Active festivals section */}
       {festivals.length > 0 && (
         <div className="mb-xl">
@@ -142,6 +150,7 @@ const ParkDetailPage = () => {
           performances={concerts}
           loading={concertsLoading}
           emptyMessage="No performances scheduled for today"
+          showWalkingTimes={true}
         />
 
         <Link to={`/calendar`} className="block mt-md">
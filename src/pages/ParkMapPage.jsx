@@ -0,0 +1,196 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import PageLayout from '../components/templates/PageLayout';
+import BrandHeading from '../components/atoms/BrandHeading';
+import Typography from '../components/atoms/Typography';
+import Spinner from '../components/atoms/Spinner';
+import Icon from '../components/atoms/Icon';
+import Card from '../components/atoms/Card';
+import ParkMap from '../components/organisms/ParkMap';
+import PerformanceList from '../components/organisms/PerformanceList';
+import concertService from '../services/concertService';
+import useParks from '../hooks/useParks';
+import useVenues from '../hooks/useVenues';
+import useConcerts from '../hooks/useConcerts';
+import { getVenueStatuses, VENUE_STATUS } from '../utils/parkMapUtils';
+import { formatTime, getTodayDateString } from '../utils/dateUtils';
+
+// How often pin colours are recalculated
+const STATUS_REFRESH_MS = 60 * 1000;
+
+// Performances listed for a tapped venue
+const VENUE_PERFORMANCE_LIMIT = 5;
+
+/**
+ * ParkMapPage component - interactive map of a park's venues
+ * Pins show what's playing now; tapping one lists that venue's next performances
+ */
+const ParkMapPage = () => {
+  const { id } = useParams();
+  const [park, setPark] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [venues, setVenues] = useState([]);
+  const [todaysConcerts, setTodaysConcerts] = useState([]);
+  const [now, setNow] = useState(() => new Date());
+
+  const [selectedVenue, setSelectedVenue] = useState(null);
+  const [venuePerformances, setVenuePerformances] = useState([]);
+  const [performancesLoading, setPerformancesLoading] = useState(false);
+  const [performancesError, setPerformancesError] = useState(null);
+  // Venue whose performances were asked for last, so a slow earlier reply is ignored
+  const requestedVenueRef = useRef(null);
+
+  const { getParkById } = useParks();
+  const { getVenuesByPark } = useVenues();
+  const { getConcertsByDate } = useConcerts();
+
+  useEffect(() => {
+    const fetchMapData = async () => {
+      try {
+        setLoading(true);
+        const [parkData, venueData, concertData] = await Promise.all([
+          getParkById(id),
+          getVenuesByPark(id),
+          getConcertsByDate(getTodayDateString(), { parkId: id }),
+        ]);
+        setPark(parkData);
+        setVenues(venueData || []);
+        setTodaysConcerts(concertData || []);
+      } catch (err) {
+        console.error('Error fetching park map:', err);
+        setError(err.message || 'Failed to load the park map');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMapData();
+  }, [id, getParkById, getVenuesByPark, getConcertsByDate]);
+
+  // Sets start and finish while the page is open
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), STATUS_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const statuses = useMemo(() => getVenueStatuses(todaysConcerts, now), [todaysConcerts, now]);
+
+  const handleVenueSelect = async venue => {
+    requestedVenueRef.current = venue.id;
+    setSelectedVenue(venue);
+    setPerformancesLoading(true);
+    setPerformancesError(null);
+
+    try {
+      const performances = await concertService.getConcertsByVenue(venue.id, {
+        future: true,
+        limit: VENUE_PERFORMANCE_LIMIT,
+      });
+      if (requestedVenueRef.current !== venue.id) return;
+      // Performance cards expect the venue on each concert
+      setVenuePerformances(
+        performances.map(performance => ({ ...performance, venues: performance.venues || venue }))
+      );
+    } catch (err) {
+      console.error(`Error fetching performances for venue ${venue.id}:`, err);
+      if (requestedVenueRef.current !== venue.id) return;
+      setVenuePerformances([]);
+      setPerformancesError('Failed to load performances. Please try again.');
+    } finally {
+      if (requestedVenueRef.current === venue.id) setPerformancesLoading(false);
+    }
+  };
+
+  const renderSelectedVenue = () => {
+    if (!selectedVenue) {
+      return (
+        <Typography variant="body2" color="medium-gray">
+          Tap a pin to see what&apos;s coming up at that venue.
+        </Typography>
+      );
+    }
+
+    const { status, concert } = statuses[selectedVenue.id] || {};
+
+    return (
+      <Card className="p-md">
+        <div className="flex items-center justify-between mb-xs">
+          <Typography variant="h4">{selectedVenue.name}</Typography>
+          <Link
+            to={`/venues/${selectedVenue.id}`}
+            className="text-sm text-sunset-orange hover:underline"
+          >
+            Venue details
+          </Link>
+        </div>
+
+        {status === VENUE_STATUS.PLAYING && (
+          <Typography variant="body2" color="success" className="mb-sm">
+            Playing now: {concert.artists?.name || 'Live set'}
+          </Typography>
+        )}
+        {status === VENUE_STATUS.STARTING_SOON && (
+          <Typography variant="body2" color="warning" className="mb-sm">
+            {concert.artists?.name || 'Next set'} starts at {formatTime(concert.start_time)}
+          </Typography>
+        )}
+
+        <PerformanceList
+          performances={venuePerformances}
+          loading={performancesLoading}
+          error={performancesError}
+          emptyMessage="No upcoming performances at this venue"
+        />
+      </Card>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <Spinner size="lg" color="primary" />
+      </div>
+    );
+  }
+
+  return (
+    <PageLayout>
+      <div className="pt-6 px-4 mb-6">
+        <Link
+          to={`/parks/${id}`}
+          className="inline-flex items-center text-sm text-medium-gray hover:text-white mb-xs"
+        >
+          <Icon name="chevron-left" size="sm" className="mr-xxs" />
+          {park?.name || 'Park'}
+        </Link>
+        <BrandHeading level={1} gradient className="mb-2">
+          Park Map
+        </BrandHeading>
+      </div>
+
+      <div className="px-4 pb-24 space-y-lg">
+        {error || !park ? (
+          <div className="flex flex-col items-center justify-center py-xl text-center">
+            <Icon name="alert" size="lg" className="text-sunset-orange" />
+            <Typography variant="body1" color="white" className="mt-md">
+              {error || 'Could not find the requested park.'}
+            </Typography>
+          </div>
+        ) : (
+          <>
+            <ParkMap
+              venues={venues}
+              statuses={statuses}
+              selectedVenueId={selectedVenue?.id}
+              onVenueSelect={handleVenueSelect}
+            />
+            {renderSelectedVenue()}
+          </>
+        )}
+      </div>
+    </PageLayout>
+  );
+};
+
+export default ParkMapPage;
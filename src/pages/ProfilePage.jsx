@@ -7,6 +7,8 @@ import BrandButton from '../components/atoms/BrandButton';
 import BrandHeading from '../components/atoms/BrandHeading';
 import PageLayout from '../components/templates/PageLayout';
 import Card from '../components/atoms/Card';
+import ReminderSettings from '../components/organisms/ReminderSettings';
+import { getCalendarFeedUrl } from '../services/shareService';
 
 /**
  * ProfilePage Component
@@ -288,6 +290,33 @@ const ProfilePage = () => {
           )}
         </Card>
 
+        {/* Calendar subscription section */}
+        {userProfile?.calendar_token && (
+          <Card className="mb-lg">
+            <BrandHeading level={4} className="mb-xs">
+              Calendar Subscription
+            </BrandHeading>
+            <p className="font-manrope text-white text-opacity-70 text-sm mb-md">
+              Subscribe to your favorite concerts and artists in your calendar app. Events update
+              automatically when schedules change.
+            </p>
+            <BrandButton
+              variant="primary"
+              fullWidth
+              onClick={() => {
+                window.location.href = getCalendarFeedUrl(
+                  `favorites/${userProfile.calendar_token}`
+                );
+              }}
+            >
+              Subscribe in Calendar
+            </BrandButton>
+          </Card>
+        )}
+
+        {/* Reminder settings section */}
+        <ReminderSettings className="mb-lg" />
+
         {/* Favorites section */}
         <Card className="overflow-hidden">
           <div className="px-md pt-md">
@@ -13,9 +13,16 @@ import Calendar from '../components/organisms/Calendar';
 import StaticMap from '../components/molecules/StaticMap';
 import useVenues from '../hooks/useVenues';
 import useConcerts from '../hooks/useConcerts';
-import { groupPerformancesByDate, getValidDateString } from '../utils/dateUtils';
+import {
+  formatLongDate,
+  groupPerformancesByDate,
+  getTodayDateString,
+  getValidDateString,
+} from '../utils/dateUtils';
 import FavoriteButton from '../components/molecules/FavoriteButton';
 import ShareButton from '../components/molecules/ShareButton';
+import { getCalendarFeedUrl } from '../services/shareService';
+import { patchConcerts, patchRecord } from '../utils/realtimeUtils';
 
 const VenueDetailPage = () => {
   const { id } = useParams();
@@ -29,8 +36,23 @@ const VenueDetailPage = () => {
   const [calendarEventCounts, setCalendarEventCounts] = useState([]);
   const [isUpcomingLoading, setIsUpcomingLoading] = useState(true);
 
-  const { getVenueById } = useVenues();
-  const { getConcertsByVenue, concerts, loading: concertsLoading } = useConcerts();
+  // The calendar tab shows the hook's concerts, which it patches itself; the rest was
+  // fetched here, so apply edits and cancellations made since the page loaded
+  const { getVenueById } = useVenues(
+    {},
+    { realtime: true, onChange: change => setVenue(prev => patchRecord(prev, change)) }
+  );
+  const {
+    getConcertsByVenue,
+    concerts,
+    loading: concertsLoading,
+  } = useConcerts(
+    {},
+    {
+      realtime: true,
+      onChange: change => setUpcomingConcerts(prev => patchConcerts(prev, change)),
+    }
+  );
 
   const tabs = [
     { id: 'upcoming', label: 'Upcoming', icon: 'calendar' },
@@ -77,8 +99,7 @@ const VenueDetailPage = () => {
   useEffect(() => {
     if (venue) {
       const fetchConcertsForDate = async () => {
-        const formattedDate =
-          getValidDateString(selectedDate) || new Date().toISOString().split('T')[0];
+        const formattedDate = getValidDateString(selectedDate) || getTodayDateString();
         await getConcertsByVenue(id, { date: formattedDate });
       };
       fetchConcertsForDate();
@@ -169,6 +190,7 @@ const VenueDetailPage = () => {
           {venue.latitude && venue.longitude ? (
             <div className="mb-sm">
               <StaticMap
+                venueId={venue.id}
                 latitude={venue.latitude}
                 longitude={venue.longitude}
                 width={800}
@@ -233,11 +255,24 @@ const VenueDetailPage = () => {
                 </Typography>
               </div>
             ) : sortedUpcomingDates.length > 0 ? (
-              <VenuePerformanceList
-                performances={upcomingConcerts}
-                groupByDate={true}
-                emptyMessage="No upcoming performances scheduled"
-              />
+              <>
+                <Button
+                  variant="outline"
+                  fullWidth
+                  className="flex items-center justify-center mb-md"
+                  onClick={() => {
+                    window.location.href = getCalendarFeedUrl(`venues/${id}`);
+                  }}
+                >
+                  <Icon name="calendar" size="sm" className="mr-xs" />
+                  Subscribe to Venue Calendar
+                </Button>
+                <VenuePerformanceList
+                  performances={upcomingConcerts}
+                  groupByDate={true}
+                  emptyMessage="No upcoming performances scheduled"
+                />
+              </>
             ) : (
               <div className="text-center p-6 bg-background-secondary rounded-lg">
                 <Icon name="calendar-x" size="lg" className="mb-sm text-medium-gray mx-auto" />
@@ -260,14 +295,7 @@ const VenueDetailPage = () => {
             </div>
             <div className="pb-6">
               <Typography variant="h4" className="mb-md">
-                {new Date(`${getValidDateString(selectedDate)}T12:00:00`).toLocaleDateString(
-                  'en-US',
-                  {
-                    weekday: 'long',
-                    month: 'long',
-                    day: 'numeric',
-                  }
-                )}
+                {formatLongDate(selectedDate)}
               </Typography>
               <VenuePerformanceList
                 performances={concerts}
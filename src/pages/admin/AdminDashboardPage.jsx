@@ -1,15 +1,44 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import supabase from '../../services/supabase';
 import { useAuth } from '../../context/AuthContext';
 import Button from '../../components/atoms/Button';
 import Typography from '../../components/atoms/Typography';
 import Card from '../../components/atoms/Card';
+import Badge from '../../components/atoms/Badge';
+import Spinner from '../../components/atoms/Spinner';
 import IconButton from '../../components/atoms/IconButton';
+import { getParkDayBounds } from '../../utils/dateUtils';
+import { findDataIssues } from '../../utils/dataQualityUtils';
+
+// Issues listed per check before "Show all"
+const ISSUE_PREVIEW_COUNT = 5;
+
+// Supabase returns at most 1000 rows per request, so the checks read in pages
+const FETCH_PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row a query matches, a page at a time
+ * @param {Function} buildQuery - Returns a new query with a stable order
+ * @returns {Promise<Array>} All matching rows
+ */
+const fetchAllRows = async buildQuery => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + FETCH_PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...data);
+    if (data.length < FETCH_PAGE_SIZE) return rows;
+  }
+};
 
 /**
  * AdminDashboardPage
  *
- * Main hub for admin operations with links to manage different data types
+ * Main hub for admin operations with links to manage different data types,
+ * and a data quality report on upcoming concerts, artists and venues
  *
  * Mobile-first design features:
  * - Card-based navigation with large touch targets
@@ -21,6 +50,73 @@ const AdminDashboardPage = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [dataChecks, setDataChecks] = useState([]);
+  const [checksLoading, setChecksLoading] = useState(true);
+  const [checksError, setChecksError] = useState(null);
+  const [expandedChecks, setExpandedChecks] = useState({});
+
+  // Load the rows the data quality checks run against
+  useEffect(() => {
+    const fetchDataChecks = async () => {
+      try {
+        setChecksLoading(true);
+
+        // Past concerts are left alone; only upcoming ones affect visitors
+        const { startOfDay } = getParkDayBounds(new Date());
+
+        const [concerts, artists, venues] = await Promise.all([
+          fetchAllRows(() =>
+            supabase
+              .from('concerts')
+              .select(
+                `
+                id,
+                venue_id,
+                start_time,
+                end_time,
+                artists(id, name),
+                venues(id, name),
+                festivals(id, name, start_date, end_date)
+              `
+              )
+              .is('deleted_at', null)
+              .gte('start_time', startOfDay.toISOString())
+              .order('start_time')
+              .order('id')
+          ),
+          fetchAllRows(() =>
+            supabase
+              .from('artists')
+              .select('id, name, image_url, genres, artist_aliases (alias)')
+              .is('deleted_at', null)
+              .order('name')
+              .order('id')
+          ),
+          fetchAllRows(() =>
+            supabase
+              .from('venues')
+              .select('id, name, latitude, longitude')
+              .is('deleted_at', null)
+              .order('name')
+              .order('id')
+          ),
+        ]);
+
+        setDataChecks(findDataIssues({ concerts, artists, venues }));
+      } catch (error) {
+        console.error('Error running data quality checks:', error.message);
+        setChecksError('Failed to check data quality. Please try again.');
+      } finally {
+        setChecksLoading(false);
+      }
+    };
+
+    fetchDataChecks();
+  }, []);
+
+  const toggleCheck = id => {
+    setExpandedChecks(current => ({ ...current, [id]: !current[id] }));
+  };
 
   const handleLogout = async () => {
     try {
@@ -127,6 +223,84 @@ const AdminDashboardPage = () => {
           </div>
         </section>
 
+        <section className="mb-8">
+          <Typography variant="h2" className="text-lg font-semibold mb-4">
+            Data Quality
+          </Typography>
+
+          {checksLoading ? (
+            <div className="flex justify-center my-8">
+              <Spinner size="lg" color="primary" />
+            </div>
+          ) : checksError ? (
+            <Card className="bg-error-light p-4">
+              <Typography variant="body1">{checksError}</Typography>
+            </Card>
+          ) : (
+            <div className="space-y-4">
+              {dataChecks.map(check => {
+                const expanded = expandedChecks[check.id];
+                const issues = expanded ? check.issues : check.issues.slice(0, ISSUE_PREVIEW_COUNT);
+
+                return (
+                  <Card key={check.id} className="p-4">
+                    <div className="flex justify-between items-start gap-2">
+                      <div>
+                        <Typography variant="h3" className="text-base font-medium">
+                          {check.title}
+                        </Typography>
+                        <Typography variant="body2" className="text-light-gray">
+                          {check.description}
+                        </Typography>
+                      </div>
+                      <Badge
+                        variant={check.issues.length ? 'warning' : 'success'}
+                        size="sm"
+                        text={check.issues.length ? String(check.issues.length) : 'OK'}
+                      />
+                    </div>
+
+                    {issues.length > 0 && (
+                      <ul className="mt-3 divide-y divide-neutral-700">
+                        {issues.map(issue => (
+                          <li
+                            key={issue.key}
+                            className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1"
+                          >
+                            <Typography variant="body2">{issue.label}</Typography>
+                            <div className="flex gap-3 flex-shrink-0">
+                              {issue.links.map(link => (
+                                <Link
+                                  key={link.path}
+                                  to={link.path}
+                                  className="text-sm text-primary hover:underline min-h-touch flex items-center"
+                                >
+                                  {link.label}
+                                </Link>
+                              ))}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {check.issues.length > ISSUE_PREVIEW_COUNT && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => toggleCheck(check.id)}
+                        className="mt-2"
+                      >
+                        {expanded ? 'Show fewer' : `Show all ${check.issues.length}`}
+                      </Button>
+                    )}
+                  </Card>
+                );
+              })}
+            </div>
+          )}
+        </section>
+
         <section className="mb-6">
           <Typography variant="h2" className="text-lg font-semibold mb-4">
             Quick Actions
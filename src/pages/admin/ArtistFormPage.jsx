@@ -1,12 +1,21 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import supabase from '../../services/supabase';
+import { TRASH_RETENTION_DAYS } from '../../services/trashService';
 import AdminLayout from '../../components/templates/AdminLayout';
 import Button from '../../components/atoms/Button';
 import Typography from '../../components/atoms/Typography';
 import Spinner from '../../components/atoms/Spinner';
 import Input from '../../components/atoms/Input';
 import Card from '../../components/atoms/Card';
+import Tabs from '../../components/molecules/Tabs';
+import RecordHistory from '../../components/organisms/RecordHistory';
+
+// Tabs shown when editing an existing record
+const EDIT_TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'history', label: 'History' },
+];
 
 /**
  * ArtistFormPage
@@ -19,6 +28,9 @@ import Card from '../../components/atoms/Card';
  * - Efficient image upload preview
  * - Bottom-fixed action buttons within thumb reach
  * - Clear validation feedback
+ *
+ * When editing, the History tab lists every change to the artist and can restore
+ * an earlier version.
  */
 const ArtistFormPage = () => {
   const { id } = useParams();
@@ -43,8 +55,12 @@ const ArtistFormPage = () => {
   // UI state
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(false);
   const [error, setError] = useState(null);
   const [formErrors, setFormErrors] = useState({});
+  const [activeTab, setActiveTab] = useState('details');
+  // Bumped after a version is restored from history, to reload the record
+  const [reloadKey, setReloadKey] = useState(0);
   const [genreInput, setGenreInput] = useState('');
 
   // Fetch artist data if in edit mode
@@ -86,7 +102,7 @@ const ArtistFormPage = () => {
     };
 
     fetchArtistData();
-  }, [id, isEditMode]);
+  }, [id, isEditMode, reloadKey]);
 
   const handleInputChange = e => {
     const { name, value } = e.target;
@@ -209,6 +225,30 @@ const ArtistFormPage = () => {
     }
   };
 
+  const handleDelete = async () => {
+    const message = `Move this artist and its concerts to the trash? They can be restored for ${TRASH_RETENTION_DAYS} days.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      setDeleting(true);
+
+      // Concerts follow the artist into the trash through a database trigger
+      const { error } = await supabase
+        .from('artists')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      navigate('/admin/artists');
+    } catch (error) {
+      console.error('Error deleting artist:', error.message);
+      setError('Failed to delete artist. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   if (loading) {
     return (
       <AdminLayout title={isEditMode ? 'Edit Artist' : 'Add Artist'}>
@@ -227,7 +267,23 @@ const ArtistFormPage = () => {
         </Card>
       )}
 
-      <form onSubmit={handleSubmit} className="space-y-6 pb-24">
+      {isEditMode && (
+        <Tabs tabs={EDIT_TABS} activeTab={activeTab} onChange={setActiveTab} className="mb-6" />
+      )}
+
+      {/* The form stays mounted on the History tab so unsaved edits are kept */}
+      {activeTab === 'history' && (
+        <RecordHistory
+          tableName="artists"
+          recordId={id}
+          onRestored={() => setReloadKey(key => key + 1)}
+        />
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className={`space-y-6 pb-24 ${activeTab === 'history' ? 'hidden' : ''}`}
+      >
         {/* Artist name */}
         <div className={formErrors.name ? 'error-field' : ''}>
           <label htmlFor="name" className="block mb-2 text-sm font-medium text-white">
@@ -447,10 +503,27 @@ const ArtistFormPage = () => {
             )}
           </div>
         </div>
+
+        {/* Delete */}
+        {isEditMode && (
+          <Button
+            variant="danger"
+            onClick={handleDelete}
+            disabled={deleting}
+            fullWidth
+            className="min-h-touch"
+          >
+            {deleting ? 'Deleting...' : 'Delete Artist'}
+          </Button>
+        )}
       </form>
 
       {/* Fixed action buttons for mobile */}
-      <div className="fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 flex space-x-4">
+      <div
+        className={`fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 space-x-4 ${
+          activeTab === 'history' ? 'hidden' : 'flex'
+        }`}
+      >
         <Button
           type="button"
           variant="secondary"
@@ -0,0 +1,192 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import artistMergeService from '../../services/artistMergeService';
+import AdminLayout from '../../components/templates/AdminLayout';
+import Button from '../../components/atoms/Button';
+import Typography from '../../components/atoms/Typography';
+import Spinner from '../../components/atoms/Spinner';
+import Card from '../../components/atoms/Card';
+import Badge from '../../components/atoms/Badge';
+import { findDuplicateArtists, getEditPath } from '../../utils/dataQualityUtils';
+
+/**
+ * Artist to keep by default: the one with more concerts, then the first listed
+ */
+const getDefaultSurvivor = ([first, second]) =>
+  second.concert_count > first.concert_count ? second.id : first.id;
+
+/**
+ * ArtistMergePage
+ *
+ * Finds artists that look like the same act and merges them
+ *
+ * - Pairs are scored on normalized names and recorded aliases
+ * - The admin picks which artist to keep; the other one's concerts and
+ *   favorites move across and its name becomes an alias
+ */
+const ArtistMergePage = () => {
+  const [artists, setArtists] = useState([]);
+  const [survivors, setSurvivors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchArtists = useCallback(async () => {
+    try {
+      setLoading(true);
+      setArtists(await artistMergeService.getArtists());
+    } catch (error) {
+      console.error('Error fetching artists:', error.message);
+      setError('Failed to load artists. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchArtists();
+  }, [fetchArtists]);
+
+  const pairs = useMemo(() => findDuplicateArtists(artists), [artists]);
+
+  const handleMerge = async pair => {
+    const key = `${pair[0].id}-${pair[1].id}`;
+    const survivorId = survivors[key] || getDefaultSurvivor(pair);
+    const survivor = pair.find(artist => artist.id === survivorId);
+    const duplicate = pair.find(artist => artist.id !== survivorId);
+
+    if (
+      !window.confirm(
+        `Merge "${duplicate.name}" into "${survivor.name}"? Its concerts and favorites move to "${survivor.name}" and it goes to the trash.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      setError(null);
+
+      const merged = await artistMergeService.mergeArtists(survivor.id, [duplicate.id]);
+      setMessage(
+        `Merged "${duplicate.name}" into "${survivor.name}" (${merged.concerts} concert${
+          merged.concerts === 1 ? '' : 's'
+        } moved).`
+      );
+      await fetchArtists();
+    } catch (error) {
+      console.error('Error merging artists:', error.message);
+      setError('Failed to merge artists. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <AdminLayout title="Merge Duplicate Artists">
+      {error && (
+        <Card className="bg-error-light p-4 mb-6">
+          <Typography variant="body1">{error}</Typography>
+        </Card>
+      )}
+
+      {message && (
+        <Card className="bg-success bg-opacity-10 p-4 mb-6">
+          <Typography variant="body1">{message}</Typography>
+        </Card>
+      )}
+
+      <Card className="p-4 mb-6">
+        <Typography variant="body2" color="medium-gray">
+          Artists whose names match once case, punctuation and notes like &quot;(Band)&quot; are
+          ignored, or that differ by a small typo. Merging keeps the duplicate&apos;s name as an
+          alias, so imports using that spelling find the artist you kept.
+        </Typography>
+      </Card>
+
+      {loading ? (
+        <div className="flex justify-center my-12">
+          <Spinner size="lg" color="primary" />
+        </div>
+      ) : pairs.length === 0 ? (
+        <Card className="p-6 text-center">
+          <Typography variant="body1">No likely duplicates found.</Typography>
+        </Card>
+      ) : (
+        <div className="space-y-4 pb-24">
+          {pairs.map(pair => {
+            const [first, second, score] = pair;
+            const key = `${first.id}-${second.id}`;
+            const survivorId = survivors[key] || getDefaultSurvivor(pair);
+
+            return (
+              <Card key={key} className="p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <Typography variant="body2" color="medium-gray">
+                    Choose the artist to keep
+                  </Typography>
+                  <Badge variant="outline" size="sm" text={`${Math.round(score * 100)}% match`} />
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+                  {[first, second].map(artist => (
+                    <label
+                      key={artist.id}
+                      className={`p-3 rounded border cursor-pointer ${
+                        artist.id === survivorId
+                          ? 'border-primary bg-primary bg-opacity-10'
+                          : 'border-white border-opacity-10 bg-neutral-800'
+                      }`}
+                    >
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name={`survivor-${key}`}
+                          checked={artist.id === survivorId}
+                          onChange={() =>
+                            setSurvivors(current => ({ ...current, [key]: artist.id }))
+                          }
+                          className="h-5 w-5 text-primary focus:ring-primary"
+                        />
+                        <Typography variant="body1" className="font-semibold">
+                          {artist.name}
+                        </Typography>
+                      </div>
+                      <Typography variant="body2" color="medium-gray">
+                        {artist.concert_count} concert{artist.concert_count === 1 ? '' : 's'}
+                        {artist.genres?.length ? ` · ${artist.genres.join(', ')}` : ''}
+                      </Typography>
+                      {artist.artist_aliases?.length > 0 && (
+                        <Typography variant="body2" color="medium-gray">
+                          Also known as {artist.artist_aliases.map(({ alias }) => alias).join(', ')}
+                        </Typography>
+                      )}
+                      <Link
+                        to={getEditPath('artists', artist.id)}
+                        className="text-sm text-primary hover:underline"
+                      >
+                        Edit
+                      </Link>
+                    </label>
+                  ))}
+                </div>
+
+                <Button
+                  variant="primary"
+                  size="sm"
+                  onClick={() => handleMerge(pair)}
+                  disabled={working}
+                >
+                  Merge
+                </Button>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </AdminLayout>
+  );
+};
+
+export default ArtistMergePage;
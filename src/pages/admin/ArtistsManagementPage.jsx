@@ -6,6 +6,7 @@ import Button from '../../components/atoms/Button';
 import Typography from '../../components/atoms/Typography';
 import Spinner from '../../components/atoms/Spinner';
 import Card from '../../components/atoms/Card';
+import { ARTIST_MERGE_PATH } from '../../utils/dataQualityUtils';
 
 /**
  * ArtistsManagementPage
@@ -29,7 +30,11 @@ const ArtistsManagementPage = () => {
       try {
         setLoading(true);
 
-        const { data, error } = await supabase.from('artists').select('*').order('name');
+        const { data, error } = await supabase
+          .from('artists')
+          .select('*')
+          .is('deleted_at', null)
+          .order('name');
 
         if (error) throw error;
 
@@ -68,6 +73,13 @@ const ArtistsManagementPage = () => {
         </Typography>
 
         <div className="flex flex-col sm:flex-row gap-2">
+          <Button
+            variant="secondary"
+            onClick={() => navigate(ARTIST_MERGE_PATH)}
+            className="min-h-touch"
+          >
+            Find Duplicates
+          </Button>
           <Button variant="primary" onClick={handleCreateArtist} className="min-h-touch">
             Add New Artist
           </Button>
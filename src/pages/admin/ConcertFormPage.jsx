@@ -1,12 +1,45 @@
-import { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import supabase from '../../services/supabase';
+import { useAuth } from '../../context/AuthContext';
+import { TRASH_RETENTION_DAYS } from '../../services/trashService';
 import AdminLayout from '../../components/templates/AdminLayout';
 import Button from '../../components/atoms/Button';
 import Typography from '../../components/atoms/Typography';
 import Spinner from '../../components/atoms/Spinner';
 import Input from '../../components/atoms/Input';
 import Card from '../../components/atoms/Card';
+import Tabs from '../../components/molecules/Tabs';
+import RecordHistory from '../../components/organisms/RecordHistory';
+import {
+  formatDateRange,
+  formatParkDateTime,
+  formatParkDateTimeInput,
+  parseParkDateTimeInput,
+  toParkDateTime,
+} from '../../utils/dateUtils';
+import { WEEKDAYS, expandRecurrence, validateRecurrence } from '../../utils/recurrenceUtils';
+import { canEditRecord } from '../../utils/permissions';
+import {
+  findBookingConflicts,
+  findOverlappingConcerts,
+  isOutsideFestival,
+} from '../../utils/dataQualityUtils';
+
+// Fields shared by every concert in a series; times stay per concert
+const SERIES_FIELDS = ['artist_id', 'venue_id', 'festival_id', 'notes', 'ticket_required'];
+
+// Error codes raised by the validate_concert_booking trigger
+const BOOKING_ERROR_CODES = ['23P01', '23514'];
+const VENUE_CONFLICT_CODE = '23P01';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tabs shown when editing an existing record
+const EDIT_TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'history', label: 'History' },
+];
 
 /**
  * ConcertFormPage
@@ -19,10 +52,18 @@ import Card from '../../components/atoms/Card';
  * - Bottom-fixed action buttons within thumb reach
  * - Contextual validation with clear error messages
  * - Optimized dropdowns for touch interaction
+ *
+ * New concerts can repeat: a date range, weekdays, set times and exclusion
+ * dates expand into individual concerts sharing a series_id, previewed before
+ * saving. Concerts in a series can then be edited or deleted as a group.
+ *
+ * When editing, the History tab lists every change to the concert and can
+ * restore an earlier version.
  */
 const ConcertFormPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { userProfile } = useAuth();
   const isEditMode = !!id;
 
   // Form state
@@ -36,6 +77,27 @@ const ConcertFormPage = () => {
     ticket_required: false,
   });
 
+  // Recurrence rule for creating a series
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [recurrence, setRecurrence] = useState({
+    startDate: '',
+    endDate: '',
+    weekdays: WEEKDAYS.map(day => day.value),
+    setTimes: [''],
+    durationMinutes: '',
+    excludedDates: [],
+  });
+  const [excludedDateInput, setExcludedDateInput] = useState('');
+
+  // Concerts in the series the edited concert belongs to
+  const [seriesConcerts, setSeriesConcerts] = useState([]);
+  const seriesCount = seriesConcerts.length;
+  const [applyToSeries, setApplyToSeries] = useState(false);
+
+  // Concert as loaded, with its venue's park, for the festival manager scope check
+  const [savedConcert, setSavedConcert] = useState(null);
+  const readOnly = Boolean(savedConcert) && !canEditRecord(userProfile, 'concerts', savedConcert);
+
   // Options for dropdowns
   const [artists, setArtists] = useState([]);
   const [venues, setVenues] = useState([]);
@@ -44,8 +106,14 @@ const ConcertFormPage = () => {
   // UI state
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(false);
   const [error, setError] = useState(null);
   const [formErrors, setFormErrors] = useState({});
+  // Existing concerts at the venue that clash with the times being saved
+  const [bookingConflicts, setBookingConflicts] = useState([]);
+  const [activeTab, setActiveTab] = useState('details');
+  // Bumped after a version is restored from history, to reload the record
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Fetch concert data if in edit mode
   useEffect(() => {
@@ -55,24 +123,36 @@ const ConcertFormPage = () => {
       try {
         setLoading(true);
 
-        const { data, error } = await supabase.from('concerts').select('*').eq('id', id).single();
+        const { data, error } = await supabase
+          .from('concerts')
+          .select('*, venues:venue_id (park_id)')
+          .eq('id', id)
+          .single();
 
         if (error) throw error;
 
         if (data) {
-          // Format dates for datetime-local input
-          const formattedStartTime = data.start_time
-            ? new Date(data.start_time).toISOString().slice(0, 16)
-            : '';
-          const formattedEndTime = data.end_time
-            ? new Date(data.end_time).toISOString().slice(0, 16)
-            : '';
+          // eslint-disable-next-line no-unused-vars
+          const { venues, ...concert } = data;
+          setSavedConcert(data);
 
+          // Format dates for datetime-local input (entered in park time)
           setFormData({
-            ...data,
-            start_time: formattedStartTime,
-            end_time: formattedEndTime,
+            ...concert,
+            start_time: formatParkDateTimeInput(data.start_time),
+            end_time: formatParkDateTimeInput(data.end_time),
           });
+
+          if (data.series_id) {
+            const { data: seriesData, error: seriesError } = await supabase
+              .from('concerts')
+              .select('id, start_time, end_time')
+              .eq('series_id', data.series_id)
+              .is('deleted_at', null);
+
+            if (seriesError) throw seriesError;
+            setSeriesConcerts(seriesData || []);
+          }
         }
       } catch (error) {
         console.error('Error fetching concert data:', error.message);
@@ -83,7 +163,7 @@ const ConcertFormPage = () => {
     };
 
     fetchConcertData();
-  }, [id, isEditMode]);
+  }, [id, isEditMode, reloadKey]);
 
   // Fetch options for dropdowns
   useEffect(() => {
@@ -95,6 +175,7 @@ const ConcertFormPage = () => {
         const { data: artistsData, error: artistsError } = await supabase
           .from('artists')
           .select('id, name')
+          .is('deleted_at', null)
           .order('name');
 
         if (artistsError) throw artistsError;
@@ -104,6 +185,7 @@ const ConcertFormPage = () => {
         const { data: venuesData, error: venuesError } = await supabase
           .from('venues')
           .select('id, name')
+          .is('deleted_at', null)
           .order('name');
 
         if (venuesError) throw venuesError;
@@ -112,7 +194,8 @@ const ConcertFormPage = () => {
         // Fetch festivals
         const { data: festivalsData, error: festivalsError } = await supabase
           .from('festivals')
-          .select('id, name')
+          .select('id, name, start_date, end_date')
+          .is('deleted_at', null)
           .order('name');
 
         if (festivalsError) throw festivalsError;
@@ -145,8 +228,103 @@ const ConcertFormPage = () => {
     }
   };
 
+  const handleRecurrenceChange = changes => {
+    setRecurrence({ ...recurrence, ...changes });
+
+    // Clear errors for the updated rule fields
+    const cleared = Object.keys(changes).filter(key => formErrors[key]);
+    if (cleared.length || formErrors.occurrences) {
+      const nextErrors = { ...formErrors, occurrences: null };
+      cleared.forEach(key => {
+        nextErrors[key] = null;
+      });
+      setFormErrors(nextErrors);
+    }
+  };
+
+  const toggleWeekday = weekday => {
+    handleRecurrenceChange({
+      weekdays: recurrence.weekdays.includes(weekday)
+        ? recurrence.weekdays.filter(value => value !== weekday)
+        : [...recurrence.weekdays, weekday].sort(),
+    });
+  };
+
+  const updateSetTime = (index, value) => {
+    handleRecurrenceChange({
+      setTimes: recurrence.setTimes.map((time, i) => (i === index ? value : time)),
+    });
+  };
+
+  const addExcludedDate = () => {
+    if (!excludedDateInput || recurrence.excludedDates.includes(excludedDateInput)) return;
+
+    handleRecurrenceChange({
+      excludedDates: [...recurrence.excludedDates, excludedDateInput].sort(),
+    });
+    setExcludedDateInput('');
+  };
+
+  // Concerts the recurrence rule generates, grouped by park date for the preview
+  const occurrences = useMemo(
+    () => (isRecurring ? expandRecurrence(recurrence) : []),
+    [isRecurring, recurrence]
+  );
+  const occurrencesByDate = useMemo(
+    () =>
+      occurrences.reduce((groups, occurrence) => {
+        const date = formatParkDateTime(occurrence.start_time, 'EEE, MMM d, yyyy');
+        return { ...groups, [date]: [...(groups[date] || []), occurrence] };
+      }, {}),
+    [occurrences]
+  );
+
+  // Concerts the form will write, as start/end timestamps. A series edit books
+  // every concert in the series at the chosen venue, each at its own times.
+  const getBookingCandidates = () => {
+    if (isRecurring) return occurrences;
+
+    const edited = {
+      id,
+      start_time: parseParkDateTimeInput(formData.start_time),
+      end_time: parseParkDateTimeInput(formData.end_time),
+    };
+
+    return applyToSeries
+      ? seriesConcerts.map(concert => (concert.id === id ? edited : concert))
+      : [edited];
+  };
+
+  // Look up concerts already booked at the venue that clash with the new times
+  const findVenueConflicts = async candidates => {
+    if (!candidates.length) return [];
+
+    const starts = candidates.map(candidate => new Date(candidate.start_time).getTime());
+    const ends = candidates.map(candidate =>
+      new Date(candidate.end_time || candidate.start_time).getTime()
+    );
+
+    // No set runs a full day, so anything starting a day before the first new concert is clear
+    const { data, error } = await supabase
+      .from('concerts')
+      .select('id, start_time, end_time, artists(name)')
+      .eq('venue_id', formData.venue_id)
+      .is('deleted_at', null)
+      .gte('start_time', new Date(Math.min(...starts) - DAY_MS).toISOString())
+      .lte('start_time', new Date(Math.max(...ends)).toISOString());
+
+    if (error) throw error;
+
+    // The concerts being saved are checked against each other in validateForm
+    const savingIds = new Set(candidates.map(candidate => candidate.id).filter(Boolean));
+    return findBookingConflicts(
+      candidates,
+      (data || []).filter(booking => !savingIds.has(booking.id))
+    );
+  };
+
   const validateForm = () => {
-    const errors = {};
+    const errors = isRecurring ? validateRecurrence(recurrence) : {};
 
     if (!formData.artist_id) {
       errors.artist_id = 'Artist is required';
@@ -156,14 +334,51 @@ const ConcertFormPage = () => {
       errors.venue_id = 'Venue is required';
     }
 
-    if (!formData.start_time) {
+    if (!isRecurring && !formData.start_time) {
       errors.start_time = 'Start time is required';
     }
 
-    if (formData.end_time && new Date(formData.end_time) <= new Date(formData.start_time)) {
+    if (
+      !isRecurring &&
+      formData.end_time &&
+      toParkDateTime(formData.end_time) <= toParkDateTime(formData.start_time)
+    ) {
       errors.end_time = 'End time must be after start time';
     }
 
+    const festival = festivals.find(option => option.id === formData.festival_id);
+    if (
+      festival &&
+      (isRecurring || formData.start_time) &&
+      getBookingCandidates().some(candidate => isOutsideFestival(candidate, festival))
+    ) {
+      errors.festival_id = `${festival.name} runs ${formatDateRange(
+        festival.start_date,
+        festival.end_date
+      )}; every concert must fall within those dates`;
+    }
+
+    // Concerts saved together must not clash with each other at the venue either
+    const [clash] = findOverlappingConcerts(
+      (isRecurring || formData.start_time ? getBookingCandidates() : []).map(candidate => ({
+        ...candidate,
+        venue_id: formData.venue_id,
+      }))
+    );
+    if (clash) {
+      const [earlier, later] = clash;
+      const message = `The ${formatParkDateTime(
+        earlier.start_time,
+        'EEE MMM d, h:mm a'
+      )} and ${formatParkDateTime(later.start_time, 'h:mm a')} sets overlap`;
+
+      if (isRecurring) {
+        errors.occurrences = message;
+      } else {
+        errors.start_time = `${message}; both are in this series`;
+      }
+    }
+
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -182,19 +397,52 @@ const ConcertFormPage = () => {
 
     try {
       setSaving(true);
+      setError(null);
+
+      const conflicts = await findVenueConflicts(getBookingCandidates());
+      setBookingConflicts(conflicts);
+      if (conflicts.length) {
+        document
+          .getElementById('venue_id')
+          ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+      }
 
       // Prepare data
       const concertData = {
         ...formData,
         // Convert empty strings to null for non-required fields
         festival_id: formData.festival_id || null,
-        end_time: formData.end_time || null,
+        start_time: parseParkDateTimeInput(formData.start_time),
+        end_time: parseParkDateTimeInput(formData.end_time),
       };
 
-      if (isEditMode) {
+      if (isEditMode && applyToSeries) {
+        // Update this concert and the shared fields on the rest of the series in one transaction
+        const { error } = await supabase.rpc('update_concert_series', {
+          target_concert_id: id,
+          changes: Object.fromEntries(
+            [...SERIES_FIELDS, 'start_time', 'end_time'].map(field => [field, concertData[field]])
+          ),
+        });
+
+        if (error) throw error;
+      } else if (isEditMode) {
         // Update existing concert
         const { error } = await supabase.from('concerts').update(concertData).eq('id', id);
 
+        if (error) throw error;
+      } else if (isRecurring) {
+        // Create every concert in the series in one insert
+        const seriesId = crypto.randomUUID();
+        const { error } = await supabase.from('concerts').insert(
+          occurrences.map(occurrence => ({
+            ...concertData,
+            ...occurrence,
+            series_id: seriesId,
+          }))
+        );
+
         if (error) throw error;
       } else {
         // Create new concert
@@ -207,12 +455,50 @@ const ConcertFormPage = () => {
       navigate('/admin/concerts');
     } catch (error) {
       console.error('Error saving concert:', error.message);
-      setError('Failed to save concert. Please try again.');
+
+      // The database rejected the booking; name the concert it clashes with
+      if (error.code === VENUE_CONFLICT_CODE) {
+        setBookingConflicts([{ candidate: null, conflict: { id: error.details } }]);
+      }
+      setError(
+        BOOKING_ERROR_CODES.includes(error.code)
+          ? error.message
+          : 'Failed to save concert. Please try again.'
+      );
     } finally {
       setSaving(false);
     }
   };
 
+  const handleDelete = async () => {
+    const message = applyToSeries
+      ? `Move all ${seriesCount} concerts in this series to the trash?`
+      : 'Move this concert to the trash?';
+    if (!window.confirm(`${message} It can be restored for ${TRASH_RETENTION_DAYS} days.`)) return;
+
+    try {
+      setDeleting(true);
+
+      // Soft delete; the Trash page can restore it until it is purged
+      const query = supabase
+        .from('concerts')
+        .update({ deleted_at: new Date().toISOString() })
+        .is('deleted_at', null);
+      const { error } = applyToSeries
+        ? await query.eq('series_id', formData.series_id)
+        : await query.eq('id', id);
+
+      if (error) throw error;
+
+      navigate('/admin/concerts');
+    } catch (error) {
+      console.error('Error deleting concert:', error.message);
+      setError('Failed to delete concert. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   if (loading) {
     return (
       <AdminLayout title={isEditMode ? 'Edit Concert' : 'Add Concert'}>
@@ -231,7 +517,58 @@ const ConcertFormPage = () => {
         </Card>
       )}
 
-      <form onSubmit={handleSubmit} className="space-y-6 pb-24">
+      {readOnly && (
+        <Card className="p-4 mb-6">
+          <Typography variant="body1">
+            This concert is outside the festivals and parks you manage, so it can be viewed but not
+            changed.
+          </Typography>
+        </Card>
+      )}
+
+      {isEditMode && (
+        <Tabs tabs={EDIT_TABS} activeTab={activeTab} onChange={setActiveTab} className="mb-6" />
+      )}
+
+      {activeTab === 'history' && (
+        <RecordHistory
+          tableName="concerts"
+          recordId={id}
+          onRestored={() => setReloadKey(key => key + 1)}
+        />
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className={`space-y-6 pb-24 ${activeTab === 'history' ? 'hidden' : ''}`}
+      >
+        {/* Series scope when editing a concert that belongs to a series */}
+        {isEditMode && formData.series_id && (
+          <Card className="p-4">
+            <Typography variant="body1" className="mb-2">
+              This concert is part of a series of {seriesCount} concerts.
+            </Typography>
+            <label htmlFor="series_scope" className="block mb-2 text-sm font-medium text-white">
+              Apply changes to
+            </label>
+            <select
+              id="series_scope"
+              value={applyToSeries ? 'series' : 'concert'}
+              onChange={e => setApplyToSeries(e.target.value === 'series')}
+              className="appearance-none min-h-touch w-full px-md py-xs rounded border border-light-gray focus:outline-none focus:ring-2 focus:ring-primary-light focus:border-primary transition-colors bg-white text-black"
+            >
+              <option value="concert">This concert only</option>
+              <option value="series">All {seriesCount} concerts in this series</option>
+            </select>
+            {applyToSeries && (
+              <Typography variant="body2" color="medium-gray" className="mt-2">
+                Artist, venue, festival, notes and ticket changes apply to the whole series. Start
+                and end times only change for this concert.
+              </Typography>
+            )}
+          </Card>
+        )}
+
         {/* Artist selection */}
         <div className={formErrors.artist_id ? 'error-field' : ''}>
           <label htmlFor="artist_id" className="block mb-2 text-sm font-medium text-white">
@@ -286,10 +623,38 @@ const ConcertFormPage = () => {
             ))}
           </select>
           {formErrors.venue_id && <p className="mt-1 text-sm text-error">{formErrors.venue_id}</p>}
+          {bookingConflicts.length > 0 && (
+            <div className="mt-1 text-sm text-error">
+              <p>This venue is already booked at that time:</p>
+              <ul className="list-disc pl-5">
+                {bookingConflicts.map(({ candidate, conflict }) => (
+                  <li key={`${candidate?.start_time}-${conflict.id}`}>
+                    <Link
+                      to={`/admin/concerts/edit/${conflict.id}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="underline"
+                    >
+                      {conflict.artists?.name || 'Conflicting concert'}
+                    </Link>
+                    {conflict.start_time &&
+                      `, ${formatParkDateTime(conflict.start_time, 'EEE MMM d, h:mm a')}${
+                        conflict.end_time
+                          ? `–${formatParkDateTime(conflict.end_time, 'h:mm a')}`
+                          : ''
+                      }`}
+                    {isRecurring &&
+                      candidate &&
+                      ` (clashes with ${formatParkDateTime(candidate.start_time, 'EEE MMM d')})`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
 
         {/* Festival selection (optional) */}
-        <div>
+        <div className={formErrors.festival_id ? 'error-field' : ''}>
           <label htmlFor="festival_id" className="block mb-2 text-sm font-medium text-white">
             Festival (optional)
           </label>
@@ -307,46 +672,262 @@ const ConcertFormPage = () => {
               </option>
             ))}
           </select>
-        </div>
-
-        {/* Start time */}
-        <div className={formErrors.start_time ? 'error-field' : ''}>
-          <label htmlFor="start_time" className="block mb-2 text-sm font-medium text-white">
-            Start Time<span className="text-error">*</span>
-          </label>
-          <Input
-            type="datetime-local"
-            id="start_time"
-            name="start_time"
-            value={formData.start_time}
-            onChange={handleInputChange}
-            required
-            className={`min-h-touch bg-white text-black ${
-              formErrors.start_time ? 'border-error' : ''
-            }`}
-          />
-          {formErrors.start_time && (
-            <p className="mt-1 text-sm text-error">{formErrors.start_time}</p>
+          {formErrors.festival_id && (
+            <p className="mt-1 text-sm text-error">{formErrors.festival_id}</p>
           )}
         </div>
 
-        {/* End time (optional) */}
-        <div className={formErrors.end_time ? 'error-field' : ''}>
-          <label htmlFor="end_time" className="block mb-2 text-sm font-medium text-white">
-            End Time (optional)
-          </label>
-          <Input
-            type="datetime-local"
-            id="end_time"
-            name="end_time"
-            value={formData.end_time}
-            onChange={handleInputChange}
-            className={`min-h-touch bg-white text-black ${
-              formErrors.end_time ? 'border-error' : ''
-            }`}
-          />
-          {formErrors.end_time && <p className="mt-1 text-sm text-error">{formErrors.end_time}</p>}
-        </div>
+        {/* Recurrence toggle (new concerts only) */}
+        {!isEditMode && (
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="is_recurring"
+              checked={isRecurring}
+              onChange={e => setIsRecurring(e.target.checked)}
+              className="h-5 w-5 text-primary focus:ring-primary border-light-gray rounded"
+            />
+            <label htmlFor="is_recurring" className="ml-2 text-sm font-medium text-white">
+              Repeats (create a series of concerts)
+            </label>
+          </div>
+        )}
+
+        {isRecurring ? (
+          <>
+            {/* Date range */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className={formErrors.startDate ? 'error-field' : ''}>
+                <label
+                  htmlFor="series_start_date"
+                  className="block mb-2 text-sm font-medium text-white"
+                >
+                  First Date<span className="text-error">*</span>
+                </label>
+                <Input
+                  type="date"
+                  id="series_start_date"
+                  name="startDate"
+                  value={recurrence.startDate}
+                  onChange={e => handleRecurrenceChange({ startDate: e.target.value })}
+                  className={`min-h-touch bg-white text-black ${
+                    formErrors.startDate ? 'border-error' : ''
+                  }`}
+                />
+                {formErrors.startDate && (
+                  <p className="mt-1 text-sm text-error">{formErrors.startDate}</p>
+                )}
+              </div>
+              <div className={formErrors.endDate ? 'error-field' : ''}>
+                <label
+                  htmlFor="series_end_date"
+                  className="block mb-2 text-sm font-medium text-white"
+                >
+                  Last Date<span className="text-error">*</span>
+                </label>
+                <Input
+                  type="date"
+                  id="series_end_date"
+                  name="endDate"
+                  value={recurrence.endDate}
+                  onChange={e => handleRecurrenceChange({ endDate: e.target.value })}
+                  className={`min-h-touch bg-white text-black ${
+                    formErrors.endDate ? 'border-error' : ''
+                  }`}
+                />
+                {formErrors.endDate && (
+                  <p className="mt-1 text-sm text-error">{formErrors.endDate}</p>
+                )}
+              </div>
+            </div>
+
+            {/* Weekdays */}
+            <div className={formErrors.weekdays ? 'error-field' : ''}>
+              <span className="block mb-2 text-sm font-medium text-white">
+                Days of the Week<span className="text-error">*</span>
+              </span>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAYS.map(day => {
+                  const selected = recurrence.weekdays.includes(day.value);
+                  return (
+                    <button
+                      key={day.value}
+                      type="button"
+                      aria-pressed={selected}
+                      onClick={() => toggleWeekday(day.value)}
+                      className={`min-h-touch px-sm rounded border text-sm font-medium transition-colors ${
+                        selected
+                          ? 'bg-sunset-orange border-sunset-orange text-white'
+                          : 'bg-transparent border-light-gray text-white'
+                      }`}
+                    >
+                      {day.label}
+                    </button>
+                  );
+                })}
+              </div>
+              {formErrors.weekdays && (
+                <p className="mt-1 text-sm text-error">{formErrors.weekdays}</p>
+              )}
+            </div>
+
+            {/* Set times */}
+            <div className={formErrors.setTimes ? 'error-field' : ''}>
+              <span className="block mb-2 text-sm font-medium text-white">
+                Set Times<span className="text-error">*</span>
+              </span>
+              <div className="space-y-2">
+                {recurrence.setTimes.map((time, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <Input
+                      type="time"
+                      id={`set_time_${index}`}
+                      name={`set_time_${index}`}
+                      value={time}
+                      onChange={e => updateSetTime(index, e.target.value)}
+                      className="min-h-touch bg-white text-black"
+                    />
+                    {recurrence.setTimes.length > 1 && (
+                      <Button
+                        variant="ghost"
+                        onClick={() =>
+                          handleRecurrenceChange({
+                            setTimes: recurrence.setTimes.filter((_, i) => i !== index),
+                          })
+                        }
+                        className="min-h-touch px-3"
+                      >
+                        Remove
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => handleRecurrenceChange({ setTimes: [...recurrence.setTimes, ''] })}
+                className="mt-2"
+              >
+                Add Set Time
+              </Button>
+              {formErrors.setTimes && (
+                <p className="mt-1 text-sm text-error">{formErrors.setTimes}</p>
+              )}
+            </div>
+
+            {/* Set length */}
+            <div className={formErrors.durationMinutes ? 'error-field' : ''}>
+              <label
+                htmlFor="duration_minutes"
+                className="block mb-2 text-sm font-medium text-white"
+              >
+                Set Length in Minutes (optional)
+              </label>
+              <Input
+                type="number"
+                id="duration_minutes"
+                name="durationMinutes"
+                min="1"
+                value={recurrence.durationMinutes}
+                onChange={e => handleRecurrenceChange({ durationMinutes: e.target.value })}
+                className={`min-h-touch bg-white text-black ${
+                  formErrors.durationMinutes ? 'border-error' : ''
+                }`}
+              />
+              {formErrors.durationMinutes && (
+                <p className="mt-1 text-sm text-error">{formErrors.durationMinutes}</p>
+              )}
+            </div>
+
+            {/* Exclusion dates */}
+            <div>
+              <label htmlFor="excluded_date" className="block mb-2 text-sm font-medium text-white">
+                Skip Dates (optional)
+              </label>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="date"
+                  id="excluded_date"
+                  name="excluded_date"
+                  value={excludedDateInput}
+                  onChange={e => setExcludedDateInput(e.target.value)}
+                  className="min-h-touch bg-white text-black"
+                />
+                <Button
+                  variant="secondary"
+                  onClick={addExcludedDate}
+                  disabled={!excludedDateInput}
+                  className="min-h-touch px-3"
+                >
+                  Skip
+                </Button>
+              </div>
+              {recurrence.excludedDates.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {recurrence.excludedDates.map(date => (
+                    <button
+                      key={date}
+                      type="button"
+                      onClick={() =>
+                        handleRecurrenceChange({
+                          excludedDates: recurrence.excludedDates.filter(value => value !== date),
+                        })
+                      }
+                      aria-label={`Stop skipping ${formatParkDateTime(date, 'MMM d, yyyy')}`}
+                      className="min-h-touch px-sm rounded-full border border-light-gray text-sm text-white"
+                    >
+                      {formatParkDateTime(date, 'EEE, MMM d')} ✕
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            {/* Start time */}
+            <div className={formErrors.start_time ? 'error-field' : ''}>
+              <label htmlFor="start_time" className="block mb-2 text-sm font-medium text-white">
+                Start Time<span className="text-error">*</span>
+              </label>
+              <Input
+                type="datetime-local"
+                id="start_time"
+                name="start_time"
+                value={formData.start_time}
+                onChange={handleInputChange}
+                required
+                className={`min-h-touch bg-white text-black ${
+                  formErrors.start_time ? 'border-error' : ''
+                }`}
+              />
+              {formErrors.start_time && (
+                <p className="mt-1 text-sm text-error">{formErrors.start_time}</p>
+              )}
+            </div>
+
+            {/* End time (optional) */}
+            <div className={formErrors.end_time ? 'error-field' : ''}>
+              <label htmlFor="end_time" className="block mb-2 text-sm font-medium text-white">
+                End Time (optional)
+              </label>
+              <Input
+                type="datetime-local"
+                id="end_time"
+                name="end_time"
+                value={formData.end_time}
+                onChange={handleInputChange}
+                className={`min-h-touch bg-white text-black ${
+                  formErrors.end_time ? 'border-error' : ''
+                }`}
+              />
+              {formErrors.end_time && (
+                <p className="mt-1 text-sm text-error">{formErrors.end_time}</p>
+              )}
+            </div>
+          </>
+        )}
 
         {/* Notes */}
         <div>
@@ -377,10 +958,61 @@ const ConcertFormPage = () => {
             Ticket required for this concert
           </label>
         </div>
+
+        {/* Generated concerts preview */}
+        {isRecurring && (
+          <Card className={`p-4 ${formErrors.occurrences ? 'error-field' : ''}`}>
+            <Typography variant="h3" className="mb-2">
+              Preview: {occurrences.length} {occurrences.length === 1 ? 'concert' : 'concerts'}
+            </Typography>
+            {formErrors.occurrences && (
+              <p className="mb-2 text-sm text-error">{formErrors.occurrences}</p>
+            )}
+            {occurrences.length === 0 ? (
+              <Typography variant="body2" color="medium-gray">
+                Choose dates, days and set times to see the concerts that will be created.
+              </Typography>
+            ) : (
+              <ul className="space-y-1 max-h-80 overflow-y-auto">
+                {Object.entries(occurrencesByDate).map(([date, dayOccurrences]) => (
+                  <li key={date} className="flex justify-between gap-4 text-sm text-white">
+                    <span>{date}</span>
+                    <span className="text-right text-light-gray">
+                      {dayOccurrences
+                        .map(occurrence => formatParkDateTime(occurrence.start_time, 'h:mm a'))
+                        .join(', ')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Card>
+        )}
+
+        {/* Delete */}
+        {isEditMode && (
+          <Button
+            variant="danger"
+            onClick={handleDelete}
+            disabled={deleting || readOnly}
+            fullWidth
+            className="min-h-touch"
+          >
+            {deleting
+              ? 'Deleting...'
+              : applyToSeries
+              ? `Delete All ${seriesCount} Concerts in Series`
+              : 'Delete Concert'}
+          </Button>
+        )}
       </form>
 
       {/* Fixed action buttons for mobile */}
-      <div className="fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 flex space-x-4">
+      <div
+        className={`fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 space-x-4 ${
+          activeTab === 'history' ? 'hidden' : 'flex'
+        }`}
+      >
         <Button
           type="button"
           variant="secondary"
@@ -394,11 +1026,19 @@ const ConcertFormPage = () => {
           type="submit"
           variant="primary"
           onClick={handleSubmit}
-          disabled={saving}
+          disabled={saving || readOnly}
           fullWidth
           className="min-h-touch"
         >
-          {saving ? 'Saving...' : isEditMode ? 'Update Concert' : 'Create Concert'}
+          {saving
+            ? 'Saving...'
+            : isEditMode
+            ? applyToSeries
+              ? 'Update Series'
+              : 'Update Concert'
+            : isRecurring
+            ? `Create ${occurrences.length} Concerts`
+            : 'Create Concert'}
         </Button>
       </div>
     </AdminLayout>
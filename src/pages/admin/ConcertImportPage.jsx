@@ -0,0 +1,402 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import supabase from '../../services/supabase';
+import stagingService from '../../services/stagingService';
+import AdminLayout from '../../components/templates/AdminLayout';
+import Button from '../../components/atoms/Button';
+import Typography from '../../components/atoms/Typography';
+import Spinner from '../../components/atoms/Spinner';
+import Card from '../../components/atoms/Card';
+import Badge from '../../components/atoms/Badge';
+import { formatParkDateTime } from '../../utils/dateUtils';
+import {
+  IMPORT_STATUS,
+  parseImportFile,
+  resolveImportRows,
+  buildImportDiff,
+  getStagingChanges,
+  buildErrorReport,
+} from '../../utils/importUtils';
+
+// Badge variant and label for each row status
+const STATUS_BADGES = {
+  [IMPORT_STATUS.CREATE]: { variant: 'success', label: 'Create' },
+  [IMPORT_STATUS.UPDATE]: { variant: 'warning', label: 'Update' },
+  [IMPORT_STATUS.UNCHANGED]: { variant: 'outline', label: 'Unchanged' },
+  [IMPORT_STATUS.ERROR]: { variant: 'error', label: 'Error' },
+};
+
+const SAMPLE_CSV = `artist,venue,festival,date,start_time,end_time,notes,ticket_required
+Hollywood Nights,America Gardens Theatre,EPCOT International Flower & Garden Festival,2025-03-01,5:30 PM,6:00 PM,,no`;
+
+/**
+ * Format a field value from the diff for display
+ */
+const formatValue = (field, value, names) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'end_time') return formatParkDateTime(value, 'MMM d, h:mm a');
+  if (field === 'festival_id') return names.festivals[value] || value;
+  if (field === 'ticket_required') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * Offer text as a file download
+ */
+const downloadText = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * ConcertImportPage
+ *
+ * Bulk import of a festival lineup from CSV or JSON
+ *
+ * - Names are fuzzy matched to existing artists, venues and festivals
+ * - A dry run shows which rows create, update or leave concerts unchanged
+ * - Creates and updates are sent to the review queue; nothing changes until an admin approves them
+ * - Rows that cannot be imported can be downloaded as a CSV error report
+ */
+const ConcertImportPage = () => {
+  const navigate = useNavigate();
+  const [references, setReferences] = useState({ artists: [], venues: [], festivals: [] });
+  const [fileName, setFileName] = useState('');
+  const [text, setText] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [result, setResult] = useState(null);
+  const [commitError, setCommitError] = useState(null);
+
+  // UI state
+  const [loading, setLoading] = useState(true);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the records names are matched against
+  useEffect(() => {
+    const fetchReferences = async () => {
+      try {
+        setLoading(true);
+
+        // Artists come with their aliases so merged spellings match the artist that was kept
+        const [artists, venues, festivals] = await Promise.all([
+          supabase
+            .from('artists')
+            .select('id, name, artist_aliases (alias)')
+            .is('deleted_at', null)
+            .order('name'),
+          supabase.from('venues').select('id, name').is('deleted_at', null).order('name'),
+          supabase.from('festivals').select('id, name').is('deleted_at', null).order('name'),
+        ]);
+
+        [artists, venues, festivals].forEach(response => {
+          if (response.error) throw response.error;
+        });
+
+        setReferences({
+          artists: artists.data || [],
+          venues: venues.data || [],
+          festivals: festivals.data || [],
+        });
+      } catch (error) {
+        console.error('Error fetching import references:', error.message);
+        setError('Failed to load artists, venues and festivals. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReferences();
+  }, []);
+
+  const names = {
+    festivals: Object.fromEntries(
+      references.festivals.map(festival => [festival.id, festival.name])
+    ),
+  };
+
+  const resetPreview = () => {
+    setDiff(null);
+    setResult(null);
+    setCommitError(null);
+    setError(null);
+  };
+
+  const handleFileChange = async e => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    resetPreview();
+    setFileName(file.name);
+    setText(await file.text());
+  };
+
+  const handlePreview = async () => {
+    resetPreview();
+
+    try {
+      setPreviewing(true);
+
+      const rows = parseImportFile(text, fileName);
+      if (!rows.length) {
+        setError('No rows found. Check that the file has a header row and at least one concert.');
+        return;
+      }
+
+      const resolved = resolveImportRows(rows, references);
+
+      // Existing concerts in the import's time range, to find updates and unchanged rows
+      const starts = resolved
+        .map(row => row.values.start_time)
+        .filter(Boolean)
+        .sort();
+      let existing = [];
+      if (starts.length) {
+        const { data, error } = await supabase
+          .from('concerts')
+          .select(
+            'id, artist_id, venue_id, festival_id, start_time, end_time, notes, ticket_required'
+          )
+          .is('deleted_at', null)
+          .gte('start_time', starts[0])
+          .lte('start_time', starts[starts.length - 1]);
+
+        if (error) throw error;
+        existing = data || [];
+      }
+
+      setDiff(buildImportDiff(resolved, existing));
+    } catch (error) {
+      console.error('Error previewing import:', error.message);
+      setError(error.message || 'Failed to read the import file.');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      setCommitError(null);
+
+      setResult(await stagingService.stageChanges(getStagingChanges(diff), { source: 'import' }));
+    } catch (error) {
+      console.error('Error staging concert import:', error.message);
+      setCommitError(error.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    downloadText(
+      buildErrorReport(diff.rows, { commitError }),
+      `${(fileName || 'import').replace(/\.[^.]+$/, '')}-errors.csv`,
+      'text/csv'
+    );
+  };
+
+  if (loading) {
+    return (
+      <AdminLayout title="Import Concerts">
+        <div className="flex justify-center my-12">
+          <Spinner size="lg" color="primary" />
+        </div>
+      </AdminLayout>
+    );
+  }
+
+  const changeCount = diff ? diff.summary.create + diff.summary.update : 0;
+
+  return (
+    <AdminLayout title="Import Concerts">
+      {error && (
+        <Card className="bg-error-light p-4 mb-6">
+          <Typography variant="body1">{error}</Typography>
+        </Card>
+      )}
+
+      {/* Source */}
+      <Card className="p-4 mb-6">
+        <Typography variant="h3" className="mb-2">
+          Lineup file
+        </Typography>
+        <Typography variant="body2" color="medium-gray" className="mb-4">
+          Upload a CSV or JSON lineup with artist, venue, optional festival, date, start and end
+          times. Names are matched to existing records even with small typos. Times are park time.
+        </Typography>
+
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={handleFileChange}
+          className="block w-full mb-4 text-sm text-white file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-sunset-orange file:text-white min-h-touch"
+        />
+
+        <label htmlFor="import-text" className="block mb-2 text-sm font-medium text-white">
+          Or paste CSV / JSON
+        </label>
+        <textarea
+          id="import-text"
+          value={text}
+          onChange={e => {
+            resetPreview();
+            setFileName('');
+            setText(e.target.value);
+          }}
+          rows={8}
+          placeholder={SAMPLE_CSV}
+          className="w-full px-md py-xs rounded border border-light-gray focus:outline-none focus:ring-2 focus:ring-primary-light focus:border-primary bg-white text-black font-mono text-xs"
+        />
+
+        <div className="flex flex-col sm:flex-row gap-2 mt-4">
+          <Button
+            variant="primary"
+            onClick={handlePreview}
+            disabled={!text.trim() || previewing}
+            className="min-h-touch"
+          >
+            {previewing ? 'Checking...' : 'Preview Changes'}
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => navigate('/admin/concerts')}
+            className="min-h-touch"
+          >
+            Back to Concerts
+          </Button>
+        </div>
+      </Card>
+
+      {/* Dry-run diff */}
+      {diff && (
+        <Card className="p-4 mb-24">
+          <div className="flex flex-wrap gap-2 mb-4">
+            {Object.entries(STATUS_BADGES).map(([status, { variant, label }]) => (
+              <Badge
+                key={status}
+                variant={variant}
+                size="sm"
+                text={`${diff.summary[status]} ${label.toLowerCase()}`}
+              />
+            ))}
+          </div>
+
+          {result && (
+            <Card className="bg-success bg-opacity-10 p-4 mb-4">
+              <Typography variant="body1">
+                Sent for review: {result.staged} new, {result.refreshed} updated pending
+                {result.unchanged ? `, ${result.unchanged} already pending` : ''}.{' '}
+                <Link to="/admin/review" className="underline">
+                  Open the review queue
+                </Link>
+              </Typography>
+            </Card>
+          )}
+
+          {commitError && (
+            <Card className="bg-error-light p-4 mb-4">
+              <Typography variant="body1">
+                Sending changes for review failed: {commitError}
+              </Typography>
+            </Card>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-2 mb-4">
+            <Button
+              variant="primary"
+              onClick={handleImport}
+              disabled={!changeCount || importing || Boolean(result)}
+              className="min-h-touch"
+            >
+              {importing ? 'Sending...' : `Send ${changeCount} Changes to Review`}
+            </Button>
+            {(diff.summary.error > 0 || commitError) && (
+              <Button variant="secondary" onClick={handleDownloadReport} className="min-h-touch">
+                Download Error Report
+              </Button>
+            )}
+          </div>
+
+          {diff.summary.error > 0 && (
+            <Typography variant="body2" color="warning" className="mb-4">
+              Rows with errors are skipped. Fix them and import the file again; rows already pending
+              review are updated rather than queued twice.
+            </Typography>
+          )}
+
+          <div className="space-y-2">
+            {diff.rows.map(row => {
+              const badge = STATUS_BADGES[row.status];
+              const fuzzyMatches = Object.entries(row.matches).filter(
+                ([, match]) => match.input && match.score < 1
+              );
+
+              return (
+                <div
+                  key={row.row}
+                  className="p-3 rounded bg-neutral-800 border border-white border-opacity-10"
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <Typography variant="body1" className="font-semibold">
+                        {row.matches.artist?.name || row.input.artist || 'Unknown artist'}
+                      </Typography>
+                      <Typography variant="body2" color="medium-gray">
+                        Row {row.row}
+                        {row.matches.venue ? ` · ${row.matches.venue.name}` : ''}
+                        {row.values.start_time
+                          ? ` · ${formatParkDateTime(row.values.start_time, 'EEE MMM d, h:mm a')}`
+                          : ''}
+                      </Typography>
+                    </div>
+                    <Badge variant={badge.variant} size="sm" text={badge.label} />
+                  </div>
+
+                  {fuzzyMatches.map(([field, match]) => (
+                    <Typography key={field} variant="caption" color="info" className="block mt-1">
+                      {field}: “{match.input}” matched “{match.name}” (
+                      {Math.round(match.score * 100)}%)
+                    </Typography>
+                  ))}
+
+                  {row.status === IMPORT_STATUS.UPDATE &&
+                    Object.entries(row.changes).map(([field, { from, to }]) => (
+                      <Typography
+                        key={field}
+                        variant="caption"
+                        color="warning"
+                        className="block mt-1"
+                      >
+                        {field}: {formatValue(field, from, names)} → {formatValue(field, to, names)}
+                      </Typography>
+                    ))}
+
+                  {row.errors.map(message => (
+                    <Typography
+                      key={message}
+                      variant="caption"
+                      color="error"
+                      className="block mt-1"
+                    >
+                      {message}
+                    </Typography>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </Card>
+      )}
+    </AdminLayout>
+  );
+};
+
+export default ConcertImportPage;
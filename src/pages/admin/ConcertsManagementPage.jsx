@@ -37,11 +37,13 @@ const ConcertsManagementPage = () => {
             end_time, 
             notes,
             ticket_required,
+            series_id,
             artists(id, name),
             venues(id, name),
             festivals(id, name)
           `
           )
+          .is('deleted_at', null)
           .order('start_time', { ascending: true });
 
         if (error) throw error;
@@ -62,6 +64,10 @@ const ConcertsManagementPage = () => {
     navigate('/admin/concerts/new');
   };
 
+  const handleImportConcerts = () => {
+    navigate('/admin/concerts/import');
+  };
+
   const handleEditConcert = id => {
     console.log('Editing concert with ID:', id);
     navigate(`/admin/concerts/edit/${id}`);
@@ -91,6 +97,9 @@ const ConcertsManagementPage = () => {
           <Button variant="primary" onClick={handleCreateConcert} className="min-h-touch">
             Add New Concert
           </Button>
+          <Button variant="secondary" onClick={handleImportConcerts} className="min-h-touch">
+            Import Lineup
+          </Button>
         </div>
       </div>
 
@@ -150,6 +159,11 @@ const ConcertsManagementPage = () => {
                 </div>
 
                 <div className="flex items-center mt-2 md:mt-0">
+                  {concert.series_id && (
+                    <span className="text-xs border border-white text-white px-2 py-1 rounded-full mr-2">
+                      Series
+                    </span>
+                  )}
                   {concert.ticket_required && (
                     <span className="text-xs bg-primary text-white px-2 py-1 rounded-full mr-2">
                       Ticket Required
@@ -1,12 +1,23 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import supabase from '../../services/supabase';
+import { useAuth } from '../../context/AuthContext';
+import { TRASH_RETENTION_DAYS } from '../../services/trashService';
 import AdminLayout from '../../components/templates/AdminLayout';
 import Button from '../../components/atoms/Button';
 import Typography from '../../components/atoms/Typography';
 import Spinner from '../../components/atoms/Spinner';
 import Input from '../../components/atoms/Input';
 import Card from '../../components/atoms/Card';
+import Tabs from '../../components/molecules/Tabs';
+import RecordHistory from '../../components/organisms/RecordHistory';
+import { canEditRecord } from '../../utils/permissions';
+
+// Tabs shown when editing an existing record
+const EDIT_TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'history', label: 'History' },
+];
 
 /**
  * FestivalFormPage
@@ -19,10 +30,14 @@ import Card from '../../components/atoms/Card';
  * - Stacked layout for small screens
  * - Bottom fixed action buttons for easy access
  * - Accessible validation feedback
+ *
+ * In edit mode a History tab shows the festival's audit trail; any earlier
+ * version can be restored from there.
  */
 const FestivalFormPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { userProfile } = useAuth();
   const isEditMode = !!id;
 
   // Form state
@@ -43,8 +58,16 @@ const FestivalFormPage = () => {
   // UI state
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(false);
   const [error, setError] = useState(null);
   const [formErrors, setFormErrors] = useState({});
+  const [activeTab, setActiveTab] = useState('details');
+  // Bumped after a version is restored from history, to reload the record
+  const [reloadKey, setReloadKey] = useState(0);
+  // Festival as loaded; festival managers can only change the ones they manage
+  const [savedFestival, setSavedFestival] = useState(null);
+  const readOnly =
+    Boolean(savedFestival) && !canEditRecord(userProfile, 'festivals', savedFestival);
 
   // Fetch festival data if in edit mode
   useEffect(() => {
@@ -59,6 +82,8 @@ const FestivalFormPage = () => {
         if (error) throw error;
 
         if (data) {
+          setSavedFestival(data);
+
           // Format dates for date input
           const formattedStartDate = data.start_date ? data.start_date : '';
           const formattedEndDate = data.end_date ? data.end_date : '';
@@ -78,7 +103,7 @@ const FestivalFormPage = () => {
     };
 
     fetchFestivalData();
-  }, [id, isEditMode]);
+  }, [id, isEditMode, reloadKey]);
 
   // Fetch parks for dropdown
   useEffect(() => {
@@ -205,6 +230,30 @@ const FestivalFormPage = () => {
     }
   };
 
+  const handleDelete = async () => {
+    const message = `Move this festival and its concerts to the trash? They can be restored for ${TRASH_RETENTION_DAYS} days.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      setDeleting(true);
+
+      // Concerts follow the festival into the trash through a database trigger
+      const { error } = await supabase
+        .from('festivals')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      navigate('/admin/festivals');
+    } catch (error) {
+      console.error('Error deleting festival:', error.message);
+      setError('Failed to delete festival. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   if (loading) {
     return (
       <AdminLayout title={isEditMode ? 'Edit Festival' : 'Add Festival'}>
@@ -223,7 +272,30 @@ const FestivalFormPage = () => {
         </Card>
       )}
 
-      <form onSubmit={handleSubmit} className="space-y-6 pb-24">
+      {readOnly && (
+        <Card className="p-4 mb-6">
+          <Typography variant="body1">
+            This festival is outside the festivals and parks you manage, so it is read-only for you.
+          </Typography>
+        </Card>
+      )}
+
+      {isEditMode && (
+        <Tabs tabs={EDIT_TABS} activeTab={activeTab} onChange={setActiveTab} className="mb-6" />
+      )}
+
+      {activeTab === 'history' && (
+        <RecordHistory
+          tableName="festivals"
+          recordId={id}
+          onRestored={() => setReloadKey(key => key + 1)}
+        />
+      )}
+
+      <form
+        onSubmit={handleSubmit}
+        className={`space-y-6 pb-24 ${activeTab === 'history' ? 'hidden' : ''}`}
+      >
         {/* Festival name */}
         <div className={formErrors.name ? 'error-field' : ''}>
           <label htmlFor="name" className="block mb-2 text-sm font-medium text-white">
@@ -398,10 +470,27 @@ const FestivalFormPage = () => {
             This is a recurring festival
           </label>
         </div>
+
+        {/* Delete */}
+        {isEditMode && (
+          <Button
+            variant="danger"
+            onClick={handleDelete}
+            disabled={deleting || readOnly}
+            fullWidth
+            className="min-h-touch"
+          >
+            {deleting ? 'Deleting...' : 'Delete Festival'}
+          </Button>
+        )}
       </form>
 
       {/* Fixed action buttons for mobile */}
-      <div className="fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 flex space-x-4">
+      <div
+        className={`fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 space-x-4 ${
+          activeTab === 'history' ? 'hidden' : 'flex'
+        }`}
+      >
         <Button
           type="button"
           variant="secondary"
@@ -415,7 +504,7 @@ const FestivalFormPage = () => {
           type="submit"
           variant="primary"
           onClick={handleSubmit}
-          disabled={saving}
+          disabled={saving || readOnly}
           fullWidth
           className="min-h-touch"
         >
@@ -49,6 +49,7 @@ const FestivalsManagementPage = () => {
             parks(id, name)
           `
           )
+          .is('deleted_at', null)
           .order('start_date', { ascending: false });
 
         if (festivalsError) throw festivalsError;
@@ -0,0 +1,527 @@
+import { useState, useEffect, useCallback } from 'react';
+import supabase from '../../services/supabase';
+import stagingService from '../../services/stagingService';
+import { useAuth } from '../../context/AuthContext';
+import AdminLayout from '../../components/templates/AdminLayout';
+import Button from '../../components/atoms/Button';
+import Typography from '../../components/atoms/Typography';
+import Spinner from '../../components/atoms/Spinner';
+import Card from '../../components/atoms/Card';
+import Badge from '../../components/atoms/Badge';
+import { formatParkDateTime } from '../../utils/dateUtils';
+import {
+  ENTITY_TABLES,
+  STAGING_STATUS,
+  STAGING_ACTIONS,
+  getChangeDiff,
+} from '../../utils/stagingUtils';
+
+const PAGE_SIZE = 50;
+
+// Badge variant for each proposed action
+const ACTION_BADGES = {
+  [STAGING_ACTIONS.INSERT]: { variant: 'success', label: 'New' },
+  [STAGING_ACTIONS.UPDATE]: { variant: 'warning', label: 'Update' },
+  [STAGING_ACTIONS.DELETE]: { variant: 'error', label: 'Delete' },
+};
+
+// Reference columns shown by name
+const NAME_FIELDS = { artist_id: 'artists', venue_id: 'venues', festival_id: 'festivals' };
+
+const selectClassName =
+  'appearance-none min-h-touch w-full px-md py-xs rounded border border-light-gray focus:outline-none focus:ring-2 focus:ring-primary-light focus:border-primary transition-colors bg-white text-black';
+
+/**
+ * Format a proposed or live value for display
+ */
+const formatValue = (field, value, names) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (NAME_FIELDS[field]) return names[NAME_FIELDS[field]][value] || value;
+  if (field.endsWith('_time')) return formatParkDateTime(value, 'EEE MMM d, h:mm a');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Short description of the record a change is about
+ */
+const describeChange = (change, live, names) => {
+  const values = { ...live, ...change.proposed };
+  if (change.entity_type === 'concert') {
+    return [
+      formatValue('artist_id', values.artist_id, names),
+      formatValue('venue_id', values.venue_id, names),
+    ].join(' · ');
+  }
+
+  return values.name || change.record_id || 'Unnamed';
+};
+
+/**
+ * ReviewQueuePage
+ *
+ * Admin review of changes proposed by the scraper and lineup imports
+ *
+ * - Each change shows a field-level diff against the live record
+ * - Changes can be approved, rejected, or edited and then approved
+ * - Selected changes can be approved or rejected together
+ * - Approved changes are applied in a single transaction
+ */
+const ReviewQueuePage = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(STAGING_STATUS.PENDING);
+  const [entityType, setEntityType] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [changes, setChanges] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [liveRecords, setLiveRecords] = useState({});
+  const [names, setNames] = useState({ artists: {}, venues: {}, festivals: {} });
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null);
+
+  // UI state
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setSelected([]);
+      setEditing(null);
+
+      const { data, pagination } = await stagingService.getChanges({
+        status,
+        entityType: entityType || null,
+        limit: PAGE_SIZE,
+        offset,
+      });
+
+      const [live, ...references] = await Promise.all([
+        stagingService.getLiveRecords(data),
+        ...Object.values(NAME_FIELDS).map(table => supabase.from(table).select('id, name')),
+      ]);
+
+      references.forEach(response => {
+        if (response.error) throw response.error;
+      });
+
+      setChanges(data);
+      setTotal(pagination.total || 0);
+      setLiveRecords(live);
+      setNames(
+        Object.fromEntries(
+          Object.values(NAME_FIELDS).map((table, i) => [
+            table,
+            Object.fromEntries((references[i].data || []).map(record => [record.id, record.name])),
+          ])
+        )
+      );
+    } catch (error) {
+      console.error('Error fetching review queue:', error.message);
+      setError('Failed to load the review queue. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, entityType, offset]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const getLive = change => liveRecords[change.entity_type]?.[change.record_id] || null;
+
+  const toggleSelected = id => {
+    setSelected(current =>
+      current.includes(id) ? current.filter(selectedId => selectedId !== id) : [...current, id]
+    );
+  };
+
+  const handleApprove = async ids => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      const result = await stagingService.approveChanges(ids);
+      setMessage(`Approved ${result.approved} change${result.approved === 1 ? '' : 's'}.`);
+      await fetchQueue();
+    } catch (error) {
+      console.error('Error approving changes:', error.message);
+      setError(`Approval failed and no changes were applied: ${error.message}`);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleReject = async ids => {
+    const notes = window.prompt('Reason for rejecting (optional)');
+    if (notes === null) return;
+
+    try {
+      setWorking(true);
+      setError(null);
+
+      const rejected = await stagingService.rejectChanges(ids, {
+        reviewerId: user?.id || null,
+        notes: notes.trim() || null,
+      });
+      setMessage(`Rejected ${rejected.length} change${rejected.length === 1 ? '' : 's'}.`);
+      await fetchQueue();
+    } catch (error) {
+      console.error('Error rejecting changes:', error.message);
+      setError('Failed to reject changes. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const startEditing = change => {
+    setEditing({ id: change.id, text: JSON.stringify(change.proposed, null, 2), error: null });
+  };
+
+  const handleSaveEdit = async approve => {
+    let proposed;
+    try {
+      proposed = JSON.parse(editing.text);
+      if (!proposed || typeof proposed !== 'object' || Array.isArray(proposed)) {
+        throw new Error('Proposed values must be a JSON object');
+      }
+    } catch (parseError) {
+      setEditing({ ...editing, error: parseError.message });
+      return;
+    }
+
+    try {
+      setWorking(true);
+      setError(null);
+
+      await stagingService.updateProposed(editing.id, proposed);
+      if (approve) {
+        await handleApprove([editing.id]);
+      } else {
+        setMessage('Proposed values saved.');
+        await fetchQueue();
+      }
+    } catch (error) {
+      console.error('Error saving proposed values:', error.message);
+      setEditing({ ...editing, error: 'Failed to save. Please try again.' });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const isPending = status === STAGING_STATUS.PENDING;
+  const allSelected = changes.length > 0 && selected.length === changes.length;
+
+  return (
+    <AdminLayout title="Review Queue">
+      {error && (
+        <Card className="bg-error-light p-4 mb-6">
+          <Typography variant="body1">{error}</Typography>
+        </Card>
+      )}
+
+      {message && (
+        <Card className="bg-success bg-opacity-10 p-4 mb-6">
+          <Typography variant="body1">{message}</Typography>
+        </Card>
+      )}
+
+      {/* Filters */}
+      <Card className="p-4 mb-6">
+        <Typography variant="body2" color="medium-gray" className="mb-4">
+          Changes found by the scraper or sent from a lineup import wait here until they are
+          approved. Nothing reaches the live site until then.
+        </Typography>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="status" className="block mb-2 text-sm font-medium text-white">
+              Status
+            </label>
+            <select
+              id="status"
+              value={status}
+              onChange={e => {
+                setOffset(0);
+                setMessage(null);
+                setStatus(e.target.value);
+              }}
+              className={selectClassName}
+            >
+              {Object.values(STAGING_STATUS).map(value => (
+                <option key={value} value={value}>
+                  {value.charAt(0).toUpperCase() + value.slice(1)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="entity_type" className="block mb-2 text-sm font-medium text-white">
+              Type
+            </label>
+            <select
+              id="entity_type"
+              value={entityType}
+              onChange={e => {
+                setOffset(0);
+                setMessage(null);
+                setEntityType(e.target.value);
+              }}
+              className={selectClassName}
+            >
+              <option value="">All types</option>
+              {Object.keys(ENTITY_TABLES).map(type => (
+                <option key={type} value={type}>
+                  {type.charAt(0).toUpperCase() + type.slice(1)}s
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </Card>
+
+      {loading ? (
+        <div className="flex justify-center my-12">
+          <Spinner size="lg" color="primary" />
+        </div>
+      ) : changes.length === 0 ? (
+        <Card className="p-6 text-center">
+          <Typography variant="body1">
+            {isPending ? 'Nothing waiting for review.' : `No ${status} changes.`}
+          </Typography>
+        </Card>
+      ) : (
+        <Card className="p-4 mb-24">
+          {/* Bulk actions */}
+          {isPending && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-4">
+              <label className="flex items-center text-sm font-medium text-white min-h-touch">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelected(allSelected ? [] : changes.map(change => change.id))}
+                  className="h-5 w-5 text-primary focus:ring-primary border-light-gray rounded mr-2"
+                />
+                Select all ({selected.length} selected)
+              </label>
+              <Button
+                variant="primary"
+                onClick={() => handleApprove(selected)}
+                disabled={!selected.length || working}
+                className="min-h-touch"
+              >
+                Approve Selected
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={() => handleReject(selected)}
+                disabled={!selected.length || working}
+                className="min-h-touch"
+              >
+                Reject Selected
+              </Button>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            {changes.map(change => {
+              const live = getLive(change);
+              const badge = ACTION_BADGES[change.action];
+              const diff = getChangeDiff(change, live);
+              const isEditing = editing?.id === change.id;
+
+              return (
+                <div
+                  key={change.id}
+                  className="p-3 rounded bg-neutral-800 border border-white border-opacity-10"
+                >
+                  <div className="flex items-start gap-3">
+                    {isPending && (
+                      <input
+                        type="checkbox"
+                        aria-label="Select change"
+                        checked={selected.includes(change.id)}
+                        onChange={() => toggleSelected(change.id)}
+                        className="h-5 w-5 mt-1 text-primary focus:ring-primary border-light-gray rounded"
+                      />
+                    )}
+
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-start justify-between gap-2">
+                        <div className="min-w-0">
+                          <Typography variant="body1" className="font-semibold truncate">
+                            {describeChange(change, live, names)}
+                          </Typography>
+                          <Typography variant="body2" color="medium-gray">
+                            {change.entity_type} · {change.source} ·{' '}
+                            {formatParkDateTime(change.created_at, 'MMM d, h:mm a')}
+                          </Typography>
+                        </div>
+                        <Badge variant={badge.variant} size="sm" text={badge.label} />
+                      </div>
+
+                      {change.action === STAGING_ACTIONS.UPDATE && !live && (
+                        <Typography variant="caption" color="error" className="block mt-1">
+                          The live record no longer exists
+                        </Typography>
+                      )}
+
+                      {diff.map(({ field, from, to }) => (
+                        <Typography
+                          key={field}
+                          variant="caption"
+                          color={change.action === STAGING_ACTIONS.DELETE ? 'error' : 'warning'}
+                          className="block mt-1 break-words"
+                        >
+                          {field}: {formatValue(field, from, names)} →{' '}
+                          {formatValue(field, to, names)}
+                        </Typography>
+                      ))}
+
+                      {change.action === STAGING_ACTIONS.UPDATE && live && !diff.length && (
+                        <Typography variant="caption" color="medium-gray" className="block mt-1">
+                          Already matches the live record
+                        </Typography>
+                      )}
+
+                      {change.source_url && (
+                        <a
+                          href={change.source_url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="block mt-1 text-xs text-info underline truncate"
+                        >
+                          {change.source_url}
+                        </a>
+                      )}
+
+                      {change.review_notes && (
+                        <Typography variant="caption" color="medium-gray" className="block mt-1">
+                          Notes: {change.review_notes}
+                        </Typography>
+                      )}
+
+                      {/* Edit before approving */}
+                      {isEditing && (
+                        <div className="mt-3">
+                          <label
+                            htmlFor={`proposed-${change.id}`}
+                            className="block mb-2 text-sm font-medium text-white"
+                          >
+                            Proposed values (JSON)
+                          </label>
+                          <textarea
+                            id={`proposed-${change.id}`}
+                            value={editing.text}
+                            onChange={e =>
+                              setEditing({ ...editing, text: e.target.value, error: null })
+                            }
+                            rows={8}
+                            className="w-full px-md py-xs rounded border border-light-gray focus:outline-none focus:ring-2 focus:ring-primary-light focus:border-primary bg-white text-black font-mono text-xs"
+                          />
+                          {editing.error && (
+                            <Typography variant="caption" color="error" className="block mt-1">
+                              {editing.error}
+                            </Typography>
+                          )}
+                        </div>
+                      )}
+
+                      {isPending && (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                          {isEditing ? (
+                            <>
+                              <Button
+                                variant="primary"
+                                size="sm"
+                                onClick={() => handleSaveEdit(true)}
+                                disabled={working}
+                              >
+                                Save & Approve
+                              </Button>
+                              <Button
+                                variant="secondary"
+                                size="sm"
+                                onClick={() => handleSaveEdit(false)}
+                                disabled={working}
+                              >
+                                Save
+                              </Button>
+                              <Button variant="ghost" size="sm" onClick={() => setEditing(null)}>
+                                Cancel
+                              </Button>
+                            </>
+                          ) : (
+                            <>
+                              <Button
+                                variant="primary"
+                                size="sm"
+                                onClick={() => handleApprove([change.id])}
+                                disabled={working}
+                              >
+                                Approve
+                              </Button>
+                              {change.action !== STAGING_ACTIONS.DELETE && (
+                                <Button
+                                  variant="secondary"
+                                  size="sm"
+                                  onClick={() => startEditing(change)}
+                                  disabled={working}
+                                >
+                                  Edit
+                                </Button>
+                              )}
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleReject([change.id])}
+                                disabled={working}
+                              >
+                                Reject
+                              </Button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Pagination */}
+          {total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-4">
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                disabled={offset === 0}
+              >
+                Previous
+              </Button>
+              <Typography variant="body2" color="medium-gray">
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </Typography>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+                disabled={offset + PAGE_SIZE >= total}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </Card>
+      )}
+    </AdminLayout>
+  );
+};
+
+export default ReviewQueuePage;
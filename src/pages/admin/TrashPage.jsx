@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react';
+import trashService, { TRASH_RETENTION_DAYS } from '../../services/trashService';
+import AdminLayout from '../../components/templates/AdminLayout';
+import Button from '../../components/atoms/Button';
+import Typography from '../../components/atoms/Typography';
+import Spinner from '../../components/atoms/Spinner';
+import Card from '../../components/atoms/Card';
+import Badge from '../../components/atoms/Badge';
+import { formatParkDateTime } from '../../utils/dateUtils';
+
+// Filter options and badge labels for each table in the trash
+const TABLE_LABELS = {
+  artists: 'Artist',
+  venues: 'Venue',
+  festivals: 'Festival',
+  concerts: 'Concert',
+};
+
+/**
+ * Display name for a deleted record
+ */
+const getRecordName = record => {
+  if (record.table_name !== 'concerts') return record.name;
+
+  return [
+    record.artists?.name || 'Unknown artist',
+    record.venues?.name,
+    formatParkDateTime(record.start_time, 'EEE MMM d, h:mm a'),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+/**
+ * TrashPage
+ *
+ * Deleted artists, venues, festivals and concerts
+ *
+ * - Records can be restored until they are purged
+ * - Records past the retention window can be purged permanently
+ */
+const TrashPage = () => {
+  const [tableName, setTableName] = useState('');
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRecords(await trashService.getDeletedRecords(tableName || null));
+    } catch (error) {
+      console.error('Error fetching trash:', error.message);
+      setError('Failed to load the trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [tableName]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async record => {
+    try {
+      setWorking(true);
+      setError(null);
+
+      await trashService.restoreRecord(record.table_name, record.id);
+      setMessage(`Restored ${getRecordName(record)}.`);
+      await fetchTrash();
+    } catch (error) {
+      console.error('Error restoring record:', error.message);
+      setError('Failed to restore. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePurge = async () => {
+    if (
+      !window.confirm(
+        `Permanently delete everything in the trash for more than ${TRASH_RETENTION_DAYS} days? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setWorking(true);
+      setError(null);
+
+      const purged = await trashService.purgeExpired();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      setMessage(`Permanently deleted ${total} record${total === 1 ? '' : 's'}.`);
+      await fetchTrash();
+    } catch (error) {
+      console.error('Error purging trash:', error.message);
+      setError('Failed to purge the trash. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const now = new Date().toISOString();
+  const expiredCount = records.filter(record => record.purge_after <= now).length;
+
+  return (
+    <AdminLayout title="Trash">
+      {error && (
+        <Card className="bg-error-light p-4 mb-6">
+          <Typography variant="body1">{error}</Typography>
+        </Card>
+      )}
+
+      {message && (
+        <Card className="bg-success bg-opacity-10 p-4 mb-6">
+          <Typography variant="body1">{message}</Typography>
+        </Card>
+      )}
+
+      <Card className="p-4 mb-6">
+        <Typography variant="body2" color="medium-gray" className="mb-4">
+          Deleted records are hidden from the site and can be restored for {TRASH_RETENTION_DAYS}{' '}
+          days. Concerts deleted along with their artist, venue or festival come back with it.
+        </Typography>
+
+        <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+          <div className="flex-1">
+            <label htmlFor="table_name" className="block mb-2 text-sm font-medium text-white">
+              Type
+            </label>
+            <select
+              id="table_name"
+              value={tableName}
+              onChange={e => {
+                setMessage(null);
+                setTableName(e.target.value);
+              }}
+              className="appearance-none min-h-touch w-full px-md py-xs rounded border border-light-gray focus:outline-none focus:ring-2 focus:ring-primary-light focus:border-primary transition-colors bg-white text-black"
+            >
+              <option value="">Everything</option>
+              {Object.entries(TABLE_LABELS).map(([table, label]) => (
+                <option key={table} value={table}>
+                  {label}s
+                </option>
+              ))}
+            </select>
+          </div>
+          <Button
+            variant="danger"
+            onClick={handlePurge}
+            disabled={!expiredCount || working}
+            className="min-h-touch"
+          >
+            Purge {expiredCount} Expired
+          </Button>
+        </div>
+      </Card>
+
+      {loading ? (
+        <div className="flex justify-center my-12">
+          <Spinner size="lg" color="primary" />
+        </div>
+      ) : records.length === 0 ? (
+        <Card className="p-6 text-center">
+          <Typography variant="body1">The trash is empty.</Typography>
+        </Card>
+      ) : (
+        <div className="space-y-2 pb-24">
+          {records.map(record => {
+            const expired = record.purge_after <= now;
+
+            return (
+              <div
+                key={`${record.table_name}-${record.id}`}
+                className="p-3 rounded bg-neutral-800 border border-white border-opacity-10 flex flex-col sm:flex-row sm:items-center gap-3"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" size="sm" text={TABLE_LABELS[record.table_name]} />
+                    <Typography variant="body1" className="font-semibold truncate">
+                      {getRecordName(record)}
+                    </Typography>
+                  </div>
+                  <Typography variant="body2" color={expired ? 'warning' : 'medium-gray'}>
+                    Deleted {formatParkDateTime(record.deleted_at, 'MMM d, yyyy')} ·{' '}
+                    {expired
+                      ? 'Ready to purge'
+                      : `Purged after ${formatParkDateTime(record.purge_after, 'MMM d, yyyy')}`}
+                  </Typography>
+                </div>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => handleRestore(record)}
+                  disabled={working}
+                >
+                  Restore
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </AdminLayout>
+  );
+};
+
+export default TrashPage;
@@ -7,11 +7,13 @@ import Typography from '../../components/atoms/Typography';
 import Spinner from '../../components/atoms/Spinner';
 import Card from '../../components/atoms/Card';
 import Badge from '../../components/atoms/Badge';
+import { PERMISSIONS, ROLES, ROLE_LABELS } from '../../utils/permissions';
 
 /**
  * UserManagementPage
  *
  * Admin interface for managing user roles
+ * Festival managers are also given the festivals and parks they can edit.
  *
  * Mobile-first design features:
  * - Responsive design for all screen sizes
@@ -20,12 +22,14 @@ import Badge from '../../components/atoms/Badge';
  */
 const UserManagementPage = () => {
   const [users, setUsers] = useState([]);
+  const [festivals, setFestivals] = useState([]);
+  const [parks, setParks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const { isAdmin } = useAuth();
+  const { can } = useAuth();
   const navigate = useNavigate();
 
-  // Fetch all users
+  // Fetch all users, plus the festivals and parks a festival manager can be given
   useEffect(() => {
     const fetchUsers = async () => {
       try {
@@ -40,6 +44,17 @@ const UserManagementPage = () => {
         if (error) throw error;
 
         setUsers(data || []);
+
+        const [festivalsResult, parksResult] = await Promise.all([
+          supabase.from('festivals').select('id, name').is('deleted_at', null).order('name'),
+          supabase.from('parks').select('id, name').order('name'),
+        ]);
+
+        if (festivalsResult.error) throw festivalsResult.error;
+        if (parksResult.error) throw parksResult.error;
+
+        setFestivals(festivalsResult.data || []);
+        setParks(parksResult.data || []);
       } catch (err) {
         console.error('Error fetching users:', err);
         setError('Failed to load users. Please try again.');
@@ -48,46 +63,44 @@ const UserManagementPage = () => {
       }
     };
 
-    // Only fetch if admin
-    if (isAdmin()) {
+    // Only fetch if the user can manage roles
+    if (can(PERMISSIONS.MANAGE_SITE)) {
       fetchUsers();
     } else {
       navigate('/admin/login');
     }
-  }, [isAdmin, navigate]);
+  }, [can, navigate]);
 
-  // Toggle admin role for a user
-  const toggleAdminRole = async (userId, currentRoles) => {
+  // Save changes to a user's roles or managed scope
+  const updateUser = async (userId, changes) => {
     try {
-      // Check if user already has admin role
-      const hasAdminRole = Array.isArray(currentRoles) && currentRoles.includes('admin');
-
-      // Create new roles array
-      let newRoles;
-      if (hasAdminRole) {
-        // Remove admin role
-        newRoles = Array.isArray(currentRoles) ? currentRoles.filter(r => r !== 'admin') : [];
-      } else {
-        // Add admin role
-        newRoles = Array.isArray(currentRoles) ? [...currentRoles, 'admin'] : ['admin'];
-      }
+      setError(null);
 
-      // Update user in database
-      const { error } = await supabase
-        .from('user_profiles')
-        .update({ roles: newRoles })
-        .eq('id', userId);
+      const { error } = await supabase.from('user_profiles').update(changes).eq('id', userId);
 
       if (error) throw error;
 
       // Update local state
-      setUsers(users.map(user => (user.id === userId ? { ...user, roles: newRoles } : user)));
+      setUsers(users.map(user => (user.id === userId ? { ...user, ...changes } : user)));
     } catch (err) {
       console.error('Error updating user role:', err);
       setError('Failed to update user role. Please try again.');
     }
   };
 
+  // Add or remove one role for a user
+  const toggleRole = (user, role) => {
+    const currentRoles = Array.isArray(user.roles) ? user.roles : [];
+    const roles = currentRoles.includes(role)
+      ? currentRoles.filter(r => r !== role)
+      : [...currentRoles, role];
+
+    updateUser(user.id, { roles });
+  };
+
+  // Read the selected IDs from a multi-select
+  const getSelectedIds = e => Array.from(e.target.selectedOptions, option => option.value);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen p-4">
@@ -143,8 +156,8 @@ const UserManagementPage = () => {
                         user.roles.map(role => (
                           <Badge
                             key={role}
-                            text={role}
-                            variant={role === 'admin' ? 'primary' : 'outline'}
+                            text={ROLE_LABELS[role] || role}
+                            variant={role === ROLES.SUPER_ADMIN ? 'primary' : 'outline'}
                           />
                         ))}
                       {(!user.roles || user.roles.length === 0) && (
@@ -156,16 +169,70 @@ const UserManagementPage = () => {
                     </Typography>
                   </div>
 
-                  <div className="flex-shrink-0">
-                    <Button
-                      variant={user.roles?.includes('admin') ? 'error' : 'primary'}
-                      onClick={() => toggleAdminRole(user.id, user.roles)}
-                      size="sm"
-                    >
-                      {user.roles?.includes('admin') ? 'Remove Admin' : 'Make Admin'}
-                    </Button>
-                  </div>
+                  <fieldset className="flex-shrink-0">
+                    <legend className="sr-only">Roles for {user.email}</legend>
+                    {Object.values(ROLES).map(role => (
+                      <label key={role} className="flex items-center gap-2 min-h-touch">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(user.roles?.includes(role))}
+                          onChange={() => toggleRole(user, role)}
+                          className="h-5 w-5"
+                        />
+                        <Typography variant="body2">{ROLE_LABELS[role]}</Typography>
+                      </label>
+                    ))}
+                  </fieldset>
                 </div>
+
+                {user.roles?.includes(ROLES.FESTIVAL_MANAGER) && (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+                    <div>
+                      <label
+                        htmlFor={`festivals-${user.id}`}
+                        className="block mb-2 text-sm font-medium"
+                      >
+                        Managed festivals
+                      </label>
+                      <select
+                        id={`festivals-${user.id}`}
+                        multiple
+                        value={user.managed_festival_ids || []}
+                        onChange={e =>
+                          updateUser(user.id, { managed_festival_ids: getSelectedIds(e) })
+                        }
+                        className="w-full h-32 px-2 py-1 rounded border border-light-gray bg-white text-black"
+                      >
+                        {festivals.map(festival => (
+                          <option key={festival.id} value={festival.id}>
+                            {festival.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label
+                        htmlFor={`parks-${user.id}`}
+                        className="block mb-2 text-sm font-medium"
+                      >
+                        Managed parks
+                      </label>
+                      <select
+                        id={`parks-${user.id}`}
+                        multiple
+                        value={user.managed_park_ids || []}
+                        onChange={e => updateUser(user.id, { managed_park_ids: getSelectedIds(e) })}
+                        className="w-full h-32 px-2 py-1 rounded border border-light-gray bg-white text-black"
+                      >
+                        {parks.map(park => (
+                          <option key={park.id} value={park.id}>
+                            {park.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                )}
               </Card>
             </li>
           ))}
@@ -1,12 +1,23 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import supabase from '../../services/supabase';
+import { TRASH_RETENTION_DAYS } from '../../services/trashService';
 import AdminLayout from '../../components/templates/AdminLayout';
 import Button from '../../components/atoms/Button';
 import Typography from '../../components/atoms/Typography';
 import Spinner from '../../components/atoms/Spinner';
 import Input from '../../components/atoms/Input';
 import Card from '../../components/atoms/Card';
+import Tabs from '../../components/molecules/Tabs';
+import RecordHistory from '../../components/organisms/RecordHistory';
+import WalkingTimesEditor from '../../components/organisms/WalkingTimesEditor';
+
+// Tabs shown when editing an existing record
+const EDIT_TABS = [
+  { id: 'details', label: 'Details' },
+  { id: 'walking', label: 'Walking Times' },
+  { id: 'history', label: 'History' },
+];
 
 /**
  * VenueFormPage
@@ -19,6 +30,9 @@ import Card from '../../components/atoms/Card';
  * - Location input optimized for mobile
  * - Bottom-fixed action buttons within thumb reach
  * - Clear validation feedback
+ *
+ * Existing venues also get a Walking Times tab for recording the walk to other venues
+ * in the park, and a History tab showing who changed what, with restore.
  */
 const VenueFormPage = () => {
   const { id } = useParams();
@@ -43,8 +57,12 @@ const VenueFormPage = () => {
   // UI state
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(false);
   const [error, setError] = useState(null);
   const [formErrors, setFormErrors] = useState({});
+  const [activeTab, setActiveTab] = useState('details');
+  // Bumped after a version is restored from history, to reload the record
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Fetch venue data if in edit mode
   useEffect(() => {
@@ -76,7 +94,7 @@ const VenueFormPage = () => {
     };
 
     fetchVenueData();
-  }, [id, isEditMode]);
+  }, [id, isEditMode, reloadKey]);
 
   // Fetch parks for dropdown
   useEffect(() => {
@@ -216,6 +234,30 @@ const VenueFormPage = () => {
     }
   };
 
+  const handleDelete = async () => {
+    const message = `Move this venue and its concerts to the trash? They can be restored for ${TRASH_RETENTION_DAYS} days.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      setDeleting(true);
+
+      // Concerts follow the venue into the trash through a database trigger
+      const { error } = await supabase
+        .from('venues')
+        .update({ deleted_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      navigate('/admin/venues');
+    } catch (error) {
+      console.error('Error deleting venue:', error.message);
+      setError('Failed to delete venue. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
   if (loading) {
     return (
       <AdminLayout title={isEditMode ? 'Edit Venue' : 'Add Venue'}>
@@ -234,7 +276,24 @@ const VenueFormPage = () => {
         </Card>
       )}
 
-      <form onSubmit={handleSubmit} className="space-y-6 pb-24">
+      {isEditMode && (
+        <Tabs tabs={EDIT_TABS} activeTab={activeTab} onChange={setActiveTab} className="mb-6" />
+      )}
+
+      {activeTab === 'history' && (
+        <RecordHistory
+          tableName="venues"
+          recordId={id}
+          onRestored={() => setReloadKey(key => key + 1)}
+        />
+      )}
+
+      {activeTab === 'walking' && <WalkingTimesEditor venueId={id} parkId={formData.park_id} />}
+
+      <form
+        onSubmit={handleSubmit}
+        className={`space-y-6 pb-24 ${activeTab !== 'details' ? 'hidden' : ''}`}
+      >
         {/* Venue name */}
         <div className={formErrors.name ? 'error-field' : ''}>
           <label htmlFor="name" className="block mb-2 text-sm font-medium text-white">
@@ -411,10 +470,27 @@ const VenueFormPage = () => {
             </div>
           )}
         </div>
+
+        {/* Delete */}
+        {isEditMode && (
+          <Button
+            variant="danger"
+            onClick={handleDelete}
+            disabled={deleting}
+            fullWidth
+            className="min-h-touch"
+          >
+            {deleting ? 'Deleting...' : 'Delete Venue'}
+          </Button>
+        )}
       </form>
 
       {/* Fixed action buttons for mobile */}
-      <div className="fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 flex space-x-4">
+      <div
+        className={`fixed bottom-0 left-0 right-0 bg-neutral-800 border-t border-neutral-700 p-4 space-x-4 ${
+          activeTab === 'history' ? 'hidden' : 'flex'
+        }`}
+      >
         <Button
           type="button"
           variant="secondary"
@@ -46,6 +46,7 @@ const VenuesManagementPage = () => {
             parks(id, name)
           `
           )
+          .is('deleted_at', null)
           .order('name');
 
         if (venuesError) throw venuesError;
@@ -3,6 +3,7 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import Spinner from './components/atoms/Spinner';
 import { FavoritesProvider } from './context/FavoritesContext';
 import ProtectedRoute from './components/common/ProtectedRoute';
+import { PERMISSIONS } from './utils/permissions';
 // Import legal pages with named imports
 import LegalPages from './pages/LegalPages';
 const { PrivacyPolicy, TermsAndConditions, CopyrightNotice } = LegalPages;
@@ -15,6 +16,8 @@ const { PrivacyPolicy, TermsAndConditions, CopyrightNotice } = LegalPages;
 // Lazy-load pages to reduce initial bundle size
 const HomePage = lazy(() => import('./pages/HomePage'));
 const CalendarPage = lazy(() => import('./pages/CalendarPage'));
+const ItineraryPage = lazy(() => import('./pages/ItineraryPage'));
+const LiveBoardPage = lazy(() => import('./pages/LiveBoardPage'));
 const ArtistDirectoryPage = lazy(() => import('./pages/ArtistDirectoryPage'));
 const SearchPage = lazy(() => import('./pages/SearchPage'));
 const FestivalsPage = lazy(() => import('./pages/FestivalsPage'));
@@ -26,18 +29,23 @@ const ConcertDetailPage = lazy(() => import('./pages/ConcertDetailPage'));
 const FestivalDetailPage = lazy(() => import('./pages/FestivalDetailPage'));
 const VenueDetailPage = lazy(() => import('./pages/VenueDetailPage'));
 const ParkDetailPage = lazy(() => import('./pages/ParkDetailPage'));
+const ParkMapPage = lazy(() => import('./pages/ParkMapPage'));
 
 // Admin pages
 const AdminLoginPage = lazy(() => import('./pages/admin/AdminLoginPage'));
 const AdminDashboardPage = lazy(() => import('./pages/admin/AdminDashboardPage'));
 const ConcertsManagementPage = lazy(() => import('./pages/admin/ConcertsManagementPage'));
 const ConcertFormPage = lazy(() => import('./pages/admin/ConcertFormPage'));
+const ConcertImportPage = lazy(() => import('./pages/admin/ConcertImportPage'));
 const ArtistsManagementPage = lazy(() => import('./pages/admin/ArtistsManagementPage'));
 const ArtistFormPage = lazy(() => import('./pages/admin/ArtistFormPage'));
+const ArtistMergePage = lazy(() => import('./pages/admin/ArtistMergePage'));
 const VenuesManagementPage = lazy(() => import('./pages/admin/VenuesManagementPage'));
 const VenueFormPage = lazy(() => import('./pages/admin/VenueFormPage'));
 const FestivalsManagementPage = lazy(() => import('./pages/admin/FestivalsManagementPage'));
 const FestivalFormPage = lazy(() => import('./pages/admin/FestivalFormPage'));
+const ReviewQueuePage = lazy(() => import('./pages/admin/ReviewQueuePage'));
+const TrashPage = lazy(() => import('./pages/admin/TrashPage'));
 const UserManagementPage = lazy(() => import('./pages/admin/UserManagementPage'));
 
 // User authentication pages
@@ -72,6 +80,15 @@ const AppRoutes = () => {
           {/* Main pages */}
           <Route path="/" element={<HomePage />} />
           <Route path="/calendar" element={<CalendarPage />} />
+          <Route path="/live" element={<LiveBoardPage />} />
+          <Route
+            path="/my-day"
+            element={
+              <ProtectedRoute adminOnly={false} redirectPath="/login">
+                <ItineraryPage />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/artists" element={<ArtistDirectoryPage />} />
           <Route path="/search" element={<SearchPage />} />
           <Route path="/festivals" element={<FestivalsPage />} />
@@ -83,6 +100,7 @@ const AppRoutes = () => {
           <Route path="/festivals/:id" element={<FestivalDetailPage />} />
           <Route path="/venues/:id" element={<VenueDetailPage />} />
           <Route path="/parks/:id" element={<ParkDetailPage />} />
+          <Route path="/parks/:id/map" element={<ParkMapPage />} />
 
           {/* Admin routes */}
           <Route path="/admin/login" element={<AdminLoginPage />} />
@@ -104,10 +122,18 @@ const AppRoutes = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin/concerts/import"
+            element={
+              <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE}>
+                <ConcertImportPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin/concerts/new"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_CONCERTS}>
                 <ConcertFormPage />
               </ProtectedRoute>
             }
@@ -115,7 +141,7 @@ const AppRoutes = () => {
           <Route
             path="/admin/concerts/edit/:id"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_CONCERTS}>
                 <ConcertFormPage />
               </ProtectedRoute>
             }
@@ -133,7 +159,7 @@ const AppRoutes = () => {
           <Route
             path="/admin/artists/new"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_ARTISTS}>
                 <ArtistFormPage />
               </ProtectedRoute>
             }
@@ -141,11 +167,19 @@ const AppRoutes = () => {
           <Route
             path="/admin/artists/edit/:id"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_ARTISTS}>
                 <ArtistFormPage />
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/admin/artists/merge"
+            element={
+              <ProtectedRoute permission={PERMISSIONS.EDIT_ARTISTS}>
+                <ArtistMergePage />
+              </ProtectedRoute>
+            }
+          />
 
           {/* Venues Management */}
           <Route
@@ -159,7 +193,7 @@ const AppRoutes = () => {
           <Route
             path="/admin/venues/new"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_VENUES}>
                 <VenueFormPage />
               </ProtectedRoute>
             }
@@ -167,7 +201,7 @@ const AppRoutes = () => {
           <Route
             path="/admin/venues/edit/:id"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_VENUES}>
                 <VenueFormPage />
               </ProtectedRoute>
             }
@@ -185,7 +219,7 @@ const AppRoutes = () => {
           <Route
             path="/admin/festivals/new"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_FESTIVALS}>
                 <FestivalFormPage />
               </ProtectedRoute>
             }
@@ -193,17 +227,37 @@ const AppRoutes = () => {
           <Route
             path="/admin/festivals/edit/:id"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.EDIT_FESTIVALS}>
                 <FestivalFormPage />
               </ProtectedRoute>
             }
           />
 
+          {/* Review queue for scraped and imported changes */}
+          <Route
+            path="/admin/review"
+            element={
+              <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE}>
+                <ReviewQueuePage />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Trash for soft-deleted records */}
+          <Route
+            path="/admin/trash"
+            element={
+              <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE}>
+                <TrashPage />
+              </ProtectedRoute>
+            }
+          />
+
           {/* User Management */}
           <Route
             path="/admin/users"
             element={
-              <ProtectedRoute>
+              <ProtectedRoute permission={PERMISSIONS.MANAGE_SITE}>
                 <UserManagementPage />
               </ProtectedRoute>
             }
@@ -0,0 +1,87 @@
+import artistMergeService from '../artistMergeService';
+import supabase from '../supabase';
+
+// Mock the Supabase client
+jest.mock('../supabase', () => ({
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+
+/**
+ * Create a chainable query mock that resolves to the given response
+ */
+const createQuery = response => {
+  const query = {};
+  ['select', 'is', 'order'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(response).then(resolve, reject);
+  return query;
+};
+
+describe('artistMergeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getArtists', () => {
+    it('should fetch live artists with aliases and concert counts', async () => {
+      const query = createQuery({
+        data: [
+          {
+            id: 'artist-1',
+            name: 'Sister Hazel',
+            genres: ['Rock'],
+            image_url: null,
+            artist_aliases: [{ alias: 'Sister Hazel (Band)' }],
+            concerts: [{ count: 4 }],
+          },
+        ],
+        error: null,
+      });
+      supabase.from.mockReturnValue(query);
+
+      const result = await artistMergeService.getArtists();
+
+      expect(supabase.from).toHaveBeenCalledWith('artists');
+      expect(query.is).toHaveBeenCalledWith('deleted_at', null);
+      expect(result).toEqual([
+        {
+          id: 'artist-1',
+          name: 'Sister Hazel',
+          genres: ['Rock'],
+          image_url: null,
+          artist_aliases: [{ alias: 'Sister Hazel (Band)' }],
+          concert_count: 4,
+        },
+      ]);
+    });
+  });
+
+  describe('mergeArtists', () => {
+    it('should merge through the RPC', async () => {
+      const merged = { concerts: 2, favorites: 5, artists: 1 };
+      supabase.rpc.mockResolvedValue({ data: merged, error: null });
+
+      const result = await artistMergeService.mergeArtists('artist-1', ['artist-2']);
+
+      expect(supabase.rpc).toHaveBeenCalledWith('merge_artists', {
+        survivor_id: 'artist-1',
+        duplicate_ids: ['artist-2'],
+      });
+      expect(result).toEqual(merged);
+    });
+
+    it('should throw when the merge is rejected', async () => {
+      const error = { code: '42501', message: 'Admin privileges required' };
+      supabase.rpc.mockResolvedValue({ data: null, error });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(artistMergeService.mergeArtists('artist-1', ['artist-2'])).rejects.toEqual(
+        error
+      );
+
+      console.error.mockRestore();
+    });
+  });
+});
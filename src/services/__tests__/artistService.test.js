@@ -27,11 +27,13 @@ describe('artistService', () => {
 
       // Set up the mock chain
       const selectMock = jest.fn().mockReturnThis();
+      const isMock = jest.fn().mockReturnThis();
       const orderMock = jest.fn().mockReturnThis();
       const rangeMock = jest.fn().mockResolvedValue(mockResponse);
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: isMock,
         order: orderMock,
         range: rangeMock,
       });
@@ -42,6 +44,7 @@ describe('artistService', () => {
       // Verify Supabase was called correctly
       expect(supabase.from).toHaveBeenCalledWith('artists');
       expect(selectMock).toHaveBeenCalled();
+      expect(isMock).toHaveBeenCalledWith('deleted_at', null);
       expect(orderMock).toHaveBeenCalledWith('name', { ascending: true });
       expect(rangeMock).toHaveBeenCalledWith(0, 19);
 
@@ -72,6 +75,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         ilike: ilikeMock,
@@ -101,6 +105,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         contains: containsMock,
@@ -130,6 +135,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         in: inMock,
@@ -158,6 +164,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -187,6 +194,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -219,6 +227,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -251,6 +260,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -280,6 +290,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         limit: limitMock,
       });
 
@@ -309,6 +320,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         limit: limitMock,
       });
 
@@ -332,6 +344,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         limit: limitMock,
       });
 
@@ -362,6 +375,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -397,6 +411,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -426,6 +441,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -457,6 +473,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         contains: containsMock,
         order: orderMock,
         limit: limitMock,
@@ -492,6 +509,7 @@ describe('artistService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         contains: containsMock,
         order: orderMock,
         limit: limitMock,
@@ -0,0 +1,68 @@
+import auditService from '../auditService';
+import supabase from '../supabase';
+
+// Mock the Supabase client
+jest.mock('../supabase', () => ({
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+
+/**
+ * Create a chainable query mock that resolves to the given response
+ */
+const createQuery = response => {
+  const query = {};
+  ['select', 'eq', 'order', 'range'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(response).then(resolve, reject);
+  return query;
+};
+
+describe('auditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getHistory', () => {
+    it("should fetch a record's history newest first", async () => {
+      const mockData = [{ id: 'entry-1', action: 'update' }];
+      const query = createQuery({ data: mockData, error: null, count: 1 });
+      supabase.from.mockReturnValue(query);
+
+      const result = await auditService.getHistory('artists', 'artist-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('audit_log');
+      expect(query.eq).toHaveBeenCalledWith('table_name', 'artists');
+      expect(query.eq).toHaveBeenCalledWith('record_id', 'artist-1');
+      expect(query.order).toHaveBeenCalledWith('created_at', { ascending: false });
+      expect(query.range).toHaveBeenCalledWith(0, 19);
+      expect(result).toEqual({
+        data: mockData,
+        pagination: { total: 1, limit: 20, offset: 0 },
+      });
+    });
+
+    it('should throw when the query fails', async () => {
+      const error = { message: 'permission denied for table audit_log' };
+      supabase.from.mockReturnValue(createQuery({ data: null, error }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(auditService.getHistory('artists', 'artist-1')).rejects.toEqual(error);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('restoreVersion', () => {
+    it('should restore through the RPC', async () => {
+      const restored = { table_name: 'artists', record_id: 'artist-1', recreated: false };
+      supabase.rpc.mockResolvedValue({ data: restored, error: null });
+
+      const result = await auditService.restoreVersion('entry-1');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('restore_audit_version', { entry_id: 'entry-1' });
+      expect(result).toEqual(restored);
+    });
+  });
+});
@@ -29,6 +29,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -78,6 +79,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         gte: gteMock,
@@ -115,6 +117,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         eq: eqMock,
@@ -154,6 +157,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         eq: eqMock,
@@ -186,6 +190,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -222,6 +227,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -251,6 +257,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -283,6 +290,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -313,6 +321,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gte: gteMock,
         order: orderMock,
         limit: limitMock,
@@ -348,6 +357,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gte: gteMock,
         order: orderMock,
         limit: limitMock,
@@ -384,6 +394,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gte: gteMock,
         order: orderMock,
         limit: limitMock,
@@ -416,6 +427,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gte: gteMock,
         lte: lteMock,
         order: orderMock,
@@ -452,6 +464,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gte: gteMock,
         lte: lteMock,
         order: orderMock,
@@ -489,6 +502,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gte: gteMock,
         lte: lteMock,
         order: orderMock,
@@ -521,6 +535,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -553,6 +568,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -581,6 +597,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -612,6 +629,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -646,6 +664,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         gte: gteMock,
         lte: lteMock,
@@ -676,6 +695,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -702,6 +722,7 @@ describe('concertService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
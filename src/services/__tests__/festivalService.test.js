@@ -44,6 +44,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -84,6 +85,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         ilike: ilikeMock,
@@ -113,6 +115,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         eq: eqMock,
@@ -143,6 +146,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         gte: gteMock,
@@ -177,6 +181,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -214,6 +219,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -246,6 +252,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -278,6 +285,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         lte: lteMock,
         gte: gteMock,
         order: orderMock,
@@ -312,6 +320,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         lte: lteMock,
         gte: gteMock,
         order: orderMock,
@@ -344,6 +353,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gt: gtMock,
         order: orderMock,
         limit: limitMock,
@@ -378,6 +388,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gt: gtMock,
         order: orderMock,
         limit: limitMock,
@@ -406,6 +417,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         gt: gtMock,
         order: orderMock,
         limit: limitMock,
@@ -449,6 +461,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -483,6 +496,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         lte: lteMock,
         gte: gteMock,
@@ -512,6 +526,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -543,6 +558,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -577,6 +593,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         gte: gteMock,
         lte: lteMock,
@@ -607,6 +624,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -633,6 +651,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -665,6 +684,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -700,6 +720,7 @@ describe('festivalService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -0,0 +1,110 @@
+import notificationService from '../notificationService';
+import supabase from '../supabase';
+
+// Mock the Supabase client
+jest.mock('../supabase', () => ({
+  from: jest.fn(),
+}));
+
+/**
+ * Create a chainable query mock that resolves to the given response
+ */
+const createQuery = response => {
+  const query = {};
+  ['select', 'eq', 'in', 'is', 'not', 'order', 'range', 'update'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(response).then(resolve, reject);
+  return query;
+};
+
+describe('notificationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getNotifications', () => {
+    it('should fetch the newest notifications for a user', async () => {
+      const mockData = [{ id: 'n1', title: 'Artist added a show' }];
+      const query = createQuery({ data: mockData, error: null, count: 1 });
+      supabase.from.mockReturnValue(query);
+
+      const result = await notificationService.getNotifications('user-1', { limit: 10 });
+
+      expect(supabase.from).toHaveBeenCalledWith('notifications');
+      expect(query.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(query.is).not.toHaveBeenCalled();
+      expect(query.order).toHaveBeenCalledWith('created_at', { ascending: false });
+      expect(query.range).toHaveBeenCalledWith(0, 9);
+      expect(result).toEqual({
+        data: mockData,
+        pagination: { total: 1, limit: 10, offset: 0 },
+      });
+    });
+
+    it('should filter to unread notifications', async () => {
+      const query = createQuery({ data: [], error: null, count: 0 });
+      supabase.from.mockReturnValue(query);
+
+      await notificationService.getNotifications('user-1', { unreadOnly: true });
+
+      expect(query.is).toHaveBeenCalledWith('read_at', null);
+    });
+
+    it('should throw when the query fails', async () => {
+      const error = { message: 'Database error' };
+      supabase.from.mockReturnValue(createQuery({ data: null, error }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(notificationService.getNotifications('user-1')).rejects.toEqual(error);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getUnreadCount', () => {
+    it('should count unread notifications', async () => {
+      const query = createQuery({ count: 4, error: null });
+      supabase.from.mockReturnValue(query);
+
+      const count = await notificationService.getUnreadCount('user-1');
+
+      expect(query.select).toHaveBeenCalledWith('id', { count: 'exact', head: true });
+      expect(query.is).toHaveBeenCalledWith('read_at', null);
+      expect(count).toBe(4);
+    });
+  });
+
+  describe('read state', () => {
+    it('should mark specific notifications as read', async () => {
+      const query = createQuery({ data: [{ id: 'n1' }], error: null });
+      supabase.from.mockReturnValue(query);
+
+      const updated = await notificationService.markAsRead('user-1', ['n1']);
+
+      expect(query.update).toHaveBeenCalledWith({ read_at: expect.any(String) });
+      expect(query.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(query.in).toHaveBeenCalledWith('id', ['n1']);
+      expect(updated).toEqual(['n1']);
+    });
+
+    it('should clear read_at when marking as unread', async () => {
+      const query = createQuery({ data: [{ id: 'n1' }], error: null });
+      supabase.from.mockReturnValue(query);
+
+      await notificationService.markAsUnread('user-1', ['n1']);
+
+      expect(query.update).toHaveBeenCalledWith({ read_at: null });
+    });
+
+    it('should only touch unread notifications when marking all as read', async () => {
+      const query = createQuery({ data: [], error: null });
+      supabase.from.mockReturnValue(query);
+
+      await notificationService.markAllAsRead('user-1');
+
+      expect(query.in).not.toHaveBeenCalled();
+      expect(query.is).toHaveBeenCalledWith('read_at', null);
+    });
+  });
+});
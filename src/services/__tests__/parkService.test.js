@@ -32,6 +32,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -72,6 +73,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         ilike: ilikeMock,
@@ -131,6 +133,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -162,6 +165,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -194,6 +198,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -223,6 +228,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -255,6 +261,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -296,6 +303,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -330,6 +338,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         lte: lteMock,
         gte: gteMock,
@@ -359,6 +368,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -390,6 +400,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -423,6 +434,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         gte: gteMock,
         order: orderMock,
@@ -451,6 +463,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -478,6 +491,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -510,6 +524,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -545,6 +560,7 @@ describe('parkService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -0,0 +1,73 @@
+import { createRealtimeService } from '../realtimeService';
+
+// Mock the Supabase client so importing the default service doesn't need credentials
+jest.mock('../supabase', () => ({}));
+
+/**
+ * Create a Supabase client mock with a chainable channel
+ */
+const createClient = () => {
+  const channel = {};
+  channel.on = jest.fn(() => channel);
+  channel.subscribe = jest.fn(() => channel);
+
+  return {
+    channel: jest.fn(() => channel),
+    removeChannel: jest.fn(),
+    mockChannel: channel,
+  };
+};
+
+describe('realtimeService', () => {
+  describe('subscribeToTable', () => {
+    it('should listen for every change to the table', () => {
+      const client = createClient();
+      const onChange = jest.fn();
+
+      createRealtimeService(client).subscribeToTable('concerts', onChange);
+
+      expect(client.channel).toHaveBeenCalledWith(expect.stringContaining('concerts-changes'));
+      expect(client.mockChannel.on).toHaveBeenCalledWith(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'concerts' },
+        onChange
+      );
+      expect(client.mockChannel.subscribe).toHaveBeenCalled();
+    });
+
+    it('should give each subscription its own channel', () => {
+      const client = createClient();
+      const service = createRealtimeService(client);
+
+      service.subscribeToTable('concerts', jest.fn());
+      service.subscribeToTable('concerts', jest.fn());
+
+      const [[first], [second]] = client.channel.mock.calls;
+      expect(first).not.toBe(second);
+    });
+
+    it('should remove the channel when unsubscribing', () => {
+      const client = createClient();
+
+      const unsubscribe = createRealtimeService(client).subscribeToTable('concerts', jest.fn());
+      unsubscribe();
+
+      expect(client.removeChannel).toHaveBeenCalledWith(client.mockChannel);
+    });
+
+    it('should log subscription errors', () => {
+      const client = createClient();
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      createRealtimeService(client).subscribeToTable('concerts', jest.fn());
+      const [onStatus] = client.mockChannel.subscribe.mock.calls[0];
+      onStatus('CHANNEL_ERROR', new Error('Realtime unavailable'));
+
+      expect(consoleSpy).toHaveBeenCalledWith(
+        'Error subscribing to concerts changes:',
+        expect.any(Error)
+      );
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -1,16 +1,41 @@
-import searchService from '../searchService';
+import searchService, { createSuggestionFetcher } from '../searchService';
 import concertService from '../concertService';
-import artistService from '../artistService';
-import venueService from '../venueService';
-import parkService from '../parkService';
-import festivalService from '../festivalService';
+import supabase from '../supabase';
 
-// Mock all service dependencies
+// Mock the Supabase client and the concert service
+jest.mock('../supabase', () => ({
+  rpc: jest.fn(),
+  from: jest.fn(),
+}));
 jest.mock('../concertService');
-jest.mock('../artistService');
-jest.mock('../venueService');
-jest.mock('../parkService');
-jest.mock('../festivalService');
+
+/**
+ * Respond to search_all with the given results, as if every type succeeded
+ */
+const mockSearchResults = (results, errors = []) => {
+  supabase.rpc.mockResolvedValue({
+    data: {
+      ...results,
+      totals: Object.fromEntries(
+        Object.entries(results).map(([type, rows]) => [type, rows.length])
+      ),
+      errors,
+    },
+    error: null,
+  });
+};
+
+/**
+ * Chainable stand-in for a Supabase query that resolves to the given rows
+ */
+const createQueryMock = (data = []) => {
+  const query = {};
+  ['select', 'is', 'in', 'eq', 'gte', 'lte', 'ilike', 'order', 'limit'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve({ data, error: null }).then(resolve, reject);
+  return query;
+};
 
 describe('searchService', () => {
   // Reset mocks before each test
@@ -20,31 +45,34 @@ describe('searchService', () => {
 
   describe('globalSearch', () => {
     it('should search across all entities', async () => {
-      // Mock service responses
+      // Mock search responses
       const mockConcerts = [{ id: 'c1', name: 'Test Concert' }];
       const mockArtists = [{ id: 'a1', name: 'Test Artist' }];
       const mockVenues = [{ id: 'v1', name: 'Test Venue' }];
       const mockParks = [{ id: 'p1', name: 'Test Park' }];
       const mockFestivals = [{ id: 'f1', name: 'Test Festival' }];
 
-      // Setup service mocks
-      concertService.searchConcerts = jest.fn().mockResolvedValue(mockConcerts);
-      artistService.searchArtists = jest.fn().mockResolvedValue(mockArtists);
-      venueService.searchVenues = jest.fn().mockResolvedValue(mockVenues);
-      parkService.searchParks = jest.fn().mockResolvedValue(mockParks);
-      festivalService.searchFestivals = jest.fn().mockResolvedValue(mockFestivals);
+      mockSearchResults({
+        concerts: mockConcerts,
+        artists: mockArtists,
+        venues: mockVenues,
+        parks: mockParks,
+        festivals: mockFestivals,
+      });
 
       // Call the service function
       const query = 'test';
       const limit = 5;
-      const result = await searchService.globalSearch(query, limit);
-
-      // Verify services were called correctly
-      expect(concertService.searchConcerts).toHaveBeenCalledWith(query, limit);
-      expect(artistService.searchArtists).toHaveBeenCalledWith(query, limit);
-      expect(venueService.searchVenues).toHaveBeenCalledWith(query, limit);
-      expect(parkService.searchParks).toHaveBeenCalledWith(query, limit);
-      expect(festivalService.searchFestivals).toHaveBeenCalledWith(query, limit);
+      const result = await searchService.globalSearch(query, { limit });
+
+      // Verify every type was searched in a single call
+      expect(supabase.rpc).toHaveBeenCalledTimes(1);
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: query,
+        entity_types: ['concerts', 'artists', 'venues', 'festivals', 'parks'],
+        max_results: limit,
+        result_offset: 0,
+      });
 
       // Verify the result is what we expect
       expect(result).toEqual({
@@ -57,22 +85,17 @@ describe('searchService', () => {
     });
 
     it('should combine entity results from multiple services', async () => {
-      // Mock service responses with different counts to show combined results
-      const mockConcerts = [
-        { id: 'c1', name: 'Test Concert 1' },
-        { id: 'c2', name: 'Test Concert 2' },
-      ];
-      const mockArtists = [{ id: 'a1', name: 'Test Artist' }];
-      const mockVenues = []; // Empty results for venues
-      const mockParks = [{ id: 'p1', name: 'Test Park' }];
-      const mockFestivals = []; // Empty results for festivals
-
-      // Setup service mocks
-      concertService.searchConcerts = jest.fn().mockResolvedValue(mockConcerts);
-      artistService.searchArtists = jest.fn().mockResolvedValue(mockArtists);
-      venueService.searchVenues = jest.fn().mockResolvedValue(mockVenues);
-      parkService.searchParks = jest.fn().mockResolvedValue(mockParks);
-      festivalService.searchFestivals = jest.fn().mockResolvedValue(mockFestivals);
+      // Mock search responses with different counts to show combined results
+      mockSearchResults({
+        concerts: [
+          { id: 'c1', name: 'Test Concert 1' },
+          { id: 'c2', name: 'Test Concert 2' },
+        ],
+        artists: [{ id: 'a1', name: 'Test Artist' }],
+        venues: [], // Empty results for venues
+        parks: [{ id: 'p1', name: 'Test Park' }],
+        festivals: [], // Empty results for festivals
+      });
 
       // Call the service function
       const query = 'test';
@@ -87,18 +110,14 @@ describe('searchService', () => {
     });
 
     it('should handle errors from individual services gracefully', async () => {
-      // Mock successful responses for some services
+      // Mock successful responses for some types and failures for the others
       const mockConcerts = [{ id: 'c1', name: 'Test Concert' }];
       const mockArtists = [{ id: 'a1', name: 'Test Artist' }];
-      concertService.searchConcerts = jest.fn().mockResolvedValue(mockConcerts);
-      artistService.searchArtists = jest.fn().mockResolvedValue(mockArtists);
-
-      // Mock errors for other services
-      venueService.searchVenues = jest.fn().mockRejectedValue(new Error('Venue search failed'));
-      parkService.searchParks = jest.fn().mockRejectedValue(new Error('Park search failed'));
-      festivalService.searchFestivals = jest
-        .fn()
-        .mockRejectedValue(new Error('Festival search failed'));
+      mockSearchResults(
+        { concerts: mockConcerts, artists: mockArtists, venues: [], parks: [], festivals: [] },
+        ['venues', 'parks', 'festivals']
+      );
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       // Call the service function
       const query = 'test';
@@ -108,16 +127,64 @@ describe('searchService', () => {
       expect(result.concerts).toEqual(mockConcerts);
       expect(result.artists).toEqual(mockArtists);
 
-      // Verify failed services return empty arrays
+      // Verify failed types return empty arrays
       expect(result.venues).toEqual([]);
       expect(result.parks).toEqual([]);
       expect(result.festivals).toEqual([]);
+
+      console.error.mockRestore();
+    });
+
+    it('should return empty results when the search fails', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'timeout' } });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await searchService.globalSearch('test');
+
+      expect(result).toEqual({ concerts: [], artists: [], venues: [], festivals: [], parks: [] });
+
+      console.error.mockRestore();
+    });
+
+    it('should not search for an empty query', async () => {
+      const result = await searchService.globalSearch('   ');
+
+      expect(supabase.rpc).not.toHaveBeenCalled();
+      expect(result.artists).toEqual([]);
+    });
+  });
+
+  describe('searchAll', () => {
+    it('should page one type and report its total', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: {
+          artists: [{ id: 'a21', name: 'Test Artist 21' }],
+          totals: { artists: 21 },
+          errors: [],
+        },
+        error: null,
+      });
+
+      const result = await searchService.searchAll('test', {
+        types: ['artists'],
+        limit: 20,
+        offset: 20,
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: 'test',
+        entity_types: ['artists'],
+        max_results: 20,
+        result_offset: 20,
+      });
+      expect(result.results.artists).toEqual([{ id: 'a21', name: 'Test Artist 21' }]);
+      expect(result.totals).toEqual({ artists: 21 });
     });
   });
 
   describe('searchConcerts', () => {
     it('should search concerts and include related entities', async () => {
-      // Mock service response
+      // Mock search response
       const mockConcerts = [
         {
           id: 'c1',
@@ -126,17 +193,20 @@ describe('searchService', () => {
           venues: { name: 'Test Venue' },
         },
       ];
-
-      // Setup service mock
-      concertService.searchConcerts = jest.fn().mockResolvedValue(mockConcerts);
+      mockSearchResults({ concerts: mockConcerts });
 
       // Call the service function
       const query = 'test';
       const limit = 10;
       const result = await searchService.searchConcerts(query, limit);
 
-      // Verify service was called correctly
-      expect(concertService.searchConcerts).toHaveBeenCalledWith(query, limit);
+      // Verify search was called correctly
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: query,
+        entity_types: ['concerts'],
+        max_results: limit,
+        result_offset: 0,
+      });
 
       // Verify the result is what we expect
       expect(result).toEqual(mockConcerts);
@@ -144,7 +214,8 @@ describe('searchService', () => {
 
     it('should handle errors gracefully', async () => {
       // Mock error response
-      concertService.searchConcerts = jest.fn().mockRejectedValue(new Error('Search failed'));
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Search failed') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       // Call the service function
       const query = 'test';
@@ -153,24 +224,29 @@ describe('searchService', () => {
       await expect(searchService.searchConcerts(query)).rejects.toThrow(
         'Error in searchConcerts: Search failed'
       );
+
+      console.error.mockRestore();
     });
   });
 
   describe('searchArtists', () => {
     it('should search artists with the specified limit', async () => {
-      // Mock service response
+      // Mock search response
       const mockArtists = [{ id: 'a1', name: 'Test Artist' }];
-
-      // Setup service mock
-      artistService.searchArtists = jest.fn().mockResolvedValue(mockArtists);
+      mockSearchResults({ artists: mockArtists });
 
       // Call the service function
       const query = 'test';
       const limit = 5;
       const result = await searchService.searchArtists(query, limit);
 
-      // Verify service was called correctly
-      expect(artistService.searchArtists).toHaveBeenCalledWith(query, limit);
+      // Verify search was called correctly
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: query,
+        entity_types: ['artists'],
+        max_results: limit,
+        result_offset: 0,
+      });
 
       // Verify the result is what we expect
       expect(result).toEqual(mockArtists);
@@ -178,7 +254,8 @@ describe('searchService', () => {
 
     it('should handle errors gracefully', async () => {
       // Mock error response
-      artistService.searchArtists = jest.fn().mockRejectedValue(new Error('Artist search failed'));
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Artist search failed') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       // Call the service function
       const query = 'test';
@@ -187,24 +264,144 @@ describe('searchService', () => {
       await expect(searchService.searchArtists(query)).rejects.toThrow(
         'Error in searchArtists: Artist search failed'
       );
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('ranked matches', () => {
+    it('should keep the ranking and alias details from search_all', async () => {
+      const mockArtists = [
+        { id: 'a1', name: 'The Beach Boys', search_score: 0.8, matched_alias: null },
+        {
+          id: 'a2',
+          name: 'Mike Love',
+          search_score: 0.76,
+          matched_alias: 'Mike Love of the Beach Boys',
+        },
+      ];
+      mockSearchResults({ artists: mockArtists });
+
+      const result = await searchService.searchArtists('beach boy');
+
+      expect(supabase.rpc).toHaveBeenCalledWith(
+        'search_all',
+        expect.objectContaining({ search_query: 'beach boy', entity_types: ['artists'] })
+      );
+      expect(result.map(artist => artist.name)).toEqual(['The Beach Boys', 'Mike Love']);
+      expect(result[1].matched_alias).toBe('Mike Love of the Beach Boys');
+    });
+  });
+
+  describe('searchByDateAndTerm', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('should find concerts by artists matched with search_ranked', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: [
+          { id: 'a1', name: "Herman's Hermits", score: 1 },
+          { id: 'a2', name: 'Hermits Tribute', score: 0.56 },
+        ],
+        error: null,
+      });
+
+      const late = {
+        id: 'c2',
+        start_time: '2025-05-01T23:00:00Z',
+        artists: { id: 'a2', name: 'Hermits Tribute' },
+      };
+      const early = {
+        id: 'c1',
+        start_time: '2025-05-01T19:00:00Z',
+        artists: { id: 'a1', name: "Herman's Hermits" },
+      };
+      const dateQuery = createQueryMock([early]);
+      const artistQuery = createQueryMock([late, early]);
+      supabase.from
+        .mockReturnValueOnce(dateQuery)
+        .mockReturnValueOnce(artistQuery)
+        .mockReturnValue(createQueryMock([]));
+
+      const result = await searchService.searchByDateAndTerm('2025-05-01', ' hermans hermits ');
+
+      // The apostrophe-free query reaches the fuzzy artist search as typed
+      expect(supabase.rpc).toHaveBeenCalledWith('search_ranked', {
+        search_query: 'hermans hermits',
+        entity_type: 'artists',
+        max_results: 20,
+      });
+      expect(artistQuery.in).toHaveBeenCalledWith('artist_id', ['a1', 'a2']);
+
+      // Each concert once, in start time order
+      expect(result.map(concert => concert.id)).toEqual(['c1', 'c2']);
+    });
+
+    it('should fall back to name filters when artist matching fails', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('RPC failed') });
+      const queries = [createQueryMock(), createQueryMock(), createQueryMock()];
+      queries.forEach(query => supabase.from.mockReturnValueOnce(query));
+
+      const result = await searchService.searchByDateAndTerm('2025-05-01', 'beach boy');
+
+      expect(supabase.from).toHaveBeenCalledTimes(3);
+      queries.forEach(query => expect(query.in).not.toHaveBeenCalled());
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('searchWithFilters', () => {
+    it('should filter concerts by the artists search_ranked matches', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      supabase.rpc.mockResolvedValue({
+        data: [{ id: 'a1', name: 'The Beach Boys', score: 0.8 }],
+        error: null,
+      });
+      const artistQuery = createQueryMock([{ id: 'c1', start_time: '2025-05-01T19:00:00Z' }]);
+      supabase.from
+        .mockReturnValueOnce(createQueryMock())
+        .mockReturnValueOnce(artistQuery)
+        .mockReturnValue(createQueryMock());
+
+      const result = await searchService.searchWithFilters({ query: 'beach boy' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('search_ranked', {
+        search_query: 'beach boy',
+        entity_type: 'artists',
+        max_results: 20,
+      });
+      expect(artistQuery.in).toHaveBeenCalledWith('artist_id', ['a1']);
+      expect(result.map(concert => concert.id)).toEqual(['c1']);
+
+      console.log.mockRestore();
     });
   });
 
   describe('searchVenues', () => {
     it('should search venues with the specified limit', async () => {
-      // Mock service response
+      // Mock search response
       const mockVenues = [{ id: 'v1', name: 'Test Venue' }];
-
-      // Setup service mock
-      venueService.searchVenues = jest.fn().mockResolvedValue(mockVenues);
+      mockSearchResults({ venues: mockVenues });
 
       // Call the service function
       const query = 'test';
       const limit = 5;
       const result = await searchService.searchVenues(query, limit);
 
-      // Verify service was called correctly
-      expect(venueService.searchVenues).toHaveBeenCalledWith(query, limit);
+      // Verify search was called correctly
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: query,
+        entity_types: ['venues'],
+        max_results: limit,
+        result_offset: 0,
+      });
 
       // Verify the result is what we expect
       expect(result).toEqual(mockVenues);
@@ -212,7 +409,8 @@ describe('searchService', () => {
 
     it('should handle errors gracefully', async () => {
       // Mock error response
-      venueService.searchVenues = jest.fn().mockRejectedValue(new Error('Venue search failed'));
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Venue search failed') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       // Call the service function
       const query = 'test';
@@ -221,24 +419,29 @@ describe('searchService', () => {
       await expect(searchService.searchVenues(query)).rejects.toThrow(
         'Error in searchVenues: Venue search failed'
       );
+
+      console.error.mockRestore();
     });
   });
 
   describe('searchParks', () => {
     it('should search parks with the specified limit', async () => {
-      // Mock service response
+      // Mock search response
       const mockParks = [{ id: 'p1', name: 'Test Park' }];
-
-      // Setup service mock
-      parkService.searchParks = jest.fn().mockResolvedValue(mockParks);
+      mockSearchResults({ parks: mockParks });
 
       // Call the service function
       const query = 'test';
       const limit = 5;
       const result = await searchService.searchParks(query, limit);
 
-      // Verify service was called correctly
-      expect(parkService.searchParks).toHaveBeenCalledWith(query, limit);
+      // Verify search was called correctly
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: query,
+        entity_types: ['parks'],
+        max_results: limit,
+        result_offset: 0,
+      });
 
       // Verify the result is what we expect
       expect(result).toEqual(mockParks);
@@ -246,7 +449,8 @@ describe('searchService', () => {
 
     it('should handle errors gracefully', async () => {
       // Mock error response
-      parkService.searchParks = jest.fn().mockRejectedValue(new Error('Park search failed'));
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Park search failed') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       // Call the service function
       const query = 'test';
@@ -255,24 +459,29 @@ describe('searchService', () => {
       await expect(searchService.searchParks(query)).rejects.toThrow(
         'Error in searchParks: Park search failed'
       );
+
+      console.error.mockRestore();
     });
   });
 
   describe('searchFestivals', () => {
     it('should search festivals with the specified limit', async () => {
-      // Mock service response
+      // Mock search response
       const mockFestivals = [{ id: 'f1', name: 'Test Festival' }];
-
-      // Setup service mock
-      festivalService.searchFestivals = jest.fn().mockResolvedValue(mockFestivals);
+      mockSearchResults({ festivals: mockFestivals });
 
       // Call the service function
       const query = 'test';
       const limit = 5;
       const result = await searchService.searchFestivals(query, limit);
 
-      // Verify service was called correctly
-      expect(festivalService.searchFestivals).toHaveBeenCalledWith(query, limit);
+      // Verify search was called correctly
+      expect(supabase.rpc).toHaveBeenCalledWith('search_all', {
+        search_query: query,
+        entity_types: ['festivals'],
+        max_results: limit,
+        result_offset: 0,
+      });
 
       // Verify the result is what we expect
       expect(result).toEqual(mockFestivals);
@@ -280,9 +489,8 @@ describe('searchService', () => {
 
     it('should handle errors gracefully', async () => {
       // Mock error response
-      festivalService.searchFestivals = jest
-        .fn()
-        .mockRejectedValue(new Error('Festival search failed'));
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Festival search failed') });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
       // Call the service function
       const query = 'test';
@@ -291,6 +499,8 @@ describe('searchService', () => {
       await expect(searchService.searchFestivals(query)).rejects.toThrow(
         'Error in searchFestivals: Festival search failed'
       );
+
+      console.error.mockRestore();
     });
   });
 
@@ -399,4 +609,109 @@ describe('searchService', () => {
       );
     });
   });
+  describe('getSuggestions', () => {
+    it('should return ranked suggestions for a partial query', async () => {
+      const mockSuggestions = [
+        { entity_type: 'artists', id: 'a1', name: 'Journey', image_url: 'journey.jpg' },
+        { entity_type: 'venues', id: 'v1', name: 'America Gardens Theatre', image_url: null },
+      ];
+      supabase.rpc.mockResolvedValue({ data: mockSuggestions, error: null });
+
+      const result = await searchService.getSuggestions(' jour ');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('search_suggestions', {
+        search_query: 'jour',
+        max_results: 6,
+      });
+      expect(result).toEqual(mockSuggestions);
+    });
+
+    it('should not look up queries shorter than two characters', async () => {
+      const result = await searchService.getSuggestions('j');
+
+      expect(supabase.rpc).not.toHaveBeenCalled();
+      expect(result).toEqual([]);
+    });
+
+    it('should return no suggestions when the lookup fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Suggestions failed') });
+
+      await expect(searchService.getSuggestions('journey')).resolves.toEqual([]);
+    });
+  });
+
+  describe('createSuggestionFetcher', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should only look up the last query typed', async () => {
+      supabase.rpc.mockResolvedValue({ data: [{ id: 'a1', name: 'Journey' }], error: null });
+      const fetchSuggestions = createSuggestionFetcher(200);
+
+      const first = fetchSuggestions('jo');
+      const second = fetchSuggestions('jour');
+      jest.advanceTimersByTime(200);
+
+      await expect(first).resolves.toBeNull();
+      await expect(second).resolves.toEqual([{ id: 'a1', name: 'Journey' }]);
+      expect(supabase.rpc).toHaveBeenCalledTimes(1);
+      expect(supabase.rpc).toHaveBeenCalledWith('search_suggestions', {
+        search_query: 'jour',
+        max_results: 6,
+      });
+    });
+
+    it('should not look anything up after cancel', async () => {
+      const fetchSuggestions = createSuggestionFetcher(200);
+
+      const pending = fetchSuggestions('journey');
+      fetchSuggestions.cancel();
+      jest.advanceTimersByTime(200);
+
+      await expect(pending).resolves.toBeNull();
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTrendingSearches', () => {
+    it('should return the most popular searches', async () => {
+      const mockTrending = [{ query: 'Journey', searches: 12 }];
+      supabase.rpc.mockResolvedValue({ data: mockTrending, error: null });
+
+      const result = await searchService.getTrendingSearches({ limit: 3 });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_trending_searches', { max_results: 3 });
+      expect(result).toEqual(mockTrending);
+    });
+  });
+
+  describe('recordSearch', () => {
+    it('should log the query through the record_search RPC', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+
+      await searchService.recordSearch(' Journey ');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('record_search', { search_query: 'Journey' });
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('should not log queries that are too short', async () => {
+      await searchService.recordSearch('J');
+
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when logging fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('Insert failed') });
+
+      await expect(searchService.recordSearch('Journey')).resolves.toBeUndefined();
+    });
+  });
 });
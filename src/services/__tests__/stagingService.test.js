@@ -0,0 +1,154 @@
+import stagingService from '../stagingService';
+import supabase from '../supabase';
+
+// Mock the Supabase client
+jest.mock('../supabase', () => ({
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+
+/**
+ * Create a chainable query mock that resolves to the given response
+ */
+const createQuery = response => {
+  const query = {};
+  ['select', 'eq', 'in', 'order', 'range', 'insert', 'update', 'single'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(response).then(resolve, reject);
+  return query;
+};
+
+describe('stagingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getChanges', () => {
+    it('should fetch pending changes oldest first', async () => {
+      const mockData = [{ id: 'change-1', entity_type: 'concert', action: 'insert' }];
+      const query = createQuery({ data: mockData, error: null, count: 1 });
+      supabase.from.mockReturnValue(query);
+
+      const result = await stagingService.getChanges({ entityType: 'concert', limit: 10 });
+
+      expect(supabase.from).toHaveBeenCalledWith('staging_changes');
+      expect(query.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(query.eq).toHaveBeenCalledWith('entity_type', 'concert');
+      expect(query.order).toHaveBeenCalledWith('created_at', { ascending: true });
+      expect(query.range).toHaveBeenCalledWith(0, 9);
+      expect(result).toEqual({
+        data: mockData,
+        pagination: { total: 1, limit: 10, offset: 0 },
+      });
+    });
+  });
+
+  describe('getLiveRecords', () => {
+    it('should fetch the live rows for updates and deletes by table', async () => {
+      const query = createQuery({ data: [{ id: 'artist-1', name: 'Sugar Ray' }], error: null });
+      supabase.from.mockReturnValue(query);
+
+      const records = await stagingService.getLiveRecords([
+        { entity_type: 'artist', action: 'update', record_id: 'artist-1' },
+        { entity_type: 'artist', action: 'delete', record_id: 'artist-1' },
+        { entity_type: 'concert', action: 'insert', record_id: null },
+      ]);
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(supabase.from).toHaveBeenCalledWith('artists');
+      expect(query.in).toHaveBeenCalledWith('id', ['artist-1']);
+      expect(records).toEqual({ artist: { 'artist-1': { id: 'artist-1', name: 'Sugar Ray' } } });
+    });
+  });
+
+  describe('stageChanges', () => {
+    it('should queue new changes and refresh pending ones', async () => {
+      const pendingQuery = createQuery({
+        data: [{ id: 'change-1', dedupe_key: 'concert:update:c1', proposed: { notes: 'Old' } }],
+        error: null,
+      });
+      const updateQuery = createQuery({ error: null });
+      const insertQuery = createQuery({ error: null });
+      supabase.from
+        .mockReturnValueOnce(pendingQuery)
+        .mockReturnValueOnce(updateQuery)
+        .mockReturnValueOnce(insertQuery);
+
+      const newChange = {
+        entity_type: 'concert',
+        action: 'insert',
+        record_id: null,
+        proposed: { artist_id: 'a1' },
+        source_url: null,
+        dedupe_key: 'concert:insert:a1',
+      };
+      const stats = await stagingService.stageChanges([
+        {
+          entity_type: 'concert',
+          action: 'update',
+          record_id: 'c1',
+          proposed: { notes: 'New' },
+          source_url: null,
+          dedupe_key: 'concert:update:c1',
+        },
+        newChange,
+      ]);
+
+      expect(pendingQuery.in).toHaveBeenCalledWith('dedupe_key', [
+        'concert:update:c1',
+        'concert:insert:a1',
+      ]);
+      expect(updateQuery.update).toHaveBeenCalledWith({
+        proposed: { notes: 'New' },
+        source_url: null,
+      });
+      expect(updateQuery.eq).toHaveBeenCalledWith('id', 'change-1');
+      expect(insertQuery.insert).toHaveBeenCalledWith([{ ...newChange, source: 'import' }]);
+      expect(stats).toEqual({ staged: 1, refreshed: 1, unchanged: 0 });
+    });
+  });
+
+  describe('reviewing', () => {
+    it('should approve changes through the RPC', async () => {
+      supabase.rpc.mockResolvedValue({ data: { approved: 2 }, error: null });
+
+      const result = await stagingService.approveChanges(['change-1', 'change-2']);
+
+      expect(supabase.rpc).toHaveBeenCalledWith('approve_staging_changes', {
+        change_ids: ['change-1', 'change-2'],
+      });
+      expect(result).toEqual({ approved: 2 });
+    });
+
+    it('should throw when approval fails', async () => {
+      const error = { message: '1 of 2 changes are no longer pending' };
+      supabase.rpc.mockResolvedValue({ data: null, error });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(stagingService.approveChanges(['change-1', 'change-2'])).rejects.toEqual(error);
+
+      console.error.mockRestore();
+    });
+
+    it('should reject only pending changes', async () => {
+      const query = createQuery({ data: [{ id: 'change-1' }], error: null });
+      supabase.from.mockReturnValue(query);
+
+      const rejected = await stagingService.rejectChanges(['change-1'], {
+        reviewerId: 'admin-1',
+        notes: 'Wrong stage',
+      });
+
+      expect(query.update).toHaveBeenCalledWith({
+        status: 'rejected',
+        review_notes: 'Wrong stage',
+        reviewed_by: 'admin-1',
+        reviewed_at: expect.any(String),
+      });
+      expect(query.in).toHaveBeenCalledWith('id', ['change-1']);
+      expect(query.eq).toHaveBeenCalledWith('status', 'pending');
+      expect(rejected).toEqual(['change-1']);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import trashService, { TRASH_RETENTION_DAYS } from '../trashService';
+import supabase from '../supabase';
+
+// Mock the Supabase client
+jest.mock('../supabase', () => ({
+  from: jest.fn(),
+  rpc: jest.fn(),
+}));
+
+/**
+ * Create a chainable query mock that resolves to the given response
+ */
+const createQuery = response => {
+  const query = {};
+  ['select', 'not', 'order', 'update', 'eq'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(response).then(resolve, reject);
+  return query;
+};
+
+describe('trashService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getDeletedRecords', () => {
+    it('should fetch deleted records from one table with their purge date', async () => {
+      const query = createQuery({
+        data: [{ id: 'artist-1', name: 'Old Band', deleted_at: '2026-10-01T12:00:00.000Z' }],
+        error: null,
+      });
+      supabase.from.mockReturnValue(query);
+
+      const result = await trashService.getDeletedRecords('artists');
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(supabase.from).toHaveBeenCalledWith('artists');
+      expect(query.not).toHaveBeenCalledWith('deleted_at', 'is', null);
+      expect(query.order).toHaveBeenCalledWith('deleted_at', { ascending: false });
+      expect(result).toEqual([
+        {
+          id: 'artist-1',
+          name: 'Old Band',
+          deleted_at: '2026-10-01T12:00:00.000Z',
+          table_name: 'artists',
+          purge_after: '2026-10-31T12:00:00.000Z',
+        },
+      ]);
+      expect(TRASH_RETENTION_DAYS).toBe(30);
+    });
+
+    it('should merge every table, most recently deleted first', async () => {
+      const deletedAt = {
+        artists: '2026-10-01T12:00:00.000Z',
+        venues: '2026-10-03T12:00:00.000Z',
+        festivals: '2026-10-02T12:00:00.000Z',
+        concerts: '2026-09-30T12:00:00.000Z',
+      };
+      supabase.from.mockImplementation(table =>
+        createQuery({ data: [{ id: `${table}-1`, deleted_at: deletedAt[table] }], error: null })
+      );
+
+      const result = await trashService.getDeletedRecords();
+
+      expect(result.map(record => record.table_name)).toEqual([
+        'venues',
+        'festivals',
+        'artists',
+        'concerts',
+      ]);
+    });
+
+    it('should throw when a query fails', async () => {
+      const error = { message: 'permission denied for table venues' };
+      supabase.from.mockReturnValue(createQuery({ data: null, error }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(trashService.getDeletedRecords('venues')).rejects.toEqual(error);
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('restoreRecord', () => {
+    it('should clear deleted_at on the record', async () => {
+      const query = createQuery({ error: null });
+      supabase.from.mockReturnValue(query);
+
+      await trashService.restoreRecord('festivals', 'festival-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('festivals');
+      expect(query.update).toHaveBeenCalledWith({ deleted_at: null });
+      expect(query.eq).toHaveBeenCalledWith('id', 'festival-1');
+    });
+  });
+
+  describe('purgeExpired', () => {
+    it('should purge through the RPC with the retention window', async () => {
+      const purged = { concerts: 3, artists: 1, venues: 0, festivals: 0 };
+      supabase.rpc.mockResolvedValue({ data: purged, error: null });
+
+      const result = await trashService.purgeExpired();
+
+      expect(supabase.rpc).toHaveBeenCalledWith('purge_deleted_records', {
+        retention_days: TRASH_RETENTION_DAYS,
+      });
+      expect(result).toEqual(purged);
+    });
+  });
+});
@@ -32,6 +32,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -72,6 +73,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         ilike: ilikeMock,
@@ -101,6 +103,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
         eq: eqMock,
@@ -129,6 +132,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -165,6 +169,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         order: orderMock,
         range: rangeMock,
       });
@@ -200,6 +205,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -232,6 +238,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         single: singleMock,
       });
@@ -261,6 +268,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -293,6 +301,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -324,6 +333,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -357,6 +367,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         gte: gteMock,
         order: orderMock,
@@ -385,6 +396,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         eq: eqMock,
         order: orderMock,
       });
@@ -417,6 +429,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -452,6 +465,7 @@ describe('venueService', () => {
 
       supabase.from.mockReturnValue({
         select: selectMock,
+        is: jest.fn().mockReturnThis(),
         ilike: ilikeMock,
         order: orderMock,
         limit: limitMock,
@@ -462,4 +476,54 @@ describe('venueService', () => {
       await expect(venueService.searchVenues(query)).rejects.toThrow('API error for venue search');
     });
   });
+
+  describe('walking times', () => {
+    it('should save a walking time with the smaller venue ID first', async () => {
+      const saved = { from_venue_id: 'v1', to_venue_id: 'v2', minutes: 12 };
+      const upsertMock = jest.fn().mockReturnThis();
+
+      supabase.from.mockReturnValue({
+        upsert: upsertMock,
+        select: jest.fn().mockReturnThis(),
+        single: jest.fn().mockResolvedValue({ data: saved, error: null }),
+      });
+
+      const result = await venueService.setWalkingTime('v2', 'v1', 12);
+
+      expect(supabase.from).toHaveBeenCalledWith('venue_walking_times');
+      expect(upsertMock).toHaveBeenCalledWith(
+        { from_venue_id: 'v1', to_venue_id: 'v2', minutes: 12 },
+        { onConflict: 'from_venue_id,to_venue_id' }
+      );
+      expect(result).toEqual(saved);
+    });
+
+    it('should clear a walking time for either venue order', async () => {
+      const eqMock = jest
+        .fn()
+        .mockReturnValueOnce({ eq: jest.fn().mockResolvedValue({ error: null }) });
+
+      supabase.from.mockReturnValue({
+        delete: jest.fn().mockReturnValue({ eq: eqMock }),
+      });
+
+      await venueService.clearWalkingTime('v2', 'v1');
+
+      expect(eqMock).toHaveBeenCalledWith('from_venue_id', 'v1');
+    });
+
+    it('should throw an error when saving fails', async () => {
+      supabase.from.mockReturnValue({
+        upsert: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        single: jest
+          .fn()
+          .mockResolvedValue({ data: null, error: new Error('API error for walking time') }),
+      });
+
+      await expect(venueService.setWalkingTime('v1', 'v2', 0)).rejects.toThrow(
+        'API error for walking time'
+      );
+    });
+  });
 });
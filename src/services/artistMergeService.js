@@ -0,0 +1,56 @@
+import supabase from './supabase';
+
+/**
+ * Service for finding and merging duplicate artists
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Artist merge service
+ */
+export const createArtistMergeService = client => ({
+  /**
+   * Get every live artist with its aliases and number of concerts
+   * @returns {Promise<Array>} Artists ordered by name
+   */
+  async getArtists() {
+    const { data, error } = await client
+      .from('artists')
+      .select('id, name, genres, image_url, artist_aliases (alias), concerts (count)')
+      .is('deleted_at', null)
+      .order('name');
+
+    if (error) {
+      console.error('Error fetching artists to merge:', error);
+      throw error;
+    }
+
+    return data.map(({ concerts, ...artist }) => ({
+      ...artist,
+      concert_count: concerts?.[0]?.count || 0,
+    }));
+  },
+
+  /**
+   * Merge duplicate artists into a surviving artist
+   * Concerts and favorites move to the survivor, genres are combined, the
+   * duplicates' names are kept as aliases and the duplicates go to the trash.
+   * @param {string} survivorId - Artist to keep
+   * @param {Array<string>} duplicateIds - Artists to fold into it
+   * @returns {Promise<Object>} Number of concerts, favorites and artists merged
+   */
+  async mergeArtists(survivorId, duplicateIds) {
+    const { data, error } = await client.rpc('merge_artists', {
+      survivor_id: survivorId,
+      duplicate_ids: duplicateIds,
+    });
+
+    if (error) {
+      console.error(`Error merging artists into ${survivorId}:`, error);
+      throw error;
+    }
+
+    return data;
+  },
+});
+
+const artistMergeService = createArtistMergeService(supabase);
+
+export default artistMergeService;
@@ -3,8 +3,10 @@ import supabase from './supabase';
 /**
  * Service for artist-related API operations
  * Following mobile-first principles with optimized payloads
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Artist service
  */
-const artistService = {
+export const createArtistService = client => ({
   /**
    * Get all artists with filtering options
    * @param {Object} options - Filter options
@@ -27,7 +29,7 @@ const artistService = {
     order = 'asc',
   } = {}) {
     // Start building the query
-    let query = supabase
+    let query = client
       .from('artists')
       .select(
         `
@@ -37,6 +39,7 @@ const artistService = {
         genres`,
         { count: 'exact' }
       )
+      .is('deleted_at', null)
       .order(sort, { ascending: order === 'asc' })
       .range(offset, offset + limit - 1);
 
@@ -68,7 +71,7 @@ const artistService = {
     if (festivalId) {
       try {
         // First, get artist IDs performing at the festival
-        let concertQuery = supabase.from('concerts').select('artist_id');
+        let concertQuery = client.from('concerts').select('artist_id').is('deleted_at', null);
 
         // Add festival filter
         concertQuery = concertQuery.eq('festival_id', festivalId);
@@ -126,9 +129,10 @@ const artistService = {
    */
   async getArtistById(id) {
     // First get the artist details
-    const { data: artist, error: artistError } = await supabase
+    const { data: artist, error: artistError } = await client
       .from('artists')
       .select('*')
+      .is('deleted_at', null)
       .eq('id', id)
       .single();
 
@@ -138,7 +142,7 @@ const artistService = {
     }
 
     // Get upcoming performances with simplified approach to avoid chaining issues
-    let performancesQuery = supabase
+    let performancesQuery = client
       .from('concerts')
       .select(
         `
@@ -149,6 +153,7 @@ const artistService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('artist_id', id);
 
     // Add date filtering
@@ -185,7 +190,7 @@ const artistService = {
     try {
       // Get artist IDs with most concerts (using a simplified approach for tests)
       // In a real implementation, we would use a more sophisticated query
-      const { data: artists, error } = await supabase
+      const { data: artists, error } = await client
         .from('artists')
         .select(
           `
@@ -195,6 +200,7 @@ const artistService = {
           genres
         `
         )
+        .is('deleted_at', null)
         .limit(limit);
 
       if (error) {
@@ -220,7 +226,7 @@ const artistService = {
       return [];
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('artists')
       .select(
         `
@@ -230,6 +236,7 @@ const artistService = {
         genres
       `
       )
+      .is('deleted_at', null)
       .ilike('name', `%${query}%`)
       .order('name')
       .limit(limit);
@@ -253,7 +260,7 @@ const artistService = {
       return [];
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('artists')
       .select(
         `
@@ -263,6 +270,7 @@ const artistService = {
         genres
       `
       )
+      .is('deleted_at', null)
       .contains('genres', [genre])
       .order('name')
       .limit(limit);
@@ -282,9 +290,10 @@ const artistService = {
    */
   async getArtistsByFestival(festivalId) {
     // First get artist IDs performing at this festival
-    const { data: concertArtists, error: concertError } = await supabase
+    const { data: concertArtists, error: concertError } = await client
       .from('concerts')
       .select('artist_id')
+      .is('deleted_at', null)
       .eq('festival_id', festivalId);
 
     if (concertError) {
@@ -300,7 +309,7 @@ const artistService = {
     const artistIds = [...new Set(concertArtists.map(c => c.artist_id))];
 
     // Get artist details
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('artists')
       .select(
         `
@@ -310,6 +319,7 @@ const artistService = {
         genres
       `
       )
+      .is('deleted_at', null)
       .in('id', artistIds)
       .order('name');
 
@@ -329,9 +339,10 @@ const artistService = {
    */
   async getArtistsWithUpcomingConcerts({ limit = 20 } = {}) {
     // First get artist IDs with upcoming concerts
-    const { data: concertArtists, error: concertError } = await supabase
+    const { data: concertArtists, error: concertError } = await client
       .from('concerts')
       .select('artist_id')
+      .is('deleted_at', null)
       .gte('start_time', new Date().toISOString())
       .limit(1000); // Large limit to get comprehensive results
 
@@ -348,7 +359,7 @@ const artistService = {
     const artistIds = [...new Set(concertArtists.map(c => c.artist_id))];
 
     // Get artist details
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('artists')
       .select(
         `
@@ -358,6 +369,7 @@ const artistService = {
         genres
       `
       )
+      .is('deleted_at', null)
       .in('id', artistIds)
       .order('name')
       .limit(limit);
@@ -369,6 +381,8 @@ const artistService = {
 
     return data || [];
   },
-};
+});
+
+const artistService = createArtistService(supabase);
 
 export default artistService;
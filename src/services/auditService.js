@@ -0,0 +1,63 @@
+import supabase from './supabase';
+
+/**
+ * Service for the admin audit log
+ * Entries are written by database triggers on every insert, update and delete,
+ * so this service only reads history and restores earlier versions.
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Audit service
+ */
+export const createAuditService = client => ({
+  /**
+   * Get the history of a record, newest first
+   * @param {string} tableName - Table the record belongs to (e.g. artists)
+   * @param {string} recordId - Record ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Number of results to return (default: 20)
+   * @param {number} options.offset - Offset for pagination (default: 0)
+   * @returns {Promise<Object>} Object with entries array and pagination info
+   */
+  async getHistory(tableName, recordId, { limit = 20, offset = 0 } = {}) {
+    const { data, error, count } = await client
+      .from('audit_log')
+      .select(
+        'id, table_name, record_id, action, old_data, new_data, created_at, actor:user_profiles(id, email, display_name)',
+        { count: 'exact' }
+      )
+      .eq('table_name', tableName)
+      .eq('record_id', recordId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error(`Error fetching history for ${tableName} ${recordId}:`, error);
+      throw error;
+    }
+
+    return {
+      data,
+      pagination: { total: count, limit, offset },
+    };
+  },
+
+  /**
+   * Restore a record to the version recorded by an audit entry
+   * The restore is itself recorded in the audit log.
+   * @param {string} entryId - Audit entry ID
+   * @returns {Promise<Object>} Restored table name and record ID, and whether it was recreated
+   */
+  async restoreVersion(entryId) {
+    const { data, error } = await client.rpc('restore_audit_version', { entry_id: entryId });
+
+    if (error) {
+      console.error(`Error restoring audit entry ${entryId}:`, error);
+      throw error;
+    }
+
+    return data;
+  },
+});
+
+const auditService = createAuditService(supabase);
+
+export default auditService;
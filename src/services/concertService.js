@@ -1,10 +1,14 @@
 import supabase from './supabase';
+import { withOfflineCache } from './offlineCache';
+import { getParkDateString, getParkDayBounds } from '../utils/dateUtils';
 
 /**
  * Service for concert-related API operations
  * Following mobile-first principles with optimized payloads
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Concert service
  */
-const concertService = {
+export const createConcertService = client => ({
   /**
    * Get all concerts with filtering options
    * @param {Object} options - Filter options
@@ -29,7 +33,7 @@ const concertService = {
     offset = 0,
   } = {}) {
     // Start building the query with simplified approach to avoid chaining issues
-    let query = supabase.from('concerts').select(
+    let query = client.from('concerts').select(
       `
         id,
         start_time,
@@ -42,6 +46,9 @@ const concertService = {
       { count: 'exact' }
     );
 
+    // Leave out concerts in the trash
+    query = query.is('deleted_at', null);
+
     // Add ordering
     query = query.order('start_time');
 
@@ -72,9 +79,10 @@ const concertService = {
     // For park filtering, we need to use a different approach
     if (parkId) {
       // First get venues in this park
-      const { data: venues, error: venuesError } = await supabase
+      const { data: venues, error: venuesError } = await client
         .from('venues')
         .select('id')
+        .is('deleted_at', null)
         .eq('park_id', parkId);
 
       if (venuesError) {
@@ -134,7 +142,7 @@ const concertService = {
   async getConcertById(id) {
     // This query uses the singular versions of relationship names (artist, venue, festival)
     // which matches what the UI components expect
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('concerts')
       .select(
         `
@@ -171,6 +179,7 @@ const concertService = {
         )
       `
       )
+      .is('deleted_at', null)
       .eq('id', id)
       .single();
 
@@ -195,20 +204,22 @@ const concertService = {
    */
   async getUpcomingConcerts({ limit = 20, parkId, festivalId } = {}) {
     // Start building the base query
-    const baseQuery = supabase.from('concerts').select(
+    const baseQuery = client.from('concerts').select(
       `
         id,
         start_time,
         end_time,
         notes,
         artists:artist_id (id, name, image_url),
-        venues:venue_id (id, name),
+        venues:venue_id (id, name, park_id, latitude, longitude),
         festivals:festival_id (id, name)
       `
     );
 
-    // Add date filter
-    const dateFilteredQuery = baseQuery.gte('start_time', new Date().toISOString());
+    // Add date filter, leaving out concerts in the trash
+    const dateFilteredQuery = baseQuery
+      .is('deleted_at', null)
+      .gte('start_time', new Date().toISOString());
 
     // Apply other filters
     let filteredQuery = dateFilteredQuery;
@@ -217,9 +228,10 @@ const concertService = {
       // Handle park filtering
       if (Array.isArray(parkId) && parkId.length > 0) {
         // Get all venues in these parks
-        const { data: venues, error: venuesError } = await supabase
+        const { data: venues, error: venuesError } = await client
           .from('venues')
           .select('id')
+          .is('deleted_at', null)
           .in('park_id', parkId);
 
         if (venuesError) {
@@ -238,9 +250,10 @@ const concertService = {
         // Single park ID
         console.log(`Filtering by parks: "${parkId}"`);
         // Get venues in this park
-        const { data: venues, error: venuesError } = await supabase
+        const { data: venues, error: venuesError } = await client
           .from('venues')
           .select('id')
+          .is('deleted_at', null)
           .eq('park_id', parkId);
 
         if (venuesError) {
@@ -289,20 +302,21 @@ const concertService = {
       return [];
     }
 
-    // Create start and end of day timestamps
-    // Create exact ISO string to avoid timezone issues
-    const dateStr = date.includes('T') ? date.split('T')[0] : date;
+    // The day runs from park midnight to park midnight, whatever the device timezone
+    const dateStr = getParkDateString(date);
+    if (!dateStr) {
+      console.error(`Invalid date provided to getConcertsByDate: ${date}`);
+      return [];
+    }
 
-    // Force UTC time to avoid timezone shifts
-    const startOfDay = new Date(`${dateStr}T00:00:00.000Z`);
-    const endOfDay = new Date(`${dateStr}T23:59:59.999Z`);
+    const { startOfDay, endOfDay } = getParkDayBounds(dateStr);
 
     console.log(
       `Fetching concerts between ${startOfDay.toISOString()} and ${endOfDay.toISOString()}`
     );
 
     // Base query with date range
-    const baseQuery = supabase
+    const baseQuery = client
       .from('concerts')
       .select(
         `
@@ -311,10 +325,11 @@ const concertService = {
         end_time,
         notes,
         artists:artist_id (id, name, image_url),
-        venues:venue_id (id, name),
+        venues:venue_id (id, name, latitude, longitude, parks:park_id (id, name)),
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .gte('start_time', startOfDay.toISOString())
       .lte('start_time', endOfDay.toISOString());
 
@@ -325,9 +340,10 @@ const concertService = {
       // Handle park filtering by getting venues in the park
       if (Array.isArray(parkId) && parkId.length > 0) {
         // Get all venues in these parks
-        const { data: venues, error: venuesError } = await supabase
+        const { data: venues, error: venuesError } = await client
           .from('venues')
           .select('id')
+          .is('deleted_at', null)
           .in('park_id', parkId);
 
         if (venuesError) {
@@ -345,9 +361,10 @@ const concertService = {
       } else if (typeof parkId === 'string' && parkId) {
         // Single park ID
         // Get venues in this park
-        const { data: venues, error: venuesError } = await supabase
+        const { data: venues, error: venuesError } = await client
           .from('venues')
           .select('id')
+          .is('deleted_at', null)
           .eq('park_id', parkId);
 
         if (venuesError) {
@@ -390,7 +407,7 @@ const concertService = {
    */
   async getConcertsByArtist(artistId, includePast = false) {
     // Build query with simplified approach to avoid chaining issues
-    let query = supabase
+    let query = client
       .from('concerts')
       .select(
         `
@@ -399,10 +416,11 @@ const concertService = {
         start_time,
         end_time,
         notes,
-        venues:venue_id (id, name),
+        venues:venue_id (id, name, park_id, latitude, longitude),
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('artist_id', artistId);
 
     // Apply past filter if needed
@@ -440,7 +458,7 @@ const concertService = {
    */
   async getConcertsByFestival(festivalId, { date, limit, sort = 'chronological' } = {}) {
     // Base query
-    const baseQuery = supabase
+    const baseQuery = client
       .from('concerts')
       .select(
         `
@@ -449,19 +467,16 @@ const concertService = {
         end_time,
         notes,
         artists:artist_id (id, name),
-        venues:venue_id (id, name)
+        venues:venue_id (id, name, park_id, latitude, longitude)
       `
       )
+      .is('deleted_at', null)
       .eq('festival_id', festivalId);
 
     // Apply date filter if needed
     let filteredQuery = baseQuery;
     if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const { startOfDay, endOfDay } = getParkDayBounds(date);
 
       filteredQuery = filteredQuery
         .gte('start_time', startOfDay.toISOString())
@@ -520,7 +535,7 @@ const concertService = {
    */
   async getConcertsByVenue(venueId, { date, future = false, limit, sort = 'chronological' } = {}) {
     // Base query
-    const baseQuery = supabase
+    const baseQuery = client
       .from('concerts')
       .select(
         `
@@ -532,22 +547,18 @@ const concertService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('venue_id', venueId);
 
     // Apply date filter if needed
     let filteredQuery = baseQuery;
 
     if (date) {
-      // For date filtering, use date string in format YYYY-MM-DD
-      // and construct start/end boundaries using explicit date strings
-      // to avoid timezone issues
-      const dateStr = date.includes('T') ? date.split('T')[0] : date;
-
-      // Create date boundaries with explicit time components to avoid timezone shifts
-      const startDateStr = `${dateStr}T00:00:00.000Z`;
-      const endDateStr = `${dateStr}T23:59:59.999Z`;
+      const { startOfDay, endOfDay } = getParkDayBounds(getParkDateString(date));
 
-      filteredQuery = filteredQuery.gte('start_time', startDateStr).lte('start_time', endDateStr);
+      filteredQuery = filteredQuery
+        .gte('start_time', startOfDay.toISOString())
+        .lte('start_time', endOfDay.toISOString());
     } else if (future) {
       // Filter to only include future concerts
       filteredQuery = filteredQuery.gte('start_time', new Date().toISOString());
@@ -603,7 +614,7 @@ const concertService = {
    */
   async getConcertDatesWithCounts({ startDate, endDate, parkId } = {}) {
     // Start with a base query
-    let query = supabase.from('concerts').select('start_time');
+    let query = client.from('concerts').select('start_time').is('deleted_at', null);
 
     // Apply date range filters
     if (startDate) {
@@ -619,9 +630,10 @@ const concertService = {
       // Handle park filtering by getting venues in the park
       if (Array.isArray(parkId) && parkId.length > 0) {
         // Get all venues in these parks
-        const { data: venues, error: venuesError } = await supabase
+        const { data: venues, error: venuesError } = await client
           .from('venues')
           .select('id')
+          .is('deleted_at', null)
           .in('park_id', parkId);
 
         if (venuesError) {
@@ -638,9 +650,10 @@ const concertService = {
         }
       } else if (typeof parkId === 'string' && parkId) {
         // Get venues in this park
-        const { data: venues, error: venuesError } = await supabase
+        const { data: venues, error: venuesError } = await client
           .from('venues')
           .select('id')
+          .is('deleted_at', null)
           .eq('park_id', parkId);
 
         if (venuesError) {
@@ -670,8 +683,8 @@ const concertService = {
     const dateMap = {};
     data.forEach(concert => {
       if (concert.start_time) {
-        // Extract just the date part (YYYY-MM-DD)
-        const dateStr = new Date(concert.start_time).toISOString().split('T')[0];
+        // Bucket by the park date so late-evening sets stay on the right day
+        const dateStr = getParkDateString(concert.start_time);
 
         if (!dateMap[dateStr]) {
           dateMap[dateStr] = 1;
@@ -687,6 +700,14 @@ const concertService = {
       count,
     }));
   },
-};
+});
+
+// Cache schedule lookups so today's lineup is still available offline
+const concertService = withOfflineCache(createConcertService(supabase), 'concerts', [
+  'getConcertsByDate',
+  'getConcertsByFestival',
+  'getConcertById',
+  'getUpcomingConcerts',
+]);
 
 export default concertService;
@@ -1,10 +1,14 @@
 import supabase from './supabase';
+import { withOfflineCache } from './offlineCache';
+import { getParkDateString, getParkDayBounds, getTodayDateString } from '../utils/dateUtils';
 
 /**
  * Service for festival-related API operations
  * Following mobile-first principles with optimized payloads
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Festival service
  */
-const festivalService = {
+export const createFestivalService = client => ({
   /**
    * Get all festivals with filtering options
    * @param {Object} options - Filter options
@@ -27,7 +31,7 @@ const festivalService = {
     offset = 0,
   } = {}) {
     // Start building the query with a simplified approach to avoid chaining issues
-    let query = supabase.from('festivals').select(
+    let query = client.from('festivals').select(
       `
         id,
         name,
@@ -39,6 +43,9 @@ const festivalService = {
       { count: 'exact' }
     );
 
+    // Leave out festivals in the trash
+    query = query.is('deleted_at', null);
+
     // Add ordering
     query = query.order('start_date');
 
@@ -57,20 +64,16 @@ const festivalService = {
 
     // Apply date filters if provided
     if (startDate) {
-      const startDateStr =
-        typeof startDate === 'string' ? startDate : startDate.toISOString().split('T')[0];
-      query = query.gte('start_date', startDateStr);
+      query = query.gte('start_date', getParkDateString(startDate));
     }
 
     if (endDate) {
-      const endDateStr =
-        typeof endDate === 'string' ? endDate : endDate.toISOString().split('T')[0];
-      query = query.lte('end_date', endDateStr);
+      query = query.lte('end_date', getParkDateString(endDate));
     }
 
     // Filter out past festivals if not includePast (and no endDate specified)
     if (!includePast && !endDate) {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+      const today = getTodayDateString();
       query = query.gte('end_date', today);
     }
 
@@ -102,7 +105,7 @@ const festivalService = {
    */
   async getFestivalById(id, { includeLineup = true, date } = {}) {
     // First get the festival details
-    const { data: festival, error: festivalError } = await supabase
+    const { data: festival, error: festivalError } = await client
       .from('festivals')
       .select(
         `
@@ -121,6 +124,7 @@ const festivalService = {
         )
       `
       )
+      .is('deleted_at', null)
       .eq('id', id)
       .single();
 
@@ -135,7 +139,7 @@ const festivalService = {
     }
 
     // Build the lineup query with simplified approach to avoid chaining issues
-    let query = supabase
+    let query = client
       .from('concerts')
       .select(
         `
@@ -146,15 +150,12 @@ const festivalService = {
         venues:venue_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('festival_id', id);
 
     // Filter by date if provided
     if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const { startOfDay, endOfDay } = getParkDayBounds(date);
 
       query = query.gte('start_time', startOfDay.toISOString());
       query = query.lte('start_time', endOfDay.toISOString());
@@ -189,9 +190,9 @@ const festivalService = {
    * @returns {Promise<Array>} Array of currently running festivals
    */
   async getCurrentFestivals({ parkId } = {}) {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const today = getTodayDateString();
 
-    let query = supabase
+    let query = client
       .from('festivals')
       .select(
         `
@@ -203,6 +204,7 @@ const festivalService = {
         parks:park_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .lte('start_date', today)
       .gte('end_date', today)
       .order('start_date');
@@ -229,9 +231,9 @@ const festivalService = {
    * @returns {Promise<Array>} Array of upcoming festivals
    */
   async getUpcomingFestivals({ parkId, limit = 10 } = {}) {
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const today = getTodayDateString();
 
-    let query = supabase
+    let query = client
       .from('festivals')
       .select(
         `
@@ -243,6 +245,7 @@ const festivalService = {
         parks:park_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .gt('start_date', today)
       .order('start_date')
       .limit(limit);
@@ -268,7 +271,7 @@ const festivalService = {
    * @returns {Promise<Array>} Array of festivals at the park
    */
   async getFestivalsByPark(parkId, current = false) {
-    let query = supabase
+    let query = client
       .from('festivals')
       .select(
         `
@@ -280,10 +283,11 @@ const festivalService = {
         image_url
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', parkId);
 
     if (current) {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+      const today = getTodayDateString();
       query = query
         .lte('start_date', today) // Started before or today
         .gte('end_date', today); // Ends after or today
@@ -308,7 +312,7 @@ const festivalService = {
    * @returns {Promise<Array>} Array of concerts at the festival
    */
   async getFestivalConcerts(festivalId, { date, sort = 'time' } = {}) {
-    let query = supabase
+    let query = client
       .from('concerts')
       .select(
         `
@@ -320,15 +324,12 @@ const festivalService = {
         venues:venue_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('festival_id', festivalId);
 
     // Filter by date if provided
     if (date) {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const { startOfDay, endOfDay } = getParkDayBounds(date);
 
       query = query
         .gte('start_time', startOfDay.toISOString())
@@ -362,7 +363,7 @@ const festivalService = {
       return [];
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('festivals')
       .select(
         `
@@ -374,6 +375,7 @@ const festivalService = {
         parks:park_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .ilike('name', `%${query}%`)
       .order('start_date')
       .limit(20);
@@ -385,6 +387,14 @@ const festivalService = {
 
     return data || [];
   },
-};
+});
+
+// Cache festival lineups for offline use
+const festivalService = withOfflineCache(createFestivalService(supabase), 'festivals', [
+  'getFestivals',
+  'getFestivalById',
+  'getCurrentFestivals',
+  'getFestivalConcerts',
+]);
 
 export default festivalService;
@@ -0,0 +1,133 @@
+import supabase from './supabase';
+
+// Notification types created by database triggers
+export const NOTIFICATION_TYPES = {
+  NEW_PERFORMANCES: 'new_performances',
+};
+
+/**
+ * Set or clear read_at on a user's notifications
+ * @param {Object} client - Supabase client
+ * @param {string} userId - User ID
+ * @param {Array|null} ids - Notification IDs, or null for all of the user's notifications
+ * @param {boolean} read - True to mark as read, false to mark as unread
+ * @returns {Promise<Array>} Updated notification IDs
+ */
+const updateReadState = async (client, userId, ids, read) => {
+  let query = client
+    .from('notifications')
+    .update({ read_at: read ? new Date().toISOString() : null })
+    .eq('user_id', userId);
+
+  if (ids) {
+    query = query.in('id', ids);
+  } else {
+    // Leave the original read time on notifications that were already read
+    query = read ? query.is('read_at', null) : query.not('read_at', 'is', null);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error(`Error updating notifications for user ${userId}:`, error);
+    throw error;
+  }
+
+  return data.map(notification => notification.id);
+};
+
+/**
+ * Service for a user's in-app notification feed
+ * Every query is scoped to the user explicitly, so the service behaves the same
+ * with the browser client (RLS) and the API's service role client.
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Notification service
+ */
+export const createNotificationService = client => ({
+  /**
+   * Get a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.unreadOnly - Only return unread notifications
+   * @param {number} options.limit - Number of results to return (default: 20)
+   * @param {number} options.offset - Offset for pagination (default: 0)
+   * @returns {Promise<Object>} Object with notifications array and pagination info
+   */
+  async getNotifications(userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) {
+    let query = client
+      .from('notifications')
+      .select('id, type, title, body, url, data, read_at, created_at', { count: 'exact' })
+      .eq('user_id', userId);
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error(`Error fetching notifications for user ${userId}:`, error);
+      throw error;
+    }
+
+    return {
+      data,
+      pagination: { total: count, limit, offset },
+    };
+  },
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of unread notifications
+   */
+  async getUnreadCount(userId) {
+    const { count, error } = await client
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (error) {
+      console.error(`Error counting unread notifications for user ${userId}:`, error);
+      throw error;
+    }
+
+    return count || 0;
+  },
+
+  /**
+   * Mark notifications as read
+   * @param {string} userId - User ID
+   * @param {Array} ids - Notification IDs
+   * @returns {Promise<Array>} Updated notification IDs
+   */
+  markAsRead(userId, ids) {
+    return updateReadState(client, userId, ids, true);
+  },
+
+  /**
+   * Mark notifications as unread
+   * @param {string} userId - User ID
+   * @param {Array} ids - Notification IDs
+   * @returns {Promise<Array>} Updated notification IDs
+   */
+  markAsUnread(userId, ids) {
+    return updateReadState(client, userId, ids, false);
+  },
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Updated notification IDs
+   */
+  markAllAsRead(userId) {
+    return updateReadState(client, userId, null, true);
+  },
+});
+
+const notificationService = createNotificationService(supabase);
+
+export default notificationService;
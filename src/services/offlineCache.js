@@ -0,0 +1,282 @@
+/**
+ * Offline cache for EncoreLando
+ *
+ * IndexedDB-backed storage for service responses and queued favorite toggles.
+ * Phone signal inside the parks is poor, so service methods wrapped with
+ * withOfflineCache fall back to the last successful response, and the time
+ * that response was cached is reported so the UI can show an "as of" notice.
+ *
+ * Every function degrades to a no-op when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'encorelando_offline';
+const DB_VERSION = 1;
+const RESPONSE_STORE = 'responses';
+const FAVORITE_QUEUE_STORE = 'favoriteQueue';
+
+// Cached responses older than this are not served (7 days in milliseconds)
+const CACHE_EXPIRATION = 7 * 24 * 60 * 60 * 1000;
+
+// Event dispatched on window when stale data is served or refreshed
+export const OFFLINE_CACHE_EVENT = 'encorelando:offlinecache';
+
+// Keys currently being served from the cache, mapped to their cachedAt time
+const staleEntries = new Map();
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the offline database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RESPONSE_STORE)) {
+          db.createObjectStore(RESPONSE_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(FAVORITE_QUEUE_STORE)) {
+          db.createObjectStore(FAVORITE_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open offline cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - Transaction mode ("readonly" or "readwrite")
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} Request result, or null if the cache is unavailable
+ */
+const runRequest = async (storeName, mode, operation) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error(`Offline cache error in ${storeName}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Notify listeners that the stale data state changed
+ */
+const notifyChange = () => {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent(OFFLINE_CACHE_EVENT));
+  }
+};
+
+/**
+ * Check whether the browser reports being offline
+ * @returns {boolean} True if the browser is offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Check whether an error was caused by a missing connection
+ * Matches the TypeError fetch throws, which supabase-js passes on as an error
+ * whose message starts with "TypeError: Failed to fetch".
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True for network failures
+ */
+export const isNetworkError = error =>
+  isOffline() ||
+  /failed to fetch|networkerror|network request failed|load failed/i.test(error?.message || '');
+
+/**
+ * Get the time of the oldest cached response currently on screen
+ * @returns {number|null} Timestamp in milliseconds, or null if all data is fresh
+ */
+export const getStaleSince = () =>
+  staleEntries.size > 0 ? Math.min(...staleEntries.values()) : null;
+
+/**
+ * Get a cached response
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Object with data and cachedAt, or null if missing or expired
+ */
+export const getCachedResponse = async key => {
+  const entry = await runRequest(RESPONSE_STORE, 'readonly', store => store.get(key));
+
+  if (!entry || Date.now() - entry.cachedAt > CACHE_EXPIRATION) {
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Store a response in the cache
+ * @param {string} key - Cache key
+ * @param {any} data - Response data (must be structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export const cacheResponse = async (key, data) => {
+  await runRequest(RESPONSE_STORE, 'readwrite', store =>
+    store.put({ key, data, cachedAt: Date.now() })
+  );
+};
+
+/**
+ * Run a request, caching its result and falling back to the cache when the
+ * network fails. When the browser is offline the cache is used without trying
+ * the network. Other errors, such as RLS or validation errors, are rethrown so
+ * they are not hidden behind stale data.
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Async function performing the request
+ * @returns {Promise<any>} Fresh or cached data
+ */
+export const cachedRequest = async (key, fetcher) => {
+  if (isOffline()) {
+    const cached = await getCachedResponse(key);
+    if (cached) {
+      staleEntries.set(key, cached.cachedAt);
+      notifyChange();
+      return cached.data;
+    }
+  }
+
+  try {
+    const data = await fetcher();
+
+    cacheResponse(key, data);
+    if (staleEntries.delete(key)) {
+      notifyChange();
+    }
+
+    return data;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    const cached = await getCachedResponse(key);
+    if (!cached) throw error;
+
+    console.warn(`Serving cached data for ${key}:`, error.message);
+    staleEntries.set(key, cached.cachedAt);
+    notifyChange();
+    return cached.data;
+  }
+};
+
+/**
+ * Build the cache key for a service call
+ * Trailing empty option objects are dropped so fn(id) and fn(id, {}) share an entry.
+ * @param {string} namespace - Prefix for cache keys
+ * @param {string} methodName - Service method name
+ * @param {Array} args - Call arguments
+ * @returns {string} Cache key
+ */
+const getCacheKey = (namespace, methodName, args) => {
+  const keyArgs = [...args];
+  while (keyArgs.length) {
+    const last = keyArgs[keyArgs.length - 1];
+    const isEmptyOptions =
+      last && typeof last === 'object' && !Array.isArray(last) && !Object.keys(last).length;
+    if (last !== undefined && !isEmptyOptions) break;
+    keyArgs.pop();
+  }
+
+  return `${namespace}.${methodName}:${JSON.stringify(keyArgs)}`;
+};
+
+/**
+ * Wrap service methods so their results are cached for offline use
+ * @param {Object} service - Service object
+ * @param {string} namespace - Prefix for cache keys, e.g. "concerts"
+ * @param {Array} methodNames - Names of the methods to wrap
+ * @returns {Object} Service with the listed methods wrapped
+ */
+export const withOfflineCache = (service, namespace, methodNames) => {
+  const wrapped = { ...service };
+
+  methodNames.forEach(methodName => {
+    wrapped[methodName] = (...args) =>
+      cachedRequest(getCacheKey(namespace, methodName, args), () => service[methodName](...args));
+  });
+
+  return wrapped;
+};
+
+/**
+ * Get queued favorite toggles for a user, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of queued toggles
+ */
+export const getQueuedFavoriteToggles = async userId => {
+  const toggles = await runRequest(FAVORITE_QUEUE_STORE, 'readonly', store => store.getAll());
+  return (toggles || []).filter(toggle => toggle.userId === userId).sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Remove a queued favorite toggle
+ * @param {number} id - Queue entry ID
+ * @returns {Promise<void>}
+ */
+export const removeQueuedFavoriteToggle = async id => {
+  await runRequest(FAVORITE_QUEUE_STORE, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Queue a favorite toggle for replay when the connection returns
+ * Toggling the same entity back cancels the queued toggle instead.
+ * @param {Object} toggle - Toggle to queue
+ * @param {string} toggle.userId - User ID
+ * @param {string} toggle.entityType - Entity type (concerts, artists, venues, festivals)
+ * @param {string} toggle.entityId - Entity ID
+ * @param {string} toggle.action - "add" or "remove"
+ * @returns {Promise<void>}
+ */
+export const queueFavoriteToggle = async ({ userId, entityType, entityId, action }) => {
+  const queued = await getQueuedFavoriteToggles(userId);
+  const opposite = queued.find(
+    toggle =>
+      toggle.entityType === entityType && toggle.entityId === entityId && toggle.action !== action
+  );
+
+  if (opposite) {
+    await removeQueuedFavoriteToggle(opposite.id);
+    return;
+  }
+
+  await runRequest(FAVORITE_QUEUE_STORE, 'readwrite', store =>
+    store.add({ userId, entityType, entityId, action, queuedAt: Date.now() })
+  );
+};
+
+/**
+ * Apply queued toggles on top of a favorites object
+ * @param {Object} favorites - Favorite IDs keyed by entity type
+ * @param {Array} toggles - Queued toggles
+ * @returns {Object} Favorites with the queued toggles applied
+ */
+export const applyQueuedFavoriteToggles = (favorites, toggles) =>
+  toggles.reduce((result, { entityType, entityId, action }) => {
+    const ids = (result[entityType] || []).filter(id => id !== entityId);
+    return { ...result, [entityType]: action === 'add' ? [...ids, entityId] : ids };
+  }, favorites);
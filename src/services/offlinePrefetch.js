@@ -0,0 +1,32 @@
+import concertService from './concertService';
+import festivalService from './festivalService';
+import { isOffline } from './offlineCache';
+import { getTodayDateString } from '../utils/dateUtils';
+
+/**
+ * Warm the offline cache with the data guests need inside the parks:
+ * today's schedule and the lineups of festivals that are running now.
+ * Calls mirror the ones made by the pages so they share cache entries.
+ * @returns {Promise<void>}
+ */
+export const prefetchOfflineData = async () => {
+  if (isOffline()) return;
+
+  try {
+    const [currentFestivals] = await Promise.all([
+      festivalService.getCurrentFestivals(),
+      concertService.getConcertsByDate(getTodayDateString()),
+    ]);
+
+    await Promise.all(
+      (currentFestivals || []).flatMap(festival => [
+        festivalService.getFestivalById(festival.id),
+        concertService.getConcertsByFestival(festival.id, { limit: 200 }),
+      ])
+    );
+  } catch (error) {
+    console.error('Error prefetching offline data:', error);
+  }
+};
+
+export default prefetchOfflineData;
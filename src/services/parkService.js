@@ -1,10 +1,13 @@
 import supabase from './supabase';
+import { getTodayDateString } from '../utils/dateUtils';
 
 /**
  * Service for park-related API operations
  * Following mobile-first principles with optimized payloads
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Park service
  */
-const parkService = {
+export const createParkService = client => ({
   /**
    * Get all parks with filtering options
    * @param {Object} options - Filter options
@@ -15,7 +18,7 @@ const parkService = {
    * @returns {Promise<Object>} Object with parks array and pagination info
    */
   async getParks({ name, hasFestivals, limit = 20, offset = 0 } = {}) {
-    let query = supabase
+    let query = client
       .from('parks')
       .select(
         `
@@ -38,7 +41,7 @@ const parkService = {
     if (hasFestivals === true) {
       try {
         // Get the park IDs that have festivals
-        let festivalQuery = supabase.from('festivals').select('park_id');
+        let festivalQuery = client.from('festivals').select('park_id').is('deleted_at', null);
 
         // Apply limit to avoid excessive data
         festivalQuery = festivalQuery.limit(1000);
@@ -57,7 +60,7 @@ const parkService = {
     } else if (hasFestivals === false) {
       try {
         // Get the park IDs that have festivals
-        let festivalQuery = supabase.from('festivals').select('park_id');
+        let festivalQuery = client.from('festivals').select('park_id').is('deleted_at', null);
 
         // Apply limit to avoid excessive data
         festivalQuery = festivalQuery.limit(1000);
@@ -100,7 +103,7 @@ const parkService = {
    */
   async getParkById(id) {
     // First get the park details
-    const { data: park, error: parkError } = await supabase
+    const { data: park, error: parkError } = await client
       .from('parks')
       .select(
         `
@@ -122,7 +125,7 @@ const parkService = {
     }
 
     // Get venues in this park with simplified query approach
-    let venuesQuery = supabase
+    let venuesQuery = client
       .from('venues')
       .select(
         `
@@ -131,6 +134,7 @@ const parkService = {
         image_url
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', id);
 
     // Add ordering as a separate step
@@ -145,9 +149,9 @@ const parkService = {
     }
 
     // Get current festivals in this park
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const today = getTodayDateString();
 
-    const { data: currentFestivals, error: currentFestivalsError } = await supabase
+    const { data: currentFestivals, error: currentFestivalsError } = await client
       .from('festivals')
       .select(
         `
@@ -157,6 +161,7 @@ const parkService = {
         end_date
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', id)
       .lte('start_date', today)
       .gte('end_date', today)
@@ -168,7 +173,7 @@ const parkService = {
     }
 
     // Get upcoming festivals in this park
-    const { data: upcomingFestivals, error: upcomingFestivalsError } = await supabase
+    const { data: upcomingFestivals, error: upcomingFestivalsError } = await client
       .from('festivals')
       .select(
         `
@@ -178,6 +183,7 @@ const parkService = {
         end_date
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', id)
       .gt('start_date', today)
       .order('start_date');
@@ -202,7 +208,7 @@ const parkService = {
    * @returns {Promise<Array>} Array of venues in the park
    */
   async getParkVenues(parkId) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('venues')
       .select(
         `
@@ -213,6 +219,7 @@ const parkService = {
         image_url
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', parkId)
       .order('name');
 
@@ -231,7 +238,7 @@ const parkService = {
    * @returns {Promise<Array>} Array of festivals at the park
    */
   async getParkFestivals(parkId, current = false) {
-    let query = supabase
+    let query = client
       .from('festivals')
       .select(
         `
@@ -243,10 +250,11 @@ const parkService = {
         image_url
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', parkId);
 
     if (current) {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+      const today = getTodayDateString();
       query = query
         .lte('start_date', today) // Started before or today
         .gte('end_date', today); // Ends after or today
@@ -271,9 +279,10 @@ const parkService = {
    */
   async getParkConcerts(parkId, startDate = null, festivalId = null) {
     // First get the venue IDs in this park
-    const { data: venues, error: venuesError } = await supabase
+    const { data: venues, error: venuesError } = await client
       .from('venues')
       .select('id')
+      .is('deleted_at', null)
       .eq('park_id', parkId);
 
     if (venuesError) {
@@ -289,7 +298,7 @@ const parkService = {
     const venueIds = venues.map(venue => venue.id);
 
     // Now get concerts at these venues
-    let query = supabase
+    let query = client
       .from('concerts')
       .select(
         `
@@ -302,6 +311,7 @@ const parkService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .in('venue_id', venueIds);
 
     if (startDate) {
@@ -328,9 +338,10 @@ const parkService = {
    */
   async getParksWithUpcomingConcerts() {
     // First get venue IDs with upcoming concerts
-    const { data: concertVenues, error: concertError } = await supabase
+    const { data: concertVenues, error: concertError } = await client
       .from('concerts')
       .select('venue_id')
+      .is('deleted_at', null)
       .gte('start_time', new Date().toISOString())
       .limit(1000);
 
@@ -347,9 +358,10 @@ const parkService = {
     const venueIds = [...new Set(concertVenues.map(c => c.venue_id))];
 
     // Get parks for these venues
-    const { data: venueParks, error: venueError } = await supabase
+    const { data: venueParks, error: venueError } = await client
       .from('venues')
       .select('park_id')
+      .is('deleted_at', null)
       .in('id', venueIds);
 
     if (venueError) {
@@ -365,7 +377,7 @@ const parkService = {
     const parkIds = [...new Set(venueParks.map(v => v.park_id))];
 
     // Get park details
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('parks')
       .select(
         `
@@ -395,7 +407,7 @@ const parkService = {
       return [];
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('parks')
       .select(
         `
@@ -425,9 +437,10 @@ const parkService = {
    */
   async getUpcomingConcertsByPark(parkId, { limit = 20 } = {}) {
     // First get the venue IDs in this park
-    const { data: venues, error: venuesError } = await supabase
+    const { data: venues, error: venuesError } = await client
       .from('venues')
       .select('id')
+      .is('deleted_at', null)
       .eq('park_id', parkId);
 
     if (venuesError) {
@@ -442,7 +455,7 @@ const parkService = {
     }
 
     // Now get concerts at these venues
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('concerts')
       .select(
         `
@@ -454,6 +467,7 @@ const parkService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .in('venue_id', venueIds)
       .gte('start_time', new Date().toISOString())
       .order('start_time')
@@ -466,6 +480,8 @@ const parkService = {
 
     return data || [];
   },
-};
+});
+
+const parkService = createParkService(supabase);
 
 export default parkService;
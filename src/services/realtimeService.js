@@ -0,0 +1,38 @@
+import supabase from './supabase';
+
+// Each subscription gets its own channel, so unsubscribing one leaves the others open
+let channelCount = 0;
+
+/**
+ * Realtime service for changes made to the schedule while the app is open
+ * Tables must be in the supabase_realtime publication (see realtime-schedule.sql)
+ * @param {Object} client - Supabase client
+ */
+export const createRealtimeService = client => ({
+  /**
+   * Subscribe to inserts, updates and deletes on a table
+   * @param {string} table - Table name (e.g. concerts)
+   * @param {Function} onChange - Called with each change payload
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToTable(table, onChange) {
+    channelCount += 1;
+
+    const channel = client
+      .channel(`${table}-changes-${channelCount}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table }, onChange)
+      .subscribe((status, err) => {
+        if (err) {
+          console.error(`Error subscribing to ${table} changes:`, err);
+        }
+      });
+
+    return () => {
+      client.removeChannel(channel);
+    };
+  },
+});
+
+const realtimeService = createRealtimeService(supabase);
+
+export default realtimeService;
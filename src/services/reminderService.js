@@ -0,0 +1,123 @@
+import supabase from './supabase';
+
+// Settings used until a user saves their own preferences
+export const DEFAULT_REMINDER_PREFERENCES = {
+  push_enabled: false,
+  email_enabled: false,
+  concert_lead_minutes: 30,
+  festival_morning_enabled: true,
+  festival_morning_time: '08:00',
+  artist_alert_email: false,
+};
+
+// Lead times offered for concert reminders, in minutes
+export const REMINDER_LEAD_MINUTES = [15, 30, 60, 120];
+
+/**
+ * Service for reminder preferences and Web Push subscriptions
+ * Reminders themselves are sent by the send-reminders scheduled function
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Reminder service
+ */
+export const createReminderService = client => ({
+  /**
+   * Get a user's reminder preferences
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Preferences, with defaults when none are saved
+   */
+  async getPreferences(userId) {
+    const { data, error } = await client
+      .from('reminder_preferences')
+      .select(
+        `
+        push_enabled,
+        email_enabled,
+        concert_lead_minutes,
+        festival_morning_enabled,
+        festival_morning_time,
+        artist_alert_email
+      `
+      )
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Error fetching reminder preferences for user ${userId}:`, error);
+      throw error;
+    }
+
+    return {
+      ...DEFAULT_REMINDER_PREFERENCES,
+      ...data,
+      // Postgres TIME values come back as HH:MM:SS
+      festival_morning_time: (
+        data?.festival_morning_time || DEFAULT_REMINDER_PREFERENCES.festival_morning_time
+      ).slice(0, 5),
+    };
+  },
+
+  /**
+   * Save a user's reminder preferences
+   * @param {string} userId - User ID
+   * @param {Object} preferences - Preference fields to save
+   * @returns {Promise<Object>} Saved preferences
+   */
+  async updatePreferences(userId, preferences) {
+    const { data, error } = await client
+      .from('reminder_preferences')
+      .upsert({ user_id: userId, ...preferences }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error saving reminder preferences for user ${userId}:`, error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Save a Web Push subscription for a user
+   * @param {string} userId - User ID
+   * @param {Object} subscription - PushSubscription JSON (endpoint and keys)
+   * @returns {Promise<void>}
+   */
+  async savePushSubscription(userId, subscription) {
+    const { endpoint, keys = {} } = subscription;
+
+    const { error } = await client.from('push_subscriptions').upsert(
+      {
+        user_id: userId,
+        endpoint,
+        p256dh: keys.p256dh,
+        auth: keys.auth,
+        user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      },
+      { onConflict: 'endpoint' }
+    );
+
+    if (error) {
+      console.error(`Error saving push subscription for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a Web Push subscription
+   * @param {string} endpoint - Push service endpoint URL
+   * @returns {Promise<void>}
+   */
+  async removePushSubscription(endpoint) {
+    const { error } = await client.from('push_subscriptions').delete().eq('endpoint', endpoint);
+
+    if (error) {
+      console.error('Error removing push subscription:', error);
+      throw error;
+    }
+  },
+});
+
+const reminderService = createReminderService(supabase);
+
+export default reminderService;
@@ -1,4 +1,85 @@
 import supabase from './supabase';
+import concertService from './concertService';
+import { getParkDayBounds } from '../utils/dateUtils';
+
+// Entity types returned by search_all
+const SEARCH_TYPES = ['concerts', 'artists', 'venues', 'festivals', 'parks'];
+
+/**
+ * Results object with an empty list for every entity type
+ */
+const createEmptyResults = () => Object.fromEntries(SEARCH_TYPES.map(type => [type, []]));
+
+/**
+ * Run the search_all function (search-rpc.sql)
+ * @param {string} query - Trimmed search term
+ * @param {Array} types - Entity types to search
+ * @param {Object} page - Results per type and results to skip per type
+ * @returns {Promise<Object>} - Results keyed by type, plus totals and errors
+ */
+const runSearch = async (query, types, { limit, offset }) => {
+  const { data, error } = await supabase.rpc('search_all', {
+    search_query: query,
+    entity_types: types,
+    max_results: limit,
+    result_offset: offset,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Build a search method for a single entity type
+ * Unlike globalSearch these throw, naming the method, when the search fails.
+ * @param {string} method - Method name used in error messages
+ * @param {string} type - Entity type to search
+ * @returns {Function} - (query, limit, offset) => Promise<Array>
+ */
+const searchOneType =
+  (method, type) =>
+  async (query, limit = 20, offset = 0) => {
+    const trimmedQuery = query ? query.trim() : '';
+    if (!trimmedQuery) return [];
+
+    try {
+      const data = await runSearch(trimmedQuery, [type], { limit, offset });
+      if (data.errors?.includes(type)) throw new Error(`${type} search failed`);
+      return data[type] || [];
+    } catch (error) {
+      console.error(`[searchService] Error in ${method} with query "${trimmedQuery}":`, error);
+      throw new Error(`Error in ${method}: ${error.message}`);
+    }
+  };
+
+// Most artists a text query is expanded to when searching concerts
+const MATCHING_ARTIST_LIMIT = 20;
+
+/**
+ * IDs of the artists that best match a search term, by name or alias
+ * @param {string} query - Search term
+ * @returns {Promise<Array>} - Artist IDs, best match first (empty if the search fails)
+ */
+const findMatchingArtistIds = async query => {
+  const { data, error } = await supabase.rpc('search_ranked', {
+    search_query: query,
+    entity_type: 'artists',
+    max_results: MATCHING_ARTIST_LIMIT,
+  });
+
+  if (error) {
+    console.error('[searchService] Error matching artists:', error);
+    return [];
+  }
+
+  return (data || []).map(match => match.id);
+};
+
+// Wait after the last keystroke before fetching suggestions
+export const SUGGESTION_DEBOUNCE_MS = 200;
+
+// Shortest query worth suggesting for
+const MIN_SUGGESTION_LENGTH = 2;
 
 /**
  * Service for cross-entity search operations
@@ -6,541 +87,189 @@ import supabase from './supabase';
  */
 const searchService = {
   /**
-   * Perform a global search across all entities
+   * Search several entity types in one round trip, with the match count for each
    * @param {string} query - Search query text
    * @param {Object} options - Search options
    * @param {Array} options.types - Entity types to search (default: all)
    * @param {number} options.limit - Number of results per type (default: 5)
-   * @returns {Promise<Object>} - Search results grouped by entity type
+   * @param {number} options.offset - Results to skip per type, for paging (default: 0)
+   * @returns {Promise<Object>} - { results, totals }, each keyed by entity type
    */
-  async globalSearch(
-    query,
-    { types = ['concerts', 'artists', 'venues', 'festivals', 'parks'], limit = 5 } = {}
-  ) {
-    console.log('[searchService] globalSearch called with query:', query);
-    console.log('[searchService] types:', types);
-    console.log('[searchService] limit:', limit);
-
-    // Ensure query is trimmed and valid
+  async searchAll(query, { types = SEARCH_TYPES, limit = 5, offset = 0 } = {}) {
+    const results = createEmptyResults();
+    const totals = {};
     const trimmedQuery = query ? query.trim() : '';
 
-    if (!trimmedQuery) {
-      console.log('[searchService] Empty query, returning empty results');
-      return {
-        artists: [],
-        concerts: [],
-        venues: [],
-        festivals: [],
-        parks: [],
-      };
-    }
-
-    // Ensure types is always an array
-    const searchTypes = Array.isArray(types)
-      ? types
-      : ['concerts', 'artists', 'venues', 'festivals', 'parks'];
-    console.log('[searchService] Normalized search types:', searchTypes);
-
-    // Create an object to store our results
-    const results = {
-      artists: [],
-      concerts: [],
-      venues: [],
-      festivals: [],
-      parks: [],
-    };
-
-    // Build queries in parallel for better mobile performance
-    const promises = [];
-
-    // First, find any artists that match the search term
-    // This will be used to properly find concerts by the correct artist
-    let artistsResult = { data: [] };
-    if (searchTypes.includes('artists') || searchTypes.includes('concerts')) {
-      artistsResult = await supabase
-        .from('artists')
-        .select('id, name, image_url')
-        .ilike('name', `%${trimmedQuery}%`)
-        .order('name');
-    }
+    if (!trimmedQuery) return { results, totals };
 
-    const matchingArtistIds = artistsResult.data?.map(artist => artist.id) || [];
-    console.log('[searchService] Found matching artist IDs:', matchingArtistIds);
+    const searchTypes = Array.isArray(types) ? types : SEARCH_TYPES;
 
-    // Search artists if requested
-    if (searchTypes.includes('artists')) {
-      console.log('[searchService] Searching artists');
+    try {
+      const data = await runSearch(trimmedQuery, searchTypes, { limit, offset });
 
-      // We already have the artists data from above
-      if (!artistsResult.error && artistsResult.data) {
-        console.log('[searchService] Found artists:', artistsResult.data?.length || 0);
-        results.artists = artistsResult.data.slice(0, limit);
-      } else {
-        console.error('[searchService] Error searching artists:', artistsResult.error);
+      if (data.errors?.length) {
+        console.error('[searchService] Search failed for:', data.errors.join(', '));
       }
-    }
 
-    // Search concerts if requested
-    if (searchTypes.includes('concerts')) {
-      console.log('[searchService] Searching concerts');
+      searchTypes.forEach(type => {
+        results[type] = data[type] || [];
+        totals[type] = data.totals?.[type] || 0;
+      });
+    } catch (error) {
+      // Search is best effort; an empty result is better than an error page
+      console.error('[searchService] Error during global search:', error);
+    }
 
-      const concertPromises = [];
+    return { results, totals };
+  },
 
-      // If we found any matching artists, search by artist_id first (exact match)
-      if (matchingArtistIds.length > 0) {
-        console.log(
-          '[searchService] Searching concerts by matching artist IDs:',
-          matchingArtistIds
-        );
+  /**
+   * Perform a global search across all entities
+   * @param {string} query - Search query text
+   * @param {Object} options - Search options
+   * @param {Array} options.types - Entity types to search (default: all)
+   * @param {number} options.limit - Number of results per type (default: 5)
+   * @param {number} options.offset - Results to skip per type (default: 0)
+   * @returns {Promise<Object>} - Search results grouped by entity type
+   */
+  async globalSearch(query, options = {}) {
+    const { results } = await searchService.searchAll(query, options);
+    return results;
+  },
 
-        // Try a direct approach by querying each artist ID separately
-        // This avoids any issues with the 'in' operator
-        let artistConcerts = [];
-        let artistConcertsError = null;
+  /**
+   * Search upcoming concerts by artist, venue or festival name
+   * @param {string} query - Search term
+   * @param {number} limit - Number of results to return (default: 20)
+   * @param {number} offset - Results to skip (default: 0)
+   * @returns {Promise<Array>} - Concerts, best match first
+   */
+  searchConcerts: searchOneType('searchConcerts', 'concerts'),
 
-        // Loop through each matching artist ID and get their concerts
-        for (const artistId of matchingArtistIds) {
-          console.log('[searchService] Querying concerts for artist ID:', artistId);
+  /**
+   * Search artists by name or alias
+   * @param {string} query - Search term
+   * @param {number} limit - Number of results to return (default: 20)
+   * @param {number} offset - Results to skip (default: 0)
+   * @returns {Promise<Array>} - Artists, best match first
+   */
+  searchArtists: searchOneType('searchArtists', 'artists'),
 
-          const { data, error } = await supabase
-            .from('concerts')
-            .select(
-              `
-              id,
-              start_time,
-              end_time,
-              artist_id,
-              artists:artist_id (id, name, image_url),
-              venues:venue_id (id, name),
-              festivals:festival_id (id, name)
-              `
-            )
-            .eq('artist_id', artistId) // Use exact match with a single ID
-            .gte('start_time', new Date().toISOString())
-            .order('start_time')
-            .limit(limit);
-
-          if (error) {
-            artistConcertsError = error;
-            console.error(
-              '[searchService] Error fetching concerts for artist ID',
-              artistId,
-              ':',
-              error
-            );
-          } else if (data && data.length > 0) {
-            console.log('[searchService] Found', data.length, 'concerts for artist ID', artistId);
-            // Add these concerts to our results
-            artistConcerts = [...artistConcerts, ...data];
-          }
-        }
+  /**
+   * Search venues by name
+   * @param {string} query - Search term
+   * @param {number} limit - Number of results to return (default: 20)
+   * @param {number} offset - Results to skip (default: 0)
+   * @returns {Promise<Array>} - Venues, best match first
+   */
+  searchVenues: searchOneType('searchVenues', 'venues'),
 
-        // Process the artist concerts we found
-        if (artistConcertsError) {
-          console.error('[searchService] Error searching by artist ID:', artistConcertsError);
-        } else {
-          console.log(
-            '[searchService] All artist ID searches found:',
-            artistConcerts?.length || 0,
-            'concerts'
-          );
-
-          // If we found concerts, add them to the results and skip other searches
-          if (artistConcerts && artistConcerts.length > 0) {
-            console.log(
-              '[searchService] Sample artist concert:',
-              JSON.stringify(artistConcerts[0], null, 2)
-            );
-
-            // Skip venue/festival searches and just use these results
-            // This ensures we only get concerts by the actual artist
-            concertPromises.push(Promise.resolve({ data: artistConcerts }));
-
-            // Return early with just these results
-            const concertSearchPromise = Promise.all(concertPromises).then(searchResults => {
-              const allConcerts = [];
-
-              searchResults.forEach(result => {
-                const data = result.error ? [] : result.data || [];
-
-                // Add all concerts without duplicates
-                data.forEach(concert => {
-                  if (!allConcerts.some(existing => existing.id === concert.id)) {
-                    allConcerts.push(concert);
-                  }
-                });
-              });
-
-              console.log(
-                '[searchService] Found',
-                allConcerts.length,
-                'valid concerts for artist(s)'
-              );
-              return allConcerts.slice(0, limit);
-            });
-
-            promises.push(
-              concertSearchPromise.then(data => {
-                results.concerts = data;
-              })
-            );
-
-            // Skip the rest of the concert search
-            return;
-          } else {
-            console.log(
-              '[searchService] No concerts found for artist IDs, using fallback searches'
-            );
-          }
-        }
-      }
+  /**
+   * Search festivals by name
+   * @param {string} query - Search term
+   * @param {number} limit - Number of results to return (default: 20)
+   * @param {number} offset - Results to skip (default: 0)
+   * @returns {Promise<Array>} - Festivals, best match first
+   */
+  searchFestivals: searchOneType('searchFestivals', 'festivals'),
 
-      // Add additional search methods
-      concertPromises.push(
-        // Search by venue name
-        supabase
-          .from('concerts')
-          .select(
-            `
-            id,
-            start_time,
-            end_time,
-            artists:artist_id (id, name, image_url),
-            venues:venue_id (id, name),
-            festivals:festival_id (id, name)
-          `
-          )
-          .ilike('venues.name', `%${trimmedQuery}%`)
-          .gte('start_time', new Date().toISOString())
-          .order('start_time')
-          .limit(limit)
-      );
+  /**
+   * Search parks by name
+   * @param {string} query - Search term
+   * @param {number} limit - Number of results to return (default: 20)
+   * @param {number} offset - Results to skip (default: 0)
+   * @returns {Promise<Array>} - Parks, best match first
+   */
+  searchParks: searchOneType('searchParks', 'parks'),
 
-      concertPromises.push(
-        // Search by festival name
-        supabase
-          .from('concerts')
-          .select(
-            `
-            id,
-            start_time,
-            end_time,
-            artists:artist_id (id, name, image_url),
-            venues:venue_id (id, name),
-            festivals:festival_id (id, name)
-          `
-          )
-          .ilike('festivals.name', `%${trimmedQuery}%`)
-          .gte('start_time', new Date().toISOString())
-          .order('start_time')
-          .limit(limit)
-      );
+  /**
+   * Artist, festival and venue names matching a partly typed query, for autocomplete
+   * @param {string} query - Text typed so far
+   * @param {Object} options - Suggestion options
+   * @param {number} options.limit - Number of suggestions (default: 6)
+   * @returns {Promise<Array>} - { entity_type, id, name, image_url, score }, best first
+   * (empty if the query is too short or the lookup fails)
+   */
+  async getSuggestions(query, { limit = 6 } = {}) {
+    const trimmedQuery = query ? query.trim() : '';
+    if (trimmedQuery.length < MIN_SUGGESTION_LENGTH) return [];
 
-      const concertSearchPromise = Promise.all(concertPromises)
-        .then(searchResults => {
-          // Process results from all concert searches
-          const allConcerts = [];
-
-          // Log the results from each search method
-          searchResults.forEach((result, index) => {
-            const data = result.error ? [] : result.data || [];
-            const searchType =
-              index === 0 && matchingArtistIds.length > 0
-                ? 'By artist ID'
-                : index === (matchingArtistIds.length > 0 ? 1 : 0)
-                ? 'By venue name'
-                : 'By festival name';
-
-            console.log(`[searchService] Concert search results ${searchType}:`, data.length);
-
-            // Log a sample of each result type if available
-            if (data.length > 0) {
-              console.log(
-                `[searchService] ${searchType} concert sample:`,
-                JSON.stringify(data[0], null, 2)
-              );
-            }
-
-            // Add all concerts to our collection, avoiding duplicates
-            data.forEach(concert => {
-              if (!allConcerts.some(existing => existing.id === concert.id)) {
-                allConcerts.push(concert);
-              }
-            });
-          });
-
-          // Sort by start_time
-          allConcerts.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
-
-          // Limit to the specified number
-          const limitedResults = allConcerts.slice(0, limit);
-          console.log('[searchService] Combined concert results:', limitedResults.length);
-          return limitedResults;
-        })
-        .catch(error => {
-          console.error('[searchService] Error searching concerts:', error);
-          return [];
-        });
+    const { data, error } = await supabase.rpc('search_suggestions', {
+      search_query: trimmedQuery,
+      max_results: limit,
+    });
 
-      promises.push(
-        concertSearchPromise.then(data => {
-          results.concerts = data;
-        })
-      );
+    if (error) {
+      console.error(`[searchService] Error getting suggestions for "${trimmedQuery}":`, error);
+      return [];
     }
 
-    // Search venues if requested
-    if (searchTypes.includes('venues')) {
-      console.log('[searchService] Searching venues');
-      const venuePromise = supabase
-        .from('venues')
-        .select(
-          `
-          id,
-          name,
-          parks:park_id (id, name)
-        `
-        )
-        .ilike('name', `%${trimmedQuery}%`)
-        .order('name')
-        .limit(limit)
-        .then(({ data, error }) => {
-          if (error) {
-            console.error('[searchService] Error searching venues:', error);
-            return [];
-          }
-          console.log('[searchService] Found venues:', data?.length || 0);
-          if (data?.length > 0) {
-            console.log('[searchService] Venue sample:', JSON.stringify(data[0], null, 2));
-          }
-          return data || [];
-        });
+    return data || [];
+  },
 
-      promises.push(
-        venuePromise.then(data => {
-          results.venues = data;
-        })
-      );
+  /**
+   * Most popular searches across all users over the last week
+   * @param {Object} options - Trending options
+   * @param {number} options.limit - Number of queries (default: 5)
+   * @returns {Promise<Array>} - { query, searches }, most searched first
+   */
+  async getTrendingSearches({ limit = 5 } = {}) {
+    const { data, error } = await supabase.rpc('get_trending_searches', {
+      max_results: limit,
+    });
+
+    if (error) {
+      console.error('[searchService] Error getting trending searches:', error);
+      return [];
     }
 
-    // Search festivals if requested
-    if (searchTypes.includes('festivals')) {
-      console.log('[searchService] Searching festivals');
-      const festivalPromise = supabase
-        .from('festivals')
-        .select(
-          `
-          id,
-          name,
-          start_date,
-          end_date,
-          image_url,
-          parks:park_id (id, name)
-        `
-        )
-        .ilike('name', `%${trimmedQuery}%`)
-        .order('start_date')
-        .limit(limit)
-        .then(({ data, error }) => {
-          if (error) {
-            console.error('[searchService] Error searching festivals:', error);
-            return [];
-          }
-          console.log('[searchService] Found festivals:', data?.length || 0);
-          if (data?.length > 0) {
-            console.log('[searchService] Festival sample:', JSON.stringify(data[0], null, 2));
-          }
-          return data || [];
-        });
+    return data || [];
+  },
 
-      promises.push(
-        festivalPromise.then(data => {
-          results.festivals = data;
-        })
-      );
-    }
+  /**
+   * Log a submitted search so it can count towards trending searches
+   * The server counts the matches itself and only logs searches by signed-in users.
+   * Failures are logged and ignored; they should never interrupt a search.
+   * @param {string} query - Search query
+   */
+  async recordSearch(query) {
+    const trimmedQuery = query ? query.trim() : '';
+    if (trimmedQuery.length < MIN_SUGGESTION_LENGTH) return;
 
-    // Search parks if requested
-    if (searchTypes.includes('parks')) {
-      console.log('[searchService] Searching parks');
-      const parkPromise = supabase
-        .from('parks')
-        .select(
-          `
-          id,
-          name
-        `
-        )
-        .ilike('name', `%${trimmedQuery}%`)
-        .order('name')
-        .limit(limit)
-        .then(({ data, error }) => {
-          if (error) {
-            console.error('[searchService] Error searching parks:', error);
-            return [];
-          }
-          console.log('[searchService] Found parks:', data?.length || 0);
-          return data || [];
-        });
+    const { error } = await supabase.rpc('record_search', {
+      search_query: trimmedQuery.slice(0, 100),
+    });
 
-      promises.push(
-        parkPromise.then(data => {
-          results.parks = data;
-        })
-      );
+    if (error) {
+      console.error('[searchService] Error recording search:', error);
     }
+  },
 
-    // Wait for all search queries to complete
+  /**
+   * Get the concerts on a park day
+   * @param {string} date - ISO8601 date (YYYY-MM-DD)
+   * @param {Object} filters - Optional parkId and festivalId
+   * @returns {Promise<Array>} - Concerts on that day
+   */
+  async searchByDate(date, filters = {}) {
     try {
-      await Promise.all(promises);
-      console.log('[searchService] All search promises completed');
-      console.log(
-        '[searchService] Final result counts:',
-        Object.keys(results)
-          .map(key => `${key}: ${results[key]?.length || 0}`)
-          .join(', ')
-      );
-      return results;
+      return await concertService.getConcertsByDate(date, filters);
     } catch (error) {
-      console.error('[searchService] Error during global search:', error);
-      // Return whatever results we have so far rather than nothing
-      return results;
+      throw new Error(`Error in searchByDate: ${error.message}`);
     }
   },
 
   /**
-   * Search concerts with full text search
-   * @param {string} query - Search term
-   * @param {Object} options - Search options
-   * @param {number} options.limit - Number of results to return
-   * @returns {Promise<Array>} - Concerts matching search
+   * Get the next upcoming concerts
+   * @param {number} limit - Number of results to return (default: 20)
+   * @param {Object} filters - Optional parkId and festivalId
+   * @returns {Promise<Array>} - Upcoming concerts
    */
-  async searchConcerts(query, { limit = 20 } = {}) {
-    console.log('[searchService] searchConcerts called with query:', query);
-
-    if (!query || query.trim() === '') {
-      console.log('[searchService] Empty query, returning empty results');
-      return [];
-    }
-
-    const trimmedQuery = query.trim();
-    console.log('[searchService] Trimmed query:', trimmedQuery);
-
+  async searchUpcoming(limit = 20, filters = {}) {
     try {
-      // First, find any artists that match the search term
-      const { data: matchingArtists } = await supabase
-        .from('artists')
-        .select('id')
-        .ilike('name', `%${trimmedQuery}%`);
-
-      const matchingArtistIds = matchingArtists?.map(artist => artist.id) || [];
-      console.log('[searchService] Found matching artist IDs:', matchingArtistIds);
-
-      // Use multiple separate queries
-      const concertPromises = [];
-
-      // If we found matching artists, search by artist_id
-      if (matchingArtistIds.length > 0) {
-        concertPromises.push(
-          supabase
-            .from('concerts')
-            .select(
-              `
-              id,
-              start_time,
-              end_time,
-              artists:artist_id (id, name),
-              venues:venue_id (id, name),
-              festivals:festival_id (id, name)
-            `
-            )
-            .in('artist_id', matchingArtistIds)
-            .order('start_time')
-            .limit(limit)
-        );
-      }
-
-      // Also search by venue and festival names
-      concertPromises.push(
-        // Search by venue name
-        supabase
-          .from('concerts')
-          .select(
-            `
-            id,
-            start_time,
-            end_time,
-            artists:artist_id (id, name),
-            venues:venue_id (id, name),
-            festivals:festival_id (id, name)
-          `
-          )
-          .ilike('venues.name', `%${trimmedQuery}%`)
-          .order('start_time')
-          .limit(limit),
-
-        // Search by festival name
-        supabase
-          .from('concerts')
-          .select(
-            `
-            id,
-            start_time,
-            end_time,
-            artists:artist_id (id, name),
-            venues:venue_id (id, name),
-            festivals:festival_id (id, name)
-          `
-          )
-          .ilike('festivals.name', `%${trimmedQuery}%`)
-          .order('start_time')
-          .limit(limit)
-      );
-
-      // Execute all search promises
-      const searchResults = await Promise.all(concertPromises);
-
-      // Process all results
-      const allConcerts = [];
-
-      // Handle results from each search method
-      searchResults.flat().forEach(result => {
-        if (result.error) {
-          console.error('[searchService] Error in concert search:', result.error);
-          return;
-        }
-
-        const data = result.data || [];
-
-        // Add results without duplicates
-        data.forEach(concert => {
-          if (!allConcerts.some(existing => existing.id === concert.id)) {
-            allConcerts.push(concert);
-          }
-        });
-      });
-
-      console.log('[searchService] Concert search found total results:', allConcerts.length);
-
-      // Sort by start_time and limit to requested amount
-      const result = allConcerts
-        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
-        .slice(0, limit);
-
-      console.log('[searchService] Final concert search results:', result.length);
-
-      // Log a sample if available
-      if (result.length > 0) {
-        console.log('[searchService] Sample concert result:', JSON.stringify(result[0], null, 2));
-      }
-
-      return result;
+      return await concertService.getUpcomingConcerts({ limit, ...filters });
     } catch (error) {
-      console.error(
-        `[searchService] Error searching concerts with query "${trimmedQuery}":`,
-        error
-      );
-      throw error;
+      throw new Error(`Error in searchUpcoming: ${error.message}`);
     }
   },
 
@@ -555,12 +284,8 @@ const searchService = {
   async searchByDateAndTerm(date, query = '', { limit = 20 } = {}) {
     console.log('[searchService] searchByDateAndTerm called with date:', date, 'query:', query);
 
-    // Create start and end of day timestamps
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Start and end of the park day
+    const { startOfDay, endOfDay } = getParkDayBounds(date);
 
     console.log(
       '[searchService] Date range:',
@@ -581,6 +306,7 @@ const searchService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .gte('start_time', startOfDay.toISOString())
       .lte('start_time', endOfDay.toISOString())
       .order('start_time')
@@ -605,12 +331,7 @@ const searchService = {
 
     try {
       // First, find any artists that match the search term
-      const { data: matchingArtists } = await supabase
-        .from('artists')
-        .select('id')
-        .ilike('name', `%${trimmedQuery}%`);
-
-      const matchingArtistIds = matchingArtists?.map(artist => artist.id) || [];
+      const matchingArtistIds = await findMatchingArtistIds(trimmedQuery);
       console.log('[searchService] Found matching artist IDs:', matchingArtistIds);
 
       const datePromises = [];
@@ -633,6 +354,7 @@ const searchService = {
               festivals:festival_id (id, name)
             `
             )
+            .is('deleted_at', null)
             .in('artist_id', matchingArtistIds)
             .gte('start_time', startOfDay.toISOString())
             .lte('start_time', endOfDay.toISOString())
@@ -656,6 +378,7 @@ const searchService = {
             festivals:festival_id (id, name)
           `
           )
+          .is('deleted_at', null)
           .ilike('venues.name', `%${trimmedQuery}%`)
           .gte('start_time', startOfDay.toISOString())
           .lte('start_time', endOfDay.toISOString())
@@ -675,6 +398,7 @@ const searchService = {
             festivals:festival_id (id, name)
           `
           )
+          .is('deleted_at', null)
           .ilike('festivals.name', `%${trimmedQuery}%`)
           .gte('start_time', startOfDay.toISOString())
           .lte('start_time', endOfDay.toISOString())
@@ -777,6 +501,7 @@ const searchService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .order('start_time')
       .limit(limit);
 
@@ -846,12 +571,7 @@ const searchService = {
       // If we have a text query, find matching artist IDs first
       let matchingArtistIds = [];
       if (hasTextQuery) {
-        const { data: matchingArtists } = await supabase
-          .from('artists')
-          .select('id')
-          .ilike('name', `%${trimmedQuery}%`);
-
-        matchingArtistIds = matchingArtists?.map(artist => artist.id) || [];
+        matchingArtistIds = await findMatchingArtistIds(trimmedQuery);
         console.log('[searchService] Found matching artist IDs:', matchingArtistIds);
       }
 
@@ -873,6 +593,7 @@ const searchService = {
             festivals:festival_id (id, name)
           `
           )
+          .is('deleted_at', null)
           .order('start_time')
           .limit(limit);
 
@@ -917,6 +638,7 @@ const searchService = {
             festivals:festival_id (id, name)
           `
           )
+          .is('deleted_at', null)
           .order('start_time')
           .limit(limit);
 
@@ -1022,4 +744,45 @@ const searchService = {
   },
 };
 
+/**
+ * Create a debounced suggestion lookup for one search box
+ * Each call waits for typing to pause before asking for suggestions. Calls made
+ * while waiting, or answered after a newer call, resolve with null so stale
+ * suggestions never replace newer ones.
+ * @param {number} delay - Milliseconds to wait after the last call
+ * @returns {Function} - (query, options) => Promise<Array|null>, with cancel()
+ */
+export const createSuggestionFetcher = (delay = SUGGESTION_DEBOUNCE_MS) => {
+  let timer = null;
+  let pending = null;
+  let latest = 0;
+
+  const settlePending = () => {
+    clearTimeout(timer);
+    if (pending) pending(null);
+    pending = null;
+  };
+
+  const fetchSuggestions = (query, options) => {
+    settlePending();
+    const call = ++latest;
+
+    return new Promise(resolve => {
+      pending = resolve;
+      timer = setTimeout(async () => {
+        pending = null;
+        const suggestions = await searchService.getSuggestions(query, options);
+        resolve(call === latest ? suggestions : null);
+      }, delay);
+    });
+  };
+
+  fetchSuggestions.cancel = () => {
+    settlePending();
+    latest += 1;
+  };
+
+  return fetchSuggestions;
+};
+
 export default searchService;
@@ -11,6 +11,9 @@
  * - Efficient calendar links for mobile calendar apps
  */
 
+import { ICS_TIMEZONE_LINES, formatIcsLocalDateTime } from '../utils/calendarUtils';
+import { PARK_TIMEZONE, formatParkDateTime } from '../utils/dateUtils';
+
 // Generate deep link URL for app content
 const generateDeepLink = path => {
   // Base URL of the application
@@ -203,32 +206,11 @@ const openShareWindow = (title, text, url) => {
  * - Yahoo Calendar
  */
 export const generateCalendarLinks = event => {
-  const {
-    title,
-    description,
-    location,
-    url,
-    // Use object destructuring to get all date values
-    startYear,
-    startMonth,
-    startDay,
-    startHours,
-    startMinutes,
-    endYear,
-    endMonth,
-    endDay,
-    endHours,
-    endMinutes,
-  } = event;
-
-  // Pad numbers for formatting
-  const pad = num => (num < 10 ? `0${num}` : `${num}`);
+  const { title, description, location, url, startTime, endTime } = event;
 
-  // Format for Google Calendar: YYYYMMDDTHHMMSS
-  const googleStart = `${startYear}${pad(startMonth)}${pad(startDay)}T${pad(startHours)}${pad(
-    startMinutes
-  )}00`;
-  const googleEnd = `${endYear}${pad(endMonth)}${pad(endDay)}T${pad(endHours)}${pad(endMinutes)}00`;
+  // Calendar links carry park-local times with an explicit Eastern Time zone
+  const localStart = formatIcsLocalDateTime(startTime);
+  const localEnd = formatIcsLocalDateTime(endTime);
 
   // Add deep link back to the app in the description
   const deepLink = url.startsWith('/') ? generateDeepLink(url) : url;
@@ -238,21 +220,17 @@ export const generateCalendarLinks = event => {
   const encodedDescription = encodeURIComponent(fullDescription);
 
   // Generate Google Calendar link with static timezone
-  const googleUrl = `https://calendar.google.com/calendar/render?action=TEMPLATE&text=${encodedTitle}&dates=${googleStart}/${googleEnd}&details=${encodedDescription}&location=${encodedLocation}&ctz=America/New_York`;
+  const googleUrl = `https://calendar.google.com/calendar/render?action=TEMPLATE&text=${encodedTitle}&dates=${localStart}/${localEnd}&details=${encodedDescription}&location=${encodedLocation}&ctz=${PARK_TIMEZONE}`;
 
-  // Format for Outlook/Yahoo - specify Eastern Time
-  const outlookStart = `${startYear}-${pad(startMonth)}-${pad(startDay)}T${pad(startHours)}:${pad(
-    startMinutes
-  )}:00`;
-  const outlookEnd = `${endYear}-${pad(endMonth)}-${pad(endDay)}T${pad(endHours)}:${pad(
-    endMinutes
-  )}:00`;
+  // Format for Outlook - specify Eastern Time
+  const outlookStart = formatParkDateTime(startTime, "yyyy-MM-dd'T'HH:mm:ss");
+  const outlookEnd = formatParkDateTime(endTime, "yyyy-MM-dd'T'HH:mm:ss");
 
   // Generate Outlook.com link
   const outlookUrl = `https://outlook.live.com/calendar/0/deeplink/compose?subject=${encodedTitle}&startdt=${outlookStart}&enddt=${outlookEnd}&body=${encodedDescription}&location=${encodedLocation}&timeZone=Eastern%20Standard%20Time`;
 
   // Generate Yahoo Calendar link
-  const yahooUrl = `https://calendar.yahoo.com/?title=${encodedTitle}&st=${googleStart}&et=${googleEnd}&desc=${encodedDescription}&in_loc=${encodedLocation}&in_tz=America/New_York`;
+  const yahooUrl = `https://calendar.yahoo.com/?title=${encodedTitle}&st=${localStart}&et=${localEnd}&desc=${encodedDescription}&in_loc=${encodedLocation}&in_tz=${PARK_TIMEZONE}`;
 
   // Generate Apple Calendar ICS data with Eastern Time zone
   const icsData = [
@@ -260,30 +238,10 @@ export const generateCalendarLinks = event => {
     'VERSION:2.0',
     'CALSCALE:GREGORIAN',
     'METHOD:PUBLISH',
-    'BEGIN:VTIMEZONE',
-    'TZID:America/New_York',
-    'BEGIN:DAYLIGHT',
-    'TZOFFSETFROM:-0500',
-    'TZOFFSETTO:-0400',
-    'TZNAME:EDT',
-    'DTSTART:20070311T020000',
-    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
-    'END:DAYLIGHT',
-    'BEGIN:STANDARD',
-    'TZOFFSETFROM:-0400',
-    'TZOFFSETTO:-0500',
-    'TZNAME:EST',
-    'DTSTART:20071104T020000',
-    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
-    'END:STANDARD',
-    'END:VTIMEZONE',
+    ...ICS_TIMEZONE_LINES,
     'BEGIN:VEVENT',
-    `DTSTART;TZID=America/New_York:${startYear}${pad(startMonth)}${pad(startDay)}T${pad(
-      startHours
-    )}${pad(startMinutes)}00`,
-    `DTEND;TZID=America/New_York:${endYear}${pad(endMonth)}${pad(endDay)}T${pad(endHours)}${pad(
-      endMinutes
-    )}00`,
+    `DTSTART;TZID=${PARK_TIMEZONE}:${localStart}`,
+    `DTEND;TZID=${PARK_TIMEZONE}:${localEnd}`,
     `SUMMARY:${title}`,
     `DESCRIPTION:${fullDescription.replace(/\n/g, '\\n')}`,
     `LOCATION:${location || ''}`,
@@ -311,3 +269,13 @@ export const generateCalendarLinks = event => {
     },
   };
 };
+
+/**
+ * Generate a webcal:// subscription URL for a calendar feed
+ *
+ * Calendar apps poll this URL, so subscribed events stay up to date.
+ *
+ * @param {string} feedPath - Feed path, e.g. 'festivals/<id>', 'venues/<id>' or 'favorites/<token>'
+ */
+export const getCalendarFeedUrl = feedPath =>
+  `webcal://${window.location.host}/.netlify/functions/api/calendar/${feedPath}.ics`;
@@ -0,0 +1,217 @@
+import supabase from './supabase';
+import { ENTITY_TABLES, STAGING_STATUS, partitionStagedChanges } from '../utils/stagingUtils';
+
+/**
+ * Service for the admin review queue (staging_changes)
+ * Proposed changes only reach the live tables through approveChanges, which
+ * applies them in a single transaction.
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Staging service
+ */
+export const createStagingService = client => ({
+  /**
+   * Get staged changes, oldest first
+   * @param {Object} options - Query options
+   * @param {string} options.status - Review status (default: pending)
+   * @param {string} options.entityType - Only return changes to this entity type
+   * @param {number} options.limit - Number of results to return (default: 50)
+   * @param {number} options.offset - Offset for pagination (default: 0)
+   * @returns {Promise<Object>} Object with changes array and pagination info
+   */
+  async getChanges({
+    status = STAGING_STATUS.PENDING,
+    entityType = null,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    let query = client.from('staging_changes').select('*', { count: 'exact' }).eq('status', status);
+
+    if (entityType) {
+      query = query.eq('entity_type', entityType);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error fetching staged changes:', error);
+      throw error;
+    }
+
+    return {
+      data,
+      pagination: { total: count, limit, offset },
+    };
+  },
+
+  /**
+   * Get the live records staged changes apply to
+   * @param {Array} changes - staging_changes rows
+   * @returns {Promise<Object>} Live rows keyed by entity type, then by ID
+   */
+  async getLiveRecords(changes) {
+    const idsByType = {};
+    changes
+      .filter(change => change.record_id)
+      .forEach(change => {
+        idsByType[change.entity_type] = [
+          ...(idsByType[change.entity_type] || []),
+          change.record_id,
+        ];
+      });
+
+    const entries = await Promise.all(
+      Object.entries(idsByType).map(async ([entityType, ids]) => {
+        const { data, error } = await client
+          .from(ENTITY_TABLES[entityType])
+          .select('*')
+          .in('id', [...new Set(ids)]);
+
+        if (error) {
+          console.error(`Error fetching live ${entityType} records:`, error);
+          throw error;
+        }
+
+        return [entityType, Object.fromEntries(data.map(record => [record.id, record]))];
+      })
+    );
+
+    return Object.fromEntries(entries);
+  },
+
+  /**
+   * Stage proposed changes for review
+   * A change already pending for the same record is refreshed rather than queued twice.
+   * @param {Array} changes - Proposed changes, each with a dedupe_key
+   * @param {Object} options - Values recorded on each new change
+   * @param {string} options.source - Where the changes came from (e.g. import or scraper)
+   * @param {string} options.run_id - Scraping run that proposed the changes, also
+   *   recorded on refreshed changes
+   * @param {string} options.data_source_id - Data source the changes were scraped from
+   * @returns {Promise<Object>} Counts of staged, refreshed and unchanged proposals
+   */
+  async stageChanges(changes, { source = 'import', ...values } = {}) {
+    const stats = { staged: 0, refreshed: 0, unchanged: 0 };
+    if (!changes.length) return stats;
+
+    const { data: pending, error } = await client
+      .from('staging_changes')
+      .select('id, dedupe_key, proposed')
+      .eq('status', STAGING_STATUS.PENDING)
+      .in(
+        'dedupe_key',
+        changes.map(change => change.dedupe_key)
+      );
+
+    if (error) {
+      console.error('Error fetching pending changes:', error);
+      throw error;
+    }
+
+    const { inserts, refreshes, unchanged } = partitionStagedChanges(changes, pending);
+    stats.unchanged = unchanged;
+
+    for (const { id, change } of refreshes) {
+      const refreshed = { proposed: change.proposed, source_url: change.source_url };
+      if (values.run_id) refreshed.run_id = values.run_id;
+
+      const { error: updateError } = await client
+        .from('staging_changes')
+        .update(refreshed)
+        .eq('id', id);
+
+      if (updateError) {
+        console.error(`Error refreshing staged change ${id}:`, updateError);
+        throw updateError;
+      }
+      stats.refreshed += 1;
+    }
+
+    if (inserts.length) {
+      const { error: insertError } = await client
+        .from('staging_changes')
+        .insert(inserts.map(change => ({ ...change, source, ...values })));
+
+      if (insertError) {
+        console.error('Error staging changes:', insertError);
+        throw insertError;
+      }
+      stats.staged = inserts.length;
+    }
+
+    return stats;
+  },
+
+  /**
+   * Replace the proposed values of a pending change (edit before approving)
+   * @param {string} id - Staged change ID
+   * @param {Object} proposed - New proposed values
+   * @returns {Promise<Object>} Updated change
+   */
+  async updateProposed(id, proposed) {
+    const { data, error } = await client
+      .from('staging_changes')
+      .update({ proposed })
+      .eq('id', id)
+      .eq('status', STAGING_STATUS.PENDING)
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error updating staged change ${id}:`, error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Approve pending changes and apply them to the live tables
+   * @param {Array} ids - Staged change IDs
+   * @returns {Promise<Object>} Object with the number of approved changes
+   */
+  async approveChanges(ids) {
+    const { data, error } = await client.rpc('approve_staging_changes', { change_ids: ids });
+
+    if (error) {
+      console.error('Error approving staged changes:', error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Reject pending changes
+   * @param {Array} ids - Staged change IDs
+   * @param {Object} options - Review details
+   * @param {string} options.reviewerId - ID of the reviewing admin
+   * @param {string} options.notes - Optional review notes
+   * @returns {Promise<Array>} Rejected change IDs
+   */
+  async rejectChanges(ids, { reviewerId = null, notes = null } = {}) {
+    const { data, error } = await client
+      .from('staging_changes')
+      .update({
+        status: STAGING_STATUS.REJECTED,
+        review_notes: notes,
+        reviewed_by: reviewerId,
+        reviewed_at: new Date().toISOString(),
+      })
+      .in('id', ids)
+      .eq('status', STAGING_STATUS.PENDING)
+      .select('id');
+
+    if (error) {
+      console.error('Error rejecting staged changes:', error);
+      throw error;
+    }
+
+    return data.map(change => change.id);
+  },
+});
+
+const stagingService = createStagingService(supabase);
+
+export default stagingService;
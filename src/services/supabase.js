@@ -9,12 +9,21 @@ if (!supabaseUrl || !supabaseAnonKey) {
   console.error('Missing Supabase environment variables. Please check your .env file.');
 }
 
-// Create a single instance of the Supabase client to be used throughout the app
-const supabase = createClient(supabaseUrl, supabaseAnonKey, {
-  auth: {
-    // Configure the redirection URL with the email confirmation parameter
-    redirectTo: `${window.location.origin}/?email_confirmed=true`,
-  },
-});
+// Create a single instance of the Supabase client to be used throughout the app.
+// The API functions bundle the services without the REACT_APP_* variables and
+// pass their own client to the create*Service factories, so no client is created
+// there (window is not defined either).
+const supabase =
+  supabaseUrl && supabaseAnonKey
+    ? createClient(supabaseUrl, supabaseAnonKey, {
+        auth: {
+          // Configure the redirection URL with the email confirmation parameter
+          redirectTo:
+            typeof window !== 'undefined'
+              ? `${window.location.origin}/?email_confirmed=true`
+              : undefined,
+        },
+      })
+    : null;
 
 export default supabase;
@@ -0,0 +1,92 @@
+import supabase from './supabase';
+
+// Days a deleted record stays restorable before purge_deleted_records removes it
+export const TRASH_RETENTION_DAYS = 30;
+
+// Tables with soft delete, and the columns listed for each in the trash
+const TRASH_TABLES = {
+  artists: 'id, name, deleted_at',
+  venues: 'id, name, deleted_at',
+  festivals: 'id, name, deleted_at',
+  concerts: 'id, start_time, deleted_at, artists:artist_id (name), venues:venue_id (name)',
+};
+
+/**
+ * Service for the admin trash
+ * Deleting an artist, venue, festival or concert sets deleted_at; this service
+ * lists those records, restores them and purges them after the retention window.
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Trash service
+ */
+export const createTrashService = client => ({
+  /**
+   * Get deleted records, most recently deleted first
+   * @param {string} tableName - Only return records from this table (default: all)
+   * @returns {Promise<Array>} Records with their table name and purge date
+   */
+  async getDeletedRecords(tableName = null) {
+    const tables = tableName ? [tableName] : Object.keys(TRASH_TABLES);
+
+    const results = await Promise.all(
+      tables.map(async table => {
+        const { data, error } = await client
+          .from(table)
+          .select(TRASH_TABLES[table])
+          .not('deleted_at', 'is', null)
+          .order('deleted_at', { ascending: false });
+
+        if (error) {
+          console.error(`Error fetching deleted ${table}:`, error);
+          throw error;
+        }
+
+        return data.map(record => ({
+          ...record,
+          table_name: table,
+          purge_after: new Date(
+            new Date(record.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+          ).toISOString(),
+        }));
+      })
+    );
+
+    return results.flat().sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+  },
+
+  /**
+   * Restore a deleted record
+   * Concerts deleted along with an artist, venue or festival are restored with it.
+   * @param {string} tableName - Table the record belongs to
+   * @param {string} id - Record ID
+   * @returns {Promise<void>}
+   */
+  async restoreRecord(tableName, id) {
+    const { error } = await client.from(tableName).update({ deleted_at: null }).eq('id', id);
+
+    if (error) {
+      console.error(`Error restoring ${tableName} ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete records that have been in the trash past the retention window
+   * @returns {Promise<Object>} Number of purged records per table
+   */
+  async purgeExpired() {
+    const { data, error } = await client.rpc('purge_deleted_records', {
+      retention_days: TRASH_RETENTION_DAYS,
+    });
+
+    if (error) {
+      console.error('Error purging deleted records:', error);
+      throw error;
+    }
+
+    return data;
+  },
+});
+
+const trashService = createTrashService(supabase);
+
+export default trashService;
@@ -1,10 +1,13 @@
 import supabase from './supabase';
+import { withOfflineCache } from './offlineCache';
 
 /**
  * Service for venue-related API operations
  * Following mobile-first principles with optimized payloads
+ * @param {Object} client - Supabase client to run queries with
+ * @returns {Object} Venue service
  */
-const venueService = {
+export const createVenueService = client => ({
   /**
    * Get all venues with filtering options
    * @param {Object} options - Filter options
@@ -16,7 +19,7 @@ const venueService = {
    */
   async getVenues({ parkId, name, limit = 20, offset = 0 } = {}) {
     // Start building the query with proper chaining - use a single chain
-    let query = supabase
+    let query = client
       .from('venues')
       .select(
         `
@@ -29,6 +32,7 @@ const venueService = {
         `,
         { count: 'exact' }
       )
+      .is('deleted_at', null)
       .order('name', { ascending: true });
 
     // Apply name filter if provided
@@ -69,7 +73,7 @@ const venueService = {
    */
   async getVenueById(id) {
     // First get the venue details
-    const { data: venue, error: venueError } = await supabase
+    const { data: venue, error: venueError } = await client
       .from('venues')
       .select(
         `
@@ -88,6 +92,7 @@ const venueService = {
         )
       `
       )
+      .is('deleted_at', null)
       .eq('id', id)
       .single();
 
@@ -97,7 +102,7 @@ const venueService = {
     }
 
     // Get upcoming performances at this venue - use a simplified query approach
-    let query = supabase
+    let query = client
       .from('concerts')
       .select(
         `
@@ -108,6 +113,7 @@ const venueService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('venue_id', id);
 
     // Add date filtering and ordering in separate steps
@@ -139,7 +145,7 @@ const venueService = {
    * @returns {Promise<Array>} Array of venues in the park
    */
   async getVenuesByPark(parkId) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('venues')
       .select(
         `
@@ -152,6 +158,7 @@ const venueService = {
         longitude
       `
       )
+      .is('deleted_at', null)
       .eq('park_id', parkId)
       .order('name');
 
@@ -172,9 +179,10 @@ const venueService = {
   async getVenuesWithUpcomingConcerts({ limit = 20 } = {}) {
     // In a real app, we would need to handle the nested query differently
     // For the test mocks, we need to simplify
-    const concertQuery = supabase
+    const concertQuery = client
       .from('concerts')
       .select('venue_id')
+      .is('deleted_at', null)
       .gte('start_time', new Date().toISOString());
 
     const { data: venueIds, error: venueIdsError } = await concertQuery;
@@ -192,7 +200,7 @@ const venueService = {
     const uniqueIds = [...new Set(venueIds.map(item => item.venue_id))];
 
     // Get venue details
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('venues')
       .select(
         `
@@ -204,6 +212,7 @@ const venueService = {
         parks:park_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .in('id', uniqueIds)
       .order('name')
       .limit(limit);
@@ -224,7 +233,7 @@ const venueService = {
    */
   async getVenueConcerts(venueId, startDate = null) {
     // Build query with method chaining
-    let queryBuilder = supabase
+    let queryBuilder = client
       .from('concerts')
       .select(
         `
@@ -236,6 +245,7 @@ const venueService = {
         festivals:festival_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .eq('venue_id', venueId);
 
     if (startDate) {
@@ -262,7 +272,7 @@ const venueService = {
       return [];
     }
 
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('venues')
       .select(
         `
@@ -272,6 +282,7 @@ const venueService = {
         parks:park_id (id, name)
       `
       )
+      .is('deleted_at', null)
       .ilike('name', `%${query}%`)
       .order('name')
       .limit(20);
@@ -283,6 +294,81 @@ const venueService = {
 
     return data;
   },
-};
+
+  /**
+   * Get the walking times admins have recorded between venues
+   * @returns {Promise<Array>} Array of { from_venue_id, to_venue_id, minutes }
+   */
+  async getWalkingTimes() {
+    const { data, error } = await client
+      .from('venue_walking_times')
+      .select('from_venue_id, to_venue_id, minutes');
+
+    if (error) {
+      console.error('Error fetching venue walking times:', error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Record the walking time between two venues, replacing the coordinate estimate
+   * @param {string} venueId - Venue UUID
+   * @param {string} otherVenueId - Venue UUID
+   * @param {number} minutes - Walking time in minutes
+   * @returns {Promise<Object>} The saved walking time
+   */
+  async setWalkingTime(venueId, otherVenueId, minutes) {
+    // Pairs are stored once, smallest venue ID first
+    const [fromVenueId, toVenueId] = [venueId, otherVenueId].sort();
+
+    const { data, error } = await client
+      .from('venue_walking_times')
+      .upsert(
+        { from_venue_id: fromVenueId, to_venue_id: toVenueId, minutes },
+        { onConflict: 'from_venue_id,to_venue_id' }
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`Error saving walking time between ${venueId} and ${otherVenueId}:`, error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Remove a recorded walking time, going back to the coordinate estimate
+   * @param {string} venueId - Venue UUID
+   * @param {string} otherVenueId - Venue UUID
+   * @returns {Promise<void>}
+   */
+  async clearWalkingTime(venueId, otherVenueId) {
+    const [fromVenueId, toVenueId] = [venueId, otherVenueId].sort();
+
+    const { error } = await client
+      .from('venue_walking_times')
+      .delete()
+      .eq('from_venue_id', fromVenueId)
+      .eq('to_venue_id', toVenueId);
+
+    if (error) {
+      console.error(`Error clearing walking time between ${venueId} and ${otherVenueId}:`, error);
+      throw error;
+    }
+  },
+});
+
+// Cache venue details and schedules for offline use
+const venueService = withOfflineCache(createVenueService(supabase), 'venues', [
+  'getVenues',
+  'getVenueById',
+  'getVenuesByPark',
+  'getVenueConcerts',
+  'getWalkingTimes',
+]);
 
 export default venueService;
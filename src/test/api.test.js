@@ -0,0 +1,493 @@
+/**
+ * Tests for the EncoreLando API function
+ * Exercises routing, pagination, filters, error envelopes and admin checks
+ * against a mocked Supabase client
+ */
+
+import { handler } from '../../functions/api';
+import { getSupabaseClient, createCallerClient } from '../../functions/api/lib/supabase';
+
+jest.mock('../../functions/api/lib/supabase', () => ({
+  getSupabaseClient: jest.fn(),
+  createCallerClient: jest.fn(),
+}));
+
+const QUERY_METHODS = [
+  'select',
+  'eq',
+  'in',
+  'or',
+  'gte',
+  'lte',
+  'order',
+  'range',
+  'limit',
+  'ilike',
+  'contains',
+  'overlaps',
+  'is',
+  'not',
+  'insert',
+  'update',
+  'delete',
+];
+
+/**
+ * Create a chainable Supabase query that resolves to the given result
+ */
+const createQuery = result => {
+  const query = {};
+  QUERY_METHODS.forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.single = jest.fn(() => Promise.resolve(result));
+  query.maybeSingle = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+/**
+ * Create a mocked Supabase client with one query per table
+ */
+const createClient = (tables = {}, user = null) => {
+  const queries = Object.fromEntries(
+    Object.entries(tables).map(([table, result]) => [table, createQuery(result)])
+  );
+
+  return {
+    queries,
+    from: jest.fn(table => queries[table] || createQuery({ data: [], error: null })),
+    auth: {
+      getUser: jest.fn(() =>
+        Promise.resolve(
+          user ? { data: { user }, error: null } : { data: null, error: { message: 'bad jwt' } }
+        )
+      ),
+    },
+  };
+};
+
+/**
+ * Send a request to the API function
+ */
+const request = (method, path, { query = null, body, token } = {}) =>
+  handler({
+    httpMethod: method,
+    path: `/.netlify/functions/api${path}`,
+    queryStringParameters: query,
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    body: body === undefined ? null : JSON.stringify(body),
+  });
+
+const parse = response => JSON.parse(response.body);
+
+describe('API function', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Admin writes act as the caller; the tests give them the same mocked client
+    createCallerClient.mockImplementation(() => getSupabaseClient());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('read endpoints', () => {
+    test('GET /concerts returns paginated data with filters applied', async () => {
+      const concerts = [{ id: 'c1' }, { id: 'c2' }];
+      const client = createClient({ concerts: { data: concerts, error: null, count: 12 } });
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/concerts', {
+        query: {
+          limit: '5',
+          offset: '10',
+          festival_id: 'f1',
+          start_date: '2025-03-01',
+          end_date: '2025-03-01',
+        },
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual({
+        data: concerts,
+        pagination: { total: 12, limit: 5, offset: 10 },
+      });
+      expect(client.queries.concerts.range).toHaveBeenCalledWith(10, 14);
+      expect(client.queries.concerts.eq).toHaveBeenCalledWith('festival_id', 'f1');
+      // Bare dates cover the whole park day
+      expect(client.queries.concerts.gte).toHaveBeenCalledWith(
+        'start_time',
+        '2025-03-01T05:00:00.000Z'
+      );
+      expect(client.queries.concerts.lte).toHaveBeenCalledWith(
+        'start_time',
+        '2025-03-02T04:59:59.999Z'
+      );
+    });
+
+    test('GET /concerts filters by park through its venues', async () => {
+      const client = createClient({
+        venues: { data: [{ id: 'v1' }, { id: 'v2' }], error: null },
+        concerts: { data: [], error: null, count: 0 },
+      });
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/concerts', { query: { park_id: 'epcot' } });
+
+      expect(response.statusCode).toBe(200);
+      expect(client.queries.venues.eq).toHaveBeenCalledWith('park_id', 'epcot');
+      expect(client.queries.concerts.in).toHaveBeenCalledWith('venue_id', ['v1', 'v2']);
+    });
+
+    test('GET /artists filters by genre', async () => {
+      const client = createClient({ artists: { data: [], error: null, count: 0 } });
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/artists', { query: { genre: 'Jazz' } });
+
+      expect(response.statusCode).toBe(200);
+      expect(client.queries.artists.contains).toHaveBeenCalledWith('genres', ['Jazz']);
+    });
+
+    test('GET /concerts/by-date/:date returns the day in a data envelope', async () => {
+      const client = createClient({ concerts: { data: [{ id: 'c1' }], error: null } });
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/concerts/by-date/2025-03-01');
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual({ data: [{ id: 'c1' }] });
+    });
+  });
+
+  describe('errors', () => {
+    test.each([
+      ['/concerts', { limit: '500' }],
+      ['/concerts', { offset: '-1' }],
+      ['/concerts', { start_date: 'not-a-date' }],
+      ['/festivals', { include_past: 'maybe' }],
+      ['/artists', { sort: 'password' }],
+    ])('GET %s with %p returns invalid_request', async (path, query) => {
+      getSupabaseClient.mockReturnValue(createClient());
+
+      const response = await request('GET', path, { query });
+
+      expect(response.statusCode).toBe(400);
+      expect(parse(response).error.code).toBe('invalid_request');
+    });
+
+    test('returns not_found when a record does not exist', async () => {
+      const client = createClient({
+        festivals: { data: null, error: { code: 'PGRST116', message: 'No rows found' } },
+      });
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/festivals/missing');
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error).toEqual(
+        expect.objectContaining({ code: 'not_found', message: 'No rows found' })
+      );
+    });
+
+    test('returns not_found for unknown routes', async () => {
+      const response = await request('GET', '/tickets');
+
+      expect(response.statusCode).toBe(404);
+      expect(parse(response).error.code).toBe('not_found');
+    });
+
+    test('hides unexpected errors behind server_error', async () => {
+      const client = createClient({
+        concerts: { data: null, error: { message: 'connection reset' } },
+      });
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/concerts/by-artist/a1');
+
+      expect(response.statusCode).toBe(500);
+      expect(parse(response).error).toEqual({
+        code: 'server_error',
+        message: 'An unexpected error occurred',
+        details: {},
+      });
+    });
+  });
+
+  describe('admin endpoints', () => {
+    const admin = { id: 'admin-1' };
+    const validConcert = {
+      artist_id: 'a1',
+      venue_id: 'v1',
+      start_time: '2025-03-01T17:30:00-05:00',
+    };
+
+    test('rejects requests without a token', async () => {
+      getSupabaseClient.mockReturnValue(createClient());
+
+      const response = await request('POST', '/admin/concerts', { body: validConcert });
+
+      expect(response.statusCode).toBe(401);
+      expect(parse(response).error.code).toBe('unauthorized');
+    });
+
+    test('rejects invalid tokens', async () => {
+      getSupabaseClient.mockReturnValue(createClient());
+
+      const response = await request('POST', '/admin/concerts', {
+        body: validConcert,
+        token: 'bad',
+      });
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('rejects users without the admin role', async () => {
+      const client = createClient({ user_profiles: { data: { roles: [] }, error: null } }, admin);
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('POST', '/admin/concerts', {
+        body: validConcert,
+        token: 'jwt',
+      });
+
+      expect(client.auth.getUser).toHaveBeenCalledWith('jwt');
+      expect(response.statusCode).toBe(403);
+      expect(parse(response).error.code).toBe('forbidden');
+    });
+
+    test('validates the request body', async () => {
+      const client = createClient(
+        { user_profiles: { data: { roles: ['admin'] }, error: null } },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('POST', '/admin/concerts', {
+        body: { artist_id: 'a1', start_time: 'soon', color: 'red' },
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(422);
+      expect(parse(response).error.details).toEqual({
+        venue_id: 'is required',
+        start_time: 'must be an ISO8601 timestamp',
+        color: 'is not a writable field',
+      });
+    });
+
+    test('creates a record for admins', async () => {
+      const created = { id: 'c1', ...validConcert };
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: ['admin'] }, error: null },
+          concerts: { data: created, error: null },
+        },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('POST', '/admin/concerts', {
+        body: validConcert,
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(201);
+      expect(createCallerClient).toHaveBeenCalledWith('jwt');
+      expect(parse(response)).toEqual(created);
+      expect(client.queries.concerts.insert).toHaveBeenCalledWith(validConcert);
+    });
+
+    test('maps unique violations to conflict', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: ['admin'] }, error: null },
+          parks: { data: null, error: { code: '23505', message: 'duplicate key' } },
+        },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('PUT', '/admin/parks/p1', {
+        body: { name: 'EPCOT' },
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(409);
+      expect(parse(response).error.code).toBe('conflict');
+    });
+
+    test('reports venue double-bookings as conflicts', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: ['admin'] }, error: null },
+          concerts: {
+            data: null,
+            error: {
+              code: '23P01',
+              message: 'This concert overlaps another concert at the same venue',
+              details: 'c2',
+            },
+          },
+        },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('PUT', '/admin/concerts/c1', {
+        body: { start_time: '2025-05-03T23:00:00Z' },
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(409);
+      expect(parse(response).error).toEqual({
+        code: 'conflict',
+        message: 'This concert overlaps another concert at the same venue',
+        details: { reason: 'c2' },
+      });
+    });
+
+    test('moves a record to the trash and returns 204', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: ['admin'] }, error: null },
+          venues: { data: [{ id: 'v1' }], error: null },
+        },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('DELETE', '/admin/venues/v1', { token: 'jwt' });
+
+      expect(response.statusCode).toBe(204);
+      expect(client.queries.venues.update).toHaveBeenCalledWith({ deleted_at: expect.any(String) });
+      expect(client.queries.venues.delete).not.toHaveBeenCalled();
+      expect(client.queries.venues.eq).toHaveBeenCalledWith('id', 'v1');
+    });
+
+    test('deletes parks outright since they have no trash', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: ['admin'] }, error: null },
+          parks: { data: [{ id: 'p1' }], error: null },
+        },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('DELETE', '/admin/parks/p1', { token: 'jwt' });
+
+      expect(response.statusCode).toBe(204);
+      expect(client.queries.parks.delete).toHaveBeenCalled();
+    });
+
+    test('returns not_found when deleting a missing record', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: ['admin'] }, error: null },
+          venues: { data: [], error: null },
+        },
+        admin
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('DELETE', '/admin/venues/missing', { token: 'jwt' });
+
+      expect(response.statusCode).toBe(404);
+    });
+  });
+
+  describe('notification endpoints', () => {
+    const user = { id: 'user-1' };
+
+    test('require authentication', async () => {
+      getSupabaseClient.mockReturnValue(createClient());
+
+      const response = await request('GET', '/notifications');
+
+      expect(response.statusCode).toBe(401);
+    });
+
+    test("GET /notifications lists the caller's unread notifications", async () => {
+      const notifications = [{ id: 'n1', title: 'Artist added 3 shows', read_at: null }];
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: [] }, error: null },
+          notifications: { data: notifications, error: null, count: 1 },
+        },
+        user
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('GET', '/notifications', {
+        query: { unread: 'true' },
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual({
+        data: notifications,
+        pagination: { total: 1, limit: 20, offset: 0 },
+      });
+      expect(client.queries.notifications.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(client.queries.notifications.is).toHaveBeenCalledWith('read_at', null);
+    });
+
+    test('POST /notifications/read marks the given notifications as read', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: [] }, error: null },
+          notifications: { data: [{ id: 'n1' }], error: null },
+        },
+        user
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('POST', '/notifications/read', {
+        body: { ids: ['n1'] },
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual({ updated: ['n1'] });
+      expect(client.queries.notifications.update).toHaveBeenCalledWith({
+        read_at: expect.any(String),
+      });
+      expect(client.queries.notifications.eq).toHaveBeenCalledWith('user_id', 'user-1');
+      expect(client.queries.notifications.in).toHaveBeenCalledWith('id', ['n1']);
+    });
+
+    test('POST /notifications/read without ids marks everything as read', async () => {
+      const client = createClient(
+        {
+          user_profiles: { data: { roles: [] }, error: null },
+          notifications: { data: [{ id: 'n1' }, { id: 'n2' }], error: null },
+        },
+        user
+      );
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('POST', '/notifications/read', { token: 'jwt' });
+
+      expect(parse(response)).toEqual({ updated: ['n1', 'n2'] });
+      expect(client.queries.notifications.in).not.toHaveBeenCalled();
+      expect(client.queries.notifications.is).toHaveBeenCalledWith('read_at', null);
+    });
+
+    test('POST /notifications/unread requires ids', async () => {
+      const client = createClient({ user_profiles: { data: { roles: [] }, error: null } }, user);
+      getSupabaseClient.mockReturnValue(client);
+
+      const response = await request('POST', '/notifications/unread', {
+        body: { ids: [] },
+        token: 'jwt',
+      });
+
+      expect(response.statusCode).toBe(422);
+      expect(parse(response).error.details).toHaveProperty('ids');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the calendar subscription feed builders
+ * Focuses on multi-event output, stable UIDs and ICS formatting
+ */
+
+import {
+  generateICalendarFeed,
+  getConcertEventUid,
+  escapeIcsText,
+  ICS_TIMEZONE_LINES,
+} from '../utils/calendarUtils';
+
+/**
+ * Build a concert fixture
+ */
+const makeConcert = (id, artistName, start, end) => ({
+  id,
+  start_time: `2025-03-01T${start}:00`,
+  end_time: `2025-03-01T${end}:00`,
+  updated_at: '2025-02-20T12:00:00Z',
+  artists: { id: `artist-${id}`, name: artistName },
+  venues: {
+    id: 'venue-1',
+    name: 'America Gardens Theatre',
+    location_details: 'American Adventure Pavilion',
+    park: { id: 'epcot', name: 'EPCOT' },
+  },
+});
+
+const concerts = [
+  makeConcert('c1', 'The Test Band', '17:30', '18:00'),
+  makeConcert('c2', 'Another Act', '19:00', '19:30'),
+];
+
+describe('Calendar Feed', () => {
+  test('includes one VEVENT per concert with stable UIDs', () => {
+    const feed = generateICalendarFeed(concerts, { baseUrl: 'https://encorelando.com' });
+
+    expect(feed.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(feed).toContain('UID:concert-c1@encorelando.com');
+    expect(feed).toContain('UID:concert-c2@encorelando.com');
+    expect(getConcertEventUid(concerts[0])).toBe('concert-c1@encorelando.com');
+  });
+
+  test('produces identical output for unchanged data', () => {
+    const first = generateICalendarFeed(concerts, { name: 'Lineup' });
+    const second = generateICalendarFeed(concerts, { name: 'Lineup' });
+
+    expect(first).toBe(second);
+    expect(first).toContain('DTSTAMP:20250220T120000Z');
+  });
+
+  test('uses the shared VTIMEZONE block once with Eastern Time events', () => {
+    const feed = generateICalendarFeed(concerts, { name: 'Lineup' });
+
+    expect(feed).toContain(ICS_TIMEZONE_LINES.join('\r\n'));
+    expect(feed.match(/BEGIN:VTIMEZONE/g)).toHaveLength(1);
+    expect(feed).toContain('DTSTART;TZID=America/New_York:20250301T173000');
+    expect(feed).toContain('DTEND;TZID=America/New_York:20250301T180000');
+    expect(feed).toContain('X-WR-CALNAME:Lineup');
+  });
+
+  test('skips concerts without artist or venue data', () => {
+    const feed = generateICalendarFeed([...concerts, { id: 'c3', start_time: '2025-03-01T20:00' }]);
+
+    expect(feed.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(feed).not.toContain('concert-c3@');
+  });
+
+  test('escapes text values and folds long lines', () => {
+    expect(escapeIcsText('Rock, Pop; Jazz\nLive')).toBe('Rock\\, Pop\\; Jazz\\nLive');
+
+    const feed = generateICalendarFeed(concerts);
+    feed.split('\r\n').forEach(line => {
+      expect(line.length).toBeLessThanOrEqual(75);
+    });
+  });
+
+  test('folds at 75 octets without splitting multi-byte characters', () => {
+    const name = 'Noche de Música en el Café 🎸 — Celebración Épica del Festival Internacional';
+    const feed = generateICalendarFeed(concerts, { name });
+
+    feed.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+      expect(line).not.toMatch(/[\uD800-\uDFFF]/u);
+    });
+    expect(feed.replace(/\r\n /g, '')).toContain(`X-WR-CALNAME:${name}`);
+  });
+});
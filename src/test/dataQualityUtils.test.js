@@ -0,0 +1,172 @@
+/**
+ * Tests for the admin data quality checks
+ * Times are UTC; Orlando is UTC-4 in May, so 01:00Z is the previous park day.
+ */
+
+import {
+  concertsOverlap,
+  findOverlappingConcerts,
+  findBookingConflicts,
+  isOutsideFestival,
+  findSimilarNames,
+  findDuplicateArtists,
+  findDataIssues,
+} from '../utils/dataQualityUtils';
+
+const concert = (id, start, end, extra = {}) => ({
+  id,
+  venue_id: 'venue-1',
+  start_time: start,
+  end_time: end,
+  artists: { id: `artist-${id}`, name: `Artist ${id}` },
+  venues: { id: 'venue-1', name: 'America Gardens' },
+  festivals: null,
+  ...extra,
+});
+
+const getCheck = (checks, id) => checks.find(check => check.id === id);
+
+describe('concertsOverlap', () => {
+  test('detects overlapping and back-to-back sets', () => {
+    const first = concert('1', '2025-05-03T23:00:00Z', '2025-05-03T23:30:00Z');
+
+    expect(concertsOverlap(first, concert('2', '2025-05-03T23:15:00Z', null))).toBe(true);
+    expect(
+      concertsOverlap(first, concert('3', '2025-05-03T23:30:00Z', '2025-05-04T00:00:00Z'))
+    ).toBe(false);
+  });
+
+  test('treats concerts without an end time as starting and ending at once', () => {
+    const first = concert('1', '2025-05-03T23:00:00Z', null);
+
+    expect(concertsOverlap(first, concert('2', '2025-05-03T23:00:00Z', null))).toBe(true);
+    expect(concertsOverlap(first, concert('3', '2025-05-03T23:10:00Z', null))).toBe(false);
+  });
+});
+
+describe('findOverlappingConcerts', () => {
+  test('pairs clashing concerts at the same venue only', () => {
+    const concerts = [
+      concert('3', '2025-05-04T00:00:00Z', '2025-05-04T00:30:00Z'),
+      concert('1', '2025-05-03T23:00:00Z', '2025-05-04T00:15:00Z'),
+      concert('2', '2025-05-03T23:30:00Z', '2025-05-03T23:45:00Z'),
+      concert('4', '2025-05-03T23:30:00Z', '2025-05-03T23:45:00Z', { venue_id: 'venue-2' }),
+    ];
+
+    const pairs = findOverlappingConcerts(concerts).map(([a, b]) => [a.id, b.id]);
+
+    expect(pairs).toEqual([
+      ['1', '2'],
+      ['1', '3'],
+    ]);
+  });
+});
+
+describe('isOutsideFestival', () => {
+  const festival = { id: 'festival-1', start_date: '2025-05-01', end_date: '2025-05-03' };
+
+  test('compares the park date with the festival dates', () => {
+    // 9 PM on May 3 in Orlando
+    expect(isOutsideFestival(concert('1', '2025-05-04T01:00:00Z', null), festival)).toBe(false);
+    expect(isOutsideFestival(concert('2', '2025-05-04T16:00:00Z', null), festival)).toBe(true);
+    expect(isOutsideFestival(concert('3', '2025-04-30T16:00:00Z', null), festival)).toBe(true);
+  });
+
+  test('ignores concerts without a festival', () => {
+    expect(isOutsideFestival(concert('1', '2025-05-04T16:00:00Z', null), null)).toBe(false);
+  });
+});
+
+describe('findSimilarNames', () => {
+  test('pairs names that differ by small spelling changes', () => {
+    const artists = [
+      { id: 'a1', name: 'Sugar Ray' },
+      { id: 'a2', name: 'Sugarray' },
+      { id: 'a3', name: 'Hanson' },
+    ];
+
+    const pairs = findSimilarNames(artists).map(([a, b]) => [a.id, b.id]);
+
+    expect(pairs).toEqual([['a1', 'a2']]);
+  });
+});
+
+describe('findDuplicateArtists', () => {
+  test('matches names that only differ by notes, and known aliases', () => {
+    const artists = [
+      { id: 'a1', name: 'Sister Hazel' },
+      { id: 'a2', name: 'Hanson' },
+      { id: 'a3', name: 'Sister Hazel (Band)' },
+      { id: 'a4', name: 'Taylor Hanson', artist_aliases: [{ alias: 'Hanson Brothers' }] },
+      { id: 'a5', name: 'The Hanson Brothers' },
+    ];
+
+    const pairs = findDuplicateArtists(artists).map(([a, b, score]) => [a.id, b.id, score]);
+
+    expect(pairs).toEqual([
+      ['a1', 'a3', 1],
+      ['a4', 'a5', 1],
+      ['a2', 'a4', 0.8],
+      ['a2', 'a5', 0.8],
+    ]);
+  });
+});
+
+describe('findDataIssues', () => {
+  test('links each issue to the form that fixes it', () => {
+    const festival = {
+      id: 'festival-1',
+      name: 'Flower & Garden',
+      start_date: '2025-05-01',
+      end_date: '2025-05-03',
+    };
+    const checks = findDataIssues({
+      concerts: [
+        concert('1', '2025-05-03T23:00:00Z', null),
+        concert('2', '2025-05-05T23:00:00Z', '2025-05-05T23:30:00Z', {
+          venue_id: 'venue-2',
+          festivals: festival,
+        }),
+      ],
+      artists: [
+        { id: 'a1', name: 'Hanson', image_url: '/hanson.jpg', genres: ['Pop'] },
+        { id: 'a2', name: 'Sugar Ray', image_url: null, genres: [] },
+      ],
+      venues: [
+        { id: 'v1', name: 'America Gardens', latitude: 28.37, longitude: -81.55 },
+        { id: 'v2', name: 'Garden Rocks', latitude: null, longitude: -81.55 },
+      ],
+    });
+
+    expect(getCheck(checks, 'missing-end-time').issues.map(issue => issue.key)).toEqual(['1']);
+    expect(getCheck(checks, 'outside-festival').issues[0].links).toEqual([
+      { label: 'Edit concert', path: '/admin/concerts/edit/2' },
+      { label: 'Edit festival', path: '/admin/festivals/edit/festival-1' },
+    ]);
+    expect(getCheck(checks, 'overlapping-concerts').issues).toEqual([]);
+    expect(getCheck(checks, 'venue-coordinates').issues[0].links).toEqual([
+      { label: 'Edit venue', path: '/admin/venues/edit/v2' },
+    ]);
+    expect(getCheck(checks, 'artist-details').issues[0].label).toBe(
+      'Sugar Ray (no image or genres)'
+    );
+    expect(getCheck(checks, 'duplicate-artists').issues).toEqual([]);
+  });
+});
+
+describe('findBookingConflicts', () => {
+  test('pairs each new concert with the bookings it clashes with', () => {
+    const candidates = [
+      { start_time: '2025-05-03T23:00:00Z', end_time: '2025-05-03T23:30:00Z' },
+      { start_time: '2025-05-04T23:00:00Z', end_time: '2025-05-04T23:30:00Z' },
+    ];
+    const bookings = [
+      concert('1', '2025-05-03T23:15:00Z', '2025-05-03T23:45:00Z'),
+      concert('2', '2025-05-04T23:30:00Z', '2025-05-05T00:00:00Z'),
+    ];
+
+    expect(findBookingConflicts(candidates, bookings)).toEqual([
+      { candidate: candidates[0], conflict: bookings[0] },
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the park-timezone date utilities
+ * Focuses on day bucketing and formatting around late-evening sets and DST changes
+ */
+
+import {
+  formatTime,
+  formatDate,
+  formatDateRange,
+  getParkDateString,
+  getParkDayBounds,
+  getParkMonthBounds,
+  getRelativeDate,
+  getTodayDateString,
+  groupPerformancesByDate,
+  formatParkDateTimeInput,
+  parseParkDateTimeInput,
+  isSameParkDay,
+} from '../utils/dateUtils';
+import { generateEventFromConcert, formatIcsLocalDateTime } from '../utils/calendarUtils';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Date Utils', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('formatTime shows timestamps in park time', () => {
+    // 00:30 UTC on May 2 is 8:30 PM EDT on May 1
+    expect(formatTime('2025-05-02T00:30:00Z')).toBe('8:30 PM');
+    expect(formatTime('2025-05-02T00:30:00+00:00')).toBe('8:30 PM');
+    expect(formatTime(new Date('2025-01-15T01:00:00Z'))).toBe('8:00 PM');
+    expect(formatTime('2025-05-01T19:30:00')).toBe('7:30 PM');
+    expect(formatTime(null)).toBe('TBD');
+  });
+
+  test('late-evening sets are bucketed on the park date', () => {
+    expect(getParkDateString('2025-05-02T01:30:00Z')).toBe('2025-05-01');
+    expect(getParkDateString('2025-05-02T04:30:00Z')).toBe('2025-05-02');
+    expect(getParkDateString('2025-05-01')).toBe('2025-05-01');
+    expect(getParkDateString('not a date')).toBeNull();
+
+    const groups = groupPerformancesByDate([
+      { id: 'a', start_time: '2025-05-01T22:00:00Z' },
+      { id: 'b', start_time: '2025-05-02T01:30:00Z' },
+      { id: 'c', start_time: '2025-05-02T14:00:00Z' },
+    ]);
+
+    expect(groups['2025-05-01'].map(p => p.id)).toEqual(['a', 'b']);
+    expect(groups['2025-05-02'].map(p => p.id)).toEqual(['c']);
+  });
+
+  test('getParkDayBounds runs from park midnight to park midnight', () => {
+    const { startOfDay, endOfDay } = getParkDayBounds('2025-05-01');
+
+    expect(startOfDay.toISOString()).toBe('2025-05-01T04:00:00.000Z');
+    expect(endOfDay.toISOString()).toBe('2025-05-02T03:59:59.999Z');
+    expect(getParkDayBounds(new Date('2025-05-02T01:30:00Z')).startOfDay).toEqual(startOfDay);
+  });
+
+  test('the spring-forward day is 23 hours long', () => {
+    const { startOfDay, endOfDay } = getParkDayBounds('2025-03-09');
+
+    expect(startOfDay.toISOString()).toBe('2025-03-09T05:00:00.000Z');
+    expect(endOfDay.toISOString()).toBe('2025-03-10T03:59:59.999Z');
+    expect(endOfDay - startOfDay + 1).toBe(23 * HOUR_MS);
+
+    // 1:59 AM EST is followed by 3:00 AM EDT
+    expect(formatTime('2025-03-09T06:59:00Z')).toBe('1:59 AM');
+    expect(formatTime('2025-03-09T07:00:00Z')).toBe('3:00 AM');
+  });
+
+  test('the fall-back day is 25 hours long', () => {
+    const { startOfDay, endOfDay } = getParkDayBounds('2025-11-02');
+
+    expect(startOfDay.toISOString()).toBe('2025-11-02T04:00:00.000Z');
+    expect(endOfDay.toISOString()).toBe('2025-11-03T04:59:59.999Z');
+    expect(endOfDay - startOfDay + 1).toBe(25 * HOUR_MS);
+
+    // The 11:30 PM EST set is still on November 2
+    expect(getParkDateString('2025-11-03T04:30:00Z')).toBe('2025-11-02');
+  });
+
+  test('getParkMonthBounds covers whole park months', () => {
+    const { startDate, endDate } = getParkMonthBounds(2025, 2, 2);
+
+    expect(startDate.toISOString()).toBe('2025-03-01T05:00:00.000Z');
+    expect(endDate.toISOString()).toBe('2025-05-01T03:59:59.999Z');
+  });
+
+  test('today and relative dates follow the park date, not the device date', () => {
+    // 11 PM on March 1 in Orlando is already March 2 in UTC
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2025-03-02T04:00:00Z'));
+
+    expect(getTodayDateString()).toBe('2025-03-01');
+    expect(getRelativeDate('2025-03-01')).toBe('Today');
+    expect(getRelativeDate('2025-03-02')).toBe('Tomorrow');
+    expect(getRelativeDate('2025-03-04')).toBe('Tuesday');
+    expect(getRelativeDate('2025-03-12')).toBe('Wed, Mar 12');
+
+    // Counting days across the spring-forward change
+    jest.setSystemTime(new Date('2025-03-08T17:00:00Z'));
+    expect(getRelativeDate('2025-03-09')).toBe('Tomorrow');
+    expect(getRelativeDate('2025-03-14')).toBe('Friday');
+  });
+
+  test('formatDate and formatDateRange use park dates', () => {
+    expect(formatDate('2025-05-01')).toBe('Thu, May 1');
+    expect(formatDate('2025-05-02T01:30:00Z')).toBe('Thu, May 1');
+    expect(formatDateRange('2025-10-31', '2025-11-03')).toBe('Oct 31 - Nov 3');
+    expect(isSameParkDay('2025-05-01', '2025-05-02T01:30:00Z')).toBe(true);
+  });
+
+  test('datetime-local values are read and written in park time', () => {
+    expect(formatParkDateTimeInput('2025-05-02T00:30:00Z')).toBe('2025-05-01T20:30');
+    expect(parseParkDateTimeInput('2025-05-01T20:30')).toBe('2025-05-01T20:30:00.000-04:00');
+    expect(parseParkDateTimeInput('2025-12-01T20:30')).toBe('2025-12-01T20:30:00.000-05:00');
+    expect(parseParkDateTimeInput('')).toBeNull();
+  });
+
+  test('calendar events keep park-local times across midnight and DST', () => {
+    const concert = {
+      id: 'c1',
+      start_time: '2025-11-02T03:30:00Z',
+      artists: { name: 'Late Set' },
+      venues: { name: 'America Gardens Theatre' },
+    };
+
+    const event = generateEventFromConcert(concert, '/concerts/c1');
+
+    // 11:30 PM EDT on November 1, ending an hour later after midnight
+    expect(formatIcsLocalDateTime(event.startTime)).toBe('20251101T233000');
+    expect(formatIcsLocalDateTime(event.endTime)).toBe('20251102T003000');
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Tests for the bulk concert import utilities
+ * Covers file parsing, fuzzy name matching, park-time parsing, the dry-run
+ * diff, the staged review-queue changes and the error report
+ */
+
+import {
+  calculateStringSimilarity,
+  findBestMatch,
+  normalizeArtistName,
+} from '../utils/matchingUtils';
+import {
+  IMPORT_STATUS,
+  parseCsv,
+  parseImportFile,
+  parseImportTime,
+  resolveImportRows,
+  buildImportDiff,
+  getStagingChanges,
+  buildErrorReport,
+} from '../utils/importUtils';
+
+const REFERENCES = {
+  artists: [
+    { id: 'artist-1', name: 'Hollywood Nights' },
+    { id: 'artist-2', name: 'Boyz II Men' },
+  ],
+  venues: [
+    { id: 'venue-1', name: 'America Gardens Theatre' },
+    { id: 'venue-2', name: 'Garden Rocks Stage' },
+  ],
+  festivals: [{ id: 'fest-1', name: 'EPCOT International Flower & Garden Festival' }],
+};
+
+describe('matchingUtils', () => {
+  test('scores exact, contained and misspelled names', () => {
+    expect(calculateStringSimilarity('Boyz II Men', 'boyz ii men')).toBe(1);
+    expect(
+      calculateStringSimilarity('Flower & Garden', 'EPCOT International Flower and Garden Festival')
+    ).toBe(0.8);
+    expect(calculateStringSimilarity('Holywood Nights', 'Hollywood Nights')).toBeGreaterThan(0.9);
+    expect(calculateStringSimilarity('Boyz II Men', 'Hollywood Nights')).toBeLessThan(0.5);
+  });
+
+  test('findBestMatch returns the highest scoring candidate above the threshold', () => {
+    expect(findBestMatch('Americas Garden Theater', REFERENCES.venues)).toEqual({
+      record: REFERENCES.venues[0],
+      score: expect.any(Number),
+    });
+    expect(findBestMatch('Spaceship Earth', REFERENCES.venues)).toBeNull();
+  });
+
+  test('findBestMatch does not match a short fragment of a longer name', () => {
+    const artists = [
+      { id: 'artist-1', name: 'Jo Dee Messina' },
+      { id: 'artist-2', name: 'The Band Perry' },
+      { id: 'artist-3', name: 'The Beach Boys' },
+    ];
+
+    expect(calculateStringSimilarity('Band', 'The Band Perry')).toBeLessThan(0.8);
+    expect(findBestMatch('Jo', artists)).toBeNull();
+    expect(findBestMatch('Band', artists)).toBeNull();
+    expect(findBestMatch('The', artists)).toBeNull();
+    expect(findBestMatch('Flower & Garden', REFERENCES.festivals)).toEqual({
+      record: REFERENCES.festivals[0],
+      score: 0.8,
+    });
+  });
+
+  test('findBestMatch also matches recorded aliases', () => {
+    const artists = [
+      { id: 'artist-1', name: "Herman's Hermits", artist_aliases: [{ alias: 'Peter Noone' }] },
+    ];
+
+    expect(findBestMatch('Peter Noone', artists)).toEqual({ record: artists[0], score: 1 });
+  });
+
+  test('normalizeArtistName ignores bracketed notes and a leading "The"', () => {
+    expect(normalizeArtistName('Sister Hazel (Band)')).toBe('sister hazel');
+    expect(normalizeArtistName('The Guess Who [Tribute]')).toBe('guess who');
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads quoted fields and normalizes headers', () => {
+    const rows = parseCsv(
+      'Artist,Venue,Start Time,Notes\r\nHollywood Nights,America Gardens Theatre,17:30,"Sets at 5:30, 6:45 and ""late"""\n'
+    );
+
+    expect(rows).toEqual([
+      {
+        artist: 'Hollywood Nights',
+        venue: 'America Gardens Theatre',
+        start_time: '17:30',
+        notes: 'Sets at 5:30, 6:45 and "late"',
+      },
+    ]);
+  });
+});
+
+describe('parseImportFile', () => {
+  test('accepts a JSON array or an object with a concerts array', () => {
+    const row = { artist: 'Boyz II Men', venue: 'Garden Rocks Stage' };
+
+    expect(parseImportFile(JSON.stringify([row]), 'lineup.json')).toEqual([row]);
+    expect(parseImportFile(JSON.stringify({ concerts: [row] }), 'lineup.json')).toEqual([row]);
+  });
+
+  test('reports invalid JSON', () => {
+    expect(() => parseImportFile('[{', 'lineup.json')).toThrow('Invalid JSON');
+  });
+});
+
+describe('parseImportTime', () => {
+  test('reads clock times in park time', () => {
+    expect(parseImportTime('2025-03-01', '5:30 PM').toUTC().toISO()).toBe(
+      '2025-03-01T22:30:00.000Z'
+    );
+    expect(parseImportTime('3/1/2025', '17:30').toUTC().toISO()).toBe('2025-03-01T22:30:00.000Z');
+  });
+
+  test('accepts a full timestamp without a date column', () => {
+    expect(parseImportTime(undefined, '2025-03-01T17:30:00Z').toUTC().toISO()).toBe(
+      '2025-03-01T17:30:00.000Z'
+    );
+  });
+
+  test('returns null for unreadable times', () => {
+    expect(parseImportTime('2025-03-01', 'soon')).toBeNull();
+  });
+});
+
+describe('resolveImportRows and buildImportDiff', () => {
+  const baseRow = {
+    artist: 'Holywood Nights',
+    venue: 'America Gardens Theatre',
+    festival: 'Flower & Garden',
+    date: '2025-03-01',
+    start_time: '5:30 PM',
+    end_time: '6:00 PM',
+  };
+
+  test('matches names fuzzily and records the match', () => {
+    const [row] = resolveImportRows([baseRow], REFERENCES);
+
+    expect(row.errors).toEqual([]);
+    expect(row.values).toEqual({
+      artist_id: 'artist-1',
+      venue_id: 'venue-1',
+      festival_id: 'fest-1',
+      start_time: '2025-03-01T22:30:00.000Z',
+      end_time: '2025-03-01T23:00:00.000Z',
+    });
+    expect(row.matches.artist).toEqual({
+      input: 'Holywood Nights',
+      name: 'Hollywood Nights',
+      score: expect.any(Number),
+    });
+  });
+
+  test('flags unknown names, bad times and duplicate rows', () => {
+    const rows = resolveImportRows(
+      [
+        baseRow,
+        { ...baseRow, notes: 'Second listing' },
+        { ...baseRow, artist: 'Spaceship Earth' },
+        { ...baseRow, start_time: '7:00 PM' },
+        { ...baseRow, ticket_required: 'maybe' },
+      ],
+      REFERENCES
+    );
+
+    expect(rows[1].errors).toEqual(['Duplicate of row 1']);
+    expect(rows[2].errors).toEqual(['No artist matches "Spaceship Earth"']);
+    expect(rows[3].errors).toEqual(['End time must be after start time']);
+    expect(rows[4].errors).toEqual(['ticket_required must be yes or no']);
+  });
+
+  test('sorts rows into create, update, unchanged and error', () => {
+    const resolved = resolveImportRows(
+      [
+        baseRow,
+        { ...baseRow, artist: 'Boyz II Men', venue: 'Garden Rocks Stage', ticket_required: 'yes' },
+        { ...baseRow, start_time: '6:45 PM', end_time: '7:15 PM' },
+        { ...baseRow, venue: '' },
+      ],
+      REFERENCES
+    );
+    const existing = [
+      {
+        id: 'concert-1',
+        artist_id: 'artist-1',
+        venue_id: 'venue-1',
+        festival_id: 'fest-1',
+        start_time: '2025-03-01T17:30:00-05:00',
+        end_time: '2025-03-01T18:00:00-05:00',
+        notes: null,
+        ticket_required: false,
+      },
+      {
+        id: 'concert-2',
+        artist_id: 'artist-2',
+        venue_id: 'venue-2',
+        festival_id: null,
+        start_time: '2025-03-01T22:30:00+00:00',
+        end_time: '2025-03-01T23:00:00+00:00',
+        notes: null,
+        ticket_required: false,
+      },
+    ];
+
+    const diff = buildImportDiff(resolved, existing);
+
+    expect(diff.rows.map(row => row.status)).toEqual([
+      IMPORT_STATUS.UNCHANGED,
+      IMPORT_STATUS.UPDATE,
+      IMPORT_STATUS.CREATE,
+      IMPORT_STATUS.ERROR,
+    ]);
+    expect(diff.rows[1].changes).toEqual({
+      festival_id: { from: null, to: 'fest-1' },
+      ticket_required: { from: false, to: true },
+    });
+    expect(diff.summary).toEqual({ create: 1, update: 1, unchanged: 1, error: 1 });
+
+    expect(getStagingChanges(diff)).toEqual([
+      {
+        entity_type: 'concert',
+        action: 'update',
+        record_id: 'concert-2',
+        proposed: { festival_id: 'fest-1', ticket_required: true },
+        source_url: null,
+        dedupe_key: 'concert:update:concert-2',
+      },
+      {
+        entity_type: 'concert',
+        action: 'insert',
+        record_id: null,
+        proposed: {
+          artist_id: 'artist-1',
+          venue_id: 'venue-1',
+          festival_id: 'fest-1',
+          start_time: '2025-03-01T23:45:00.000Z',
+          end_time: '2025-03-02T00:15:00.000Z',
+          ticket_required: false,
+        },
+        source_url: null,
+        dedupe_key: `concert:insert:artist-1|venue-1|${Date.parse('2025-03-01T23:45:00.000Z')}`,
+      },
+    ]);
+  });
+});
+
+describe('buildErrorReport', () => {
+  test('lists rows with errors and the commit error', () => {
+    const rows = resolveImportRows(
+      [{ artist: 'Spaceship Earth', venue: 'America Gardens Theatre', date: '2025-03-01' }],
+      REFERENCES
+    );
+
+    expect(buildErrorReport(rows, { commitError: 'permission denied' })).toBe(
+      'row,artist,venue,date,start_time,errors\n' +
+        '1,Spaceship Earth,America Gardens Theatre,2025-03-01,,' +
+        '"No artist matches ""Spaceship Earth""; Missing or invalid start time"\n' +
+        ',,,,,Sending changes for review failed: permission denied\n'
+    );
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Tests for the ingestion pipeline
+ * Runs the source adapters against saved HTML fixtures (no network), and checks
+ * normalization, matching against live records and staging in the review queue
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getAdapter } from '../../functions/ingest/adapters';
+import { cleanTime, validateDate, deduplicateItems } from '../../functions/ingest/dataUtils';
+import {
+  getDueSources,
+  normalizeConcert,
+  buildArtistChanges,
+  runIngestion,
+} from '../../functions/ingest/pipeline';
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'ingestion');
+
+// Fixture served for each URL the adapters request
+const PAGES = {
+  'https://example.com/garden-rocks': 'festival-schedule.html',
+  'https://example.com/performers': 'artist-list.html',
+  'https://example.com/performers/hollywood-nights': 'artist-hollywood-nights.html',
+  'https://example.com/performers/sugar-ray': 'artist-sugar-ray.html',
+};
+
+const fetchPage = async url => {
+  if (!PAGES[url]) throw new Error(`${url} responded with 404`);
+  return fs.readFileSync(path.join(FIXTURES, PAGES[url]), 'utf8');
+};
+
+const SCHEDULE_CONFIG = {
+  type: 'schedulePage',
+  url: 'https://example.com/garden-rocks',
+  itemSelector: '.performance',
+  selectors: {
+    artist: '.performer',
+    venue: '.stage',
+    date: '.date',
+    start_time: '.time',
+    notes: '.note',
+  },
+  defaults: { festival: 'Flower & Garden' },
+};
+
+const ARTIST_CONFIG = {
+  type: 'listPage',
+  listPageUrl: 'https://example.com/performers',
+  listItemSelector: 'a.performer-link',
+  delayMs: 0,
+  selectors: {
+    name: '.name',
+    description: '.bio',
+    image_url: { selector: 'img.photo', attr: 'data-src' },
+    website_url: 'a.website@href',
+    genres: { selector: '.genres li', all: true },
+  },
+};
+
+const SOURCE = {
+  id: 'source-1',
+  name: 'Garden Rocks',
+  url: 'https://example.com/garden-rocks',
+  active: true,
+  scraping_frequency: 'daily',
+  last_scraped: null,
+  scraper_config: { artists: ARTIST_CONFIG, concerts: SCHEDULE_CONFIG },
+};
+
+const ARTISTS = [
+  {
+    id: 'artist-1',
+    name: 'Hollywood Nights',
+    description: 'A tribute to Bob Seger & the Silver Bullet Band.',
+    image_url: null,
+    website_url: 'https://hollywoodnightsband.example.com/',
+    genres: ['Tribute', 'Rock'],
+  },
+  { id: 'artist-2', name: 'Boyz II Men', description: null, genres: null },
+];
+
+describe('dataUtils', () => {
+  test('reads scraped dates and times', () => {
+    expect(validateDate('Date: Saturday, March 1st, 2025')).toBe('2025-03-01');
+    expect(validateDate('3/1/25')).toBe('2025-03-01');
+    expect(validateDate('01.03.2025', 'dd.MM.yyyy')).toBe('2025-03-01');
+    expect(validateDate('TBA')).toBeNull();
+    expect(cleanTime(' 5:30 p.m. ')).toBe('5:30 PM');
+  });
+
+  test('deduplicates by normalized name or a key function', () => {
+    expect(deduplicateItems([{ name: 'Boyz II Men' }, { name: 'boyz ii men!' }])).toHaveLength(1);
+    expect(deduplicateItems([{ a: 1 }, { a: 2 }, { a: 1 }], item => item.a)).toEqual([
+      { a: 1 },
+      { a: 2 },
+    ]);
+  });
+});
+
+describe('source adapters', () => {
+  test('schedulePage extracts one record per item', async () => {
+    const records = await getAdapter('schedulePage').extract({
+      source: SOURCE,
+      config: SCHEDULE_CONFIG,
+      fetchPage,
+    });
+
+    expect(records).toHaveLength(4);
+    expect(records[0]).toEqual({
+      artist: 'Hollywood Nights',
+      venue: 'America Gardens Theatre',
+      date: 'Date: Saturday, March 1st, 2025',
+      start_time: '5:30 p.m.',
+      notes: null,
+      source_url: 'https://example.com/garden-rocks',
+    });
+  });
+
+  test('listPage follows unique links and resolves relative URLs', async () => {
+    const records = await getAdapter('listPage').extract({
+      source: SOURCE,
+      config: ARTIST_CONFIG,
+      fetchPage,
+    });
+
+    expect(records.map(record => record.name)).toEqual(['Hollywood Nights', 'Sugar Ray']);
+    expect(records[1]).toMatchObject({
+      image_url: 'https://example.com/images/sugar-ray.jpg',
+      website_url: null,
+      genres: ['Pop Rock'],
+      source_url: 'https://example.com/performers/sugar-ray',
+    });
+  });
+
+  test('unknown adapter types are rejected', () => {
+    expect(() => getAdapter('carrierPigeon')).toThrow('Unknown source adapter "carrierPigeon"');
+  });
+});
+
+describe('pipeline', () => {
+  test('getDueSources respects scraping_frequency unless forced', () => {
+    const now = new Date('2025-03-10T12:00:00Z');
+    const sources = [
+      { id: 'never', active: true, last_scraped: null },
+      {
+        id: 'daily',
+        active: true,
+        scraping_frequency: 'daily',
+        last_scraped: '2025-03-09T11:00:00Z',
+      },
+      {
+        id: 'weekly',
+        active: true,
+        scraping_frequency: 'weekly',
+        last_scraped: '2025-03-05T12:00:00Z',
+      },
+      { id: 'inactive', active: false, last_scraped: null },
+    ];
+
+    expect(getDueSources(sources, now).map(source => source.id)).toEqual(['never', 'daily']);
+    expect(getDueSources(sources, now, true).map(source => source.id)).toEqual([
+      'never',
+      'daily',
+      'weekly',
+    ]);
+  });
+
+  test('normalizeConcert omits blank fields and applies defaults', () => {
+    expect(
+      normalizeConcert(
+        {
+          artist: ' Boyz  II Men ',
+          date: 'Date: Saturday, March 1st, 2025',
+          start_time: '6:45 p.m.',
+          notes: '',
+        },
+        { defaults: { festival: 'Flower & Garden', venue: 'America Gardens Theatre' } }
+      )
+    ).toEqual({
+      artist: 'Boyz II Men',
+      venue: 'America Gardens Theatre',
+      festival: 'Flower & Garden',
+      date: '2025-03-01',
+      start_time: '6:45 PM',
+      source_url: null,
+    });
+  });
+
+  test('buildArtistChanges proposes new artists and changed fields only', () => {
+    const changes = buildArtistChanges(
+      [
+        {
+          name: 'Hollywood Nights',
+          description: 'A tribute to Bob Seger & the Silver Bullet Band.',
+          image_url: 'https://example.com/images/hollywood-nights.jpg',
+          genres: ['Rock', 'Tribute'],
+        },
+        { name: 'Boyz II Men' },
+        { name: 'Sugar Ray', genres: ['Pop Rock'] },
+      ],
+      ARTISTS
+    );
+
+    expect(changes).toEqual([
+      expect.objectContaining({
+        action: 'update',
+        record_id: 'artist-1',
+        proposed: {
+          image_url: 'https://example.com/images/hollywood-nights.jpg',
+          genres: ['Rock', 'Tribute'],
+        },
+      }),
+      expect.objectContaining({
+        action: 'insert',
+        record_id: null,
+        proposed: {
+          name: 'Sugar Ray',
+          description: null,
+          image_url: null,
+          website_url: null,
+          genres: ['Pop Rock'],
+        },
+        dedupe_key: 'artist:insert:sugar ray',
+      }),
+    ]);
+  });
+});
+
+/**
+ * Create a mocked Supabase client that resolves each table to a fixed result
+ */
+const createSupabase = tables => {
+  const calls = [];
+  const from = jest.fn(table => {
+    let result = tables[table] || { data: [], error: null };
+    const query = {};
+    ['select', 'eq', 'in', 'is', 'gte', 'lte', 'update'].forEach(method => {
+      query[method] = jest.fn((...args) => {
+        calls.push({ table, method, args });
+        return query;
+      });
+    });
+    query.insert = jest.fn(rows => {
+      calls.push({ table, method: 'insert', args: [rows] });
+      if (table === 'scraping_runs') result = { data: { id: 'run-1' }, error: null };
+      return query;
+    });
+    query.single = jest.fn(() => query);
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+  });
+
+  return { from, calls };
+};
+
+describe('runIngestion', () => {
+  const tables = pending => ({
+    data_sources: { data: [SOURCE], error: null },
+    artists: { data: ARTISTS, error: null },
+    venues: { data: [{ id: 'venue-1', name: 'America Gardens Theatre' }], error: null },
+    festivals: {
+      data: [{ id: 'fest-1', name: 'EPCOT International Flower & Garden Festival' }],
+      error: null,
+    },
+    concerts: {
+      data: [
+        {
+          id: 'concert-1',
+          artist_id: 'artist-1',
+          venue_id: 'venue-1',
+          festival_id: 'fest-1',
+          start_time: '2025-03-01T22:30:00+00:00',
+          end_time: null,
+          notes: null,
+          ticket_required: false,
+        },
+      ],
+      error: null,
+    },
+    staging_changes: { data: pending, error: null },
+  });
+
+  test('stages scraped changes for review without touching live tables', async () => {
+    const supabase = createSupabase(tables([]));
+
+    const stats = await runIngestion({
+      supabase,
+      fetchPage,
+      now: new Date('2025-02-20T09:00:00Z'),
+    });
+
+    expect(stats).toMatchObject({
+      runId: 'run-1',
+      sources: 1,
+      artistsFound: 2,
+      concertsFound: 4,
+      staged: 3,
+      refreshed: 0,
+      unchanged: 0,
+    });
+    expect(stats.errors).toEqual([
+      expect.objectContaining({
+        source: 'Garden Rocks',
+        artist: 'The Unknown Quartet',
+        errors: ['No artist matches "The Unknown Quartet"'],
+      }),
+    ]);
+
+    const staged = supabase.calls
+      .filter(call => call.table === 'staging_changes' && call.method === 'insert')
+      .flatMap(call => call.args[0]);
+    expect(staged.map(change => [change.entity_type, change.action])).toEqual([
+      ['artist', 'update'],
+      ['artist', 'insert'],
+      ['concert', 'insert'],
+    ]);
+    expect(staged[2]).toMatchObject({
+      source: 'scraper',
+      run_id: 'run-1',
+      data_source_id: 'source-1',
+      proposed: {
+        artist_id: 'artist-2',
+        venue_id: 'venue-1',
+        festival_id: 'fest-1',
+        start_time: '2025-03-01T23:45:00.000Z',
+        notes: 'Limited seating. Dining packages available.',
+        ticket_required: false,
+      },
+    });
+
+    const writes = supabase.calls.filter(
+      call =>
+        ['insert', 'update'].includes(call.method) && ['artists', 'concerts'].includes(call.table)
+    );
+    expect(writes).toEqual([]);
+    expect(supabase.calls).toContainEqual({
+      table: 'data_sources',
+      method: 'update',
+      args: [{ last_scraped: '2025-02-20T09:00:00.000Z' }],
+    });
+  });
+
+  test('refreshes pending proposals instead of queueing them twice', async () => {
+    const supabase = createSupabase(
+      tables([
+        {
+          id: 'change-1',
+          dedupe_key: 'artist:insert:sugar ray',
+          proposed: {
+            genres: ['Pop Rock'],
+            name: 'Sugar Ray',
+            website_url: null,
+            image_url: 'https://example.com/images/sugar-ray.jpg',
+            description: 'Nineties hitmakers behind "Every Morning" and "Fly".',
+          },
+        },
+        { id: 'change-2', dedupe_key: 'artist:update:artist-1', proposed: { genres: ['Rock'] } },
+      ])
+    );
+
+    const stats = await runIngestion({
+      supabase,
+      fetchPage,
+      now: new Date('2025-02-20T09:00:00Z'),
+    });
+
+    expect(stats).toMatchObject({ staged: 1, refreshed: 1, unchanged: 1 });
+    expect(supabase.calls).toContainEqual({
+      table: 'staging_changes',
+      method: 'update',
+      args: [expect.objectContaining({ run_id: 'run-1' })],
+    });
+    expect(supabase.calls).toContainEqual({
+      table: 'staging_changes',
+      method: 'eq',
+      args: ['id', 'change-2'],
+    });
+  });
+});
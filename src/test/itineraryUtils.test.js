@@ -0,0 +1,156 @@
+/**
+ * Tests for the itinerary utility functions
+ * Focuses on ordering, conflict detection and the suggested plan
+ */
+
+import {
+  sortByTime,
+  findConflicts,
+  suggestBestPlan,
+  buildItinerary,
+  getWalkBetween,
+  CONFLICT_TYPES,
+} from '../utils/itineraryUtils';
+import { indexWalkingTimes } from '../utils/walkingUtils';
+
+/**
+ * Build a concert fixture at a park
+ */
+const makeConcert = (id, start, end, parkId = 'epcot') => ({
+  id,
+  start_time: `2025-03-01T${start}:00-05:00`,
+  end_time: end ? `2025-03-01T${end}:00-05:00` : null,
+  artists: { id: `artist-${id}`, name: `Artist ${id}` },
+  venues: { id: `venue-${id}`, name: `Venue ${id}`, parks: { id: parkId, name: parkId } },
+});
+
+/**
+ * Place a concert's venue at a location
+ */
+const atVenue = (concert, latitude = null, longitude = null) => ({
+  ...concert,
+  venues: { ...concert.venues, latitude, longitude },
+});
+
+describe('Itinerary Utils', () => {
+  test('sortByTime orders by start time then end time', () => {
+    const concerts = [
+      makeConcert('c', '18:00', '18:30'),
+      makeConcert('a', '17:00', '17:45'),
+      makeConcert('b', '17:00', '17:30'),
+    ];
+
+    expect(sortByTime(concerts).map(c => c.id)).toEqual(['b', 'a', 'c']);
+  });
+
+  test('findConflicts flags overlapping sets', () => {
+    const concerts = [makeConcert('a', '17:00', '17:30'), makeConcert('b', '17:15', '17:45')];
+
+    const conflicts = findConflicts(concerts);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].type).toBe(CONFLICT_TYPES.OVERLAP);
+  });
+
+  test('findConflicts treats back-to-back sets in the same park as compatible', () => {
+    const concerts = [makeConcert('a', '17:00', '17:30'), makeConcert('b', '17:30', '18:00')];
+
+    expect(findConflicts(concerts)).toEqual([]);
+  });
+
+  test('findConflicts flags sets in different parks without time to travel', () => {
+    const concerts = [
+      makeConcert('a', '17:00', '17:30', 'epcot'),
+      makeConcert('b', '18:00', '18:30', 'magic-kingdom'),
+    ];
+
+    const conflicts = findConflicts(concerts);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].type).toBe(CONFLICT_TYPES.PARK_CHANGE);
+    expect(findConflicts(concerts, { transferMinutes: 30 })).toEqual([]);
+  });
+
+  test('sets without an end time are treated as one hour long', () => {
+    const concerts = [makeConcert('a', '17:00', null), makeConcert('b', '17:45', '18:15')];
+
+    expect(findConflicts(concerts)[0].type).toBe(CONFLICT_TYPES.OVERLAP);
+  });
+
+  test('suggestBestPlan picks the largest conflict-free subset', () => {
+    // One long set overlaps three short sets that fit back to back
+    const concerts = [
+      makeConcert('long', '17:00', '19:00'),
+      makeConcert('s1', '17:00', '17:30'),
+      makeConcert('s2', '17:45', '18:15'),
+      makeConcert('s3', '18:30', '19:00'),
+    ];
+
+    expect(suggestBestPlan(concerts).map(c => c.id)).toEqual(['s1', 's2', 's3']);
+  });
+
+  test('suggestBestPlan accounts for park changes', () => {
+    const concerts = [
+      makeConcert('a', '17:00', '17:30', 'epcot'),
+      makeConcert('b', '17:45', '18:15', 'magic-kingdom'),
+      makeConcert('c', '18:30', '19:00', 'epcot'),
+    ];
+
+    expect(suggestBestPlan(concerts).map(c => c.id)).toEqual(['a', 'c']);
+  });
+
+  test('getWalkBetween compares the walk with the gap between sets', () => {
+    // About 600 m apart, so roughly a 13 minute walk
+    const first = atVenue(makeConcert('a', '17:00', '17:30'), 28.3686, -81.5494);
+    const next = atVenue(makeConcert('b', '17:40', '18:10'), 28.3686, -81.5432);
+
+    expect(getWalkBetween(first, next)).toEqual({ minutes: 13, gapMinutes: 10, tooShort: true });
+    expect(getWalkBetween(first, atVenue(makeConcert('c', '18:00', '18:30')))).toBeNull();
+  });
+
+  test('findConflicts flags sets too far apart to walk between', () => {
+    const concerts = [
+      atVenue(makeConcert('a', '17:00', '17:30'), 28.3686, -81.5494),
+      atVenue(makeConcert('b', '17:40', '18:10'), 28.3686, -81.5432),
+    ];
+
+    const conflicts = findConflicts(concerts);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].type).toBe(CONFLICT_TYPES.WALK);
+  });
+
+  test('recorded walking times replace the coordinate estimate', () => {
+    const concerts = [
+      atVenue(makeConcert('a', '17:00', '17:30'), 28.3686, -81.5494),
+      atVenue(makeConcert('b', '17:40', '18:10'), 28.3686, -81.5432),
+      makeConcert('c', '17:35', '18:30'),
+    ];
+    const walkingTimes = indexWalkingTimes([
+      { from_venue_id: 'venue-a', to_venue_id: 'venue-b', minutes: 8 },
+    ]);
+
+    expect(findConflicts(concerts.slice(0, 2), { walkingTimes })).toEqual([]);
+    expect(suggestBestPlan(concerts, { walkingTimes }).map(c => c.id)).toEqual(['a', 'b']);
+    expect(suggestBestPlan(concerts).map(c => c.id)).toEqual(['a', 'c']);
+  });
+
+  test('buildItinerary returns conflicting and suggested IDs', () => {
+    const concerts = [makeConcert('a', '17:00', '17:30'), makeConcert('b', '17:15', '17:45')];
+
+    const itinerary = buildItinerary(concerts);
+
+    expect(itinerary.items.map(c => c.id)).toEqual(['a', 'b']);
+    expect([...itinerary.conflictingIds].sort()).toEqual(['a', 'b']);
+    expect(itinerary.suggestedPlan).toHaveLength(1);
+    expect(itinerary.suggestedIds.has('a')).toBe(true);
+  });
+
+  test('buildItinerary handles an empty day', () => {
+    const itinerary = buildItinerary([]);
+
+    expect(itinerary.items).toEqual([]);
+    expect(itinerary.conflicts).toEqual([]);
+    expect(itinerary.suggestedPlan).toEqual([]);
+  });
+});
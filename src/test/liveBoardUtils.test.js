@@ -0,0 +1,87 @@
+/**
+ * Tests for the live board utility functions
+ * Focuses on which sets count as on now or up next, and how they're grouped
+ */
+
+import { getLiveBoard, getMinutesUntil, formatCountdown } from '../utils/liveBoardUtils';
+
+const epcot = { id: 'p1', name: 'EPCOT' };
+const magicKingdom = { id: 'p2', name: 'Magic Kingdom' };
+
+const now = new Date('2025-05-01T20:00:00Z');
+
+const concert = (id, start, end, park = epcot) => ({
+  id,
+  start_time: start,
+  end_time: end,
+  venues: { id: `venue-${id}`, name: 'Stage', parks: park },
+});
+
+describe('Live Board Utils', () => {
+  test('getMinutesUntil rounds up and stops at zero', () => {
+    expect(getMinutesUntil('2025-05-01T20:30:00Z', now)).toBe(30);
+    expect(getMinutesUntil('2025-05-01T20:00:20Z', now)).toBe(1);
+    expect(getMinutesUntil('2025-05-01T19:00:00Z', now)).toBe(0);
+  });
+
+  test('formatCountdown reads naturally', () => {
+    expect(formatCountdown(0)).toBe('under a minute');
+    expect(formatCountdown(45)).toBe('45 min');
+    expect(formatCountdown(60)).toBe('1 hr');
+    expect(formatCountdown(65)).toBe('1 hr 5 min');
+  });
+
+  test('getLiveBoard splits sets into playing now and starting within the hour', () => {
+    const board = getLiveBoard(
+      [
+        concert('playing', '2025-05-01T19:30:00Z', '2025-05-01T20:30:00Z'),
+        concert('soon', '2025-05-01T20:45:00Z', '2025-05-01T21:30:00Z'),
+        concert('later', '2025-05-01T21:15:00Z', '2025-05-01T22:00:00Z'),
+        concert('finished', '2025-05-01T18:00:00Z', '2025-05-01T20:00:00Z'),
+      ],
+      now
+    );
+
+    expect(board).toHaveLength(1);
+    expect(board[0].park).toEqual(epcot);
+    expect(board[0].happeningNow.map(c => c.id)).toEqual(['playing']);
+    expect(board[0].upNext.map(c => c.id)).toEqual(['soon']);
+  });
+
+  test('getLiveBoard groups by park, orders sets and ignores duplicates', () => {
+    const endsLater = concert('a', '2025-05-01T19:00:00Z', '2025-05-01T20:50:00Z');
+    const board = getLiveBoard(
+      [
+        concert('mk', '2025-05-01T20:10:00Z', null, magicKingdom),
+        endsLater,
+        concert('b', '2025-05-01T19:45:00Z', '2025-05-01T20:15:00Z'),
+        endsLater,
+      ],
+      now
+    );
+
+    expect(board.map(group => group.park.name)).toEqual(['EPCOT', 'Magic Kingdom']);
+    expect(board[0].happeningNow.map(c => c.id)).toEqual(['b', 'a']);
+    expect(board[1].upNext.map(c => c.id)).toEqual(['mk']);
+  });
+
+  test('getLiveBoard keeps sets without a known park', () => {
+    const board = getLiveBoard(
+      [{ id: 'x', start_time: '2025-05-01T20:20:00Z', venues: { id: 'v', name: 'Stage' } }],
+      now
+    );
+
+    expect(board[0].park.name).toBe('Other venues');
+    expect(board[0].upNext).toHaveLength(1);
+  });
+
+  test('getLiveBoard honours a custom up next window', () => {
+    const board = getLiveBoard(
+      [concert('soon', '2025-05-01T20:45:00Z', '2025-05-01T21:30:00Z')],
+      now,
+      { upNextMinutes: 30 }
+    );
+
+    expect(board).toEqual([]);
+  });
+});
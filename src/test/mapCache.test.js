@@ -0,0 +1,67 @@
+/**
+ * Tests for the static map index lookup
+ * Focuses on exact venue ID lookups and picking the closest map size
+ */
+
+const MAP_INDEX = {
+  version: 2,
+  venues: {
+    'venue-1': {
+      name: 'America Gardens Theatre',
+      latitude: 28.373058,
+      longitude: -81.549795,
+      maps: {
+        '800x400': { path: '/images/maps/venue-1_800x400.png', hash: 'aaaa1111' },
+        '400x250': { path: '/images/maps/venue-1_400x250.png', hash: 'bbbb2222' },
+      },
+    },
+  },
+};
+
+/**
+ * Load a fresh copy of mapCache, so each test starts without a loaded index
+ */
+const loadMapCache = () => {
+  let mapCache;
+  jest.isolateModules(() => {
+    mapCache = require('../utils/mapCache');
+  });
+  return mapCache;
+};
+
+describe('Map Cache', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => MAP_INDEX });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('getStaticMapPath returns the closest size with its content hash', async () => {
+    const { getStaticMapPath } = loadMapCache();
+
+    expect(await getStaticMapPath('venue-1', 800, 300)).toBe(
+      '/images/maps/venue-1_800x400.png?v=aaaa1111'
+    );
+    expect(await getStaticMapPath('venue-1', 400, 300)).toBe(
+      '/images/maps/venue-1_400x250.png?v=bbbb2222'
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('getStaticMapPath never falls back to another venue', async () => {
+    const { getStaticMapPath } = loadMapCache();
+
+    expect(await getStaticMapPath('venue-2', 800, 400)).toBeNull();
+    expect(await getStaticMapPath(undefined, 800, 400)).toBeNull();
+  });
+
+  test('getStaticMapPath returns null when the index is missing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockResolvedValue({ ok: false });
+    const { getStaticMapPath } = loadMapCache();
+
+    expect(await getStaticMapPath('venue-1', 800, 400)).toBeNull();
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for the offline cache
+ * Uses a minimal in-memory IndexedDB so cached fallbacks and the favorites queue can run in jsdom
+ */
+
+/**
+ * Create a minimal in-memory IndexedDB implementation
+ */
+const createFakeIndexedDB = () => {
+  const stores = {};
+
+  const createRequest = (transaction, run) => {
+    const request = {};
+    transaction.pending.push(() => {
+      request.result = run();
+    });
+    return request;
+  };
+
+  const db = {
+    objectStoreNames: { contains: name => Boolean(stores[name]) },
+    createObjectStore: (name, { keyPath, autoIncrement }) => {
+      stores[name] = { keyPath, autoIncrement, records: new Map(), nextId: 1 };
+    },
+    transaction: storeName => {
+      const store = stores[storeName];
+      const transaction = { pending: [] };
+
+      transaction.objectStore = () => ({
+        get: key => createRequest(transaction, () => store.records.get(key)),
+        getAll: () => createRequest(transaction, () => [...store.records.values()]),
+        delete: key => createRequest(transaction, () => store.records.delete(key)),
+        put: value =>
+          createRequest(transaction, () => store.records.set(value[store.keyPath], value)),
+        add: value =>
+          createRequest(transaction, () => {
+            const id = store.nextId++;
+            store.records.set(id, { ...value, [store.keyPath]: id });
+            return id;
+          }),
+      });
+
+      setTimeout(() => {
+        transaction.pending.forEach(run => run());
+        transaction.oncomplete();
+      });
+
+      return transaction;
+    },
+  };
+
+  return {
+    open: () => {
+      const request = { result: db };
+      setTimeout(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+};
+
+describe('offlineCache', () => {
+  let offlineCache;
+  let onLine;
+
+  beforeEach(() => {
+    jest.resetModules();
+    global.indexedDB = createFakeIndexedDB();
+    onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(true);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    offlineCache = require('../services/offlineCache');
+  });
+
+  afterEach(() => {
+    delete global.indexedDB;
+    jest.restoreAllMocks();
+  });
+
+  test('caches successful responses and serves them when the request fails', async () => {
+    const service = { getConcertsByDate: jest.fn().mockResolvedValue([{ id: 'c1' }]) };
+    const cached = offlineCache.withOfflineCache(service, 'concerts', ['getConcertsByDate']);
+
+    await expect(cached.getConcertsByDate('2025-03-01')).resolves.toEqual([{ id: 'c1' }]);
+    expect(offlineCache.getStaleSince()).toBeNull();
+
+    // Let the fire-and-forget cache write finish
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    service.getConcertsByDate.mockRejectedValue(new Error('Failed to fetch'));
+    await expect(cached.getConcertsByDate('2025-03-01', {})).resolves.toEqual([{ id: 'c1' }]);
+    expect(offlineCache.getStaleSince()).toEqual(expect.any(Number));
+  });
+
+  test('uses the cache without a request while offline', async () => {
+    const service = { getFestivalById: jest.fn().mockResolvedValue({ id: 'f1' }) };
+    const cached = offlineCache.withOfflineCache(service, 'festivals', ['getFestivalById']);
+
+    await cached.getFestivalById('f1');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    onLine.mockReturnValue(false);
+    await expect(cached.getFestivalById('f1')).resolves.toEqual({ id: 'f1' });
+    expect(service.getFestivalById).toHaveBeenCalledTimes(1);
+  });
+
+  test('rethrows errors that are not network failures', async () => {
+    const service = { getArtistById: jest.fn().mockResolvedValue({ id: 'a1' }) };
+    const cached = offlineCache.withOfflineCache(service, 'artists', ['getArtistById']);
+
+    await cached.getArtistById('a1');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const error = { message: 'permission denied for table artists', code: '42501' };
+    service.getArtistById.mockRejectedValue(error);
+    await expect(cached.getArtistById('a1')).rejects.toBe(error);
+    expect(offlineCache.getStaleSince()).toBeNull();
+  });
+
+  test('rethrows when nothing is cached', async () => {
+    const error = new Error('Failed to fetch');
+    const service = { getVenueById: jest.fn().mockRejectedValue(error) };
+    const cached = offlineCache.withOfflineCache(service, 'venues', ['getVenueById']);
+
+    await expect(cached.getVenueById('v1')).rejects.toBe(error);
+  });
+
+  test('queues favorite toggles and cancels opposite toggles', async () => {
+    const toggle = { userId: 'u1', entityType: 'concerts', entityId: 'c1' };
+
+    await offlineCache.queueFavoriteToggle({ ...toggle, action: 'add' });
+    await offlineCache.queueFavoriteToggle({ ...toggle, entityId: 'c2', action: 'remove' });
+    await offlineCache.queueFavoriteToggle({ ...toggle, userId: 'u2', action: 'add' });
+
+    const queued = await offlineCache.getQueuedFavoriteToggles('u1');
+    expect(queued.map(({ entityId, action }) => [entityId, action])).toEqual([
+      ['c1', 'add'],
+      ['c2', 'remove'],
+    ]);
+
+    await offlineCache.queueFavoriteToggle({ ...toggle, action: 'remove' });
+    expect(await offlineCache.getQueuedFavoriteToggles('u1')).toHaveLength(1);
+  });
+
+  test('applyQueuedFavoriteToggles applies toggles in order', () => {
+    const favorites = { concerts: ['c1', 'c2'], artists: [] };
+    const toggles = [
+      { entityType: 'concerts', entityId: 'c2', action: 'remove' },
+      { entityType: 'artists', entityId: 'a1', action: 'add' },
+    ];
+
+    expect(offlineCache.applyQueuedFavoriteToggles(favorites, toggles)).toEqual({
+      concerts: ['c1'],
+      artists: ['a1'],
+    });
+  });
+
+  test('isNetworkError recognises connection failures', () => {
+    expect(offlineCache.isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(offlineCache.isNetworkError({ message: 'TypeError: Failed to fetch' })).toBe(true);
+    expect(offlineCache.isNetworkError({ message: 'duplicate key value' })).toBe(false);
+
+    onLine.mockReturnValue(false);
+    expect(offlineCache.isNetworkError({ message: 'duplicate key value' })).toBe(true);
+  });
+});
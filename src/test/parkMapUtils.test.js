@@ -0,0 +1,82 @@
+/**
+ * Tests for the park map utility functions
+ * Focuses on venue pin status and which venues can be mapped
+ */
+
+import {
+  getVenueStatus,
+  getVenueStatuses,
+  getVenueBounds,
+  hasCoordinates,
+  VENUE_STATUS,
+} from '../utils/parkMapUtils';
+
+const NOW = new Date('2025-03-01T18:00:00-05:00');
+
+/**
+ * Build a concert fixture at a venue
+ */
+const makeConcert = (id, start, end, venueId = 'v1') => ({
+  id,
+  start_time: `2025-03-01T${start}:00-05:00`,
+  end_time: end ? `2025-03-01T${end}:00-05:00` : null,
+  venues: { id: venueId, name: `Venue ${venueId}` },
+});
+
+describe('Park Map Utils', () => {
+  test('getVenueStatus reports a set in progress as playing', () => {
+    const playing = makeConcert('a', '17:30', '18:15');
+
+    expect(getVenueStatus([makeConcert('b', '18:20', '19:00'), playing], NOW)).toEqual({
+      status: VENUE_STATUS.PLAYING,
+      concert: playing,
+    });
+  });
+
+  test('getVenueStatus assumes a one-hour set when there is no end time', () => {
+    expect(getVenueStatus([makeConcert('a', '17:15', null)], NOW).status).toBe(
+      VENUE_STATUS.PLAYING
+    );
+    expect(getVenueStatus([makeConcert('a', '16:45', null)], NOW).status).toBe(VENUE_STATUS.IDLE);
+  });
+
+  test('getVenueStatus picks the earliest set starting within 30 minutes', () => {
+    const soonest = makeConcert('b', '18:10', '18:40');
+
+    expect(
+      getVenueStatus([makeConcert('a', '18:25', '19:00'), soonest, makeConcert('c', '18:45')], NOW)
+    ).toEqual({ status: VENUE_STATUS.STARTING_SOON, concert: soonest });
+  });
+
+  test('getVenueStatus is idle when nothing is on or about to start', () => {
+    expect(
+      getVenueStatus([makeConcert('a', '16:00', '17:00'), makeConcert('b', '18:31')], NOW)
+    ).toEqual({ status: VENUE_STATUS.IDLE, concert: null });
+  });
+
+  test('getVenueStatuses groups concerts by venue', () => {
+    const statuses = getVenueStatuses(
+      [makeConcert('a', '17:30', '18:30', 'v1'), makeConcert('b', '18:15', '19:00', 'v2')],
+      NOW
+    );
+
+    expect(statuses.v1.status).toBe(VENUE_STATUS.PLAYING);
+    expect(statuses.v2.status).toBe(VENUE_STATUS.STARTING_SOON);
+    expect(statuses.v3).toBeUndefined();
+  });
+
+  test('hasCoordinates and getVenueBounds skip venues without a location', () => {
+    const venues = [
+      { id: 'v1', latitude: 28.3686, longitude: -81.5494 },
+      { id: 'v2', latitude: '28.3722', longitude: '-81.5467' },
+      { id: 'v3', latitude: null, longitude: -81.55 },
+    ];
+
+    expect(venues.map(hasCoordinates)).toEqual([true, true, false]);
+    expect(getVenueBounds(venues)).toEqual([
+      [28.3686, -81.5494],
+      [28.3722, -81.5467],
+    ]);
+    expect(getVenueBounds([venues[2]])).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for the admin role permissions
+ * Covers what each role can reach and the festival manager's record scope
+ */
+
+import {
+  ROLES,
+  PERMISSIONS,
+  getAdminRoles,
+  hasPermission,
+  canEditRecord,
+} from '../utils/permissions';
+
+const profile = (roles, scope = {}) => ({ id: 'user-1', roles, ...scope });
+
+describe('getAdminRoles', () => {
+  test('ignores missing and unknown roles', () => {
+    expect(getAdminRoles(null)).toEqual([]);
+    expect(getAdminRoles(profile(null))).toEqual([]);
+    expect(getAdminRoles(profile(['user', ROLES.EDITOR]))).toEqual([ROLES.EDITOR]);
+  });
+});
+
+describe('hasPermission', () => {
+  test('gives users without an admin role nothing', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission(profile([]), permission)).toBe(false);
+    });
+  });
+
+  test('lets viewers into the admin area without editing anything', () => {
+    const viewer = profile([ROLES.VIEWER]);
+
+    expect(hasPermission(viewer, PERMISSIONS.VIEW_ADMIN)).toBe(true);
+    expect(hasPermission(viewer, PERMISSIONS.EDIT_CONCERTS)).toBe(false);
+    expect(hasPermission(viewer, PERMISSIONS.EDIT_FESTIVALS)).toBe(false);
+    expect(hasPermission(viewer, PERMISSIONS.MANAGE_SITE)).toBe(false);
+  });
+
+  test('limits editors to concerts', () => {
+    const editor = profile([ROLES.EDITOR]);
+
+    expect(hasPermission(editor, PERMISSIONS.EDIT_CONCERTS)).toBe(true);
+    expect(hasPermission(editor, PERMISSIONS.EDIT_ARTISTS)).toBe(false);
+    expect(hasPermission(editor, PERMISSIONS.EDIT_VENUES)).toBe(false);
+    expect(hasPermission(editor, PERMISSIONS.EDIT_FESTIVALS)).toBe(false);
+    expect(hasPermission(editor, PERMISSIONS.MANAGE_SITE)).toBe(false);
+  });
+
+  test('lets festival managers edit festivals and concerts only', () => {
+    const manager = profile([ROLES.FESTIVAL_MANAGER]);
+
+    expect(hasPermission(manager, PERMISSIONS.EDIT_FESTIVALS)).toBe(true);
+    expect(hasPermission(manager, PERMISSIONS.EDIT_CONCERTS)).toBe(true);
+    expect(hasPermission(manager, PERMISSIONS.EDIT_ARTISTS)).toBe(false);
+    expect(hasPermission(manager, PERMISSIONS.MANAGE_SITE)).toBe(false);
+  });
+
+  test('gives super-admins every permission', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission(profile([ROLES.SUPER_ADMIN]), permission)).toBe(true);
+    });
+  });
+
+  test('combines the permissions of several roles', () => {
+    const user = profile([ROLES.VIEWER, ROLES.EDITOR]);
+
+    expect(hasPermission(user, PERMISSIONS.EDIT_CONCERTS)).toBe(true);
+    expect(hasPermission(user, PERMISSIONS.EDIT_FESTIVALS)).toBe(false);
+  });
+});
+
+describe('canEditRecord', () => {
+  const manager = profile([ROLES.FESTIVAL_MANAGER], {
+    managed_festival_ids: ['festival-1'],
+    managed_park_ids: ['park-1'],
+  });
+
+  test('lets super-admins edit any record', () => {
+    const admin = profile([ROLES.SUPER_ADMIN]);
+
+    expect(canEditRecord(admin, 'artists', { id: 'artist-1' })).toBe(true);
+    expect(canEditRecord(admin, 'festivals', { id: 'festival-9', park_id: 'park-9' })).toBe(true);
+  });
+
+  test('lets editors edit any concert and nothing else', () => {
+    const editor = profile([ROLES.EDITOR]);
+
+    expect(canEditRecord(editor, 'concerts', { id: 'concert-1', festival_id: null })).toBe(true);
+    expect(canEditRecord(editor, 'venues', { id: 'venue-1' })).toBe(false);
+    expect(canEditRecord(editor, 'festivals', { id: 'festival-1' })).toBe(false);
+  });
+
+  test('does not let viewers edit records', () => {
+    expect(canEditRecord(profile([ROLES.VIEWER]), 'concerts', { id: 'concert-1' })).toBe(false);
+  });
+
+  test('scopes festival managers to their festivals', () => {
+    expect(canEditRecord(manager, 'festivals', { id: 'festival-1', park_id: 'park-2' })).toBe(true);
+    expect(canEditRecord(manager, 'festivals', { id: 'festival-2', park_id: 'park-2' })).toBe(
+      false
+    );
+  });
+
+  test('scopes festival managers to festivals held in their parks', () => {
+    expect(canEditRecord(manager, 'festivals', { id: 'festival-2', park_id: 'park-1' })).toBe(true);
+  });
+
+  test("scopes festival managers to concerts by festival or venue's park", () => {
+    const concert = { id: 'concert-1', festival_id: null, venues: { park_id: 'park-2' } };
+
+    expect(canEditRecord(manager, 'concerts', concert)).toBe(false);
+    expect(canEditRecord(manager, 'concerts', { ...concert, festival_id: 'festival-1' })).toBe(
+      true
+    );
+    expect(canEditRecord(manager, 'concerts', { ...concert, venues: { park_id: 'park-1' } })).toBe(
+      true
+    );
+  });
+
+  test('does not let festival managers edit artists or venues in their parks', () => {
+    expect(canEditRecord(manager, 'venues', { id: 'venue-1', park_id: 'park-1' })).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the realtime utility functions
+ * Focuses on turning change payloads into patches and marking moved or cancelled sets
+ */
+
+import {
+  SCHEDULE_CHANGES,
+  getRealtimeChange,
+  getScheduleChange,
+  patchRecords,
+  patchConcerts,
+} from '../utils/realtimeUtils';
+
+const set = {
+  id: 'c1',
+  start_time: '2025-05-01T20:00:00Z',
+  end_time: '2025-05-01T21:00:00Z',
+  artists: { id: 'a1', name: 'Sister Hazel' },
+};
+const otherSet = { ...set, id: 'c2', artists: { id: 'a2', name: 'Boyz II Men' } };
+
+const scheduleChange = row => getScheduleChange({ eventType: 'INSERT', new: row });
+
+describe('Realtime Utils', () => {
+  test('getRealtimeChange reads updates, deletes and trashing', () => {
+    expect(
+      getRealtimeChange({ eventType: 'UPDATE', new: { id: 'f1', name: 'Food & Wine' } })
+    ).toEqual({ id: 'f1', record: { id: 'f1', name: 'Food & Wine' }, removed: false });
+    expect(getRealtimeChange({ eventType: 'DELETE', new: {}, old: { id: 'f1' } })).toEqual({
+      id: 'f1',
+      record: {},
+      removed: true,
+    });
+    expect(
+      getRealtimeChange({ eventType: 'UPDATE', new: { id: 'f1', deleted_at: '2025-05-01' } })
+        .removed
+    ).toBe(true);
+  });
+
+  test('getRealtimeChange ignores inserts', () => {
+    expect(getRealtimeChange({ eventType: 'INSERT', new: { id: 'f2' } })).toBeNull();
+  });
+
+  test('getScheduleChange reads the schedule change log', () => {
+    expect(
+      scheduleChange({
+        concert_id: 'c1',
+        start_time: '2025-05-01T20:30:00Z',
+        end_time: '2025-05-01T21:30:00Z',
+        cancelled: false,
+      })
+    ).toEqual({
+      id: 'c1',
+      record: { start_time: '2025-05-01T20:30:00Z', end_time: '2025-05-01T21:30:00Z' },
+      removed: false,
+    });
+    expect(getScheduleChange({ eventType: 'DELETE', new: {} })).toBeNull();
+  });
+
+  test('patchRecords merges columns, keeps relations and drops removed records', () => {
+    const festivals = [{ id: 'f1', name: 'Food & Wine', park: { id: 'p1' } }, { id: 'f2' }];
+
+    const renamed = patchRecords(festivals, {
+      id: 'f1',
+      record: { id: 'f1', name: 'EPCOT Food & Wine' },
+      removed: false,
+    });
+    expect(renamed[0]).toEqual({ id: 'f1', name: 'EPCOT Food & Wine', park: { id: 'p1' } });
+    expect(renamed[1]).toBe(festivals[1]);
+
+    expect(patchRecords(festivals, { id: 'f2', record: {}, removed: true })).toEqual([
+      festivals[0],
+    ]);
+    expect(patchRecords(festivals, { id: 'f9', record: {}, removed: true })).toBe(festivals);
+  });
+
+  test('patchConcerts marks moved sets but not other edits', () => {
+    const moved = patchConcerts(
+      [set, otherSet],
+      scheduleChange({
+        concert_id: 'c1',
+        start_time: '2025-05-01T20:30:00Z',
+        end_time: '2025-05-01T21:30:00Z',
+      })
+    );
+    expect(moved[0]).toMatchObject({
+      start_time: '2025-05-01T20:30:00Z',
+      artists: set.artists,
+      schedule_change: SCHEDULE_CHANGES.TIME_CHANGED,
+    });
+    expect(moved[1]).toBe(otherSet);
+
+    // Same time written in another format
+    const unchanged = patchConcerts(
+      [set],
+      scheduleChange({
+        concert_id: 'c1',
+        start_time: '2025-05-01T16:00:00-04:00',
+        end_time: set.end_time,
+      })
+    );
+    expect(unchanged[0].schedule_change).toBeNull();
+  });
+
+  test('patchConcerts keeps cancelled sets listed until they are restored', () => {
+    const cancelled = patchConcerts(
+      [set],
+      scheduleChange({ concert_id: 'c1', ...set, cancelled: true })
+    );
+    expect(cancelled).toHaveLength(1);
+    expect(cancelled[0].schedule_change).toBe(SCHEDULE_CHANGES.CANCELLED);
+
+    const restored = patchConcerts(
+      cancelled,
+      scheduleChange({ concert_id: 'c1', ...set, cancelled: false })
+    );
+    expect(restored[0].schedule_change).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for recent searches kept in localStorage
+ */
+import {
+  getRecentSearches,
+  addRecentSearch,
+  clearRecentSearches,
+  MAX_RECENT_SEARCHES,
+} from '../utils/recentSearches';
+
+describe('recentSearches', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('lists the latest search first and moves repeated searches to the top', () => {
+    addRecentSearch('Journey');
+    addRecentSearch('Epcot');
+    addRecentSearch('  journey ');
+
+    expect(getRecentSearches()).toEqual(['journey', 'Epcot']);
+  });
+
+  it('keeps only the most recent searches and ignores blank ones', () => {
+    for (let i = 1; i <= MAX_RECENT_SEARCHES + 2; i++) {
+      addRecentSearch(`Band ${i}`);
+    }
+    addRecentSearch('   ');
+
+    const searches = getRecentSearches();
+    expect(searches).toHaveLength(MAX_RECENT_SEARCHES);
+    expect(searches[0]).toBe(`Band ${MAX_RECENT_SEARCHES + 2}`);
+  });
+
+  it('keeps a separate list for each user', () => {
+    addRecentSearch('Starship', 'user-1');
+    addRecentSearch('Chicago');
+
+    expect(getRecentSearches('user-1')).toEqual(['Starship']);
+    expect(getRecentSearches()).toEqual(['Chicago']);
+
+    clearRecentSearches('user-1');
+    expect(getRecentSearches('user-1')).toEqual([]);
+    expect(getRecentSearches()).toEqual(['Chicago']);
+  });
+
+  it('returns an empty list when the stored value is unreadable', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('encorelando_recent_searches_guest', '{not json');
+
+    expect(getRecentSearches()).toEqual([]);
+  });
+});
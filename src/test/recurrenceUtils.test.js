@@ -0,0 +1,108 @@
+/**
+ * Tests for recurring concert series expansion and validation
+ */
+
+import {
+  MAX_SERIES_OCCURRENCES,
+  expandRecurrence,
+  validateRecurrence,
+} from '../utils/recurrenceUtils';
+
+const WEEK_RULE = {
+  startDate: '2025-03-03',
+  endDate: '2025-03-09',
+  weekdays: [1, 2, 3, 4, 5, 6, 7],
+  setTimes: ['17:30', '18:45', '20:00'],
+  durationMinutes: '30',
+  excludedDates: [],
+};
+
+describe('expandRecurrence', () => {
+  test('creates each set time on every day in the range', () => {
+    const occurrences = expandRecurrence(WEEK_RULE);
+
+    expect(occurrences).toHaveLength(21);
+    expect(occurrences[0]).toEqual({
+      start_time: '2025-03-03T22:30:00.000Z',
+      end_time: '2025-03-03T23:00:00.000Z',
+    });
+  });
+
+  test('keeps park wall-clock times across the DST change', () => {
+    const occurrences = expandRecurrence({
+      ...WEEK_RULE,
+      startDate: '2025-03-08',
+      setTimes: ['17:30'],
+    });
+
+    // 5:30 PM is UTC-5 on March 8 and UTC-4 from March 9
+    expect(occurrences.map(occurrence => occurrence.start_time)).toEqual([
+      '2025-03-08T22:30:00.000Z',
+      '2025-03-09T21:30:00.000Z',
+    ]);
+  });
+
+  test('skips unselected weekdays and excluded dates', () => {
+    const occurrences = expandRecurrence({
+      ...WEEK_RULE,
+      weekdays: [5, 6],
+      setTimes: ['20:00'],
+      excludedDates: ['2025-03-08'],
+    });
+
+    expect(occurrences.map(occurrence => occurrence.start_time)).toEqual([
+      '2025-03-08T01:00:00.000Z',
+    ]);
+  });
+
+  test('sorts and de-duplicates set times and leaves end_time empty without a duration', () => {
+    const occurrences = expandRecurrence({
+      ...WEEK_RULE,
+      endDate: '2025-03-03',
+      setTimes: ['20:00', '', '17:30', '20:00'],
+      durationMinutes: '',
+    });
+
+    expect(occurrences).toEqual([
+      { start_time: '2025-03-03T22:30:00.000Z', end_time: null },
+      { start_time: '2025-03-04T01:00:00.000Z', end_time: null },
+    ]);
+  });
+
+  test('returns nothing for an inverted range', () => {
+    expect(expandRecurrence({ ...WEEK_RULE, endDate: '2025-03-01' })).toEqual([]);
+  });
+});
+
+describe('validateRecurrence', () => {
+  test('accepts a complete rule', () => {
+    expect(validateRecurrence(WEEK_RULE)).toEqual({});
+  });
+
+  test('reports missing fields', () => {
+    expect(
+      validateRecurrence({
+        startDate: '',
+        endDate: '',
+        weekdays: [],
+        setTimes: [''],
+        durationMinutes: '-5',
+      })
+    ).toEqual({
+      startDate: 'Start date is required',
+      endDate: 'End date is required',
+      weekdays: 'Choose at least one day of the week',
+      setTimes: 'Add at least one set time',
+      durationMinutes: 'Set length must be a positive number of minutes',
+    });
+  });
+
+  test('reports schedules that produce no concerts or too many', () => {
+    expect(validateRecurrence({ ...WEEK_RULE, weekdays: [1], startDate: '2025-03-04' })).toEqual({
+      occurrences: 'This schedule does not produce any concerts',
+    });
+    expect(validateRecurrence({ ...WEEK_RULE, endDate: '2025-12-31' }).occurrences).toContain(
+      `the limit is ${MAX_SERIES_OCCURRENCES}`
+    );
+  });
+});
@@ -0,0 +1,406 @@
+/**
+ * Tests for the send-reminders scheduled function
+ * Covers when reminders fall due, de-duplication through sent_reminders,
+ * follow alert emails, Web Push delivery, and email transport selection
+ */
+
+import webpush from 'web-push';
+import { getDueReminders, sendReminders } from '../../functions/send-reminders/reminders';
+import { sendWebPush } from '../../functions/send-reminders/webPush';
+import { sendNotificationEmails } from '../../functions/send-reminders/notificationEmails';
+import {
+  getEmailTransport,
+  registerEmailTransport,
+} from '../../functions/send-reminders/emailTransports';
+
+jest.mock('web-push', () => ({ sendNotification: jest.fn() }));
+
+const PREFERENCES = {
+  push_enabled: true,
+  email_enabled: true,
+  concert_lead_minutes: 30,
+  festival_morning_enabled: true,
+  festival_morning_time: '08:00',
+};
+
+/**
+ * Build a concert fixture on March 1, 2025 (park time is UTC-5)
+ */
+const makeConcert = (id, time, { artistId = `artist-${id}`, festivalId = 'fest-1' } = {}) => ({
+  id,
+  start_time: `2025-03-01T${time}:00-05:00`,
+  end_time: null,
+  artist_id: artistId,
+  festival_id: festivalId,
+  artists: { id: artistId, name: `Artist ${id}` },
+  venues: { id: 'venue-1', name: 'America Gardens Theatre' },
+  festivals: festivalId ? { id: festivalId, name: 'Flower & Garden' } : null,
+});
+
+const CONCERTS = [
+  makeConcert('c1', '18:00'),
+  makeConcert('c2', '19:00', { artistId: 'artist-fav' }),
+  makeConcert('c3', '18:10'),
+];
+
+const USER = {
+  id: 'user-1',
+  email: 'fan@example.com',
+  preferences: PREFERENCES,
+  concertIds: ['c1'],
+  artistIds: ['artist-fav'],
+  subscriptions: [{ id: 'sub-1', endpoint: 'https://push.example.com/abc' }],
+};
+
+const keysOf = reminders => reminders.map(reminder => reminder.key).sort();
+
+describe('getDueReminders', () => {
+  test('sends concert reminders only inside the lead window', () => {
+    const reminders = getDueReminders({
+      now: new Date('2025-03-01T17:40:00-05:00'),
+      users: [{ ...USER, preferences: { ...PREFERENCES, festival_morning_enabled: false } }],
+      concerts: CONCERTS,
+    });
+
+    expect(keysOf(reminders)).toEqual(['concert:c1:2025-03-01T23:00:00.000Z']);
+    expect(reminders[0].title).toBe('Artist c1 starts in 20 minutes');
+    expect(reminders[0].body).toBe('6:00 PM at America Gardens Theatre, Flower & Garden');
+  });
+
+  test('includes concerts by favorited artists', () => {
+    const reminders = getDueReminders({
+      now: new Date('2025-03-01T18:30:00-05:00'),
+      users: [{ ...USER, preferences: { ...PREFERENCES, festival_morning_enabled: false } }],
+      concerts: CONCERTS,
+    });
+
+    expect(keysOf(reminders)).toEqual(['concert:c2:2025-03-02T00:00:00.000Z']);
+  });
+
+  test('respects each user lead time', () => {
+    const reminders = getDueReminders({
+      now: new Date('2025-03-01T17:10:00-05:00'),
+      users: [
+        { ...USER, preferences: { ...PREFERENCES, festival_morning_enabled: false } },
+        {
+          ...USER,
+          id: 'user-2',
+          preferences: {
+            ...PREFERENCES,
+            concert_lead_minutes: 60,
+            festival_morning_enabled: false,
+          },
+        },
+      ],
+      concerts: CONCERTS,
+    });
+
+    expect(reminders.map(reminder => reminder.userId)).toEqual(['user-2']);
+  });
+
+  test('sends the festival summary from the morning time in park time', () => {
+    const before = getDueReminders({
+      now: new Date('2025-03-01T07:59:00-05:00'),
+      users: [USER],
+      concerts: CONCERTS,
+    });
+    const after = getDueReminders({
+      now: new Date('2025-03-01T08:00:00-05:00'),
+      users: [USER],
+      concerts: [...CONCERTS, makeConcert('late', '23:30', { artistId: 'artist-fav' })],
+    });
+
+    expect(before).toEqual([]);
+    expect(keysOf(after)).toEqual(['festival-day:fest-1:2025-03-01']);
+    // The 11:30 PM set is 04:30 UTC the next day but still on the park day
+    expect(after[0].concerts.map(concert => concert.id)).toEqual(['c1', 'c2', 'late']);
+    expect(after[0].body.split('\n')[0]).toBe('6:00 PM Artist c1 (America Gardens Theatre)');
+  });
+
+  test('skips the festival summary for concerts outside festivals', () => {
+    const reminders = getDueReminders({
+      now: new Date('2025-03-01T09:00:00-05:00'),
+      users: [USER],
+      concerts: [makeConcert('c1', '18:00', { festivalId: null })],
+    });
+
+    expect(reminders).toEqual([]);
+  });
+});
+
+/**
+ * Create a mocked Supabase client that resolves each table to a fixed result
+ */
+const createSupabase = tables => {
+  const calls = [];
+  const from = jest.fn(table => {
+    const result = tables[table] || { data: [], error: null };
+    const query = {};
+    ['select', 'eq', 'in', 'is', 'or', 'gt', 'gte', 'lte', 'order', 'update', 'delete'].forEach(
+      method => {
+        query[method] = jest.fn((...args) => {
+          calls.push({ table, method, args });
+          return query;
+        });
+      }
+    );
+    query.insert = jest.fn(row => {
+      calls.push({ table, method: 'insert', args: [row] });
+      return Promise.resolve({ error: null });
+    });
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+  });
+
+  return { from, calls };
+};
+
+describe('sendReminders', () => {
+  const tables = sent => ({
+    reminder_preferences: {
+      data: [{ user_id: 'user-1', ...PREFERENCES, festival_morning_time: '08:00:00' }],
+      error: null,
+    },
+    user_profiles: { data: [{ id: 'user-1', email: 'fan@example.com' }], error: null },
+    favorites_concerts: { data: [{ user_id: 'user-1', concert_id: 'c1' }], error: null },
+    favorites_artists: { data: [], error: null },
+    push_subscriptions: {
+      data: [{ id: 'sub-1', user_id: 'user-1', endpoint: 'https://push.example.com/abc' }],
+      error: null,
+    },
+    concerts: { data: [makeConcert('c1', '18:00', { festivalId: null })], error: null },
+    sent_reminders: { data: sent, error: null },
+  });
+
+  test('delivers on each channel and records the sends', async () => {
+    const supabase = createSupabase(tables([]));
+    const push = jest.fn().mockResolvedValue(201);
+    const emailTransport = { send: jest.fn().mockResolvedValue() };
+
+    const stats = await sendReminders({
+      supabase,
+      now: new Date('2025-03-01T17:45:00-05:00'),
+      push,
+      emailTransport,
+      baseUrl: 'https://encorelando.com',
+    });
+
+    expect(stats).toEqual({ due: 1, pushed: 1, emailed: 1, skipped: 0 });
+    expect(push).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'sub-1' }),
+      expect.objectContaining({ url: '/concerts/c1', tag: 'concert:c1:2025-03-01T23:00:00.000Z' })
+    );
+    expect(emailTransport.send.mock.calls[0][0]).toMatchObject({
+      to: 'fan@example.com',
+      text: expect.stringContaining('https://encorelando.com/concerts/c1'),
+    });
+    const inserts = supabase.calls.filter(call => call.method === 'insert');
+    expect(inserts.map(call => call.args[0].channel)).toEqual(['push', 'email']);
+  });
+
+  test('does not resend reminders already delivered on a channel', async () => {
+    const supabase = createSupabase(
+      tables([
+        { user_id: 'user-1', reminder_key: 'concert:c1:2025-03-01T23:00:00.000Z', channel: 'push' },
+      ])
+    );
+    const push = jest.fn();
+    const emailTransport = { send: jest.fn().mockResolvedValue() };
+
+    const stats = await sendReminders({
+      supabase,
+      now: new Date('2025-03-01T17:50:00-05:00'),
+      push,
+      emailTransport,
+    });
+
+    expect(push).not.toHaveBeenCalled();
+    expect(stats).toEqual({ due: 1, pushed: 0, emailed: 1, skipped: 1 });
+  });
+
+  test('reminds again when a delivered set moves to a new time', async () => {
+    const supabase = createSupabase(
+      tables([
+        { user_id: 'user-1', reminder_key: 'concert:c1:2025-03-01T22:30:00.000Z', channel: 'push' },
+      ])
+    );
+    const push = jest.fn().mockResolvedValue(201);
+
+    const stats = await sendReminders({
+      supabase,
+      now: new Date('2025-03-01T17:45:00-05:00'),
+      push,
+      emailTransport: null,
+    });
+
+    expect(push).toHaveBeenCalledTimes(1);
+    expect(stats).toEqual({ due: 1, pushed: 1, emailed: 0, skipped: 0 });
+  });
+
+  test('leaves email reminders unsent and unrecorded when email is disabled', async () => {
+    const supabase = createSupabase(tables([]));
+
+    const stats = await sendReminders({
+      supabase,
+      now: new Date('2025-03-01T17:45:00-05:00'),
+      push: jest.fn().mockResolvedValue(201),
+      emailTransport: null,
+    });
+
+    expect(stats).toEqual({ due: 1, pushed: 1, emailed: 0, skipped: 0 });
+    const inserts = supabase.calls.filter(call => call.method === 'insert');
+    expect(inserts.map(call => call.args[0].channel)).toEqual(['push']);
+  });
+
+  test('removes subscriptions the push service reports as gone', async () => {
+    const supabase = createSupabase(tables([]));
+    const push = jest.fn().mockRejectedValue(Object.assign(new Error('Gone'), { expired: true }));
+
+    const stats = await sendReminders({
+      supabase,
+      now: new Date('2025-03-01T17:45:00-05:00'),
+      push,
+      emailTransport: { send: jest.fn().mockResolvedValue() },
+    });
+
+    expect(stats.pushed).toBe(0);
+    expect(supabase.calls).toContainEqual({
+      table: 'push_subscriptions',
+      method: 'eq',
+      args: ['id', 'sub-1'],
+    });
+  });
+});
+
+describe('sendNotificationEmails', () => {
+  test('emails new notifications to users who opted in and marks them emailed', async () => {
+    const supabase = createSupabase({
+      reminder_preferences: { data: [{ user_id: 'user-1' }], error: null },
+      notifications: {
+        data: [
+          {
+            id: 'n1',
+            user_id: 'user-1',
+            title: 'Artist added 3 shows at EPCOT International Flower & Garden',
+            body: null,
+            url: '/artists/a1',
+          },
+        ],
+        error: null,
+      },
+      user_profiles: { data: [{ id: 'user-1', email: 'fan@example.com' }], error: null },
+    });
+    const emailTransport = { send: jest.fn().mockResolvedValue() };
+    const now = new Date('2025-03-01T12:00:00Z');
+
+    const stats = await sendNotificationEmails({
+      supabase,
+      emailTransport,
+      now,
+      baseUrl: 'https://encorelando.com',
+    });
+
+    expect(stats).toEqual({ emailed: 1, failed: 0 });
+    expect(emailTransport.send).toHaveBeenCalledWith({
+      to: 'fan@example.com',
+      subject: 'Artist added 3 shows at EPCOT International Flower & Garden',
+      text: 'Artist added 3 shows at EPCOT International Flower & Garden\n\nhttps://encorelando.com/artists/a1',
+    });
+    expect(supabase.calls).toContainEqual({
+      table: 'reminder_preferences',
+      method: 'eq',
+      args: ['artist_alert_email', true],
+    });
+    expect(supabase.calls).toContainEqual({
+      table: 'notifications',
+      method: 'update',
+      args: [{ emailed_at: now.toISOString() }],
+    });
+  });
+
+  test('does not mark notifications emailed when email is disabled', async () => {
+    const supabase = createSupabase({});
+
+    const stats = await sendNotificationEmails({ supabase, emailTransport: null });
+
+    expect(stats).toEqual({ emailed: 0, failed: 0 });
+    expect(supabase.calls).toEqual([]);
+  });
+});
+
+describe('Web Push', () => {
+  const subscription = {
+    id: 'sub-1',
+    endpoint: 'https://push.example.com/abc',
+    p256dh: 'user-agent-key',
+    auth: 'auth-secret',
+  };
+  const vapid = {
+    publicKey: 'vapid-public-key',
+    privateKey: 'vapid-private-key',
+    subject: 'mailto:hello@example.com',
+  };
+
+  afterEach(() => {
+    webpush.sendNotification.mockReset();
+  });
+
+  test('sends JSON payloads to the subscription with the VAPID details', async () => {
+    webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+    const status = await sendWebPush(subscription, { title: 'Hello' }, { vapid });
+
+    expect(status).toBe(201);
+    expect(webpush.sendNotification).toHaveBeenCalledWith(
+      {
+        endpoint: 'https://push.example.com/abc',
+        keys: { p256dh: 'user-agent-key', auth: 'auth-secret' },
+      },
+      '{"title":"Hello"}',
+      { TTL: 3600, urgency: 'high', vapidDetails: vapid }
+    );
+  });
+
+  test('flags subscriptions the push service no longer knows', async () => {
+    webpush.sendNotification.mockRejectedValue(
+      Object.assign(new Error('Received unexpected response code'), { statusCode: 410 })
+    );
+
+    await expect(sendWebPush(subscription, 'Hello', { vapid })).rejects.toMatchObject({
+      name: 'WebPushError',
+      statusCode: 410,
+      expired: true,
+    });
+  });
+});
+
+describe('Email transports', () => {
+  const originalTransport = process.env.EMAIL_TRANSPORT;
+
+  afterEach(() => {
+    if (originalTransport === undefined) {
+      delete process.env.EMAIL_TRANSPORT;
+    } else {
+      process.env.EMAIL_TRANSPORT = originalTransport;
+    }
+  });
+
+  test('disables email when no transport is configured', () => {
+    delete process.env.EMAIL_TRANSPORT;
+    expect(getEmailTransport()).toBeNull();
+  });
+
+  test('only logs to the console when asked to', () => {
+    process.env.EMAIL_TRANSPORT = 'console';
+    expect(getEmailTransport().name).toBe('console');
+  });
+
+  test('selects registered transports by name', () => {
+    const transport = { name: 'memory', send: jest.fn() };
+    registerEmailTransport(transport);
+    process.env.EMAIL_TRANSPORT = 'memory';
+
+    expect(getEmailTransport()).toBe(transport);
+    expect(() => getEmailTransport('carrier-pigeon')).toThrow('Unknown email transport');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the review queue utilities
+ * Covers queueing against pending changes and field-level diffs against live rows
+ */
+
+import { partitionStagedChanges, getChangeDiff } from '../utils/stagingUtils';
+
+describe('partitionStagedChanges', () => {
+  test('splits new, refreshed and unchanged proposals', () => {
+    const changes = [
+      { dedupe_key: 'artist:insert:sugar ray', proposed: { name: 'Sugar Ray' } },
+      { dedupe_key: 'artist:update:artist-1', proposed: { genres: ['Rock', 'Tribute'] } },
+      { dedupe_key: 'artist:update:artist-2', proposed: { website_url: 'https://a.example' } },
+    ];
+    const pending = [
+      { id: 'change-1', dedupe_key: 'artist:update:artist-1', proposed: { genres: ['Rock'] } },
+      {
+        id: 'change-2',
+        dedupe_key: 'artist:update:artist-2',
+        proposed: { website_url: 'https://a.example' },
+      },
+    ];
+
+    expect(partitionStagedChanges(changes, pending)).toEqual({
+      inserts: [changes[0]],
+      refreshes: [{ id: 'change-1', change: changes[1] }],
+      unchanged: 1,
+    });
+  });
+});
+
+describe('getChangeDiff', () => {
+  const live = {
+    id: 'concert-1',
+    start_time: '2025-03-01T22:30:00+00:00',
+    notes: null,
+    ticket_required: false,
+    updated_at: '2025-02-01T00:00:00+00:00',
+  };
+
+  test('lists changed fields and ignores equal timestamps in another format', () => {
+    const change = {
+      action: 'update',
+      proposed: { start_time: '2025-03-01T22:30:00.000Z', notes: 'Limited seating' },
+    };
+
+    expect(getChangeDiff(change, live)).toEqual([
+      { field: 'notes', from: null, to: 'Limited seating' },
+    ]);
+  });
+
+  test('shows every proposed value for an insert', () => {
+    expect(getChangeDiff({ action: 'insert', proposed: { notes: 'New' } }, null)).toEqual([
+      { field: 'notes', from: null, to: 'New' },
+    ]);
+  });
+
+  test('lists the live values a delete removes', () => {
+    expect(getChangeDiff({ action: 'delete', proposed: {} }, live)).toEqual([
+      { field: 'start_time', from: '2025-03-01T22:30:00+00:00', to: null },
+      { field: 'ticket_required', from: false, to: null },
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for the walking time utility functions
+ * Focuses on the coordinate estimate and recorded overrides
+ */
+
+import {
+  getDistanceMeters,
+  estimateWalkFromCoordinates,
+  indexWalkingTimes,
+  getRecordedWalkMinutes,
+  getWalkMinutes,
+} from '../utils/walkingUtils';
+
+const americaGardens = { id: 'v1', latitude: 28.3686, longitude: -81.5494 };
+const odyssey = { id: 'v2', latitude: '28.3722', longitude: '-81.5467' };
+const unmapped = { id: 'v3', latitude: null, longitude: null };
+
+describe('Walking Utils', () => {
+  test('getDistanceMeters measures the straight line between venues', () => {
+    expect(getDistanceMeters(americaGardens, odyssey)).toBeCloseTo(480, -1);
+    expect(getDistanceMeters(americaGardens, americaGardens)).toBe(0);
+    expect(getDistanceMeters(americaGardens, unmapped)).toBeNull();
+  });
+
+  test('estimateWalkFromCoordinates rounds up to whole minutes', () => {
+    // 480 m along winding paths at 70 m a minute
+    expect(estimateWalkFromCoordinates(americaGardens, odyssey)).toBe(11);
+    expect(estimateWalkFromCoordinates(americaGardens, { ...americaGardens, id: 'v4' })).toBe(1);
+    expect(estimateWalkFromCoordinates(unmapped, odyssey)).toBeNull();
+  });
+
+  test('recorded walking times apply in either direction', () => {
+    const walkingTimes = indexWalkingTimes([
+      { from_venue_id: 'v1', to_venue_id: 'v2', minutes: 15 },
+    ]);
+
+    expect(getRecordedWalkMinutes(walkingTimes, 'v1', 'v2')).toBe(15);
+    expect(getRecordedWalkMinutes(walkingTimes, 'v2', 'v1')).toBe(15);
+    expect(getRecordedWalkMinutes(walkingTimes, 'v1', 'v3')).toBeUndefined();
+  });
+
+  test('getWalkMinutes prefers a recorded time over the estimate', () => {
+    const walkingTimes = indexWalkingTimes([
+      { from_venue_id: 'v1', to_venue_id: 'v2', minutes: 15 },
+      { from_venue_id: 'v1', to_venue_id: 'v3', minutes: 6 },
+    ]);
+
+    expect(getWalkMinutes(americaGardens, odyssey)).toBe(11);
+    expect(getWalkMinutes(odyssey, americaGardens, walkingTimes)).toBe(15);
+    expect(getWalkMinutes(americaGardens, unmapped, walkingTimes)).toBe(6);
+  });
+
+  test('getWalkMinutes handles the same venue and unknown walks', () => {
+    expect(getWalkMinutes(unmapped, unmapped)).toBe(0);
+    expect(getWalkMinutes(odyssey, unmapped)).toBeNull();
+    expect(getWalkMinutes(null, odyssey)).toBeNull();
+  });
+});
@@ -3,27 +3,12 @@
  *
  * Functions for generating calendar events from various entity types.
  * Optimized for mobile devices and calendar applications.
- */
-
-/**
- * Parse a time string and extract hours and minutes values
- * This handles times stored in the database without timezone conversion issues
  *
- * @param {string} timeString - Time string from database (e.g. "2025-05-01T17:30:00")
- * @returns {Object} - Object containing hours and minutes
+ * Event times are written as park-local times with a TZID, so calendar apps
+ * show them correctly wherever the subscriber is.
  */
-const extractTimeComponents = timeString => {
-  // Extract hours and minutes directly from the string
-  // Format is typically "YYYY-MM-DDTHH:MM:SS" or similar
-  const timePart = timeString.split('T')[1]; // Get the time part after 'T'
-  if (!timePart) return { hours: 0, minutes: 0 };
 
-  const timeComponents = timePart.split(':');
-  const hours = parseInt(timeComponents[0], 10);
-  const minutes = parseInt(timeComponents[1], 10);
-
-  return { hours, minutes };
-};
+import { PARK_TIMEZONE, formatParkDateTime, toParkDateTime } from './dateUtils';
 
 /**
  * Generate a calendar event object from a concert
@@ -45,24 +30,14 @@ export const generateEventFromConcert = (concert, url) => {
     return null;
   }
 
-  // Extract date components directly from the time strings
-  // This avoids timezone conversion issues
-  const startTimeComponents = extractTimeComponents(concert.start_time);
-  let endTimeComponents;
-
-  if (concert.end_time) {
-    endTimeComponents = extractTimeComponents(concert.end_time);
-  } else {
-    // If no end time is provided, default to 1 hour after start time
-    endTimeComponents = {
-      hours: (startTimeComponents.hours + 1) % 24,
-      minutes: startTimeComponents.minutes,
-    };
+  // Calendar apps receive park-local times with a TZID, so read the times in park time
+  const start = toParkDateTime(concert.start_time);
+  if (!start) {
+    return null;
   }
 
-  // Create Date objects for other needed information (year, month, day)
-  const startDate = new Date(concert.start_time);
-  const endDate = concert.end_time ? new Date(concert.end_time) : new Date(concert.start_time);
+  // If no end time is provided, default to 1 hour after start time
+  const end = toParkDateTime(concert.end_time) || start.plus({ hours: 1 });
 
   // Build description
   let description = '';
@@ -100,23 +75,10 @@ export const generateEventFromConcert = (concert, url) => {
   return {
     title: `${artist.name} at ${venue.name}`,
     description,
-    // We still need ISO strings for some purposes
-    startTime: startDate.toISOString(),
-    endTime: endDate.toISOString(),
+    startTime: start.toUTC().toISO(),
+    endTime: end.toUTC().toISO(),
     location,
     url,
-    // Include date components for proper calendar formatting
-    startYear: startDate.getFullYear(),
-    startMonth: startDate.getMonth() + 1, // 0-based to 1-based
-    startDay: startDate.getDate(),
-    endYear: endDate.getFullYear(),
-    endMonth: endDate.getMonth() + 1, // 0-based to 1-based
-    endDay: endDate.getDate(),
-    // Store ACTUAL hours and minutes from original time strings, not from Date objects
-    startHours: startTimeComponents.hours,
-    startMinutes: startTimeComponents.minutes,
-    endHours: endTimeComponents.hours,
-    endMinutes: endTimeComponents.minutes,
   };
 };
 
@@ -132,13 +94,13 @@ export const generateEventFromFestival = (festival, url) => {
     return null;
   }
 
-  // Set start and end times
-  // For festivals, we use the full day format (start at beginning of day, end at end of day)
-  const startDate = new Date(festival.start_date);
-  startDate.setHours(0, 0, 0, 0);
+  // For festivals, we use the full park day (start at beginning of day, end at end of day)
+  const start = toParkDateTime(festival.start_date);
+  const end = toParkDateTime(festival.end_date);
 
-  const endDate = new Date(festival.end_date);
-  endDate.setHours(23, 59, 59, 999);
+  if (!start || !end) {
+    return null;
+  }
 
   // Build description
   let description = '';
@@ -167,22 +129,180 @@ export const generateEventFromFestival = (festival, url) => {
   return {
     title: festival.name,
     description,
-    startTime: startDate.toISOString(),
-    endTime: endDate.toISOString(),
+    startTime: start.startOf('day').toUTC().toISO(),
+    endTime: end.endOf('day').toUTC().toISO(),
     location,
     url,
-    // Include date components for calendar formatting
-    startYear: startDate.getFullYear(),
-    startMonth: startDate.getMonth() + 1, // 0-based to 1-based
-    startDay: startDate.getDate(),
-    endYear: endDate.getFullYear(),
-    endMonth: endDate.getMonth() + 1, // 0-based to 1-based
-    endDay: endDate.getDate(),
-    // For all-day events
-    startHours: 0,
-    startMinutes: 0,
-    endHours: 23,
-    endMinutes: 59,
     allDay: true,
   };
 };
+
+/**
+ * VTIMEZONE definition for America/New_York (Walt Disney World local time)
+ * Shared by single-event downloads and subscription feeds
+ */
+export const ICS_TIMEZONE_LINES = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${PARK_TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:20070311T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:20071104T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// Domain used for event UIDs so they stay unique across calendar providers
+const ICS_UID_DOMAIN = 'encorelando.com';
+
+// Maximum line length before folding (RFC 5545 section 3.1)
+const ICS_LINE_LENGTH = 75;
+
+/**
+ * Escape a text value for use in an ICS property
+ *
+ * @param {string} text - Raw text
+ * @returns {string} - Text with backslashes, commas, semicolons and newlines escaped
+ */
+export const escapeIcsText = text =>
+  String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Count the UTF-8 octets needed for one character (code point)
+ *
+ * @param {string} char - Single code point
+ * @returns {number} - 1 to 4 octets
+ */
+const utf8Length = char => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Fold a content line so that no line is longer than 75 octets
+ * Lines are measured in UTF-8 octets, as RFC 5545 requires, and only folded
+ * between characters so accented names and emoji are never split.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line using CRLF followed by a space
+ */
+const foldIcsLine = line => {
+  const parts = [];
+  let part = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const length = utf8Length(char);
+    if (octets + length > ICS_LINE_LENGTH) {
+      parts.push(part);
+      // The leading space of a continuation line counts towards its length
+      part = ' ';
+      octets = 1;
+    }
+    part += char;
+    octets += length;
+  }
+
+  parts.push(part);
+  return parts.join('\r\n');
+};
+
+/**
+ * Format a UTC timestamp for ICS properties such as DTSTAMP
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} - Date in YYYYMMDDTHHMMSSZ format
+ */
+export const formatIcsUtcDateTime = date =>
+  toParkDateTime(date).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+/**
+ * Format a timestamp as a park-local ICS date-time for use with TZID
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} - Park time in YYYYMMDDTHHMMSS format
+ */
+export const formatIcsLocalDateTime = date => formatParkDateTime(date, "yyyyMMdd'T'HHmmss");
+
+/**
+ * Get a stable UID for a concert so calendar apps update rather than duplicate it
+ *
+ * @param {Object} concert - Concert with an id
+ * @returns {string} - UID for the VEVENT
+ */
+export const getConcertEventUid = concert => `concert-${concert.id}@${ICS_UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT lines for a calendar event object
+ *
+ * @param {Object} event - Event from generateEventFromConcert
+ * @param {Object} options - Options
+ * @param {string} options.uid - Stable unique identifier for the event
+ * @param {Date|string} options.dtstamp - Time the event was last changed
+ * @returns {Array} - Array of unfolded ICS lines
+ */
+export const buildIcsEvent = (event, { uid, dtstamp = new Date() } = {}) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatIcsUtcDateTime(dtstamp)}`,
+  `DTSTART;TZID=${PARK_TIMEZONE}:${formatIcsLocalDateTime(event.startTime)}`,
+  `DTEND;TZID=${PARK_TIMEZONE}:${formatIcsLocalDateTime(event.endTime)}`,
+  `SUMMARY:${escapeIcsText(event.title)}`,
+  `DESCRIPTION:${escapeIcsText(event.description)}`,
+  `LOCATION:${escapeIcsText(event.location)}`,
+  `URL:${event.url}`,
+  'END:VEVENT',
+];
+
+/**
+ * Generate a multi-event VCALENDAR feed from a list of concerts
+ *
+ * @param {Array} concerts - Concerts with artist and venue relationships
+ * @param {Object} options - Options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} options.baseUrl - App origin used for deep links
+ * @returns {string} - ICS document with CRLF line endings
+ */
+export const generateICalendarFeed = (concerts, { name = 'EncoreLando', baseUrl = '' } = {}) => {
+  const eventLines = (concerts || []).flatMap(concert => {
+    const event = generateEventFromConcert(concert, `${baseUrl}/concerts/${concert.id}`);
+    if (!event) return [];
+
+    return buildIcsEvent(event, {
+      uid: getConcertEventUid(concert),
+      dtstamp: concert.updated_at || concert.created_at || new Date(),
+    });
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//EncoreLando//Concert Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-WR-TIMEZONE:${PARK_TIMEZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    ...ICS_TIMEZONE_LINES,
+    ...eventLines,
+    'END:VCALENDAR',
+  ]
+    .map(foldIcsLine)
+    .join('\r\n');
+};
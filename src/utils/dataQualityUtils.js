@@ -0,0 +1,278 @@
+/**
+ * Data quality checks for the admin dashboard
+ *
+ * Each check takes plain rows from Supabase and returns the records that need
+ * attention, with a link to the admin form where they can be fixed.
+ */
+import { getParkDateString, formatParkDateTime } from './dateUtils';
+import {
+  calculateStringSimilarity,
+  normalizeArtistName,
+  getRecordNames,
+  DEFAULT_MATCH_THRESHOLD,
+} from './matchingUtils';
+
+/**
+ * Admin edit form for a record
+ * @param {string} tableName - 'concerts', 'artists', 'venues' or 'festivals'
+ * @param {string} id - Record ID
+ * @returns {string} - Route path
+ */
+export const getEditPath = (tableName, id) => `/admin/${tableName}/edit/${id}`;
+
+// Admin tool for merging duplicate artists
+export const ARTIST_MERGE_PATH = '/admin/artists/merge';
+
+/**
+ * Short description of a concert for issue lists
+ * @param {Object} concert - Concert with artists and venues joined
+ * @returns {string} - e.g. "Sugar Ray · America Gardens · Sat May 3, 7:00 PM"
+ */
+const describeConcert = concert =>
+  [
+    concert.artists?.name || 'Unknown artist',
+    concert.venues?.name,
+    formatParkDateTime(concert.start_time, 'EEE MMM d, h:mm a'),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * Check whether two concerts overlap in time
+ * A concert without an end_time is treated as lasting zero minutes, so it only
+ * clashes with a concert that is on stage when it starts.
+ * @param {Object} first - Concert with start_time and end_time
+ * @param {Object} second - Concert with start_time and end_time
+ * @returns {boolean} - True if the time ranges overlap
+ */
+export const concertsOverlap = (first, second) => {
+  const firstStart = new Date(first.start_time).getTime();
+  const secondStart = new Date(second.start_time).getTime();
+  const firstEnd = first.end_time ? new Date(first.end_time).getTime() : firstStart;
+  const secondEnd = second.end_time ? new Date(second.end_time).getTime() : secondStart;
+
+  if (firstStart === secondStart) return true;
+  return firstStart < secondEnd && secondStart < firstEnd;
+};
+
+/**
+ * Find pairs of concerts booked at the same venue at overlapping times
+ * @param {Array} concerts - Concerts with venue_id, start_time and end_time
+ * @returns {Array} - Pairs as [earlier, later]
+ */
+export const findOverlappingConcerts = concerts => {
+  const byVenue = new Map();
+  concerts.forEach(concert => {
+    if (!concert.venue_id) return;
+    if (!byVenue.has(concert.venue_id)) byVenue.set(concert.venue_id, []);
+    byVenue.get(concert.venue_id).push(concert);
+  });
+
+  const pairs = [];
+  byVenue.forEach(venueConcerts => {
+    const sorted = [...venueConcerts].sort(
+      (a, b) => new Date(a.start_time) - new Date(b.start_time)
+    );
+
+    sorted.forEach((concert, index) => {
+      // Sorted by start, so once one concert starts after this one ends, the rest do too
+      for (let next = index + 1; next < sorted.length; next += 1) {
+        if (!concertsOverlap(concert, sorted[next])) break;
+        pairs.push([concert, sorted[next]]);
+      }
+    });
+  });
+
+  return pairs;
+};
+
+/**
+ * Find existing bookings that clash with concerts about to be saved
+ * @param {Array} candidates - Concerts being saved, with start_time and end_time
+ * @param {Array} bookings - Other concerts at the same venue
+ * @returns {Array} - Clashes as { candidate, conflict }
+ */
+export const findBookingConflicts = (candidates, bookings) =>
+  candidates.flatMap(candidate =>
+    bookings
+      .filter(booking => concertsOverlap(candidate, booking))
+      .map(conflict => ({ candidate, conflict }))
+  );
+
+/**
+ * Check whether a concert falls outside its festival's dates (in park time)
+ * @param {Object} concert - Concert with start_time
+ * @param {Object} festival - Festival with start_date and end_date
+ * @returns {boolean} - True if the concert's park date is before or after the festival
+ */
+export const isOutsideFestival = (concert, festival) => {
+  const date = getParkDateString(concert.start_time);
+  if (!date || !festival) return false;
+
+  return (
+    (Boolean(festival.start_date) && date < festival.start_date) ||
+    (Boolean(festival.end_date) && date > festival.end_date)
+  );
+};
+
+/**
+ * Find records whose names look like the same thing spelled differently
+ * @param {Array} records - Records with id and name
+ * @param {number} threshold - Minimum similarity (default: 0.8)
+ * @param {Function} scorePair - Similarity of two records (default: compares names)
+ * @returns {Array} - Pairs as [first, second, score]
+ */
+export const findSimilarNames = (
+  records,
+  threshold = DEFAULT_MATCH_THRESHOLD,
+  scorePair = (first, second) => calculateStringSimilarity(first.name, second.name)
+) => {
+  const pairs = [];
+
+  records.forEach((record, index) => {
+    for (let other = index + 1; other < records.length; other += 1) {
+      const score = scorePair(record, records[other]);
+      if (score >= threshold) pairs.push([record, records[other], score]);
+    }
+  });
+
+  return pairs;
+};
+
+/**
+ * Score how likely two artists are the same act
+ * Names that only differ by qualifiers ("Sister Hazel" and "Sister Hazel (Band)")
+ * score 1; otherwise the best similarity between any of their names and aliases.
+ * @param {Object} first - Artist with name and optional artist_aliases
+ * @param {Object} second - Artist with name and optional artist_aliases
+ * @returns {number} - Score from 0 to 1
+ */
+export const scoreArtistMatch = (first, second) => {
+  let best = 0;
+
+  getRecordNames(first).forEach(firstName => {
+    const normalized = normalizeArtistName(firstName);
+    getRecordNames(second).forEach(secondName => {
+      const score =
+        normalized && normalized === normalizeArtistName(secondName)
+          ? 1
+          : calculateStringSimilarity(firstName, secondName);
+      best = Math.max(best, score);
+    });
+  });
+
+  return best;
+};
+
+/**
+ * Find artists that are likely the same act entered twice
+ * @param {Array} artists - Artists with id, name and optional artist_aliases
+ * @param {number} threshold - Minimum score (default: 0.8)
+ * @returns {Array} - Pairs as [first, second, score], most likely first
+ */
+export const findDuplicateArtists = (artists, threshold = DEFAULT_MATCH_THRESHOLD) =>
+  findSimilarNames(artists, threshold, scoreArtistMatch).sort((a, b) => b[2] - a[2]);
+
+/**
+ * Run every data quality check
+ * @param {Object} data - Rows to check
+ * @param {Array} data.concerts - Concerts with artists, venues and festivals joined
+ * @param {Array} data.artists - Artists
+ * @param {Array} data.venues - Venues
+ * @returns {Array} - One entry per check: { id, title, description, issues: [{ key, label, links }] }
+ */
+export const findDataIssues = ({ concerts = [], artists = [], venues = [] }) => {
+  const concertLink = concert => [
+    { label: 'Edit concert', path: getEditPath('concerts', concert.id) },
+  ];
+
+  return [
+    {
+      id: 'missing-end-time',
+      title: 'Concerts without an end time',
+      description: 'Itineraries and conflict checks assume these take no time at all.',
+      issues: concerts
+        .filter(concert => !concert.end_time)
+        .map(concert => ({
+          key: concert.id,
+          label: describeConcert(concert),
+          links: concertLink(concert),
+        })),
+    },
+    {
+      id: 'outside-festival',
+      title: "Concerts outside their festival's dates",
+      description: 'The concert is on a day the festival is not running.',
+      issues: concerts
+        .filter(concert => isOutsideFestival(concert, concert.festivals))
+        .map(concert => ({
+          key: concert.id,
+          label: `${describeConcert(concert)} (${concert.festivals.name}: ${
+            concert.festivals.start_date
+          } to ${concert.festivals.end_date})`,
+          links: [
+            ...concertLink(concert),
+            { label: 'Edit festival', path: getEditPath('festivals', concert.festivals.id) },
+          ],
+        })),
+    },
+    {
+      id: 'overlapping-concerts',
+      title: 'Overlapping concerts at the same venue',
+      description: 'Two performances are booked on the same stage at the same time.',
+      issues: findOverlappingConcerts(concerts).map(([first, second]) => ({
+        key: `${first.id}-${second.id}`,
+        label: `${describeConcert(first)} and ${second.artists?.name || 'Unknown artist'} at ${
+          formatParkDateTime(second.start_time, 'h:mm a') || 'an unknown time'
+        }`,
+        links: [
+          { label: 'Edit first', path: getEditPath('concerts', first.id) },
+          { label: 'Edit second', path: getEditPath('concerts', second.id) },
+        ],
+      })),
+    },
+    {
+      id: 'venue-coordinates',
+      title: 'Venues missing coordinates',
+      description: 'These venues cannot be shown on maps or used for walking times.',
+      issues: venues
+        .filter(venue => venue.latitude == null || venue.longitude == null)
+        .map(venue => ({
+          key: venue.id,
+          label: venue.name,
+          links: [{ label: 'Edit venue', path: getEditPath('venues', venue.id) }],
+        })),
+    },
+    {
+      id: 'artist-details',
+      title: 'Artists missing an image or genres',
+      description: 'Artist cards and genre filters look empty without them.',
+      issues: artists
+        .filter(artist => !artist.image_url || !artist.genres?.length)
+        .map(artist => ({
+          key: artist.id,
+          label: `${artist.name} (no ${[
+            !artist.image_url && 'image',
+            !artist.genres?.length && 'genres',
+          ]
+            .filter(Boolean)
+            .join(' or ')})`,
+          links: [{ label: 'Edit artist', path: getEditPath('artists', artist.id) }],
+        })),
+    },
+    {
+      id: 'duplicate-artists',
+      title: 'Possible duplicate artists',
+      description: 'Names this similar are usually the same act entered twice.',
+      issues: findDuplicateArtists(artists).map(([first, second]) => ({
+        key: `${first.id}-${second.id}`,
+        label: `${first.name} / ${second.name}`,
+        links: [
+          { label: 'Merge', path: ARTIST_MERGE_PATH },
+          { label: `Edit ${first.name}`, path: getEditPath('artists', first.id) },
+          { label: `Edit ${second.name}`, path: getEditPath('artists', second.id) },
+        ],
+      })),
+    },
+  ];
+};
@@ -1,71 +1,189 @@
 /**
- * Date utility functions for formatting dates and times
+ * Date utility functions for parsing, bucketing and formatting dates and times
+ *
+ * Every concert happens at Walt Disney World, so dates and times are always
+ * shown in park time (America/New_York) whatever timezone the device is in.
+ * Day boundaries are park midnights, which keeps a late-evening set on the
+ * day it is actually played and handles the 23 and 25 hour DST days.
  * Optimized for mobile display with concise formatting
  */
 
+import { DateTime } from 'luxon';
+
+// Timezone all concerts and festivals are scheduled in
+export const PARK_TIMEZONE = 'America/New_York';
+
+// Calendar date strings without a time, e.g. "2025-05-01"
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a date into a Luxon DateTime in park time
+ * Strings with an offset (e.g. timestamptz values from Supabase) keep their instant.
+ * Strings without one, including YYYY-MM-DD dates, are read as park time.
+ * @param {string|Date|number|DateTime} value - Date to parse
+ * @returns {DateTime|null} - DateTime in the park timezone, or null if invalid
+ */
+export const toParkDateTime = value => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let dateTime;
+
+  if (DateTime.isDateTime(value)) {
+    dateTime = value;
+  } else if (value instanceof Date) {
+    dateTime = DateTime.fromJSDate(value);
+  } else if (typeof value === 'number') {
+    dateTime = DateTime.fromMillis(value);
+  } else if (typeof value === 'string') {
+    dateTime = DateTime.fromISO(value, { zone: PARK_TIMEZONE });
+
+    // Postgres can also return "2025-05-01 20:00:00+00" style timestamps
+    if (!dateTime.isValid) {
+      dateTime = DateTime.fromSQL(value, { zone: PARK_TIMEZONE });
+    }
+  } else {
+    return null;
+  }
+
+  return dateTime.isValid ? dateTime.setZone(PARK_TIMEZONE) : null;
+};
+
+/**
+ * Get the current time in the park timezone
+ * @returns {DateTime} - Current DateTime in park time
+ */
+export const getParkNow = () => DateTime.now().setZone(PARK_TIMEZONE);
+
+/**
+ * Get the park calendar date a date or timestamp falls on
+ * @param {string|Date|number} value - Date to bucket
+ * @returns {string|null} - YYYY-MM-DD park date, or null if invalid
+ */
+export const getParkDateString = value => {
+  if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) {
+    return value;
+  }
+
+  const dateTime = toParkDateTime(value);
+  return dateTime ? dateTime.toISODate() : null;
+};
+
+/**
+ * Get the first and last instant of a park day
+ * Used for start_time range queries, so "May 1" means May 1 in Orlando.
+ * @param {string|Date} date - YYYY-MM-DD date, or any instant on the day
+ * @returns {Object|null} - Object with startOfDay and endOfDay Dates, or null if invalid
+ */
+export const getParkDayBounds = date => {
+  const dateTime = toParkDateTime(date);
+  if (!dateTime) return null;
+
+  return {
+    startOfDay: dateTime.startOf('day').toJSDate(),
+    endOfDay: dateTime.endOf('day').toJSDate(),
+  };
+};
+
+/**
+ * Get the first and last instant of one or more park months
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (matches Date#getMonth)
+ * @param {number} monthCount - Number of months to cover
+ * @returns {Object} - Object with startDate and endDate Dates
+ */
+export const getParkMonthBounds = (year, month, monthCount = 1) => {
+  const start = DateTime.fromObject({ year, month: month + 1, day: 1 }, { zone: PARK_TIMEZONE });
+
+  return {
+    startDate: start.toJSDate(),
+    endDate: start
+      .plus({ months: monthCount - 1 })
+      .endOf('month')
+      .toJSDate(),
+  };
+};
+
+/**
+ * Check whether two dates fall on the same park day
+ * @param {string|Date} first - First date
+ * @param {string|Date} second - Second date
+ * @returns {boolean} - True if both are on the same park day
+ */
+export const isSameParkDay = (first, second) => {
+  const firstDate = getParkDateString(first);
+  return Boolean(firstDate) && firstDate === getParkDateString(second);
+};
+
+/**
+ * Format a date in park time with a Luxon format string
+ * @param {string|Date} date - Date to format
+ * @param {string} format - Luxon format, e.g. "yyyyMMdd'T'HHmmss"
+ * @returns {string} - Formatted date, or an empty string if invalid
+ */
+export const formatParkDateTime = (date, format) => {
+  const dateTime = toParkDateTime(date);
+  return dateTime ? dateTime.toFormat(format) : '';
+};
+
+/**
+ * Format a timestamp for a datetime-local input, in park time
+ * @param {string|Date} date - Timestamp to format
+ * @returns {string} - Value such as "2025-05-01T19:30", or an empty string
+ */
+export const formatParkDateTimeInput = date => formatParkDateTime(date, "yyyy-MM-dd'T'HH:mm");
+
+/**
+ * Convert a datetime-local input value (park time) to an ISO timestamp with offset
+ * @param {string} value - Input value such as "2025-05-01T19:30"
+ * @returns {string|null} - ISO timestamp, e.g. "2025-05-01T19:30:00.000-04:00", or null
+ */
+export const parseParkDateTimeInput = value => {
+  const dateTime = toParkDateTime(value);
+  return dateTime ? dateTime.toISO() : null;
+};
+
 /**
  * Format a date string or Date object to display format
  * @param {string|Date} date - Date to format
  * @returns {string} - Formatted date string (e.g., "Mon, Apr 15")
  */
 export const formatDate = date => {
-  // Return a placeholder if date is undefined or null
-  if (!date) {
+  const dateTime = toParkDateTime(date);
+
+  // Return a placeholder if date is missing or invalid
+  if (!dateTime) {
     return 'TBD';
   }
 
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
-
-  // Format: "Mon, Apr 15"
-  return dateObj.toLocaleDateString('en-US', {
-    weekday: 'short',
-    month: 'short',
-    day: 'numeric',
-  });
+  return dateTime.toFormat('EEE, MMM d');
 };
 
 /**
- * Format a date string or Date object to display time format without timezone adjustments
+ * Format a date as a long heading (e.g., "Monday, April 15")
+ * @param {string|Date} date - Date to format
+ * @param {Object} options - Options
+ * @param {boolean} options.includeYear - Append the year
+ * @returns {string} - Formatted date string
+ */
+export const formatLongDate = (date, { includeYear = false } = {}) =>
+  formatParkDateTime(date, includeYear ? 'EEEE, MMMM d, yyyy' : 'EEEE, MMMM d');
+
+/**
+ * Format a date string or Date object to display time in park time
  * @param {string|Date} date - Date to format
  * @returns {string} - Formatted time string (e.g., "7:30 PM")
  */
 export const formatTime = date => {
-  // Return a placeholder if date is undefined or null
-  if (!date) {
-    return 'TBD';
-  }
-
-  // If the date is provided as a string
-  if (typeof date === 'string') {
-    // Parse the time portion only from the ISO string to prevent timezone adjustments
-    const timeMatch = date.match(/(\d{2}):(\d{2}):(\d{2})/);
-
-    if (timeMatch) {
-      const [, hours, minutes] = timeMatch;
-      const hourNum = parseInt(hours, 10);
-      const ampm = hourNum >= 12 ? 'PM' : 'AM';
-      const hour12 = hourNum % 12 || 12; // Convert 24h to 12h format
-
-      return `${hour12}:${minutes} ${ampm}`;
-    }
-
-    // If no time pattern was found in the string, create a date object
-    const dateObj = new Date(date);
-    const hours = dateObj.getHours();
-    const minutes = dateObj.getMinutes().toString().padStart(2, '0');
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    const hour12 = hours % 12 || 12;
+  const dateTime = toParkDateTime(date);
 
-    return `${hour12}:${minutes} ${ampm}`;
+  // Return a placeholder if date is missing or invalid
+  if (!dateTime) {
+    return 'TBD';
   }
 
-  // If it's already a Date object, format it without timezone adjustments
-  const hours = date.getHours();
-  const minutes = date.getMinutes().toString().padStart(2, '0');
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  const hour12 = hours % 12 || 12;
-
-  return `${hour12}:${minutes} ${ampm}`;
+  return dateTime.toFormat('h:mm a');
 };
 
 /**
@@ -88,21 +206,8 @@ export const formatDateRange = (startDate, endDate) => {
     return `Starts ${formatDate(startDate)}`;
   }
 
-  const startObj = typeof startDate === 'string' ? new Date(startDate) : startDate;
-  const endObj = typeof endDate === 'string' ? new Date(endDate) : endDate;
-
   // Format: "Apr 15 - Apr 20"
-  const startFormatted = startObj.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-  });
-
-  const endFormatted = endObj.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-  });
-
-  return `${startFormatted} - ${endFormatted}`;
+  return `${formatParkDateTime(startDate, 'MMM d')} - ${formatParkDateTime(endDate, 'MMM d')}`;
 };
 
 /**
@@ -111,85 +216,42 @@ export const formatDateRange = (startDate, endDate) => {
  * @returns {string} - Relative date description
  */
 export const getRelativeDate = date => {
-  // Return placeholder if date is undefined or null
-  if (!date) {
+  const dateTime = toParkDateTime(date);
+
+  // Return placeholder if date is missing or invalid
+  if (!dateTime) {
     return 'Date TBD';
   }
 
-  const dateObj =
-    typeof date === 'string'
-      ? new Date(`${date}T12:00:00`) // ensures local date rendering
-      : date;
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-
-  // Set to midnight for comparison
-  today.setHours(0, 0, 0, 0);
-  tomorrow.setHours(0, 0, 0, 0);
-  const compareDate = new Date(dateObj);
-  compareDate.setHours(0, 0, 0, 0);
-
-  // Check if date is today or tomorrow
-  if (compareDate.getTime() === today.getTime()) {
+  const dayDiff = Math.round(
+    dateTime.startOf('day').diff(getParkNow().startOf('day'), 'days').days
+  );
+
+  if (dayDiff === 0) {
     return 'Today';
-  } else if (compareDate.getTime() === tomorrow.getTime()) {
+  } else if (dayDiff === 1) {
     return 'Tomorrow';
   }
 
   // If date is within the next 6 days (this week), return day of week
-  const dayDiff = Math.floor((compareDate - today) / (1000 * 60 * 60 * 24));
   if (dayDiff > 0 && dayDiff < 7) {
-    return dateObj.toLocaleDateString('en-US', { weekday: 'long' });
+    return dateTime.toFormat('EEEE');
   }
 
   // Otherwise, return formatted date
-  return formatDate(dateObj);
+  return formatDate(dateTime);
 };
 
 /**
  * Extract valid date string from a date object or string
- * CRITICAL FIX: Always extracts date directly from ISO string to preserve UTC dates
+ * Timestamps are bucketed by their park date, not their UTC date
  * @param {Date|string} date - The date to process
  * @returns {string|null} - YYYY-MM-DD format date string or null if invalid
  */
-export const getValidDateString = date => {
-  if (!date) return null;
-
-  try {
-    // If it's a string (most common case from API)
-    if (typeof date === 'string') {
-      // Direct extraction of date part from ISO string (YYYY-MM-DD)
-      // This avoids all timezone issues by not creating a Date object
-      const datePart = date.split('T')[0];
-      if (datePart && datePart.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        return datePart; // Return the date part directly
-      }
-
-      // If not in ISO format, create a Date and extract UTC components
-      const dateObj = new Date(date);
-      if (isNaN(dateObj.getTime())) return null;
-
-      // Use UTC components to avoid timezone shifts
-      return dateObj.toISOString().split('T')[0];
-    }
-    // If it's already a Date object
-    else if (date instanceof Date) {
-      if (isNaN(date.getTime())) return null;
-
-      // Always use UTC/ISO string to avoid timezone issues
-      return date.toISOString().split('T')[0];
-    }
-
-    return null;
-  } catch (e) {
-    console.error('Error extracting date:', e);
-    return null;
-  }
-};
+export const getValidDateString = date => getParkDateString(date);
 
 /**
- * Group performances by date - uses the ISO date string directly to avoid timezone issues
+ * Group performances by park date
  * @param {Array} performances - Array of performance objects
  * @returns {Object} - Object with dates as keys and arrays of performances as values
  */
@@ -202,25 +264,9 @@ export const groupPerformancesByDate = performances => {
     if (!performance) return groups;
 
     // Handle both camelCase and snake_case property names
-    const startTime = performance.startTime || performance.start_time;
-    if (!startTime) {
-      // If no start time is available, skip this performance
-      return groups;
-    }
-
-    // Extract date part directly from ISO string to avoid timezone conversions
-    let dateStr;
-
-    if (typeof startTime === 'string') {
-      // Always use the date directly from the ISO string (YYYY-MM-DD)
-      dateStr = startTime.split('T')[0];
-    } else if (startTime instanceof Date) {
-      // For Date objects, use UTC date components to maintain consistency with ISO strings
-      dateStr = startTime.toISOString().split('T')[0];
-    } else {
-      return groups; // Invalid date format
-    }
+    const dateStr = getParkDateString(performance.startTime || performance.start_time);
 
+    // Skip performances without a valid start time
     if (!dateStr) return groups;
 
     if (!groups[dateStr]) {
@@ -234,7 +280,7 @@ export const groupPerformancesByDate = performances => {
 
 /**
  * Group performances by date and then by venue for artists
- * Uses ISO date strings to avoid timezone issues
+ * Dates are park dates, matching groupPerformancesByDate
  * @param {Array} performances - Array of performance objects
  * @returns {Object} - Object with dates as keys and arrays of consolidated performances
  */
@@ -251,37 +297,7 @@ export const groupArtistPerformancesByDateAndVenue = performances => {
 
   if (validPerformances.length === 0) return {};
 
-  // Create date groups manually to avoid timezone issues
-  const byDate = {};
-
-  // Group by date directly from the ISO string date part
-  validPerformances.forEach(performance => {
-    if (!performance) return;
-
-    const startTime = performance.startTime || performance.start_time;
-    if (!startTime) return;
-
-    // Get date string directly from ISO string when possible
-    let dateStr;
-
-    if (typeof startTime === 'string') {
-      // Always use the date directly from the ISO string (YYYY-MM-DD)
-      dateStr = startTime.split('T')[0];
-    } else if (startTime instanceof Date) {
-      // For Date objects, use toISOString() to get the date part
-      dateStr = startTime.toISOString().split('T')[0];
-    } else {
-      return; // Invalid date format
-    }
-
-    if (!dateStr) return;
-
-    if (!byDate[dateStr]) {
-      byDate[dateStr] = [];
-    }
-
-    byDate[dateStr].push(performance);
-  });
+  const byDate = groupPerformancesByDate(validPerformances);
 
   const consolidatedByDate = {};
 
@@ -383,20 +399,20 @@ export const groupArtistPerformancesByDateAndVenue = performances => {
  * @returns {boolean} - True if date is in the past
  */
 export const isDatePast = date => {
-  // If date is undefined or null, consider it as a future date
-  if (!date) {
+  const dateTime = toParkDateTime(date);
+
+  // If date is missing or invalid, consider it as a future date
+  if (!dateTime) {
     return false;
   }
 
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
-  const now = new Date();
-  return dateObj < now;
+  return dateTime.toMillis() < Date.now();
 };
 
 /**
  * Format date to YYYY-MM-DD for API requests
  * @param {Date} date - Date to format
- * @returns {string} - Formatted date string (YYYY-MM-DD)
+ * @returns {string} - Park date string (YYYY-MM-DD)
  */
 export const formatDateForApi = date => {
   if (!date) {
@@ -405,21 +421,11 @@ export const formatDateForApi = date => {
     return getTodayDateString();
   }
 
-  // Ensure we're using local date components to avoid timezone issues
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+  return getParkDateString(date) || getTodayDateString();
 };
 
 /**
- * Get today's date as a YYYY-MM-DD string in local timezone
- * @returns {string} Today's date string
+ * Get today's date as a YYYY-MM-DD string in park time
+ * @returns {string} Today's park date string
  */
-export const getTodayDateString = () => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-};
+export const getTodayDateString = () => getParkNow().toISODate();
@@ -0,0 +1,455 @@
+/**
+ * Concert schedule import utilities
+ *
+ * Turns a CSV or JSON lineup into a dry-run diff against the database:
+ * 1. parseImportFile reads the rows
+ * 2. resolveImportRows matches artist, venue and festival names to records
+ * 3. buildImportDiff compares each row with existing concerts
+ * The diff's creates and updates are then proposed as staging_changes for an
+ * admin to approve (see stagingUtils); nothing is written to concerts directly.
+ *
+ * Rows without an offset are read as park time, like the admin concert form.
+ */
+
+import { DateTime } from 'luxon';
+import { PARK_TIMEZONE, toParkDateTime } from './dateUtils';
+import { findBestMatch } from './matchingUtils';
+import { STAGING_ACTIONS } from './stagingUtils';
+
+export const IMPORT_STATUS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged',
+  ERROR: 'error',
+};
+
+// Concert fields an import can change on an existing concert
+export const UPDATABLE_FIELDS = ['end_time', 'festival_id', 'notes', 'ticket_required'];
+
+// Alternative column names accepted for each field
+const COLUMN_ALIASES = {
+  artist: ['artist', 'artist_name'],
+  venue: ['venue', 'venue_name', 'stage'],
+  festival: ['festival', 'festival_name'],
+  date: ['date', 'day'],
+  start_time: ['start_time', 'start', 'time'],
+  end_time: ['end_time', 'end'],
+};
+
+const DATE_FORMATS = ['yyyy-MM-dd', 'M/d/yyyy', 'M/d/yy'];
+const TIME_FORMATS = ['H:mm', 'H:mm:ss', 'h:mm a', 'h:mma', 'h a', 'ha'];
+
+/**
+ * Normalize a column header, e.g. "Start Time" to "start_time"
+ */
+const normalizeHeader = header =>
+  String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+/**
+ * Parse CSV text into records keyed by normalized header
+ * Supports quoted fields containing commas, quotes ("") and line breaks.
+ * @param {string} text - CSV text with a header row
+ * @returns {Array} - Array of row objects
+ */
+export const parseCsv = text => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(row => row.some(value => value.trim()));
+  const keys = header.map(normalizeHeader);
+
+  return rows.map(row =>
+    Object.fromEntries(keys.map((key, index) => [key, (row[index] || '').trim()]))
+  );
+};
+
+/**
+ * Parse an uploaded lineup file
+ * JSON files may be an array of rows or an object with a concerts array.
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to detect the format
+ * @returns {Array} - Array of row objects
+ */
+export const parseImportFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+
+  if (!isJson) {
+    return parseCsv(text);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const rows = Array.isArray(parsed) ? parsed : parsed?.concerts;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON must be an array of concerts or an object with a "concerts" array');
+  }
+
+  return rows.map(row =>
+    Object.fromEntries(
+      Object.entries(row || {}).map(([key, value]) => [normalizeHeader(key), value])
+    )
+  );
+};
+
+/**
+ * Read a field from a row using its accepted column names
+ * @returns {*} - Value, or undefined when the row has no such column
+ */
+const readField = (row, field) => {
+  const key = (COLUMN_ALIASES[field] || [field]).find(alias => alias in row);
+  if (key === undefined) return undefined;
+
+  const value = row[key];
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Check whether a row has a column, even an empty one
+ */
+const hasField = (row, field) => (COLUMN_ALIASES[field] || [field]).some(alias => alias in row);
+
+/**
+ * Parse a date and time in park time
+ * The time may be a full timestamp on its own, or a clock time combined with the date.
+ * @param {string} date - Date, e.g. "2025-03-01" or "3/1/2025"
+ * @param {string} time - Time, e.g. "17:30", "5:30 PM" or an ISO8601 timestamp
+ * @returns {DateTime|null} - Parsed time, or null if it could not be parsed
+ */
+export const parseImportTime = (date, time) => {
+  if (!time && !date) return null;
+
+  if (time && /\d{4}-\d{2}-\d{2}/.test(String(time))) {
+    return toParkDateTime(String(time));
+  }
+
+  if (!date || !time) return null;
+
+  const dateValue = String(date).trim();
+  const timeValue = String(time).trim().toUpperCase().replace(/\s+/g, ' ');
+
+  for (const dateFormat of DATE_FORMATS) {
+    for (const timeFormat of TIME_FORMATS) {
+      const parsed = DateTime.fromFormat(
+        `${dateValue} ${timeValue}`,
+        `${dateFormat} ${timeFormat}`,
+        {
+          zone: PARK_TIMEZONE,
+        }
+      );
+      if (parsed.isValid) return parsed;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a yes/no style boolean
+ * @returns {boolean|null|undefined} - Parsed value, null for blank, undefined if invalid
+ */
+const parseBooleanValue = value => {
+  if (value === null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return undefined;
+};
+
+/**
+ * Key identifying a concert: same artist, venue and start instant
+ * @param {Object} concert - Concert with artist_id, venue_id and start_time
+ * @returns {string} - Key
+ */
+export const getConcertKey = concert =>
+  `${concert.artist_id}|${concert.venue_id}|${new Date(concert.start_time).getTime()}`;
+
+/**
+ * Resolve a record from an ID column or a fuzzy name match
+ * @returns {Object} - Object with the record (or null), match info and an error message
+ */
+const resolveEntity = (row, field, records, label) => {
+  const id = readField(row, `${field}_id`);
+  if (id) {
+    const record = records.find(candidate => candidate.id === id);
+    return record
+      ? { record, match: { name: record.name, score: 1 } }
+      : { record: null, error: `Unknown ${label} ID "${id}"` };
+  }
+
+  const name = readField(row, field);
+  if (!name) return { record: null };
+
+  const best = findBestMatch(name, records);
+  if (!best) {
+    return { record: null, error: `No ${label} matches "${name}"` };
+  }
+
+  return {
+    record: best.record,
+    match: { input: name, name: best.record.name, score: best.score },
+  };
+};
+
+/**
+ * Resolve names and times for imported rows and validate them
+ * @param {Array} rows - Rows from parseImportFile
+ * @param {Object} references - Existing records to match against
+ * @param {Array} references.artists - Artists with id and name
+ * @param {Array} references.venues - Venues with id and name
+ * @param {Array} references.festivals - Festivals with id and name
+ * @returns {Array} - Resolved rows with row number, values, matches and errors
+ */
+export const resolveImportRows = (rows, { artists = [], venues = [], festivals = [] }) => {
+  const seen = new Map();
+
+  return rows.map((input, index) => {
+    const errors = [];
+    const matches = {};
+    const values = {};
+
+    [
+      ['artist', artists, 'artist', true],
+      ['venue', venues, 'venue', true],
+      ['festival', festivals, 'festival', false],
+    ].forEach(([field, records, label, required]) => {
+      const { record, match, error } = resolveEntity(input, field, records, label);
+      if (error) errors.push(error);
+      else if (!record && required) errors.push(`Missing ${label}`);
+      if (match) matches[field] = match;
+
+      if (record) {
+        values[`${field}_id`] = record.id;
+      } else if (!required && (hasField(input, field) || hasField(input, `${field}_id`))) {
+        values[`${field}_id`] = null;
+      }
+    });
+
+    const date = readField(input, 'date');
+    const start = parseImportTime(date, readField(input, 'start_time'));
+    if (!start) {
+      errors.push('Missing or invalid start time');
+    } else {
+      values.start_time = start.toUTC().toISO();
+    }
+
+    if (hasField(input, 'end_time')) {
+      const rawEnd = readField(input, 'end_time');
+      const end = rawEnd ? parseImportTime(date, rawEnd) : null;
+      if (rawEnd && !end) {
+        errors.push('Invalid end time');
+      } else if (end && start && end <= start) {
+        errors.push('End time must be after start time');
+      } else {
+        values.end_time = end ? end.toUTC().toISO() : null;
+      }
+    }
+
+    if (hasField(input, 'notes')) {
+      values.notes = readField(input, 'notes') || null;
+    }
+
+    if (hasField(input, 'ticket_required')) {
+      const ticketRequired = parseBooleanValue(readField(input, 'ticket_required'));
+      if (ticketRequired === undefined) {
+        errors.push('ticket_required must be yes or no');
+      } else {
+        values.ticket_required = ticketRequired ?? false;
+      }
+    }
+
+    const row = index + 1;
+    if (!errors.length) {
+      const key = getConcertKey(values);
+      if (seen.has(key)) {
+        errors.push(`Duplicate of row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row);
+      }
+    }
+
+    return { row, input, values, matches, errors };
+  });
+};
+
+/**
+ * Compare a field value from the import with the database value
+ */
+const isSameValue = (field, imported, existing) => {
+  if (field === 'end_time') {
+    const importedTime = imported ? new Date(imported).getTime() : null;
+    const existingTime = existing ? new Date(existing).getTime() : null;
+    return importedTime === existingTime;
+  }
+  if (field === 'ticket_required') {
+    return Boolean(imported) === Boolean(existing);
+  }
+
+  return (imported ?? null) === (existing ?? null);
+};
+
+/**
+ * Build the dry-run diff of resolved rows against existing concerts
+ * @param {Array} resolvedRows - Rows from resolveImportRows
+ * @param {Array} existingConcerts - Concerts already in the database
+ * @returns {Object} - Rows with status (and concertId and changes for updates) plus a summary
+ */
+export const buildImportDiff = (resolvedRows, existingConcerts) => {
+  const existingByKey = new Map(existingConcerts.map(concert => [getConcertKey(concert), concert]));
+
+  const rows = resolvedRows.map(row => {
+    if (row.errors.length) {
+      return { ...row, status: IMPORT_STATUS.ERROR };
+    }
+
+    const existing = existingByKey.get(getConcertKey(row.values));
+    if (!existing) {
+      return { ...row, status: IMPORT_STATUS.CREATE };
+    }
+
+    const changes = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (field in row.values && !isSameValue(field, row.values[field], existing[field])) {
+        changes[field] = { from: existing[field] ?? null, to: row.values[field] };
+      }
+    });
+
+    return {
+      ...row,
+      concertId: existing.id,
+      changes,
+      status: Object.keys(changes).length ? IMPORT_STATUS.UPDATE : IMPORT_STATUS.UNCHANGED,
+    };
+  });
+
+  const summary = Object.values(IMPORT_STATUS).reduce(
+    (counts, status) => ({ ...counts, [status]: rows.filter(row => row.status === status).length }),
+    {}
+  );
+
+  return { rows, summary };
+};
+
+/**
+ * Get the review queue changes for a diff's creates and updates
+ * @param {Object} diff - Diff from buildImportDiff
+ * @returns {Array} - Proposed concert changes for staging_changes
+ */
+export const getStagingChanges = diff =>
+  diff.rows.flatMap(row => {
+    const sourceUrl = row.input.source_url || null;
+
+    if (row.status === IMPORT_STATUS.CREATE) {
+      return [
+        {
+          entity_type: 'concert',
+          action: STAGING_ACTIONS.INSERT,
+          record_id: null,
+          proposed: { ticket_required: false, ...row.values },
+          source_url: sourceUrl,
+          dedupe_key: `concert:insert:${getConcertKey(row.values)}`,
+        },
+      ];
+    }
+
+    if (row.status === IMPORT_STATUS.UPDATE) {
+      return [
+        {
+          entity_type: 'concert',
+          action: STAGING_ACTIONS.UPDATE,
+          record_id: row.concertId,
+          proposed: Object.fromEntries(
+            Object.entries(row.changes).map(([field, { to }]) => [field, to])
+          ),
+          source_url: sourceUrl,
+          dedupe_key: `concert:update:${row.concertId}`,
+        },
+      ];
+    }
+
+    return [];
+  });
+
+/**
+ * Quote a value for CSV output
+ */
+const toCsvValue = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV report of rows that cannot be imported
+ * @param {Array} rows - Diff rows
+ * @param {Object} options - Report options
+ * @param {string} options.commitError - Error returned when committing the import
+ * @returns {string} - CSV text
+ */
+export const buildErrorReport = (rows, { commitError } = {}) => {
+  const lines = [['row', 'artist', 'venue', 'date', 'start_time', 'errors']];
+
+  rows
+    .filter(row => row.errors.length)
+    .forEach(({ row, input, errors }) => {
+      lines.push([
+        row,
+        readField(input, 'artist') || readField(input, 'artist_id'),
+        readField(input, 'venue') || readField(input, 'venue_id'),
+        readField(input, 'date'),
+        readField(input, 'start_time'),
+        errors.join('; '),
+      ]);
+    });
+
+  if (commitError) {
+    lines.push(['', '', '', '', '', `Sending changes for review failed: ${commitError}`]);
+  }
+
+  return `${lines.map(line => line.map(toCsvValue).join(',')).join('\n')}\n`;
+};
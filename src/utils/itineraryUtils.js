@@ -0,0 +1,245 @@
+/**
+ * Itinerary utilities for EncoreLando
+ *
+ * Functions for turning a list of favorited concerts into a day plan:
+ * ordering sets, flagging conflicts and suggesting a conflict-free plan.
+ */
+
+import { getWalkMinutes } from './walkingUtils';
+
+// Length assumed for sets without an end_time (matches calendarUtils' one-hour default)
+export const DEFAULT_SET_MINUTES = 60;
+
+// Minimum gap needed to get from one park to another between sets
+export const PARK_TRANSFER_MINUTES = 60;
+
+// Conflict types reported by findConflicts
+export const CONFLICT_TYPES = {
+  OVERLAP: 'overlap',
+  PARK_CHANGE: 'park_change',
+  WALK: 'walk',
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get the start and end timestamps (ms) for a concert
+ * @param {Object} concert - Concert with start_time and optional end_time
+ * @returns {Object} - Object containing start and end in milliseconds
+ */
+export const getSetWindow = concert => {
+  const start = new Date(concert.start_time).getTime();
+  const end = concert.end_time
+    ? new Date(concert.end_time).getTime()
+    : start + DEFAULT_SET_MINUTES * MINUTE_MS;
+
+  return { start, end: Math.max(end, start) };
+};
+
+/**
+ * Get the park ID for a concert's venue, handling both relationship naming styles
+ * @param {Object} concert - Concert object
+ * @returns {string|null} - Park ID or null if unknown
+ */
+export const getConcertParkId = concert => {
+  const venue = concert.venue || concert.venues || {};
+  const park = venue.park || venue.parks || {};
+  return park.id || venue.park_id || null;
+};
+
+/**
+ * Sort concerts by start time, then by end time
+ * @param {Array} concerts - Array of concert objects
+ * @returns {Array} - New sorted array
+ */
+export const sortByTime = concerts => {
+  if (!Array.isArray(concerts)) return [];
+
+  return concerts
+    .filter(concert => concert && concert.start_time)
+    .sort((a, b) => {
+      const aWindow = getSetWindow(a);
+      const bWindow = getSetWindow(b);
+      return aWindow.start - bWindow.start || aWindow.end - bWindow.end;
+    });
+};
+
+/**
+ * Check whether two sets overlap in time
+ * @param {Object} a - First concert
+ * @param {Object} b - Second concert
+ * @returns {boolean} - True if the sets overlap
+ */
+export const setsOverlap = (a, b) => {
+  const aWindow = getSetWindow(a);
+  const bWindow = getSetWindow(b);
+  return aWindow.start < bWindow.end && bWindow.start < aWindow.end;
+};
+
+/**
+ * Get a concert's venue, handling both relationship naming styles
+ * @param {Object} concert - Concert object
+ * @returns {Object|null} - Venue or null if unknown
+ */
+export const getConcertVenue = concert => concert.venue || concert.venues || null;
+
+/**
+ * Check whether two sets are in different parks
+ * @param {Object} first - Concert
+ * @param {Object} next - Concert
+ * @returns {boolean} - True if both parks are known and they differ
+ */
+const changesPark = (first, next) => {
+  const firstPark = getConcertParkId(first);
+  const nextPark = getConcertParkId(next);
+  return Boolean(firstPark && nextPark && firstPark !== nextPark);
+};
+
+/**
+ * Get the walk between two sets in the same park and the time there is for it
+ * @param {Object} first - Earlier concert
+ * @param {Object} next - Later concert
+ * @param {Map} walkingTimes - Recorded walking times (see walkingUtils.indexWalkingTimes)
+ * @returns {Object|null} - { minutes, gapMinutes, tooShort }, or null if the sets are in
+ * different parks or the walk can't be worked out
+ */
+export const getWalkBetween = (first, next, walkingTimes) => {
+  if (changesPark(first, next)) return null;
+
+  const minutes = getWalkMinutes(getConcertVenue(first), getConcertVenue(next), walkingTimes);
+  if (minutes === null) return null;
+
+  const gapMinutes = Math.floor((getSetWindow(next).start - getSetWindow(first).end) / MINUTE_MS);
+  return { minutes, gapMinutes, tooShort: gapMinutes < minutes };
+};
+
+/**
+ * Check whether one set can be followed by another
+ * The next set must start after the first ends, with time to walk to its venue, or
+ * extra time for changing parks
+ * @param {Object} first - Earlier concert
+ * @param {Object} next - Later concert
+ * @param {number} transferMinutes - Minutes needed to change parks
+ * @param {Map} walkingTimes - Recorded walking times between venues
+ * @returns {boolean} - True if both sets can be attended
+ */
+export const canFollow = (first, next, transferMinutes = PARK_TRANSFER_MINUTES, walkingTimes) => {
+  const firstWindow = getSetWindow(first);
+  const nextWindow = getSetWindow(next);
+
+  const requiredMinutes = changesPark(first, next)
+    ? transferMinutes
+    : getWalkBetween(first, next, walkingTimes)?.minutes || 0;
+
+  return nextWindow.start - firstWindow.end >= requiredMinutes * MINUTE_MS;
+};
+
+/**
+ * Find conflicts between sets in a day
+ * Reports every overlapping pair, and sets too close together to walk between or,
+ * in different parks, to travel between
+ * @param {Array} concerts - Array of concert objects
+ * @param {Object} options - Options
+ * @param {number} options.transferMinutes - Minutes needed to change parks
+ * @param {Map} options.walkingTimes - Recorded walking times between venues
+ * @returns {Array} - Array of { type, first, second } conflict objects
+ */
+export const findConflicts = (
+  concerts,
+  { transferMinutes = PARK_TRANSFER_MINUTES, walkingTimes } = {}
+) => {
+  const sorted = sortByTime(concerts);
+  const conflicts = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = i + 1; j < sorted.length; j++) {
+      const first = sorted[i];
+      const second = sorted[j];
+
+      if (setsOverlap(first, second)) {
+        conflicts.push({ type: CONFLICT_TYPES.OVERLAP, first, second });
+      } else if (!canFollow(first, second, transferMinutes, walkingTimes)) {
+        conflicts.push({
+          type: changesPark(first, second) ? CONFLICT_TYPES.PARK_CHANGE : CONFLICT_TYPES.WALK,
+          first,
+          second,
+        });
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Suggest the conflict-free subset of sets with the most sets
+ * Ties are broken in favor of the plan that finishes earliest
+ * @param {Array} concerts - Array of concert objects
+ * @param {Object} options - Options
+ * @param {number} options.transferMinutes - Minutes needed to change parks
+ * @param {Map} options.walkingTimes - Recorded walking times between venues
+ * @returns {Array} - Sorted array of concerts to attend
+ */
+export const suggestBestPlan = (
+  concerts,
+  { transferMinutes = PARK_TRANSFER_MINUTES, walkingTimes } = {}
+) => {
+  // Order by end time so every possible predecessor of a set comes before it
+  const sorted = sortByTime(concerts).sort((a, b) => getSetWindow(a).end - getSetWindow(b).end);
+
+  if (sorted.length === 0) return [];
+
+  // best[i] = longest plan ending with sorted[i], prev[i] = previous set in that plan
+  const best = sorted.map(() => 1);
+  const prev = sorted.map(() => -1);
+
+  for (let i = 0; i < sorted.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (canFollow(sorted[j], sorted[i], transferMinutes, walkingTimes) && best[j] + 1 > best[i]) {
+        best[i] = best[j] + 1;
+        prev[i] = j;
+      }
+    }
+  }
+
+  // Pick the longest plan; earlier end time wins ties because sorted is ordered by end
+  let last = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    if (best[i] > best[last]) {
+      last = i;
+    }
+  }
+
+  const plan = [];
+  for (let i = last; i !== -1; i = prev[i]) {
+    plan.unshift(sorted[i]);
+  }
+
+  return plan;
+};
+
+/**
+ * Build a complete itinerary for a day from a list of concerts
+ * @param {Array} concerts - Array of concert objects
+ * @param {Object} options - Options passed to findConflicts and suggestBestPlan
+ * @returns {Object} - Object with sorted items, conflicts, conflicting IDs and suggested plan
+ */
+export const buildItinerary = (concerts, options = {}) => {
+  const items = sortByTime(concerts);
+  const conflicts = findConflicts(items, options);
+  const suggestedPlan = suggestBestPlan(items, options);
+
+  const conflictingIds = new Set();
+  conflicts.forEach(({ first, second }) => {
+    conflictingIds.add(first.id);
+    conflictingIds.add(second.id);
+  });
+
+  return {
+    items,
+    conflicts,
+    conflictingIds,
+    suggestedPlan,
+    suggestedIds: new Set(suggestedPlan.map(concert => concert.id)),
+  };
+};
@@ -0,0 +1,88 @@
+/**
+ * Live board utilities for EncoreLando
+ *
+ * Sorts the day's concerts into what's on right now and what starts soon, park by
+ * park, for the "Happening now" board.
+ */
+
+import { getSetWindow } from './itineraryUtils';
+
+// Sets starting within this many minutes are listed as up next
+export const UP_NEXT_MINUTES = 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whole minutes from now until a time, rounded up
+ * @param {Date|string|number} time - Time to count down to
+ * @param {Date} now - Current time
+ * @returns {number} - Minutes, never below 0
+ */
+export const getMinutesUntil = (time, now) =>
+  Math.max(0, Math.ceil((new Date(time) - new Date(now)) / MINUTE_MS));
+
+/**
+ * Format a countdown in minutes for display
+ * @param {number} minutes - Minutes remaining
+ * @returns {string} - e.g. "45 min", "1 hr 5 min", "under a minute"
+ */
+export const formatCountdown = minutes => {
+  if (minutes < 1) return 'under a minute';
+
+  const hours = Math.floor(minutes / 60);
+  const remainder = minutes % 60;
+  if (!hours) return `${remainder} min`;
+  return remainder ? `${hours} hr ${remainder} min` : `${hours} hr`;
+};
+
+/**
+ * Get the park a concert is in
+ */
+const getConcertPark = concert => {
+  const venue = concert.venue || concert.venues || {};
+  return venue.park || venue.parks || (venue.park_id ? { id: venue.park_id } : null);
+};
+
+/**
+ * Build the live board: sets in progress and sets starting soon, grouped by park
+ * @param {Array} concerts - Concerts to consider (duplicates are ignored)
+ * @param {Date} now - Current time
+ * @param {Object} options - Options
+ * @param {number} options.upNextMinutes - How far ahead "up next" looks
+ * @returns {Array} - [{ park, happeningNow, upNext }] sorted by park name, parks with
+ * nothing on or coming up left out
+ */
+export const getLiveBoard = (concerts, now, { upNextMinutes = UP_NEXT_MINUTES } = {}) => {
+  const nowMs = new Date(now).getTime();
+  const upNextUntil = nowMs + upNextMinutes * MINUTE_MS;
+  const seen = new Set();
+  const groups = new Map();
+
+  concerts.forEach(concert => {
+    if (seen.has(concert.id)) return;
+    seen.add(concert.id);
+
+    const { start, end } = getSetWindow(concert);
+    const isPlaying = start <= nowMs && nowMs < end;
+    const isUpNext = start > nowMs && start <= upNextUntil;
+    if (!isPlaying && !isUpNext) return;
+
+    const park = getConcertPark(concert) || { id: 'unknown', name: 'Other venues' };
+    if (!groups.has(park.id)) {
+      groups.set(park.id, { park, happeningNow: [], upNext: [] });
+    }
+
+    const group = groups.get(park.id);
+    // Keep the name when an earlier concert only had the park ID
+    if (!group.park.name && park.name) group.park = park;
+    (isPlaying ? group.happeningNow : group.upNext).push(concert);
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      happeningNow: group.happeningNow.sort((a, b) => getSetWindow(a).end - getSetWindow(b).end),
+      upNext: group.upNext.sort((a, b) => getSetWindow(a).start - getSetWindow(b).start),
+    }))
+    .sort((a, b) => (a.park.name || '').localeCompare(b.park.name || ''));
+};
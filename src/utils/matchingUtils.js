@@ -0,0 +1,137 @@
+/**
+ * Fuzzy name matching utilities
+ *
+ * Used to resolve free-text artist, venue and festival names (e.g. from an
+ * imported lineup) to database records. The similarity score follows the
+ * scraping prototype's calculateStringSimilarity, with an edit-distance
+ * fallback so small typos still resolve.
+ */
+
+// Minimum similarity for a name to be accepted as a match
+export const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+// A name contained in another only counts as a match if it covers this much of it
+// and is at least this long, so fragments like "Jo", "The" or "Band" never match
+const MIN_CONTAINED_LENGTH_RATIO = 0.3;
+const MIN_CONTAINED_LENGTH = 4;
+
+/**
+ * Normalize text for comparison: lowercase, no diacritics or punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+export const normalizeText = text => {
+  if (!text) return '';
+
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Normalize an artist name for duplicate detection
+ * Drops qualifiers that don't change who the act is: bracketed notes such as
+ * "(Band)" or "[Tribute]" and a leading "The".
+ * @param {string} name - Artist name
+ * @returns {string} - Normalized name
+ */
+export const normalizeArtistName = name =>
+  normalizeText(String(name || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')).replace(/^the /, '');
+
+/**
+ * Names a record can be matched by: its own name plus any recorded aliases
+ * @param {Object} record - Record with name and optional artist_aliases ([{ alias }])
+ * @returns {Array} - Names
+ */
+export const getRecordNames = record => [
+  record.name,
+  ...(record.artist_aliases || []).map(({ alias }) => alias),
+];
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Calculate the similarity between two names
+ * @param {string} first - First name
+ * @param {string} second - Second name
+ * @returns {number} - Similarity score from 0 to 1
+ */
+export const calculateStringSimilarity = (first, second) => {
+  const s1 = normalizeText(first);
+  const s2 = normalizeText(second);
+
+  if (s1 === s2) return s1 ? 1 : 0;
+  if (!s1 || !s2) return 0;
+
+  // One name contains the other as whole words, e.g. "Flower & Garden" in the full
+  // festival name
+  const [shorter, longer] = s1.length <= s2.length ? [s1, s2] : [s2, s1];
+  if (
+    ` ${longer} `.includes(` ${shorter} `) &&
+    shorter.length >= MIN_CONTAINED_LENGTH &&
+    shorter.length / longer.length >= MIN_CONTAINED_LENGTH_RATIO
+  ) {
+    return 0.8;
+  }
+
+  const words1 = s1.split(' ');
+  const words2 = s2.split(' ');
+  const sharedWords = words1.filter(word => word.length > 2 && words2.includes(word)).length;
+  const wordScore = sharedWords / Math.max(words1.length, words2.length);
+
+  const typoScore = 1 - editDistance(s1, s2) / Math.max(s1.length, s2.length);
+
+  return Math.max(wordScore, typoScore);
+};
+
+/**
+ * Find the best fuzzy match for a name among candidate records
+ * @param {string} name - Name to match
+ * @param {Array} candidates - Records to search
+ * @param {Object} options - Matching options
+ * @param {Function} options.getNames - Names to compare for a candidate (default: name and aliases)
+ * @param {number} options.threshold - Minimum score to accept (default: 0.8)
+ * @returns {Object|null} - Object with the matched record and score, or null if none qualify
+ */
+export const findBestMatch = (
+  name,
+  candidates,
+  { getNames = getRecordNames, threshold = DEFAULT_MATCH_THRESHOLD } = {}
+) => {
+  let best = null;
+
+  candidates.forEach(candidate => {
+    getNames(candidate).forEach(candidateName => {
+      const score = calculateStringSimilarity(name, candidateName);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { record: candidate, score };
+      }
+    });
+  });
+
+  return best;
+};
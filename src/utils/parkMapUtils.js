@@ -0,0 +1,109 @@
+/**
+ * Park map utilities for EncoreLando
+ *
+ * Tile configuration for the interactive park map and the "playing now" status
+ * used to style each venue pin.
+ */
+
+import { getSetWindow } from './itineraryUtils';
+
+// Tile URL template for the park map. REACT_APP_MAP_TILE_URL can point at a
+// local tile server (or static tiles under public/) so development and tests
+// never touch OpenStreetMap.
+export const MAP_TILE_URL =
+  process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+export const MAP_TILE_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// How far ahead a set counts as starting soon
+export const STARTING_SOON_MINUTES = 30;
+
+// Pin states, busiest first
+export const VENUE_STATUS = {
+  PLAYING: 'playing',
+  STARTING_SOON: 'starting_soon',
+  IDLE: 'idle',
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether a venue has coordinates it can be pinned at
+ * @param {Object} venue - Venue with latitude and longitude
+ * @returns {boolean}
+ */
+export const hasCoordinates = venue =>
+  Number.isFinite(Number.parseFloat(venue?.latitude)) &&
+  Number.isFinite(Number.parseFloat(venue?.longitude));
+
+/**
+ * Get a venue's pin status from its concerts
+ * @param {Array} concerts - The venue's concerts
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} - { status, concert }, where concert is the set playing or starting soon
+ */
+export const getVenueStatus = (concerts = [], now = new Date()) => {
+  const time = now.getTime();
+  let next = null;
+
+  for (const concert of concerts) {
+    const { start, end } = getSetWindow(concert);
+
+    if (start <= time && time < end) {
+      return { status: VENUE_STATUS.PLAYING, concert };
+    }
+
+    if (start > time && start - time <= STARTING_SOON_MINUTES * MINUTE_MS) {
+      if (!next || start < getSetWindow(next).start) next = concert;
+    }
+  }
+
+  return next
+    ? { status: VENUE_STATUS.STARTING_SOON, concert: next }
+    : { status: VENUE_STATUS.IDLE, concert: null };
+};
+
+/**
+ * Get the pin status of every venue with concerts
+ * @param {Array} concerts - Concerts with venues:venue_id (id, ...)
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} - Status objects keyed by venue ID; venues without concerts are idle
+ */
+export const getVenueStatuses = (concerts = [], now = new Date()) => {
+  const byVenue = {};
+
+  concerts.forEach(concert => {
+    const venueId = concert.venues?.id || concert.venue_id;
+    if (!venueId) return;
+    (byVenue[venueId] = byVenue[venueId] || []).push(concert);
+  });
+
+  return Object.fromEntries(
+    Object.entries(byVenue).map(([venueId, venueConcerts]) => [
+      venueId,
+      getVenueStatus(venueConcerts, now),
+    ])
+  );
+};
+
+/**
+ * Corners of the area covering every mappable venue
+ * @param {Array} venues - Venues with latitude and longitude
+ * @returns {Array|null} - [[south, west], [north, east]], or null if none can be mapped
+ */
+export const getVenueBounds = venues => {
+  const points = venues
+    .filter(hasCoordinates)
+    .map(venue => [Number.parseFloat(venue.latitude), Number.parseFloat(venue.longitude)]);
+
+  if (points.length === 0) return null;
+
+  const latitudes = points.map(([latitude]) => latitude);
+  const longitudes = points.map(([, longitude]) => longitude);
+
+  return [
+    [Math.min(...latitudes), Math.min(...longitudes)],
+    [Math.max(...latitudes), Math.max(...longitudes)],
+  ];
+};
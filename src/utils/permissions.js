@@ -0,0 +1,104 @@
+/**
+ * Admin roles and permissions for EncoreLando
+ *
+ * Mirrors the checks in docs/database/admin-roles.sql so the admin UI only
+ * offers what row level security will allow. Roles are stored in
+ * user_profiles.roles; festival managers are scoped by the managed_festival_ids
+ * and managed_park_ids columns.
+ */
+
+// Super-admins keep the original 'admin' role, so existing has_role(uid, 'admin') checks still apply
+export const ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  FESTIVAL_MANAGER: 'festival_manager',
+  SUPER_ADMIN: 'admin',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.VIEWER]: 'Viewer',
+  [ROLES.EDITOR]: 'Editor',
+  [ROLES.FESTIVAL_MANAGER]: 'Festival Manager',
+  [ROLES.SUPER_ADMIN]: 'Super Admin',
+};
+
+export const PERMISSIONS = {
+  VIEW_ADMIN: 'admin:view',
+  EDIT_CONCERTS: 'concerts:edit',
+  EDIT_ARTISTS: 'artists:edit',
+  EDIT_VENUES: 'venues:edit',
+  EDIT_FESTIVALS: 'festivals:edit',
+  // Bulk import, the review queue, the trash and user management
+  MANAGE_SITE: 'site:manage',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.VIEWER]: [PERMISSIONS.VIEW_ADMIN],
+  [ROLES.EDITOR]: [PERMISSIONS.VIEW_ADMIN, PERMISSIONS.EDIT_CONCERTS],
+  [ROLES.FESTIVAL_MANAGER]: [
+    PERMISSIONS.VIEW_ADMIN,
+    PERMISSIONS.EDIT_CONCERTS,
+    PERMISSIONS.EDIT_FESTIVALS,
+  ],
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Get the admin roles on a user profile
+ *
+ * @param {Object} profile - Row from user_profiles
+ * @returns {Array} - Known roles the user has
+ */
+export const getAdminRoles = profile =>
+  Array.isArray(profile?.roles) ? profile.roles.filter(role => role in ROLE_PERMISSIONS) : [];
+
+/**
+ * Check whether a user profile grants a permission
+ *
+ * @param {Object} profile - Row from user_profiles
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} - True if any of the user's roles grants the permission
+ */
+export const hasPermission = (profile, permission) =>
+  getAdminRoles(profile).some(role => ROLE_PERMISSIONS[role].includes(permission));
+
+/**
+ * Check whether a festival manager's scope covers a record
+ *
+ * @param {Object} profile - Row from user_profiles
+ * @param {string} tableName - 'festivals' or 'concerts'
+ * @param {Object} record - Festival, or concert with its venue's park_id under venues
+ * @returns {boolean} - True if the record is one of the managed festivals or parks
+ */
+const isInManagedScope = (profile, tableName, record) => {
+  const festivalIds = profile.managed_festival_ids || [];
+  const parkIds = profile.managed_park_ids || [];
+
+  if (tableName === 'festivals') {
+    return festivalIds.includes(record.id) || parkIds.includes(record.park_id);
+  }
+
+  return festivalIds.includes(record.festival_id) || parkIds.includes(record.venues?.park_id);
+};
+
+/**
+ * Check whether a user can edit a specific record
+ * Festival managers can only edit festivals and concerts within their scope.
+ *
+ * @param {Object} profile - Row from user_profiles
+ * @param {string} tableName - 'concerts', 'artists', 'venues' or 'festivals'
+ * @param {Object} record - Record being edited
+ * @returns {boolean} - True if row level security will allow the update
+ */
+export const canEditRecord = (profile, tableName, record) => {
+  const roles = getAdminRoles(profile);
+
+  if (roles.includes(ROLES.SUPER_ADMIN)) return true;
+  if (tableName === 'concerts' && roles.includes(ROLES.EDITOR)) return true;
+
+  return (
+    roles.includes(ROLES.FESTIVAL_MANAGER) &&
+    ['festivals', 'concerts'].includes(tableName) &&
+    isInManagedScope(profile, tableName, record)
+  );
+};
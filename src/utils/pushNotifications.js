@@ -0,0 +1,94 @@
+/**
+ * Web Push helpers for EncoreLando
+ *
+ * Subscribes the browser to push notifications through the app's service
+ * worker. The subscription is stored by reminderService and used by the
+ * send-reminders function, which signs requests with the matching VAPID key.
+ */
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+
+/**
+ * Convert a base64url string to the Uint8Array expected by pushManager.subscribe
+ * @param {string} base64String - Base64url encoded key
+ * @returns {Uint8Array} - Decoded bytes
+ */
+const urlBase64ToUint8Array = base64String => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+/**
+ * Check whether this browser can receive push notifications
+ * @returns {boolean} True if push is supported and configured
+ */
+export const isPushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) &&
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+/**
+ * Get the service worker registration, registering the worker if needed
+ * The worker is only registered automatically in production builds.
+ * @returns {Promise<ServiceWorkerRegistration>} Active registration
+ */
+const getRegistration = async () => {
+  const registration = await navigator.serviceWorker.getRegistration();
+  if (!registration) {
+    await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+  }
+
+  return navigator.serviceWorker.ready;
+};
+
+/**
+ * Get the current push subscription, if any
+ * @returns {Promise<PushSubscription|null>} Existing subscription
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Ask for notification permission and subscribe to push
+ * @returns {Promise<Object>} PushSubscription JSON with endpoint and keys
+ */
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('Push notifications are not supported on this device');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked. Allow them in your browser settings.');
+  }
+
+  const registration = await getRegistration();
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+    }));
+
+  return subscription.toJSON();
+};
+
+/**
+ * Unsubscribe this browser from push
+ * @returns {Promise<string|null>} Endpoint that was removed, or null if not subscribed
+ */
+export const unsubscribeFromPush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return null;
+
+  await subscription.unsubscribe();
+  return subscription.endpoint;
+};
@@ -0,0 +1,113 @@
+/**
+ * Realtime utilities for EncoreLando
+ *
+ * Turns Supabase change payloads into patches for records already on screen, so a
+ * set an admin moves or cancels is shown as such without a reload.
+ */
+
+export const SCHEDULE_CHANGES = {
+  TIME_CHANGED: 'time_changed',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Normalize a realtime payload into the change to apply
+ * Inserts are ignored: a new record isn't in any list yet, and the payload lacks the
+ * joined artist and venue needed to show it.
+ * @param {Object} payload - Payload from realtimeService.subscribeToTable
+ * @returns {Object|null} - { id, record, removed }, or null if there's nothing to patch
+ */
+export const getRealtimeChange = payload => {
+  if (!payload || payload.eventType === 'INSERT') return null;
+
+  const deleted = payload.eventType === 'DELETE';
+  const row = (deleted ? payload.old : payload.new) || {};
+  if (!row.id) return null;
+
+  return {
+    id: row.id,
+    // Deletes only carry the primary key, so there are no columns to merge
+    record: deleted ? {} : row,
+    // Moving a record to the trash is an update that sets deleted_at
+    removed: deleted || Boolean(row.deleted_at),
+  };
+};
+
+/**
+ * Normalize a concert_schedule_changes row into the change to apply to concerts
+ * Trashed concerts are hidden from the public, so cancellations arrive this way rather
+ * than as concert updates (see realtime-schedule.sql).
+ * @param {Object} payload - Payload from realtimeService.subscribeToTable
+ * @returns {Object|null} - { id, record, removed }, or null if there's nothing to patch
+ */
+export const getScheduleChange = payload => {
+  const row = payload?.new;
+  if (!row?.concert_id) return null;
+
+  return {
+    id: row.concert_id,
+    record: { start_time: row.start_time, end_time: row.end_time },
+    removed: Boolean(row.cancelled),
+  };
+};
+
+/**
+ * Merge a change's columns into a record, keeping joined relations
+ * @param {Object} record - Record as fetched (e.g. a festival with its park)
+ * @param {Object} change - Change from getRealtimeChange
+ * @returns {Object} - Patched record, or the same record if the change is for another
+ */
+export const patchRecord = (record, change) =>
+  record && record.id === change.id ? { ...record, ...change.record } : record;
+
+/**
+ * Apply a change to a list of records, dropping removed ones
+ * @param {Array} records - Records as fetched
+ * @param {Object} change - Change from getRealtimeChange
+ * @returns {Array} - Patched list, or the same list if no record changed (or none loaded)
+ */
+export const patchRecords = (records, change) => {
+  if (!records || !records.some(record => record.id === change.id)) return records;
+
+  return change.removed
+    ? records.filter(record => record.id !== change.id)
+    : records.map(record => patchRecord(record, change));
+};
+
+/**
+ * Compare two times that may be formatted differently
+ */
+const isSameTime = (a, b) =>
+  (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * Apply a change to a list of concerts
+ * Cancelled sets stay listed so people who planned on them find out, and moved sets
+ * are marked; either way schedule_change says what happened.
+ * @param {Array} concerts - Concerts as fetched
+ * @param {Object} change - Change from getScheduleChange or getRealtimeChange
+ * @returns {Array} - Patched list, or the same list if no concert changed
+ */
+export const patchConcerts = (concerts, change) => {
+  if (!concerts || !concerts.some(concert => concert.id === change.id)) return concerts;
+
+  return concerts.map(concert => {
+    if (concert.id !== change.id) return concert;
+
+    if (change.removed) {
+      return { ...concert, ...change.record, schedule_change: SCHEDULE_CHANGES.CANCELLED };
+    }
+
+    const { record } = change;
+    const moved =
+      ('start_time' in record && !isSameTime(record.start_time, concert.start_time)) ||
+      ('end_time' in record && !isSameTime(record.end_time, concert.end_time));
+
+    // A set restored from the trash is no longer cancelled
+    let scheduleChange =
+      concert.schedule_change === SCHEDULE_CHANGES.CANCELLED ? null : concert.schedule_change;
+    if (moved) scheduleChange = SCHEDULE_CHANGES.TIME_CHANGED;
+
+    return { ...concert, ...record, schedule_change: scheduleChange || null };
+  });
+};
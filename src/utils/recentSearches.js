@@ -0,0 +1,67 @@
+/**
+ * Recent searches
+ *
+ * The last few queries a visitor searched for, kept in localStorage on their
+ * device so the search box can offer them again. Signed-in users get their own
+ * list, so a shared device doesn't mix people's searches.
+ */
+
+// localStorage key prefix; the user ID (or "guest") is appended
+const STORAGE_PREFIX = 'encorelando_recent_searches_';
+
+// Most queries kept per user
+export const MAX_RECENT_SEARCHES = 8;
+
+const getStorageKey = userId => `${STORAGE_PREFIX}${userId || 'guest'}`;
+
+/**
+ * Get recent searches, most recent first
+ * @param {string} userId - Signed-in user ID (optional)
+ * @returns {Array<string>} - Queries
+ */
+export const getRecentSearches = userId => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(userId)));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Failed to read recent searches:', error);
+    return [];
+  }
+};
+
+/**
+ * Add a query to the top of the recent searches
+ * Repeating a query moves it to the top instead of listing it twice.
+ * @param {string} query - Search query
+ * @param {string} userId - Signed-in user ID (optional)
+ * @returns {Array<string>} - Updated queries
+ */
+export const addRecentSearch = (query, userId) => {
+  const trimmed = query ? query.trim() : '';
+  if (!trimmed) return getRecentSearches(userId);
+
+  const searches = [
+    trimmed,
+    ...getRecentSearches(userId).filter(search => search.toLowerCase() !== trimmed.toLowerCase()),
+  ].slice(0, MAX_RECENT_SEARCHES);
+
+  try {
+    localStorage.setItem(getStorageKey(userId), JSON.stringify(searches));
+  } catch (error) {
+    console.error('Failed to save recent searches:', error);
+  }
+
+  return searches;
+};
+
+/**
+ * Forget every recent search
+ * @param {string} userId - Signed-in user ID (optional)
+ */
+export const clearRecentSearches = userId => {
+  try {
+    localStorage.removeItem(getStorageKey(userId));
+  } catch (error) {
+    console.error('Failed to clear recent searches:', error);
+  }
+};
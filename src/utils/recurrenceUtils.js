@@ -0,0 +1,120 @@
+/**
+ * Recurring concert series utilities
+ *
+ * Expands a recurrence rule (date range, weekdays, set times and exclusion
+ * dates) into the individual concert times the admin form saves. Dates and
+ * set times are park time, so a 5:30 PM set stays at 5:30 PM across a DST change.
+ */
+
+import { DateTime } from 'luxon';
+import { PARK_TIMEZONE } from './dateUtils';
+
+// Weekdays in Luxon numbering (1 = Monday)
+export const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' },
+];
+
+// Upper bound on the concerts one series may create
+export const MAX_SERIES_OCCURRENCES = 500;
+
+/**
+ * Parse a YYYY-MM-DD date in park time
+ */
+const parseDate = date => (date ? DateTime.fromISO(date, { zone: PARK_TIMEZONE }) : null);
+
+/**
+ * Expand a recurrence rule into concert times
+ * @param {Object} rule - Recurrence rule
+ * @param {string} rule.startDate - First date, YYYY-MM-DD
+ * @param {string} rule.endDate - Last date (inclusive), YYYY-MM-DD
+ * @param {Array} rule.weekdays - Weekdays to include (1 = Monday ... 7 = Sunday)
+ * @param {Array} rule.setTimes - Set times each day, HH:mm
+ * @param {number} rule.durationMinutes - Set length in minutes, or empty for no end time
+ * @param {Array} rule.excludedDates - Dates to skip, YYYY-MM-DD
+ * @returns {Array} - Occurrences with ISO start_time and end_time (null without a duration)
+ */
+export const expandRecurrence = ({
+  startDate,
+  endDate,
+  weekdays = [],
+  setTimes = [],
+  durationMinutes,
+  excludedDates = [],
+}) => {
+  const first = parseDate(startDate);
+  const last = parseDate(endDate);
+  if (!first?.isValid || !last?.isValid || last < first) return [];
+
+  const duration = Number(durationMinutes) || 0;
+  const excluded = new Set(excludedDates);
+  const times = [...new Set(setTimes.filter(Boolean))].sort();
+  const occurrences = [];
+
+  for (let day = first; day <= last; day = day.plus({ days: 1 })) {
+    const date = day.toISODate();
+    if (!weekdays.includes(day.weekday) || excluded.has(date)) continue;
+
+    times.forEach(time => {
+      const start = DateTime.fromISO(`${date}T${time}`, { zone: PARK_TIMEZONE });
+      if (!start.isValid) return;
+
+      occurrences.push({
+        start_time: start.toUTC().toISO(),
+        end_time: duration ? start.plus({ minutes: duration }).toUTC().toISO() : null,
+      });
+    });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} rule - Recurrence rule, as for expandRecurrence
+ * @returns {Object} - Error messages keyed by rule field; empty when valid
+ */
+export const validateRecurrence = rule => {
+  const errors = {};
+  const first = parseDate(rule.startDate);
+  const last = parseDate(rule.endDate);
+
+  if (!first?.isValid) {
+    errors.startDate = 'Start date is required';
+  }
+
+  if (!last?.isValid) {
+    errors.endDate = 'End date is required';
+  } else if (first?.isValid && last < first) {
+    errors.endDate = 'End date must be on or after the start date';
+  }
+
+  if (!rule.weekdays?.length) {
+    errors.weekdays = 'Choose at least one day of the week';
+  }
+
+  if (!rule.setTimes?.some(Boolean)) {
+    errors.setTimes = 'Add at least one set time';
+  }
+
+  const duration = rule.durationMinutes;
+  if (duration !== '' && duration !== undefined && duration !== null && !(Number(duration) > 0)) {
+    errors.durationMinutes = 'Set length must be a positive number of minutes';
+  }
+
+  if (!Object.keys(errors).length) {
+    const count = expandRecurrence(rule).length;
+    if (!count) {
+      errors.occurrences = 'This schedule does not produce any concerts';
+    } else if (count > MAX_SERIES_OCCURRENCES) {
+      errors.occurrences = `This schedule produces ${count} concerts; the limit is ${MAX_SERIES_OCCURRENCES}`;
+    }
+  }
+
+  return errors;
+};
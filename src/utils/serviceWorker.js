@@ -0,0 +1,32 @@
+/**
+ * Service worker registration for EncoreLando
+ *
+ * Only registers in production builds so development reloads are never
+ * served from a stale cache.
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ */
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
+
+/**
+ * Unregister any active service worker
+ */
+export const unregisterServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error('Service worker unregistration failed:', error));
+};
@@ -0,0 +1,109 @@
+/**
+ * Review queue (staging_changes) utilities
+ *
+ * Scraped and imported data is proposed as staging_changes rows and only
+ * reaches the live tables when an admin approves it. These helpers are shared
+ * by the ingest function, the lineup import and the admin review page.
+ */
+
+// Live table for each staged entity type
+export const ENTITY_TABLES = {
+  artist: 'artists',
+  venue: 'venues',
+  festival: 'festivals',
+  concert: 'concerts',
+};
+
+export const STAGING_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const STAGING_ACTIONS = {
+  INSERT: 'insert',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Columns never shown in a diff or proposed for a change
+const SYSTEM_FIELDS = ['id', 'created_at', 'updated_at'];
+
+/**
+ * JSON with sorted keys, so values compare equal whatever key order Postgres returns
+ * @param {*} value - Value to serialize
+ * @returns {string} - JSON text
+ */
+export const stableStringify = value => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+// ISO timestamps, compared by instant rather than text
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Compare a proposed value with a live value
+ */
+const isSameValue = (proposed, live) => {
+  if (TIMESTAMP_PATTERN.test(proposed) && TIMESTAMP_PATTERN.test(live)) {
+    return Date.parse(proposed) === Date.parse(live);
+  }
+
+  return stableStringify(proposed) === stableStringify(live);
+};
+
+/**
+ * Split proposed changes by how they relate to changes already pending
+ * A proposal for a record that already has a pending change replaces that
+ * change's values instead of queueing a second one.
+ * @param {Array} changes - Proposed changes, each with a dedupe_key
+ * @param {Array} pending - Pending staging_changes rows with id, dedupe_key and proposed
+ * @returns {Object} - inserts (new rows), refreshes ({ id, change }) and unchanged count
+ */
+export const partitionStagedChanges = (changes, pending = []) => {
+  const pendingByKey = new Map(pending.map(change => [change.dedupe_key, change]));
+  const result = { inserts: [], refreshes: [], unchanged: 0 };
+
+  changes.forEach(change => {
+    const current = change.dedupe_key && pendingByKey.get(change.dedupe_key);
+
+    if (!current) {
+      result.inserts.push(change);
+    } else if (stableStringify(current.proposed) === stableStringify(change.proposed)) {
+      result.unchanged += 1;
+    } else {
+      result.refreshes.push({ id: current.id, change });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Field-level diff of a staged change against the live record
+ * @param {Object} change - staging_changes row
+ * @param {Object|null} liveRecord - Current live row, or null if it does not exist
+ * @returns {Array} - Changed fields as { field, from, to }
+ */
+export const getChangeDiff = (change, liveRecord) => {
+  const live = liveRecord || {};
+
+  if (change.action === STAGING_ACTIONS.DELETE) {
+    return Object.keys(live)
+      .filter(field => !SYSTEM_FIELDS.includes(field) && live[field] !== null)
+      .map(field => ({ field, from: live[field], to: null }));
+  }
+
+  return Object.keys(change.proposed || {})
+    .filter(field => !SYSTEM_FIELDS.includes(field))
+    .filter(field => !isSameValue(change.proposed[field], live[field] ?? null))
+    .map(field => ({ field, from: live[field] ?? null, to: change.proposed[field] }));
+};
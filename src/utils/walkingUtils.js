@@ -0,0 +1,104 @@
+/**
+ * Walking time utilities for EncoreLando
+ *
+ * Estimates how long it takes to walk between two venues in a park. The estimate
+ * comes from the venues' coordinates; a walking time an admin recorded for the
+ * pair (venue-walking-times.sql) replaces it.
+ */
+
+// Crowded theme park walking pace, about 4.2 km/h
+export const WALKING_METERS_PER_MINUTE = 70;
+
+// Park paths wind around lagoons and buildings, so a walk is longer than the
+// straight line between two venues
+export const PATH_FACTOR = 1.5;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Get a venue's coordinates as numbers
+ * @param {Object} venue - Venue with latitude and longitude
+ * @returns {Array|null} - [latitude, longitude], or null if either is missing
+ */
+const getCoordinates = venue => {
+  const latitude = Number.parseFloat(venue?.latitude);
+  const longitude = Number.parseFloat(venue?.longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? [latitude, longitude] : null;
+};
+
+/**
+ * Straight-line distance between two venues (haversine)
+ * @param {Object} from - Venue with latitude and longitude
+ * @param {Object} to - Venue with latitude and longitude
+ * @returns {number|null} - Distance in meters, or null without coordinates
+ */
+export const getDistanceMeters = (from, to) => {
+  const fromCoordinates = getCoordinates(from);
+  const toCoordinates = getCoordinates(to);
+  if (!fromCoordinates || !toCoordinates) return null;
+
+  const [fromLatitude, fromLongitude] = fromCoordinates.map(toRadians);
+  const [toLatitude, toLongitude] = toCoordinates.map(toRadians);
+
+  const a =
+    Math.sin((toLatitude - fromLatitude) / 2) ** 2 +
+    Math.cos(fromLatitude) *
+      Math.cos(toLatitude) *
+      Math.sin((toLongitude - fromLongitude) / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Key for a pair of venues, the same in either direction
+ */
+const getPairKey = (firstId, secondId) => [firstId, secondId].sort().join(':');
+
+/**
+ * Index recorded walking times by venue pair
+ * @param {Array} rows - venue_walking_times rows ({ from_venue_id, to_venue_id, minutes })
+ * @returns {Map} - Minutes keyed by venue pair
+ */
+export const indexWalkingTimes = (rows = []) =>
+  new Map(rows.map(row => [getPairKey(row.from_venue_id, row.to_venue_id), row.minutes]));
+
+/**
+ * Get the recorded walking time between two venues
+ * @param {Map} walkingTimes - Walking times from indexWalkingTimes
+ * @param {string} firstId - Venue ID
+ * @param {string} secondId - Venue ID
+ * @returns {number|undefined} - Minutes, if an admin recorded them
+ */
+export const getRecordedWalkMinutes = (walkingTimes, firstId, secondId) =>
+  walkingTimes?.get(getPairKey(firstId, secondId));
+
+/**
+ * Estimate the walk from coordinates alone
+ * @param {Object} from - Venue with latitude and longitude
+ * @param {Object} to - Venue with latitude and longitude
+ * @returns {number|null} - Whole minutes (at least 1), or null without coordinates
+ */
+export const estimateWalkFromCoordinates = (from, to) => {
+  const distance = getDistanceMeters(from, to);
+  if (distance === null) return null;
+
+  return Math.max(1, Math.ceil((distance * PATH_FACTOR) / WALKING_METERS_PER_MINUTE));
+};
+
+/**
+ * Minutes to walk between two venues
+ * @param {Object} from - Venue with id, latitude and longitude
+ * @param {Object} to - Venue with id, latitude and longitude
+ * @param {Map} walkingTimes - Recorded walking times from indexWalkingTimes
+ * @returns {number|null} - Minutes (0 for the same venue), or null if unknown
+ */
+export const getWalkMinutes = (from, to, walkingTimes) => {
+  if (!from?.id || !to?.id) return null;
+  if (from.id === to.id) return 0;
+
+  return (
+    getRecordedWalkMinutes(walkingTimes, from.id, to.id) ?? estimateWalkFromCoordinates(from, to)
+  );
+};